@@ -7,6 +7,8 @@ const { logAudit, getAuditTrail, getAuditTrailByCorrelationId, generateUUID } =
 const AUDIT_ACTIONS = {
     INGEST: 'INGEST',
     NORMALISE: 'NORMALISE',
+    DUPLICATE: 'DUPLICATE',
+    GROUPED: 'GROUPED',
     CLASSIFY: 'CLASSIFY',
     MATCH: 'MATCH',
     ROUTE: 'ROUTE',
@@ -18,6 +20,7 @@ const AUDIT_ACTIONS = {
     FAILED: 'FAILED',
     OCR_EXTRACTED: 'OCR_EXTRACTED',
     FIELDS_EXTRACTED: 'FIELDS_EXTRACTED',
+    REPROCESSED: 'REPROCESSED',
     // Retention & Governance actions
     LEGAL_HOLD_CREATED: 'LEGAL_HOLD_CREATED',
     LEGAL_HOLD_RELEASED: 'LEGAL_HOLD_RELEASED',
@@ -116,6 +119,26 @@ function logAction(action, attachmentId, actor, details = {}, messageId = null)
     return auditId;
 }
 
+/**
+ * Log an audit entry given as an object
+ * Used for ad-hoc pipeline actions (CLASSIFY_ATTEMPTED, AUTO_SEND_DECISION, EMAIL_SENT, ...)
+ * @param {object} entry - { action, attachmentId, messageId, actor, correlationId, details }
+ * @returns {string} - Audit entry ID
+ */
+function log(entry = {}) {
+    const details = entry.correlationId
+        ? { ...entry.details, correlationId: entry.correlationId }
+        : (entry.details || {});
+
+    return logAction(
+        entry.action,
+        entry.attachmentId || null,
+        entry.actor || AUDIT_ACTORS.SYSTEM,
+        details,
+        entry.messageId || null
+    );
+}
+
 /**
  * Log INGEST action (message received)
  */
@@ -138,6 +161,28 @@ function logNormalise(attachmentId, details = {}) {
     });
 }
 
+/**
+ * Log DUPLICATE action (same content already stored as another attachment)
+ */
+function logDuplicate(existingAttachmentId, messageId, details = {}) {
+    return logAction(AUDIT_ACTIONS.DUPLICATE, existingAttachmentId, AUDIT_ACTORS.SYSTEM, {
+        ...details,
+        duplicateOf: existingAttachmentId,
+        messageId
+    }, messageId);
+}
+
+/**
+ * Log GROUPED action (pages assembled into one multi-page document)
+ */
+function logGrouped(documentId, pageIds, details = {}) {
+    return logAction(AUDIT_ACTIONS.GROUPED, documentId, AUDIT_ACTORS.SYSTEM, {
+        ...details,
+        pageIds,
+        pageCount: pageIds.length
+    });
+}
+
 /**
  * Log CLASSIFY action (POD classification)
  */
@@ -214,6 +259,18 @@ function logExportQueued(attachmentId, exportId, recipients, details = {}) {
     });
 }
 
+/**
+ * Log REPROCESSED action (pipeline stages re-run; previous and new results side by side)
+ */
+function logReprocess(attachmentId, actor, stages, before, after, details = {}) {
+    return logAction(AUDIT_ACTIONS.REPROCESSED, attachmentId, actor || AUDIT_ACTORS.ADMIN, {
+        ...details,
+        stages,
+        before,
+        after
+    });
+}
+
 /**
  * Log FAILED action (error occurred)
  */
@@ -318,8 +375,11 @@ module.exports = {
     clearCorrelationId,
     createNewCorrelationId,
     logAction,
+    log,
     logIngest,
     logNormalise,
+    logDuplicate,
+    logGrouped,
     logClassify,
     logMatch,
     logRoute,
@@ -327,6 +387,7 @@ module.exports = {
     logExport,
     logExportPrepared,
     logExportQueued,
+    logReprocess,
     logFailed,
     getAttachmentAuditTrail,
     getCorrelationAuditTrail,
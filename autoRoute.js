@@ -1,5 +1,331 @@
-// Stub module - placeholder
+/**
+ * Auto Routing
+ * Decides where a document goes - REVIEW, OUT, QUARANTINE or a named review
+ * queue (REVIEW with a queue, e.g. per customer) - from ordered declarative rules.
+ *
+ * Rules live in config/routing.json (ROUTING_CONFIG_PATH) and are tried in order;
+ * the first enabled rule whose conditions all hold decides:
+ *
+ *   {
+ *     "name": "acme-review",
+ *     "when": { "customer": "ACME", "match.confidence": { "gte": 0.7 } },
+ *     "route": "REVIEW",
+ *     "queue": "ACME",
+ *     "reason": "ACME PODs are checked by the ACME account team"
+ *   }
+ *
+ * "when" maps fact paths to a value (equality, case-insensitive for text), an
+ * array (any of) or operators: eq, ne, in, notIn, lt, lte, gt, gte, exists,
+ * matches (regex). "any": [ {...}, {...} ] holds when one of the condition sets
+ * does. A rule without conditions always matches. See buildFacts for the facts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.ROUTING_CONFIG_PATH || path.join(__dirname, 'config', 'routing.json');
+
+const ROUTES = ['REVIEW', 'OUT', 'QUARANTINE'];
+const OPERATORS = ['eq', 'ne', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte', 'exists', 'matches'];
+
+const DEFAULT_CONFIG = {
+    defaultRoute: 'REVIEW',
+    rules: [
+        {
+            name: 'not-a-pod',
+            when: { 'classification.isPOD': false },
+            route: 'QUARANTINE',
+            reason: 'Not classified as a POD'
+        },
+        {
+            name: 'auto-send',
+            when: { 'autoSend.decision': 'AUTO_SEND' },
+            route: 'OUT',
+            reason: 'Auto-send criteria met'
+        }
+    ]
+};
+
+// Loaded configuration (lazy, like lib/auto-send.js)
+let config = null;
+let loadStatus = { path: CONFIG_PATH, loadedAt: null, source: null, errors: [] };
+
+/**
+ * Validate a routing configuration
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateConfig(candidate) {
+    const errors = [];
+    if (!candidate || typeof candidate !== 'object') return ['Configuration must be an object'];
+    if (candidate.defaultRoute !== undefined && !ROUTES.includes(candidate.defaultRoute)) {
+        errors.push(`defaultRoute must be one of ${ROUTES.join(', ')}`);
+    }
+    if (!Array.isArray(candidate.rules)) return [...errors, 'rules must be an array'];
+
+    const names = new Set();
+    candidate.rules.forEach((rule, index) => {
+        const label = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!rule.name) errors.push(`${label} needs a name`);
+        else if (names.has(rule.name)) errors.push(`${label} duplicates rule name ${rule.name}`);
+        names.add(rule.name);
+
+        if (!ROUTES.includes(rule.route)) errors.push(`${label} route must be one of ${ROUTES.join(', ')}`);
+        if (rule.queue !== undefined && (rule.route !== 'REVIEW' || typeof rule.queue !== 'string' || !rule.queue.trim())) {
+            errors.push(`${label} queue must be a non-empty name on a REVIEW route`);
+        }
+        if (rule.any !== undefined && !Array.isArray(rule.any)) errors.push(`${label} any must be an array`);
+
+        for (const conditions of [rule.when, ...(Array.isArray(rule.any) ? rule.any : [])]) {
+            if (conditions === undefined) continue;
+            if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+                errors.push(`${label} conditions must be an object of fact paths`);
+                continue;
+            }
+            for (const [fact, expected] of Object.entries(conditions)) {
+                if (!expected || typeof expected !== 'object' || Array.isArray(expected)) continue;
+                for (const [operator, operand] of Object.entries(expected)) {
+                    if (!OPERATORS.includes(operator)) {
+                        errors.push(`${label} ${fact}: unknown operator ${operator}`);
+                    } else if (operator === 'matches') {
+                        try {
+                            new RegExp(operand, 'i');
+                        } catch (error) {
+                            errors.push(`${label} ${fact}: invalid regex (${error.message})`);
+                        }
+                    }
+                }
+            }
+        }
+    });
+    return errors;
+}
+
+/**
+ * (Re)load rules from the config file; an invalid file keeps the last valid rules
+ * @returns {Object} Load status { path, loadedAt, source, errors }
+ */
+function loadConfig() {
+    try {
+        if (!fs.existsSync(CONFIG_PATH)) {
+            config = config || DEFAULT_CONFIG;
+            loadStatus = { path: CONFIG_PATH, loadedAt: new Date().toISOString(), source: 'defaults', errors: [] };
+            console.log('[AutoRoute] No routing config found, using default rules');
+            return loadStatus;
+        }
+        const candidate = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        const errors = validateConfig(candidate);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        config = { defaultRoute: 'REVIEW', ...candidate };
+        loadStatus = { path: CONFIG_PATH, loadedAt: new Date().toISOString(), source: 'file', errors: [] };
+        console.log(`[AutoRoute] Loaded ${config.rules.length} routing rule(s) from ${CONFIG_PATH}`);
+    } catch (error) {
+        config = config || DEFAULT_CONFIG;
+        loadStatus = { ...loadStatus, errors: [error.message] };
+        console.error(`[AutoRoute] Invalid routing config, keeping previous rules: ${error.message}`);
+    }
+    return loadStatus;
+}
+
+function getConfig() {
+    if (!config) loadConfig();
+    return config;
+}
+
+/**
+ * Normalise the routing inputs into the facts rules refer to:
+ *   classification.{type, isPOD, confidence}
+ *   match.{found, jobRef, jobId, confidence, matchType, customer, ambiguous}
+ *   autoSend.{decision, reasonCode, overallConfidence}
+ *   sender.{chatId, phone, isGroup}
+ *   supplier, customer
+ * @param {Object} input - { classification, match, autoSend, sender, supplier }
+ */
+function buildFacts(input = {}) {
+    const classification = input.classification || {};
+    // match.findMatch result, match.findBestMatch result, or a stored results.match
+    const result = input.match || null;
+    const best = result?.match !== undefined
+        ? result.match
+        : result?.job
+            ? {
+                jobId: result.job.id || null,
+                jobRef: result.job.ref || result.job.job_ref || null,
+                confidence: result.confidence,
+                matchType: result.matchType,
+                customer: result.job.customer
+            }
+            : result?.jobRef ? result : null;
+    const chatId = input.sender || null;
+    const customer = best?.customer || null;
+
+    return {
+        classification: {
+            type: classification.type || 'UNKNOWN',
+            isPOD: classification.isPOD ?? null,
+            confidence: classification.confidence || 0
+        },
+        match: {
+            found: !!best?.jobRef,
+            jobRef: best?.jobRef || null,
+            jobId: best?.jobId || null,
+            confidence: best?.confidence || 0,
+            matchType: best?.matchType || 'NO_MATCH',
+            customer,
+            ambiguous: !!result?.summary?.ambiguous
+        },
+        autoSend: {
+            decision: input.autoSend?.decision || null,
+            reasonCode: input.autoSend?.reasonCode || null,
+            overallConfidence: input.autoSend?.overallConfidence ?? null
+        },
+        sender: {
+            chatId,
+            phone: chatId ? String(chatId).replace(/@.*$/, '') : null,
+            isGroup: chatId ? String(chatId).endsWith('@g.us') : false
+        },
+        supplier: input.supplier || null,
+        customer
+    };
+}
+
+function getFact(facts, factPath) {
+    return factPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), facts);
+}
+
+function same(actual, expected) {
+    if (typeof actual === 'string' && typeof expected === 'string') {
+        return actual.toUpperCase() === expected.toUpperCase();
+    }
+    return actual === expected;
+}
+
+function compare(actual, operator, operand) {
+    switch (operator) {
+        case 'eq': return same(actual, operand);
+        case 'ne': return !same(actual, operand);
+        case 'in': return Array.isArray(operand) && operand.some(value => same(actual, value));
+        case 'notIn': return Array.isArray(operand) && !operand.some(value => same(actual, value));
+        case 'lt': return typeof actual === 'number' && actual < operand;
+        case 'lte': return typeof actual === 'number' && actual <= operand;
+        case 'gt': return typeof actual === 'number' && actual > operand;
+        case 'gte': return typeof actual === 'number' && actual >= operand;
+        case 'exists': return (actual !== null && actual !== undefined) === !!operand;
+        case 'matches': return actual !== null && actual !== undefined && new RegExp(operand, 'i').test(String(actual));
+        default: return false;
+    }
+}
+
+function holds(actual, expected) {
+    if (Array.isArray(expected)) return compare(actual, 'in', expected);
+    if (expected && typeof expected === 'object') {
+        return Object.entries(expected).every(([operator, operand]) => compare(actual, operator, operand));
+    }
+    return same(actual, expected);
+}
+
+/**
+ * Conditions of a set that do not hold
+ */
+function failedConditions(conditions, facts) {
+    return Object.entries(conditions || {})
+        .filter(([factPath, expected]) => !holds(getFact(facts, factPath), expected))
+        .map(([factPath, expected]) => ({ fact: factPath, expected, actual: getFact(facts, factPath) ?? null }));
+}
+
+function evaluateRule(rule, facts) {
+    const failed = failedConditions(rule.when, facts);
+    if (failed.length === 0 && Array.isArray(rule.any) && rule.any.length > 0) {
+        const alternatives = rule.any.map(conditions => failedConditions(conditions, facts));
+        if (!alternatives.some(list => list.length === 0)) {
+            return { matched: false, failed: [{ any: alternatives }] };
+        }
+    }
+    return { matched: failed.length === 0, failed };
+}
+
+function evaluate(input, rules, defaultRoute) {
+    const facts = buildFacts(input);
+    const trace = [];
+    let decided = null;
+
+    rules.forEach((rule, index) => {
+        if (decided) return;
+        if (rule.enabled === false) {
+            trace.push({ rule: rule.name, index, skipped: true });
+            return;
+        }
+        const { matched, failed } = evaluateRule(rule, facts);
+        trace.push({ rule: rule.name, index, matched, failed });
+        if (matched) decided = { rule, index };
+    });
+
+    const routeTo = decided ? decided.rule.route : defaultRoute;
+    const reason = decided
+        ? decided.rule.reason || `Matched routing rule ${decided.rule.name}`
+        : 'No routing rule matched - default route';
+    const queue = decided?.rule.queue || null;
+
+    return {
+        routeTo,
+        status: routeTo,
+        queue,
+        decisionType: decided ? 'RULE' : 'DEFAULT',
+        rule: decided ? decided.rule.name : null,
+        ruleIndex: decided ? decided.index : null,
+        reason,
+        confidence: facts.autoSend.overallConfidence ?? facts.match.confidence,
+        details: { reason, rule: decided ? decided.rule.name : null, queue },
+        facts,
+        trace
+    };
+}
+
+/**
+ * Route a document
+ * @param {Object} input - { classification, match, autoSend, sender, supplier }
+ * @returns {Object} { routeTo, status, queue, decisionType, rule, ruleIndex, reason, confidence, details }
+ */
+function route(input = {}) {
+    const cfg = getConfig();
+    const { facts, trace, ...decision } = evaluate(input, cfg.rules, cfg.defaultRoute || 'REVIEW');
+    return decision;
+}
+
+/**
+ * Route with the evaluated facts and a per-rule trace, optionally against candidate rules
+ * @param {Object} input - As for route
+ * @param {Object} options - { rules, defaultRoute } to try instead of the loaded config
+ * @returns {Object} Decision plus { facts, trace }
+ */
+function simulate(input = {}, options = {}) {
+    const cfg = getConfig();
+    if (options.rules) {
+        const errors = validateConfig({ rules: options.rules, defaultRoute: options.defaultRoute });
+        if (errors.length > 0) return { success: false, errors };
+    }
+    return {
+        success: true,
+        ...evaluate(input, options.rules || cfg.rules, options.defaultRoute || cfg.defaultRoute || 'REVIEW')
+    };
+}
+
+function getStatus() {
+    const cfg = getConfig();
+    return { ...loadStatus, defaultRoute: cfg.defaultRoute || 'REVIEW', rules: cfg.rules };
+}
+
 module.exports = {
-  init: () => {},
-  route: (attachment) => ({ status: 'REVIEW' })
+    ROUTES,
+    init: loadConfig,
+    loadConfig,
+    validateConfig,
+    buildFacts,
+    route,
+    simulate,
+    getStatus
 };
@@ -0,0 +1,248 @@
+/**
+ * Auto-send Backtest
+ * Replays a candidate auto-send configuration over past documents, using the
+ * classification, extraction and match results stored in metadata.results, and
+ * compares it with the active configuration.
+ *
+ * Documents the candidate would auto-send but the active configuration sent to
+ * review are "newly auto-sent". Reviewers saw those, so their outcome tells us
+ * whether auto-sending would have been wrong: a newly auto-sent document whose
+ * fields a reviewer corrected (field_corrections) or that a reviewer rejected is
+ * a false auto-send.
+ */
+
+const { getDb } = require('./db');
+const models = require('./models');
+const autoSend = require('./lib/auto-send');
+const autoSendVersions = require('./autoSendVersions');
+const podStages = require('./podStages');
+
+// Configuration
+const CONFIG = {
+    defaultWeeks: parseInt(process.env.AUTO_SEND_BACKTEST_WEEKS) || 4,
+    maxAttachments: parseInt(process.env.AUTO_SEND_BACKTEST_MAX) || 5000,
+    itemLimit: 200
+};
+
+const REJECT_ACTIONS = ['reject', 'bulk_reject'];
+const APPROVE_ACTIONS = ['approve', 'bulk_approve', 'force_send'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Overrides merged into a configuration; arrays (e.g. rules) are replaced whole
+function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * The candidate configuration: a stored version, a full config, or overrides on the active one
+ * @returns {Object} { config, version, source } or { errors }
+ */
+function resolveCandidate({ version, config, overrides }) {
+    if (version !== undefined && version !== null) {
+        const stored = autoSendVersions.getVersion(parseInt(version));
+        if (!stored) return { errors: [`Version ${version} not found`] };
+        return { config: stored.config, version: stored.version, source: 'version' };
+    }
+    if (config) return { config, version: null, source: 'config' };
+    if (overrides) return { config: mergeConfig(autoSend.loadConfig(), overrides), version: null, source: 'overrides' };
+    return { errors: ['One of version, config or overrides is required'] };
+}
+
+// SQLite datetime('now') values are UTC without a zone
+function parseCreatedAt(value) {
+    if (!value) return new Date();
+    return new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Reader for what reviewers did with documents (REVIEW audit entries and field_corrections)
+ * @returns {Function} attachmentId => { reviewed, approved, corrected: [fields], rejected }
+ */
+function outcomeReader() {
+    const db = getDb();
+    const statements = {
+        corrections: db.prepare('SELECT field FROM field_corrections WHERE attachment_id = ? AND is_correct = 0'),
+        anyCorrection: db.prepare('SELECT COUNT(*) AS count FROM field_corrections WHERE attachment_id = ?'),
+        reviews: db.prepare("SELECT details FROM audit_logs WHERE attachment_id = ? AND action = 'REVIEW'")
+    };
+
+    return attachmentId => {
+        const corrected = statements.corrections.all(attachmentId).map(row => row.field);
+        const reviews = statements.reviews.all(attachmentId).map(row => {
+            try {
+                return JSON.parse(row.details) || {};
+            } catch (error) {
+                return {};
+            }
+        });
+
+        return {
+            reviewed: reviews.length > 0 || statements.anyCorrection.get(attachmentId).count > 0,
+            approved: reviews.some(review => APPROVE_ACTIONS.includes(review.action) || review.newStatus === 'OUT'),
+            corrected,
+            rejected: reviews.some(review => REJECT_ACTIONS.includes(review.action) || review.newStatus === 'QUARANTINE')
+        };
+    };
+}
+
+function emptyTotals() {
+    return {
+        evaluated: 0,
+        baselineAutoSend: 0,
+        candidateAutoSend: 0,
+        newlyAutoSent: 0,
+        noLongerAutoSent: 0,
+        falseAutoSends: 0,
+        corrected: 0,
+        rejected: 0,
+        unreviewed: 0
+    };
+}
+
+function withRate(totals) {
+    return {
+        ...totals,
+        falseAutoSendRate: totals.newlyAutoSent > 0 ? Math.round((totals.falseAutoSends / totals.newlyAutoSent) * 1000) / 1000 : null
+    };
+}
+
+/**
+ * Replay a candidate configuration over past documents
+ * @param {Object} options - Candidate: { version } | { config } | { overrides };
+ *   window: { weeks } or { from, to }; { supplier, limit, includeItems }
+ * @returns {Object} { success, window, baseline, candidate, totals, bySupplier, items } or { success: false, errors }
+ */
+function backtest(options = {}) {
+    const candidate = resolveCandidate(options);
+    if (candidate.errors) return { success: false, errors: candidate.errors };
+
+    const validation = autoSend.validateConfigObject(candidate.config);
+    if (!validation.valid) return { success: false, errors: validation.errors };
+
+    const baseline = { config: autoSend.loadConfig(), version: autoSend.getActiveVersion() };
+
+    const to = options.to || new Date().toISOString();
+    const weeks = parseFloat(options.weeks) || CONFIG.defaultWeeks;
+    const from = options.from || new Date(new Date(to).getTime() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const attachments = models.findAttachments({
+        from,
+        to,
+        supplier: options.supplier,
+        limit: Math.min(parseInt(options.limit) || CONFIG.maxAttachments, CONFIG.maxAttachments)
+    });
+
+    const reviewerOutcome = outcomeReader();
+
+    const totals = emptyTotals();
+    const suppliers = new Map();
+    const items = [];
+    let skipped = 0;
+
+    for (const attachment of attachments) {
+        const results = attachment.metadata?.results;
+        if (!results || !results.classification) {
+            skipped++;
+            continue;
+        }
+
+        const inputs = podStages.autoSendInputs({
+            attachmentId: attachment.id,
+            classification: results.classification,
+            fields: results.fields,
+            ocr: results.ocr,
+            jobMatch: results.match ? { match: results.match, candidates: results.match.candidates || [] } : null
+        });
+        const now = parseCreatedAt(attachment.created_at);
+        const before = autoSend.shouldAutoSend(inputs.attachment, inputs.matchResult, {
+            now,
+            config: baseline.config,
+            configVersion: baseline.version
+        });
+        const after = autoSend.shouldAutoSend(inputs.attachment, inputs.matchResult, {
+            now,
+            config: candidate.config,
+            configVersion: candidate.version
+        });
+
+        const supplier = inputs.supplier ? inputs.supplier.toUpperCase() : 'UNKNOWN';
+        if (!suppliers.has(supplier)) {
+            suppliers.set(supplier, {
+                supplier,
+                thresholds: {
+                    baseline: autoSend.getSupplierThreshold(inputs.supplier, baseline.config),
+                    candidate: autoSend.getSupplierThreshold(inputs.supplier, candidate.config)
+                },
+                ...emptyTotals()
+            });
+        }
+        const group = suppliers.get(supplier);
+        const wasAuto = before.decision === autoSend.DecisionType.AUTO_SEND;
+        const isAuto = after.decision === autoSend.DecisionType.AUTO_SEND;
+
+        for (const counts of [totals, group]) {
+            counts.evaluated++;
+            if (wasAuto) counts.baselineAutoSend++;
+            if (isAuto) counts.candidateAutoSend++;
+        }
+        if (wasAuto === isAuto) continue;
+
+        const outcome = reviewerOutcome(attachment.id);
+        for (const counts of [totals, group]) {
+            if (isAuto) {
+                counts.newlyAutoSent++;
+                if (outcome.corrected.length > 0) counts.corrected++;
+                if (outcome.rejected) counts.rejected++;
+                if (outcome.corrected.length > 0 || outcome.rejected) counts.falseAutoSends++;
+                if (!outcome.reviewed) counts.unreviewed++;
+            } else {
+                counts.noLongerAutoSent++;
+            }
+        }
+
+        if (options.includeItems !== false && items.length < CONFIG.itemLimit) {
+            items.push({
+                attachmentId: attachment.id,
+                createdAt: attachment.created_at,
+                supplier,
+                status: attachment.status,
+                change: isAuto ? 'NEWLY_AUTO_SENT' : 'NO_LONGER_AUTO_SENT',
+                overallConfidence: Math.round(autoSend.calculateOverallConfidence({
+                    classification: inputs.attachment.classificationConfidence,
+                    extraction: inputs.extractionConfidence,
+                    matching: inputs.matchConfidence
+                }, candidate.config) * 1000) / 1000,
+                baseline: { decision: before.decision, reasonCode: before.reasonCode, rule: before.rule || null },
+                candidate: { decision: after.decision, reasonCode: after.reasonCode, rule: after.rule || null },
+                outcome
+            });
+        }
+    }
+
+    return {
+        success: true,
+        window: { from, to },
+        baseline: { version: baseline.version },
+        candidate: { version: candidate.version, source: candidate.source },
+        matched: attachments.length,
+        skipped,
+        totals: withRate(totals),
+        bySupplier: [...suppliers.values()].sort((a, b) => a.supplier.localeCompare(b.supplier)).map(withRate),
+        items
+    };
+}
+
+module.exports = {
+    CONFIG,
+    backtest,
+    mergeConfig,
+    outcomeReader,
+    parseCreatedAt
+};
@@ -0,0 +1,342 @@
+/**
+ * Auto-send Calibration
+ * Learns confidence weights and per-supplier thresholds from what reviewers did
+ * with past documents, and proposes them as a new auto-send config version.
+ *
+ * Labelled examples are documents with stored pipeline results and a reviewer
+ * outcome (see autoSendBacktest.outcomeReader):
+ *   bad  - a reviewer rejected it or corrected a field (auto-sending would have been wrong)
+ *   good - a reviewer approved it unchanged
+ * Documents nobody reviewed (most auto-sent ones) carry no label and are left out,
+ * so the examples lean towards the review queue.
+ *
+ * Weights: the grid of confidenceWeights that best ranks good above bad (AUC).
+ * Thresholds: per supplier, the lowest overall confidence at which the share of
+ * bad examples at or above it stays within the target false-auto-send rate, with
+ * at least minSamples examples above it. Suppliers without enough examples keep
+ * their current threshold. Reliability curves (good rate per confidence bin) are
+ * reported per supplier.
+ *
+ * A run filtered to one supplier only proposes that supplier's threshold: the
+ * weights, defaultThreshold and the '*' rule apply to every supplier and are kept.
+ */
+
+const models = require('./models');
+const autoSend = require('./lib/auto-send');
+const autoSendVersions = require('./autoSendVersions');
+const autoSendBacktest = require('./autoSendBacktest');
+const podStages = require('./podStages');
+
+// Configuration
+const CONFIG = {
+    targetFalseRate: parseFloat(process.env.AUTO_SEND_CALIBRATION_TARGET) || 0.02,
+    weeks: parseInt(process.env.AUTO_SEND_CALIBRATION_WEEKS) || 12,
+    minSamples: parseInt(process.env.AUTO_SEND_CALIBRATION_MIN_SAMPLES) || 30,
+    // 0 = only on demand (POST /api/auto-send/calibration/run)
+    intervalHours: parseFloat(process.env.AUTO_SEND_CALIBRATION_INTERVAL_HOURS) || 0,
+    maxAttachments: parseInt(process.env.AUTO_SEND_BACKTEST_MAX) || 5000,
+    binWidth: 0.05,
+    weightStep: 0.05,
+    // A new weighting must beat the current AUC by this much to be proposed
+    minAucGain: 0.01,
+    thresholdRange: [0.5, 0.99]
+};
+
+let timer = null;
+let lastRun = null;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Labelled examples from documents created in the window
+ * @returns {Object} { examples: [{ attachmentId, supplier, scores, bad }], total, unlabelled }
+ */
+function collectExamples({ from, to, supplier }) {
+    const attachments = models.findAttachments({ from, to, supplier, limit: CONFIG.maxAttachments });
+    const reviewerOutcome = autoSendBacktest.outcomeReader();
+    const examples = [];
+    let unlabelled = 0;
+
+    for (const attachment of attachments) {
+        const results = attachment.metadata?.results;
+        if (!results || !results.classification) continue;
+
+        const outcome = reviewerOutcome(attachment.id);
+        const bad = outcome.rejected || outcome.corrected.length > 0;
+        if (!bad && !outcome.approved) {
+            unlabelled++;
+            continue;
+        }
+
+        const inputs = podStages.autoSendInputs({
+            attachmentId: attachment.id,
+            classification: results.classification,
+            fields: results.fields,
+            ocr: results.ocr,
+            jobMatch: results.match ? { match: results.match, candidates: results.match.candidates || [] } : null
+        });
+        examples.push({
+            attachmentId: attachment.id,
+            supplier: inputs.supplier ? inputs.supplier.toUpperCase() : 'UNKNOWN',
+            scores: {
+                classification: inputs.attachment.classificationConfidence,
+                extraction: inputs.extractionConfidence || 0,
+                matching: inputs.matchConfidence
+            },
+            bad
+        });
+    }
+    return { examples, total: attachments.length, unlabelled };
+}
+
+function overall(scores, weights) {
+    return autoSend.calculateOverallConfidence(scores, { confidenceWeights: weights });
+}
+
+/**
+ * Probability a good example scores above a bad one (ties count half)
+ * @returns {number|null} AUC, or null without both good and bad examples
+ */
+function auc(examples, weights) {
+    const scored = examples.map(example => ({ score: overall(example.scores, weights), bad: example.bad }))
+        .sort((a, b) => a.score - b.score);
+    const badCount = scored.filter(example => example.bad).length;
+    const goodCount = scored.length - badCount;
+    if (badCount === 0 || goodCount === 0) return null;
+
+    // Mann-Whitney U from average ranks
+    let rankSum = 0;
+    for (let i = 0; i < scored.length;) {
+        let j = i;
+        while (j < scored.length && scored[j].score === scored[i].score) j++;
+        const averageRank = (i + 1 + j) / 2;
+        for (let k = i; k < j; k++) {
+            if (!scored[k].bad) rankSum += averageRank;
+        }
+        i = j;
+    }
+    return (rankSum - goodCount * (goodCount + 1) / 2) / (goodCount * badCount);
+}
+
+/**
+ * Best confidenceWeights on a grid (each at least one step, summing to 1)
+ */
+function recommendWeights(examples, current) {
+    const aucCurrent = auc(examples, current);
+    const result = { current, recommended: current, aucCurrent: aucCurrent === null ? null : round(aucCurrent), aucRecommended: null, changed: false };
+    if (aucCurrent === null) return { ...result, reason: 'Needs both good and bad examples' };
+
+    const steps = Math.round(1 / CONFIG.weightStep);
+    let best = { weights: current, auc: aucCurrent, distance: 0 };
+    for (let c = 1; c < steps - 1; c++) {
+        for (let e = 1; c + e < steps; e++) {
+            const weights = {
+                classification: round(c / steps, 2),
+                extraction: round(e / steps, 2),
+                matching: round((steps - c - e) / steps, 2)
+            };
+            const score = auc(examples, weights);
+            const distance = Math.abs(weights.classification - current.classification) +
+                Math.abs(weights.extraction - current.extraction) +
+                Math.abs(weights.matching - current.matching);
+            // Ties go to the weighting closest to the current one
+            if (score > best.auc + 1e-9 || (Math.abs(score - best.auc) <= 1e-9 && distance < best.distance)) {
+                best = { weights, auc: score, distance };
+            }
+        }
+    }
+
+    const changed = best.auc - aucCurrent >= CONFIG.minAucGain;
+    return {
+        ...result,
+        recommended: changed ? best.weights : current,
+        aucRecommended: round(changed ? best.auc : aucCurrent),
+        changed
+    };
+}
+
+/**
+ * Good rate per confidence bin
+ * @returns {Array<Object>} [{ from, to, count, bad, goodRate }] for non-empty bins
+ */
+function reliabilityCurve(examples, weights) {
+    const bins = new Map();
+    for (const example of examples) {
+        const index = Math.min(Math.floor(overall(example.scores, weights) / CONFIG.binWidth), Math.round(1 / CONFIG.binWidth) - 1);
+        const bin = bins.get(index) || { from: round(index * CONFIG.binWidth, 2), to: round((index + 1) * CONFIG.binWidth, 2), count: 0, bad: 0 };
+        bin.count++;
+        if (example.bad) bin.bad++;
+        bins.set(index, bin);
+    }
+    return [...bins.entries()].sort((a, b) => a[0] - b[0])
+        .map(([, bin]) => ({ ...bin, goodRate: round((bin.count - bin.bad) / bin.count) }));
+}
+
+/**
+ * Lowest threshold whose false-auto-send rate at or above it meets the target
+ * @returns {Object} { threshold, support, falseRate } or { threshold: null, reason }
+ */
+function recommendThreshold(examples, weights, target, minSamples) {
+    const scores = examples.map(example => ({ score: overall(example.scores, weights), bad: example.bad }));
+    const [low, high] = CONFIG.thresholdRange;
+    let best = null;
+    let reachable = false;
+
+    for (let step = Math.round(high * 100); step >= Math.round(low * 100); step--) {
+        const threshold = step / 100;
+        const above = scores.filter(example => example.score >= threshold);
+        if (above.length < minSamples) continue;
+        reachable = true;
+        const falseRate = above.filter(example => example.bad).length / above.length;
+        if (falseRate <= target) best = { threshold, support: above.length, falseRate: round(falseRate) };
+    }
+
+    if (best) return best;
+    return {
+        threshold: null,
+        reason: reachable ? 'TARGET_NOT_REACHABLE' : 'INSUFFICIENT_DATA'
+    };
+}
+
+/**
+ * Compute calibration recommendations and (optionally) propose them as a config version
+ * @param {Object} options - { weeks, from, to, supplier, target, minSamples, propose, author }
+ * @returns {Object} Report { success, window, target, examples, weights, defaultThreshold, suppliers, proposal }
+ */
+function run(options = {}) {
+    const target = options.target !== undefined ? parseFloat(options.target) : CONFIG.targetFalseRate;
+    const minSamples = parseInt(options.minSamples) || CONFIG.minSamples;
+    if (!(target >= 0 && target < 1)) return { success: false, errors: ['target must be between 0 and 1'] };
+
+    const to = options.to || new Date().toISOString();
+    const weeks = parseFloat(options.weeks) || CONFIG.weeks;
+    const from = options.from || new Date(new Date(to).getTime() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const active = autoSend.loadConfig();
+    const { examples, total, unlabelled } = collectExamples({ from, to, supplier: options.supplier });
+    const badCount = examples.filter(example => example.bad).length;
+
+    const weights = recommendWeights(examples, active.confidenceWeights);
+    // One supplier's examples say nothing about the global settings
+    const scoring = options.supplier ? active.confidenceWeights : weights.recommended;
+    const pooled = options.supplier
+        ? { threshold: null, reason: 'SUPPLIER_FILTER' }
+        : recommendThreshold(examples, scoring, target, minSamples);
+    const defaultThreshold = {
+        current: active.defaultThreshold,
+        recommended: pooled.threshold ?? active.defaultThreshold,
+        ...pooled
+    };
+
+    const bySupplier = new Map();
+    for (const example of examples) {
+        if (!bySupplier.has(example.supplier)) bySupplier.set(example.supplier, []);
+        bySupplier.get(example.supplier).push(example);
+    }
+    const suppliers = [...bySupplier.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([supplier, group]) => {
+        const recommendation = recommendThreshold(group, scoring, target, minSamples);
+        const current = autoSend.getSupplierThreshold(supplier === 'UNKNOWN' ? null : supplier, active);
+        return {
+            supplier,
+            examples: group.length,
+            bad: group.filter(example => example.bad).length,
+            current,
+            recommended: recommendation.threshold ?? current,
+            ...recommendation,
+            curve: reliabilityCurve(group, scoring)
+        };
+    });
+
+    // Proposed config: recommended weights and every threshold that had enough data
+    const supplierRules = {};
+    for (const group of suppliers) {
+        if (group.threshold !== null && group.supplier !== 'UNKNOWN' && group.threshold !== group.current) {
+            supplierRules[group.supplier] = { threshold: group.threshold };
+        }
+    }
+    if (pooled.threshold !== null && active.supplierRules?.['*']) supplierRules['*'] = { threshold: pooled.threshold };
+    const proposed = autoSendBacktest.mergeConfig(active, {
+        confidenceWeights: scoring,
+        defaultThreshold: defaultThreshold.recommended,
+        supplierRules
+    });
+
+    const report = {
+        success: true,
+        window: { from, to },
+        target,
+        minSamples,
+        baseVersion: autoSend.getActiveVersion(),
+        examples: { documents: total, labelled: examples.length, good: examples.length - badCount, bad: badCount, unlabelled },
+        weights,
+        defaultThreshold,
+        suppliers,
+        curve: reliabilityCurve(examples, scoring),
+        proposal: null
+    };
+
+    if (options.propose !== false) {
+        report.proposal = autoSendVersions.propose(proposed, {
+            source: autoSendVersions.SOURCES.CALIBRATION,
+            author: options.author || 'calibration',
+            comment: `Calibrated for a ${round(target * 100, 1)}% false auto-send rate from ${examples.length} reviewed document(s)`,
+            details: {
+                window: report.window,
+                target,
+                minSamples,
+                baseVersion: report.baseVersion,
+                examples: report.examples,
+                auc: { current: weights.aucCurrent, recommended: weights.aucRecommended },
+                suppliers: suppliers.map(({ curve, ...group }) => group)
+            }
+        });
+    }
+
+    lastRun = { at: new Date().toISOString(), examples: report.examples, proposal: report.proposal };
+    return report;
+}
+
+/**
+ * Start periodic calibration (AUTO_SEND_CALIBRATION_INTERVAL_HOURS; off when 0)
+ */
+function start() {
+    if (timer || !CONFIG.intervalHours) return false;
+    timer = setInterval(() => {
+        try {
+            const report = run();
+            console.log(`[Calibration] ${report.examples.labelled} labelled document(s), proposal: ${report.proposal?.proposed ? `version ${report.proposal.version}` : 'none'}`);
+        } catch (error) {
+            console.error('[Calibration] Run failed:', error.message);
+        }
+    }, CONFIG.intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    console.log(`[Calibration] Running every ${CONFIG.intervalHours}h`);
+    return true;
+}
+
+function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+function getStatus() {
+    return {
+        running: !!timer,
+        intervalHours: CONFIG.intervalHours,
+        targetFalseRate: CONFIG.targetFalseRate,
+        weeks: CONFIG.weeks,
+        minSamples: CONFIG.minSamples,
+        lastRun
+    };
+}
+
+module.exports = {
+    CONFIG,
+    run,
+    start,
+    stop,
+    getStatus,
+    auc,
+    reliabilityCurve,
+    recommendThreshold
+};
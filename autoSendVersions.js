@@ -0,0 +1,302 @@
+/**
+ * Auto-send Configuration Versions
+ * Every auto-send configuration that becomes active - at startup, through
+ * /api/auto-send/reload or by rollback - is stored as a numbered version with
+ * its author and a diff against the previous one. The active version number is
+ * recorded on each auto-send decision (see lib/auto-send.js createDecision).
+ *
+ * Rolling back writes the old configuration back to config/auto-send.json and
+ * stores it as a new version, so history only ever grows.
+ *
+ * A version can also be PROPOSED (e.g. by autoSendCalibration.js) without being
+ * applied; accepting it applies it as a new version, dismissing it closes it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { getDb } = require('./db');
+const autoSend = require('./lib/auto-send');
+const audit = require('./audit');
+
+const SOURCES = {
+    STARTUP: 'STARTUP',
+    RELOAD: 'RELOAD',
+    ROLLBACK: 'ROLLBACK',
+    PROPOSAL: 'PROPOSAL',
+    CALIBRATION: 'CALIBRATION'
+};
+
+const STATUSES = {
+    APPLIED: 'APPLIED',
+    PROPOSED: 'PROPOSED',
+    ACCEPTED: 'ACCEPTED',
+    DISMISSED: 'DISMISSED'
+};
+
+/**
+ * JSON with sorted keys, so equal configurations hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hashConfig(config) {
+    return crypto.createHash('sha256').update(stableStringify(config)).digest('hex');
+}
+
+/**
+ * Changed paths between two configurations
+ * @returns {Array<Object>} [{ path, before, after }] - before/after undefined when added/removed
+ */
+function diffConfig(before, after, prefix = '') {
+    const isContainer = value => value !== null && typeof value === 'object';
+    if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+        const keys = Array.isArray(after)
+            ? [...Array(Math.max(before.length, after.length)).keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => diffConfig(
+            before[key],
+            after[key],
+            Array.isArray(after) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key)
+        ));
+    }
+    return stableStringify(before) === stableStringify(after) ? [] : [{ path: prefix, before, after }];
+}
+
+function formatVersion(row, includeConfig = false) {
+    if (!row) return null;
+    const version = {
+        version: row.version,
+        status: row.status,
+        source: row.source,
+        author: row.author,
+        comment: row.comment,
+        restoredVersion: row.restored_version,
+        diff: row.diff ? JSON.parse(row.diff) : [],
+        details: row.details ? JSON.parse(row.details) : null,
+        createdAt: row.created_at
+    };
+    if (includeConfig) version.config = JSON.parse(row.config);
+    return version;
+}
+
+// Latest applied version - the one that is (or was last) active
+function getLatestRow() {
+    return getDb().prepare(`
+        SELECT * FROM auto_send_config_versions WHERE status = 'APPLIED' ORDER BY version DESC LIMIT 1
+    `).get();
+}
+
+function getRow(version) {
+    return getDb().prepare('SELECT * FROM auto_send_config_versions WHERE version = ?').get(version);
+}
+
+/**
+ * Make a configuration active, storing it as a new version when it differs from the latest
+ * @returns {Object} { success, changed, version, diff }
+ */
+function activate(config, { source, author, comment, restoredVersion = null }) {
+    const latest = getLatestRow();
+    const hash = hashConfig(config);
+
+    if (latest && latest.config_hash === hash) {
+        autoSend.applyConfig(config, latest.version);
+        return { success: true, changed: false, version: latest.version, diff: [] };
+    }
+
+    const diff = latest ? diffConfig(JSON.parse(latest.config), config) : [];
+    const result = getDb().prepare(`
+        INSERT INTO auto_send_config_versions (config, config_hash, source, author, comment, diff, restored_version)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(JSON.stringify(config), hash, source, author || null, comment || null, JSON.stringify(diff), restoredVersion);
+    const version = Number(result.lastInsertRowid);
+
+    autoSend.applyConfig(config, version);
+    audit.log({
+        action: 'AUTO_SEND_CONFIG_CHANGED',
+        actor: author || 'system',
+        details: { version, previousVersion: latest ? latest.version : null, source, restoredVersion, comment: comment || null, diff }
+    });
+    console.log(`[AutoSend] Configuration version ${version} active (${source}${author ? ` by ${author}` : ''}, ${diff.length} change(s))`);
+
+    return { success: true, changed: true, version, diff };
+}
+
+/**
+ * Load the configuration file at startup and record it if it changed since the last version
+ * @returns {Object} { success, changed, version, diff }
+ */
+function init() {
+    let config = autoSend.reloadConfig();
+    const validation = autoSend.validateConfigObject(config);
+    if (!validation.valid) {
+        // Start on the last good version (or the defaults) rather than an invalid file
+        const latest = getLatestRow();
+        console.error(`[AutoSend] Invalid configuration, using ${latest ? `version ${latest.version}` : 'defaults'}: ${validation.errors.join('; ')}`);
+        config = latest ? JSON.parse(latest.config) : autoSend.getDefaultConfig();
+    }
+    return activate(config, { source: SOURCES.STARTUP, author: 'system' });
+}
+
+/**
+ * Re-read config/auto-send.json; an invalid file is rejected and the active version kept
+ * @param {Object} options - { author, comment }
+ * @returns {Object} { success, changed, version, diff } or { success: false, errors }
+ */
+function reload({ author, comment } = {}) {
+    const configFile = autoSend.getConfigPath();
+    let config;
+    if (fs.existsSync(configFile)) {
+        const validation = autoSend.validateConfig(configFile);
+        if (!validation.valid) return { success: false, errors: validation.errors };
+        config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+    } else {
+        config = autoSend.getDefaultConfig();
+    }
+    return activate(config, { source: SOURCES.RELOAD, author, comment });
+}
+
+/**
+ * Restore a stored version: written back to the config file and activated as a new version
+ * @param {number} version - Version to restore
+ * @param {Object} options - { author, comment }
+ * @returns {Object|null} { success, changed, version, diff }, or null when the version does not exist
+ */
+function rollback(version, { author, comment } = {}) {
+    const row = getRow(version);
+    if (!row) return null;
+    if (row.status !== STATUSES.APPLIED) {
+        return { success: false, error: `Version ${version} was never applied (${row.status}) - accept a proposal instead` };
+    }
+
+    const config = JSON.parse(row.config);
+    fs.writeFileSync(autoSend.getConfigPath(), `${JSON.stringify(config, null, 2)}\n`);
+    return activate(config, {
+        source: SOURCES.ROLLBACK,
+        author,
+        comment: comment || `Rollback to version ${row.version}`,
+        restoredVersion: row.version
+    });
+}
+
+/**
+ * Store a configuration as a proposal without applying it
+ * @param {Object} config - Proposed configuration
+ * @param {Object} options - { source, author, comment, details }
+ * @returns {Object} { success, proposed, version, diff } or { success: false, errors }
+ */
+function propose(config, { source = SOURCES.PROPOSAL, author, comment, details = null } = {}) {
+    const validation = autoSend.validateConfigObject(config);
+    if (!validation.valid) return { success: false, errors: validation.errors };
+
+    const latest = getLatestRow();
+    const hash = hashConfig(config);
+    if (latest && latest.config_hash === hash) {
+        return { success: true, proposed: false, version: latest.version, reason: 'Matches the active configuration', diff: [] };
+    }
+
+    const open = getDb().prepare(`
+        SELECT * FROM auto_send_config_versions WHERE status = 'PROPOSED' AND config_hash = ? ORDER BY version DESC LIMIT 1
+    `).get(hash);
+    if (open) {
+        return { success: true, proposed: false, version: open.version, reason: 'Already proposed', diff: JSON.parse(open.diff || '[]') };
+    }
+
+    const diff = latest ? diffConfig(JSON.parse(latest.config), config) : [];
+    const result = getDb().prepare(`
+        INSERT INTO auto_send_config_versions (config, config_hash, source, author, comment, diff, status, details)
+        VALUES (?, ?, ?, ?, ?, ?, 'PROPOSED', ?)
+    `).run(JSON.stringify(config), hash, source, author || null, comment || null, JSON.stringify(diff), details ? JSON.stringify(details) : null);
+    const version = Number(result.lastInsertRowid);
+
+    audit.log({
+        action: 'AUTO_SEND_CONFIG_PROPOSED',
+        actor: author || 'system',
+        details: { version, source, comment: comment || null, diff }
+    });
+    console.log(`[AutoSend] Configuration version ${version} proposed (${source}, ${diff.length} change(s))`);
+
+    return { success: true, proposed: true, version, diff };
+}
+
+/**
+ * Apply a proposed version: written to the config file and activated as a new version
+ * @param {number} version - Proposed version
+ * @param {Object} options - { author, comment }
+ * @returns {Object|null} { success, changed, version, diff }, or null when the version does not exist
+ */
+function accept(version, { author, comment } = {}) {
+    const row = getRow(version);
+    if (!row) return null;
+    if (row.status !== STATUSES.PROPOSED) return { success: false, error: `Version ${version} is not an open proposal (${row.status})` };
+
+    const config = JSON.parse(row.config);
+    fs.writeFileSync(autoSend.getConfigPath(), `${JSON.stringify(config, null, 2)}\n`);
+    const result = activate(config, {
+        source: SOURCES.PROPOSAL,
+        author,
+        comment: comment || `Accepted proposal ${row.version}`,
+        restoredVersion: row.version
+    });
+    getDb().prepare("UPDATE auto_send_config_versions SET status = 'ACCEPTED' WHERE version = ?").run(row.version);
+    return result;
+}
+
+/**
+ * Close a proposal without applying it
+ * @returns {Object|null} { success } or null when the version does not exist
+ */
+function dismiss(version, { author, comment } = {}) {
+    const row = getRow(version);
+    if (!row) return null;
+    if (row.status !== STATUSES.PROPOSED) return { success: false, error: `Version ${version} is not an open proposal (${row.status})` };
+
+    getDb().prepare("UPDATE auto_send_config_versions SET status = 'DISMISSED' WHERE version = ?").run(row.version);
+    audit.log({
+        action: 'AUTO_SEND_CONFIG_DISMISSED',
+        actor: author || 'system',
+        details: { version: row.version, comment: comment || null }
+    });
+    return { success: true, version: row.version };
+}
+
+/**
+ * Stored versions, newest first (without the full configuration)
+ * @param {Object} options - { limit, status }
+ */
+function listVersions({ limit = 50, status } = {}) {
+    const rows = getDb().prepare(`
+        SELECT * FROM auto_send_config_versions
+        ${status ? 'WHERE status = ?' : ''}
+        ORDER BY version DESC LIMIT ?
+    `).all(...(status ? [String(status).toUpperCase()] : []), Math.min(parseInt(limit) || 50, 500));
+    return {
+        activeVersion: autoSend.getActiveVersion(),
+        versions: rows.map(row => formatVersion(row))
+    };
+}
+
+/**
+ * One stored version including its configuration
+ */
+function getVersion(version) {
+    return formatVersion(getRow(version), true);
+}
+
+module.exports = {
+    SOURCES,
+    STATUSES,
+    init,
+    reload,
+    rollback,
+    propose,
+    accept,
+    dismiss,
+    listVersions,
+    getVersion,
+    diffConfig
+};
@@ -1,9 +1,12 @@
 /**
  * POD Classification Module
- * Uses OpenAI GPT-4o-mini vision API to classify images as POD or NON_POD
+ * Classifies images as POD or NON_POD through the vision provider chain
+ * (lib/vision: OpenAI, local Tesseract, fixture mock)
  */
 
-const OpenAI = require('openai');
+const vision = require('./lib/vision');
+const resultCache = require('./resultCache');
+const { hashBuffer } = require('./normalise');
 
 // Classification categories
 const NON_POD_TYPES = [
@@ -55,26 +58,27 @@ Return ONLY valid JSON:
     "reason": "brief explanation of classification"
 }`;
 
-// Global OpenAI client (lazy initialization)
-let openaiClient = null;
-let isInitialized = false;
+// Bump when CLASSIFICATION_PROMPT changes so cached results are not reused
+const CLASSIFICATION_PROMPT_VERSION = '1';
+
+const CLASSIFICATION_SYSTEM = 'You are a document analysis expert. Return ONLY valid JSON, no markdown or additional text.';
 
 /**
- * Initialize the classification module with OpenAI API client
+ * Initialize the classification module
  * @param {Object} options - Configuration options
+ * @param {Object} options.client - Pre-configured OpenAI client (shared with OCR)
  * @param {string} options.apiKey - OpenAI API key (defaults to process.env.OPENAI_API_KEY)
  */
 function init(options = {}) {
-    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('OpenAI API key required. Set OPENAI_API_KEY environment variable or pass apiKey to init().');
+    if (options.client || options.apiKey) {
+        vision.configure({ openai: { client: options.client, apiKey: options.apiKey } });
     }
 
-    openaiClient = new OpenAI({ apiKey });
-    isInitialized = true;
+    if (!vision.isReady()) {
+        throw new Error('No vision provider available. Set OPENAI_API_KEY or VISION_PROVIDERS.');
+    }
 
-    console.log('Classification module initialized with OpenAI');
+    console.log(`Classification module initialized (providers: ${vision.chain.join(' -> ')})`);
     return true;
 }
 
@@ -82,88 +86,37 @@ function init(options = {}) {
  * Check if module is initialized
  */
 function isReady() {
-    return isInitialized && openaiClient !== null;
-}
-
-/**
- * Get or create OpenAI client
- */
-function getClient() {
-    if (!isInitialized) {
-        init();
-    }
-    return openaiClient;
-}
-
-/**
- * Convert buffer to base64 data URL
- * @param {Buffer} buffer - Image buffer
- * @param {string} mimeType - MIME type of the image
- * @returns {string} Data URL
- */
-function bufferToDataUrl(buffer, mimeType) {
-    const base64 = buffer.toString('base64');
-    return `data:${mimeType};base64,${base64}`;
+    return vision.isReady();
 }
 
 /**
- * Classify an image as POD or NON_POD using OpenAI vision
+ * Classify an image as POD or NON_POD
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} mimeType - MIME type (e.g., 'image/jpeg', 'image/png')
  * @param {Object} options - Classification options
- * @returns {Promise<Object>} Classification result
+ * @param {Array<string>} options.providers - Override the provider chain
+ * @param {string} options.contentHash - SHA-256 of the image (computed if omitted)
+ * @param {boolean|string} options.cache - false to bypass the cache, 'refresh' to skip the read but store
+ * @returns {Promise<Object>} Classification result, including the provider that produced it
  */
 async function classify(imageBuffer, mimeType, options = {}) {
-    // Initialize if not already done
-    const client = getClient();
-
-    try {
-        const dataUrl = bufferToDataUrl(imageBuffer, mimeType);
-
-        const response = await client.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a document analysis expert. Return ONLY valid JSON, no markdown or additional text.'
-                },
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: CLASSIFICATION_PROMPT
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: dataUrl
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 500,
-            temperature: 0.1
-        });
-
-        const responseText = response.choices[0].message.content;
-        const result = parseJsonResponse(responseText);
-
-        // Normalize result
-        const normalized = normalizeResult(result);
+    const cacheKey = buildCacheKey(imageBuffer, mimeType, options);
+    if (cacheKey && options.cache !== 'refresh') {
+        const cached = resultCache.get(cacheKey);
+        if (cached) {
+            return { ...cached.result, cached: true, providerAttempts: [] };
+        }
+    }
 
-        return {
-            type: normalized.isPOD ? 'POD' : 'NON_POD',
-            imageType: normalized.imageType || 'unknown',
-            confidence: normalized.confidence,
-            isPOD: normalized.isPOD,
-            reason: normalized.reason || null,
-            raw: result
-        };
+    const outcome = await vision.run('classify', imageBuffer, mimeType, {
+        system: CLASSIFICATION_SYSTEM,
+        prompt: CLASSIFICATION_PROMPT,
+        maxTokens: 500,
+        providers: options.providers
+    });
 
-    } catch (error) {
-        console.error('Classification error:', error.message);
+    if (!outcome.success) {
+        console.error('Classification error:', outcome.error);
 
         // Return error result instead of throwing
         return {
@@ -171,10 +124,54 @@ async function classify(imageBuffer, mimeType, options = {}) {
             imageType: 'error',
             confidence: 0.0,
             isPOD: null,
-            reason: `Classification failed: ${error.message}`,
-            error: error.message
+            reason: `Classification failed: ${outcome.error}`,
+            error: outcome.error,
+            provider: null,
+            model: null,
+            providerAttempts: outcome.attempts
         };
     }
+
+    const result = outcome.result;
+    const normalized = normalizeResult(result);
+
+    const classification = {
+        type: normalized.isPOD ? 'POD' : 'NON_POD',
+        imageType: normalized.imageType || 'unknown',
+        confidence: normalized.confidence,
+        isPOD: normalized.isPOD,
+        reason: normalized.reason || null,
+        provider: outcome.provider,
+        model: outcome.model,
+        providerAttempts: outcome.attempts,
+        raw: result
+    };
+
+    // Only the primary provider's results are cached: a fallback answer would
+    // otherwise be served for the whole TTL and the primary never tried again
+    if (cacheKey && outcome.model === cacheKey.model) {
+        const { providerAttempts, ...cacheable } = classification;
+        resultCache.set(cacheKey, cacheable, { provider: outcome.provider });
+    }
+
+    return { ...classification, cached: false };
+}
+
+/**
+ * Cache key for an image: content hash, prompt version and the model that would answer first
+ * @returns {Object|null} Key, or null when caching is off or no provider is available
+ */
+function buildCacheKey(imageBuffer, mimeType, options = {}) {
+    if (options.cache === false) return null;
+    const provider = vision.primaryProvider(mimeType, options.providers);
+    if (!provider) return null;
+
+    return {
+        contentHash: options.contentHash || hashBuffer(imageBuffer),
+        kind: 'classify',
+        promptVersion: CLASSIFICATION_PROMPT_VERSION,
+        model: provider.model
+    };
 }
 
 /**
@@ -190,45 +187,9 @@ async function classifyFromPath(imagePath, mimeType, options = {}) {
     return classify(buffer, mimeType, options);
 }
 
-/**
- * Parse JSON from OpenAI response (handles markdown wrapping)
- * @param {string} responseText - Raw response text
- * @returns {Object} Parsed JSON
- */
-function parseJsonResponse(responseText) {
-    // Clean markdown code blocks
-    let cleaned = responseText.trim();
-
-    if (cleaned.startsWith('```json')) {
-        cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (cleaned.startsWith('```')) {
-        cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-
-    // Find JSON object in response
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-        cleaned = jsonMatch[0];
-    }
-
-    try {
-        return JSON.parse(cleaned);
-    } catch (e) {
-        // Try to extract partial data
-        return {
-            type: 'UNKNOWN',
-            imageType: 'parse_error',
-            confidence: 0.0,
-            isPOD: null,
-            reason: 'Failed to parse response',
-            parseError: e.message
-        };
-    }
-}
-
 /**
  * Normalize classification result to consistent format
- * @param {Object} result - Raw result from OpenAI
+ * @param {Object} result - Raw result from a vision provider
  * @returns {Object} Normalized result
  */
 function normalizeResult(result) {
@@ -325,6 +286,7 @@ module.exports = {
     classifyBatch,
     quickClassify,
     getImageDimensions,
+    CLASSIFICATION_PROMPT_VERSION,
     NON_POD_TYPES,
     POD_TYPES
 };
@@ -0,0 +1,232 @@
+/**
+ * Reviewer Corrections
+ * Keeps what reviewers do with extracted fields as labelled examples, so
+ * extraction accuracy can be measured per supplier and field.
+ *
+ * Each reviewed field of an attachment is one example (the latest review wins):
+ *   - confirmed:  the reviewer kept the extracted value         (is_correct = 1)
+ *   - corrected:  the reviewer replaced it with another value   (is_correct = 0)
+ *   - missed:     nothing was extracted and the reviewer added a value
+ *
+ * The "original" is always the pipeline's extracted value (metadata.results),
+ * never a previous reviewer edit.
+ */
+
+const { getDb } = require('./db');
+const { normalizeKey } = require('./lib/matching');
+const { generateUUID } = require('./models');
+
+// Reviewable fields -> attachment column holding the current value
+const FIELDS = {
+    jobRef: 'job_ref',
+    vehicleReg: 'vehicle_reg'
+};
+
+const INTERVALS = {
+    day: '%Y-%m-%d',
+    week: '%Y-W%W',
+    month: '%Y-%m'
+};
+
+function isPresent(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * The value the pipeline extracted for a field, with provenance
+ */
+function extractedValue(attachment, field) {
+    const results = attachment.metadata?.results;
+    if (results?.fields) {
+        return {
+            value: results.fields[field] ?? null,
+            source: results.fields.reconciliation?.[field]?.source || null,
+            provider: results.ocr?.provider || null
+        };
+    }
+    // Processed before results were kept - the column still holds the extracted value
+    return { value: attachment[FIELDS[field]] ?? null, source: null, provider: null };
+}
+
+/**
+ * Record a review of an attachment's fields as labelled examples
+ * Call before the reviewed values are written to the attachment.
+ * @param {Object} attachment - Attachment as returned by models.getAttachmentById
+ * @param {Object} reviewed - { jobRef, vehicleReg }; undefined fields were not reviewed
+ * @param {Object} options - { reviewer, action, confirmUnchanged: treat omitted fields as confirmed as they stand }
+ * @returns {Array<Object>} Examples recorded
+ */
+function recordReview(attachment, reviewed = {}, options = {}) {
+    if (!attachment) return [];
+
+    const db = getDb();
+    const now = new Date().toISOString();
+    const supplier = attachment.supplier || attachment.metadata?.results?.fields?.supplier || null;
+    const upsert = db.prepare(`
+        INSERT INTO field_corrections
+        (id, attachment_id, field, original_value, corrected_value, is_correct, supplier, provider, source,
+         reviewer, review_action, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (attachment_id, field) DO UPDATE SET
+            original_value = excluded.original_value,
+            corrected_value = excluded.corrected_value,
+            is_correct = excluded.is_correct,
+            supplier = excluded.supplier,
+            provider = excluded.provider,
+            source = excluded.source,
+            reviewer = excluded.reviewer,
+            review_action = excluded.review_action,
+            updated_at = excluded.updated_at
+    `);
+
+    const examples = [];
+    for (const field of Object.keys(FIELDS)) {
+        const original = extractedValue(attachment, field);
+        let value = reviewed[field];
+
+        if (value === undefined || value === null) {
+            if (!options.confirmUnchanged) continue;
+            // Approving without changes confirms what the attachment currently holds
+            value = attachment[FIELDS[field]] ?? original.value;
+        }
+        if (!isPresent(value) && !isPresent(original.value)) continue;
+
+        const example = {
+            attachmentId: attachment.id,
+            field,
+            originalValue: isPresent(original.value) ? String(original.value) : null,
+            correctedValue: isPresent(value) ? String(value).trim() : null,
+            supplier,
+            provider: original.provider,
+            source: original.source
+        };
+        example.isCorrect = example.originalValue !== null &&
+            normalizeKey(example.originalValue) === normalizeKey(example.correctedValue || '');
+
+        upsert.run(
+            generateUUID(),
+            example.attachmentId,
+            field,
+            example.originalValue,
+            example.correctedValue,
+            example.isCorrect ? 1 : 0,
+            supplier,
+            example.provider,
+            example.source,
+            options.reviewer || 'reviewer',
+            options.action || null,
+            now,
+            now
+        );
+        examples.push(example);
+    }
+
+    const corrected = examples.filter(example => !example.isCorrect);
+    if (corrected.length > 0) {
+        console.log(`[Corrections] ${attachment.id}: ${corrected.map(e => `${e.field} ${e.originalValue} -> ${e.correctedValue}`).join(', ')}`);
+    }
+    return examples;
+}
+
+function buildWhere(filter) {
+    const clauses = [];
+    const params = [];
+    if (filter.supplier) {
+        clauses.push('UPPER(COALESCE(supplier, \'UNKNOWN\')) = UPPER(?)');
+        params.push(filter.supplier);
+    }
+    if (filter.field) {
+        clauses.push('field = ?');
+        params.push(filter.field);
+    }
+    if (filter.from) {
+        clauses.push('updated_at >= ?');
+        params.push(filter.from);
+    }
+    if (filter.to) {
+        clauses.push('updated_at <= ?');
+        params.push(filter.to);
+    }
+    if (filter.correctedOnly) {
+        clauses.push('is_correct = 0');
+    }
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/**
+ * List labelled examples (newest first)
+ * @param {Object} filter - { supplier, field, from, to, correctedOnly, limit }
+ */
+function listExamples(filter = {}) {
+    const { where, params } = buildWhere(filter);
+    return getDb().prepare(`
+        SELECT * FROM field_corrections ${where}
+        ORDER BY updated_at DESC
+        LIMIT ?
+    `).all(...params, parseInt(filter.limit) || 100).map(row => ({
+        id: row.id,
+        attachmentId: row.attachment_id,
+        field: row.field,
+        originalValue: row.original_value,
+        correctedValue: row.corrected_value,
+        isCorrect: row.is_correct === 1,
+        supplier: row.supplier,
+        provider: row.provider,
+        source: row.source,
+        reviewer: row.reviewer,
+        reviewAction: row.review_action,
+        reviewedAt: row.updated_at
+    }));
+}
+
+function summarise(row) {
+    const extracted = row.correct + row.corrected;
+    return {
+        ...row,
+        // Share of extracted values the reviewer kept
+        precision: extracted > 0 ? Math.round((row.correct / extracted) * 1000) / 1000 : null
+    };
+}
+
+/**
+ * Extraction accuracy per supplier and field, overall and per period
+ * @param {Object} filter - { supplier, field, from, to, interval: 'day' | 'week' | 'month' }
+ * @returns {Object} { interval, totals, series }
+ */
+function getAccuracyReport(filter = {}) {
+    const interval = INTERVALS[filter.interval] ? filter.interval : 'week';
+    const { where, params } = buildWhere(filter);
+    const db = getDb();
+
+    const counts = `
+        COUNT(*) AS labelled,
+        SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) AS correct,
+        SUM(CASE WHEN is_correct = 0 AND original_value IS NOT NULL THEN 1 ELSE 0 END) AS corrected,
+        SUM(CASE WHEN original_value IS NULL THEN 1 ELSE 0 END) AS missed
+    `;
+
+    const totals = db.prepare(`
+        SELECT COALESCE(supplier, 'UNKNOWN') AS supplier, field, ${counts}
+        FROM field_corrections ${where}
+        GROUP BY COALESCE(supplier, 'UNKNOWN'), field
+        ORDER BY supplier, field
+    `).all(...params).map(summarise);
+
+    const series = db.prepare(`
+        SELECT strftime('${INTERVALS[interval]}', updated_at) AS period,
+               COALESCE(supplier, 'UNKNOWN') AS supplier, field, ${counts}
+        FROM field_corrections ${where}
+        GROUP BY period, COALESCE(supplier, 'UNKNOWN'), field
+        ORDER BY period, supplier, field
+    `).all(...params).map(summarise);
+
+    return { interval, totals, series };
+}
+
+module.exports = {
+    FIELDS,
+    INTERVALS,
+    recordReview,
+    listExamples,
+    getAccuracyReport
+};
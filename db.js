@@ -62,6 +62,7 @@ function init() {
     // Create indexes for common queries
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_messages_received_at ON messages(received_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
         CREATE INDEX IF NOT EXISTS idx_attachments_status ON attachments(status);
         CREATE INDEX IF NOT EXISTS idx_attachments_content_hash ON attachments(content_hash);
         CREATE INDEX IF NOT EXISTS idx_audit_logs_correlation_id ON audit_logs(correlation_id);
@@ -222,9 +223,346 @@ function init() {
         CREATE INDEX IF NOT EXISTS idx_evidence_expires_at ON evidence_bundles(expires_at);
     `);
 
+    // Multi-page POD documents - pages point at the first page (document head)
+    addColumnIfMissing('attachments', 'document_id', 'TEXT');
+    addColumnIfMissing('attachments', 'page_number', 'INTEGER');
+    addColumnIfMissing('email_queue', 'attachment_files', 'TEXT');
+
+    // Pipeline results promoted from metadata for filtering and review
+    addColumnIfMissing('attachments', 'supplier', 'TEXT');
+    addColumnIfMissing('attachments', 'matched_job_id', 'TEXT');
+    addColumnIfMissing('attachments', 'match_confidence', 'REAL');
+    // Named review queue chosen by the routing rules (autoRoute.js) - null is the main queue
+    addColumnIfMissing('attachments', 'review_queue', 'TEXT');
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_attachments_document_id ON attachments(document_id);
+    `);
+
+    // Vision result cache - classifier / structured OCR output per content hash, prompt version and model
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS vision_cache (
+            content_hash TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            prompt_version TEXT NOT NULL,
+            model TEXT NOT NULL,
+            provider TEXT,
+            result TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            expires_at TEXT,
+            hit_count INTEGER DEFAULT 0,
+            last_hit_at TEXT,
+            PRIMARY KEY (content_hash, kind, prompt_version, model)
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_vision_cache_expires ON vision_cache(expires_at);
+    `);
+
+    // Reviewer corrections - labelled examples of extracted vs reviewed field values
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS field_corrections (
+            id TEXT PRIMARY KEY,
+            attachment_id TEXT NOT NULL,
+            field TEXT NOT NULL,
+            original_value TEXT,
+            corrected_value TEXT,
+            is_correct INTEGER NOT NULL,
+            supplier TEXT,
+            provider TEXT,
+            source TEXT,
+            reviewer TEXT,
+            review_action TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            UNIQUE (attachment_id, field)
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_field_corrections_supplier ON field_corrections(supplier, field);
+        CREATE INDEX IF NOT EXISTS idx_field_corrections_created ON field_corrections(created_at);
+    `);
+
+    // Jobs reference data for matching - upserted by normalised job ref on import
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            job_ref TEXT NOT NULL,
+            job_ref_key TEXT NOT NULL UNIQUE,
+            vehicle_reg TEXT,
+            vehicle_reg_key TEXT,
+            customer TEXT,
+            supplier TEXT,
+            site TEXT,
+            driver_phone TEXT,
+            job_date TEXT,
+            status TEXT NOT NULL DEFAULT 'OPEN',
+            closed_at TEXT,
+            data TEXT,
+            source TEXT,
+            import_id TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_jobs_vehicle_reg_key ON jobs(vehicle_reg_key);
+        CREATE INDEX IF NOT EXISTS idx_jobs_driver_phone ON jobs(driver_phone);
+        CREATE INDEX IF NOT EXISTS idx_jobs_job_date ON jobs(job_date);
+        CREATE INDEX IF NOT EXISTS idx_jobs_status_closed ON jobs(status, closed_at);
+    `);
+
+    // Job import runs with their validation report
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS job_imports (
+            id TEXT PRIMARY KEY,
+            format TEXT NOT NULL,
+            source TEXT,
+            actor TEXT,
+            dry_run INTEGER DEFAULT 0,
+            total INTEGER DEFAULT 0,
+            inserted INTEGER DEFAULT 0,
+            updated INTEGER DEFAULT 0,
+            unchanged INTEGER DEFAULT 0,
+            rejected INTEGER DEFAULT 0,
+            report TEXT,
+            created_at TEXT NOT NULL
+        )
+    `);
+
+    // HRMS write-back outbox - POD received/delivered updates, sent with retries
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS pod_writeback_outbox (
+            id TEXT PRIMARY KEY,
+            attachment_id TEXT NOT NULL,
+            event TEXT NOT NULL,
+            dedupe_key TEXT NOT NULL UNIQUE,
+            job_ref TEXT,
+            job_id TEXT,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'PENDING',
+            attempts INTEGER DEFAULT 0,
+            next_attempt_at TEXT,
+            last_status_code INTEGER,
+            last_error TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            delivered_at TEXT
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pod_writeback_status ON pod_writeback_outbox(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_pod_writeback_attachment ON pod_writeback_outbox(attachment_id, event);
+    `);
+
+    // Missing-POD chasing state per delivered job (reminders, escalation, resolution)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS pod_chases (
+            job_id TEXT PRIMARY KEY,
+            job_ref TEXT NOT NULL,
+            driver_phone TEXT,
+            customer TEXT,
+            first_detected_at TEXT NOT NULL,
+            reminders_sent INTEGER DEFAULT 0,
+            last_reminder_at TEXT,
+            escalated_at TEXT,
+            resolved_at TEXT,
+            last_error TEXT,
+            updated_at TEXT NOT NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pod_chases_open ON pod_chases(resolved_at, driver_phone);
+    `);
+
+    // Auto-send configuration history - one row per applied config, for audit and rollback
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auto_send_config_versions (
+            version INTEGER PRIMARY KEY AUTOINCREMENT,
+            config TEXT NOT NULL,
+            config_hash TEXT NOT NULL,
+            source TEXT NOT NULL,
+            author TEXT,
+            comment TEXT,
+            diff TEXT,
+            restored_version INTEGER,
+            created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Proposed (e.g. calibrated) versions wait for an admin to accept them
+    addColumnIfMissing('auto_send_config_versions', 'status', "TEXT NOT NULL DEFAULT 'APPLIED'");
+    addColumnIfMissing('auto_send_config_versions', 'details', 'TEXT');
+
+    // Daily digest emails - one row per digest sent (or attempted) to a customer
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS email_digests (
+            id TEXT PRIMARY KEY,
+            customer TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'SENDING',
+            recipients_to TEXT NOT NULL,
+            recipients_cc TEXT,
+            recipients_bcc TEXT,
+            attachment_count INTEGER NOT NULL DEFAULT 0,
+            total_bytes INTEGER NOT NULL DEFAULT 0,
+            zipped INTEGER NOT NULL DEFAULT 0,
+            zip_path TEXT,
+            message_id TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_retry TEXT,
+            error TEXT,
+            created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            sent_at TEXT,
+            updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_digests_customer ON email_digests(customer, created_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_digests_status ON email_digests(status)`);
+
+    // Attachments waiting for (digest_id NULL) or included in a digest, with per-attachment status
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS email_digest_items (
+            id TEXT PRIMARY KEY,
+            digest_id TEXT,
+            attachment_id TEXT NOT NULL,
+            customer TEXT NOT NULL,
+            files TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'PENDING',
+            error TEXT,
+            added_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            sent_at TEXT,
+            FOREIGN KEY (digest_id) REFERENCES email_digests(id),
+            FOREIGN KEY (attachment_id) REFERENCES attachments(id)
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_digest_items_digest ON email_digest_items(digest_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_digest_items_attachment ON email_digest_items(attachment_id)`);
+    // An attachment waits in at most one pending digest per customer
+    db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_email_digest_items_pending
+        ON email_digest_items(customer, attachment_id) WHERE digest_id IS NULL
+    `);
+
+    // SMTP Message-ID of a sent email, to match bounce reports back to it
+    addColumnIfMissing('email_queue', 'smtp_message_id', 'TEXT');
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_queue_smtp_message_id ON email_queue(smtp_message_id)`);
+
+    // Priority lane: HIGH (force-sends, manual sends), NORMAL, LOW (bulk resends)
+    addColumnIfMissing('email_queue', 'priority', "TEXT DEFAULT 'NORMAL'");
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_queue_status_priority ON email_queue(status, priority, created_at)`);
+
+    // SMTP relay that sent an email or digest (smtpRelays.js)
+    addColumnIfMissing('email_queue', 'relay', 'TEXT');
+    addColumnIfMissing('email_digests', 'relay', 'TEXT');
+
+    // Bounces and complaints received (webhook, DSN or ARF reports)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS email_bounces (
+            id TEXT PRIMARY KEY,
+            email TEXT NOT NULL,
+            type TEXT NOT NULL,
+            status_code TEXT,
+            diagnostic TEXT,
+            source TEXT NOT NULL,
+            message_id TEXT,
+            email_queue_id TEXT,
+            received_at TEXT NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_bounces_email ON email_bounces(email, received_at)`);
+
+    // Addresses not sent to - one row per address, kept after it expires or is lifted
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS email_suppressions (
+            email TEXT PRIMARY KEY,
+            reason TEXT NOT NULL,
+            source TEXT,
+            status_code TEXT,
+            diagnostic TEXT,
+            email_queue_id TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            expires_at TEXT,
+            lifted_at TEXT,
+            lifted_by TEXT,
+            lift_note TEXT
+        )
+    `);
+
+    // Signed, expiring download links sent instead of attachments - revocable per link
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS download_links (
+            id TEXT PRIMARY KEY,
+            attachment_id TEXT NOT NULL,
+            email_queue_id TEXT,
+            digest_id TEXT,
+            customer TEXT,
+            recipients TEXT,
+            file_name TEXT,
+            file_size INTEGER,
+            storage_uri TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            revoked_at TEXT,
+            revoked_by TEXT,
+            revoke_reason TEXT,
+            download_count INTEGER DEFAULT 0,
+            last_downloaded_at TEXT,
+            created_at TEXT NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_download_links_attachment ON download_links(attachment_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_download_links_email ON download_links(email_queue_id)`);
+
+    // Delivery status per address of a queued email (from the SMTP accepted/rejected lists)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS email_recipients (
+            id TEXT PRIMARY KEY,
+            email_queue_id TEXT NOT NULL,
+            attachment_id TEXT,
+            email TEXT NOT NULL,
+            address TEXT NOT NULL,
+            field TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'PENDING',
+            attempts INTEGER DEFAULT 0,
+            error TEXT,
+            response TEXT,
+            smtp_message_id TEXT,
+            sent_at TEXT,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            UNIQUE (email_queue_id, email),
+            FOREIGN KEY (email_queue_id) REFERENCES email_queue(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_recipients_attachment ON email_recipients(attachment_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_recipients_smtp_message_id ON email_recipients(smtp_message_id)`);
+
     console.log(`SQLite DB initialized: ${DB_PATH}`);
 }
 
+/**
+ * Add a column to an existing table (no-op if it already exists)
+ */
+function addColumnIfMissing(table, column, definition) {
+    try {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    } catch (error) {
+        if (!error.message.includes('duplicate column name')) {
+            throw error;
+        }
+    }
+}
+
 function getDb() {
     return db;
 }
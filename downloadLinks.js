@@ -0,0 +1,363 @@
+/**
+ * Secure Download Links
+ * Customers with file delivery LINK (or AUTO, when the POD files are larger than
+ * the threshold) get signed, expiring download links in the POD email instead of
+ * attachments (recipients.js "fileDelivery", "links.expiryDays",
+ * "links.thresholdBytes").
+ *
+ * Each link is a row in download_links and is served by its own route, keyed by
+ * the link id, with the expiry and an HMAC-SHA256 signature (DOWNLOAD_LINK_SECRET)
+ * over the link, attachment and expiry:
+ *
+ *   /api/downloads/<linkId>?expires=<unix>&sig=<hex>
+ *
+ * A download checks the signature, expiry and revocation, is recorded as a
+ * DOWNLOADED event in delivery_log, and then streams the file from local
+ * storage or (DOWNLOAD_LINK_STORAGE=r2) redirects to a short-lived pre-signed
+ * R2 URL from lib/presigned-urls.js. Links are revoked one at a time or for a
+ * whole attachment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const audit = require('./audit');
+const recipients = require('./recipients');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Configuration
+const CONFIG = {
+    secret: process.env.DOWNLOAD_LINK_SECRET || null,
+    expiryDays: intEnv('DOWNLOAD_LINK_EXPIRY_DAYS', 7),
+    // AUTO sends links when the POD files together are larger than this
+    thresholdBytes: intEnv('EMAIL_LINK_THRESHOLD_BYTES', 10 * 1024 * 1024),
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    // 'local' streams the file; 'r2' redirects to a pre-signed R2 URL
+    storage: (process.env.DOWNLOAD_LINK_STORAGE || 'local').toLowerCase(),
+    r2UrlExpirySeconds: intEnv('DOWNLOAD_LINK_R2_URL_EXPIRY', 60)
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+if (!CONFIG.secret) {
+    console.warn('[DownloadLinks] DOWNLOAD_LINK_SECRET not set - LINK and AUTO file delivery will be refused');
+}
+
+/**
+ * Links are only sent with a configured secret: a per-process one would break
+ * every emailed link on the next restart
+ */
+function requireSecret() {
+    if (!CONFIG.secret) {
+        throw new Error('DOWNLOAD_LINK_SECRET is not set - cannot send download links');
+    }
+}
+
+function sign(linkId, attachmentId, expires) {
+    return crypto.createHmac('sha256', CONFIG.secret).update(`${linkId}:${attachmentId}:${expires}`).digest('hex');
+}
+
+function buildUrl(link) {
+    const expires = Math.floor(Date.parse(link.expires_at) / 1000);
+    const query = new URLSearchParams({ expires: String(expires), sig: sign(link.id, link.attachment_id, expires) });
+    return `${CONFIG.publicBaseUrl.replace(/\/+$/, '')}/api/downloads/${encodeURIComponent(link.id)}?${query}`;
+}
+
+function parseLink(row) {
+    if (!row) return null;
+    const now = new Date().toISOString();
+    return {
+        ...row,
+        recipients: row.recipients ? JSON.parse(row.recipients) : [],
+        status: row.revoked_at ? 'REVOKED' : (row.expires_at <= now ? 'EXPIRED' : 'ACTIVE')
+    };
+}
+
+/**
+ * File delivery settings for a customer, with the defaults filled in
+ * @returns {Object} { mode: ATTACH | LINK | AUTO, expiryDays, thresholdBytes }
+ */
+function getSettings(customer) {
+    const settings = recipients.getFileDelivery(customer);
+    return {
+        mode: settings.mode,
+        expiryDays: settings.expiryDays || CONFIG.expiryDays,
+        thresholdBytes: settings.thresholdBytes || CONFIG.thresholdBytes
+    };
+}
+
+/**
+ * Whether files go out as links rather than attachments
+ * @param {Array<Object>} files - [{ path, size? }]
+ * @param {Object} settings - From getSettings()
+ */
+function shouldLink(files, settings) {
+    if (settings.mode === recipients.FILE_DELIVERY_MODES.LINK) return true;
+    if (settings.mode !== recipients.FILE_DELIVERY_MODES.AUTO) return false;
+    const totalBytes = files.reduce((sum, file) => {
+        if (file.size !== undefined) return sum + file.size;
+        return sum + (file.path && fs.existsSync(file.path) ? fs.statSync(file.path).size : 0);
+    }, 0);
+    return totalBytes > settings.thresholdBytes;
+}
+
+/**
+ * Create one link per file
+ * @param {Object} options - { attachmentId, files: [{ path, name }], emailQueueId, digestId, customer, recipients, expiryDays, now }
+ * @returns {Array<Object>} [{ id, url, name, size, expiresAt }]
+ */
+function createLinks(options) {
+    requireSecret();
+    const db = getDb();
+    const now = options.now ? new Date(options.now) : new Date();
+    const expiresAt = new Date(now.getTime() + (options.expiryDays || CONFIG.expiryDays) * DAY).toISOString();
+    const insert = db.prepare(`
+        INSERT INTO download_links (id, attachment_id, email_queue_id, digest_id, customer, recipients, file_name, file_size, storage_uri, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const links = options.files.filter(file => file.path).map(file => {
+        const link = {
+            id: crypto.randomUUID(),
+            attachment_id: options.attachmentId,
+            file_name: file.name || path.basename(file.path),
+            file_size: fs.existsSync(file.path) ? fs.statSync(file.path).size : null,
+            storage_uri: file.path,
+            expires_at: expiresAt
+        };
+        insert.run(link.id, link.attachment_id, options.emailQueueId || null, options.digestId || null, options.customer || null,
+            JSON.stringify(options.recipients || []), link.file_name, link.file_size, link.storage_uri, expiresAt, now.toISOString());
+        return link;
+    });
+
+    if (links.length > 0) {
+        audit.log({
+            action: 'DOWNLOAD_LINKS_CREATED',
+            attachmentId: options.attachmentId,
+            details: { linkIds: links.map(link => link.id), emailQueueId: options.emailQueueId || null, digestId: options.digestId || null, expiresAt }
+        });
+    }
+    return links.map(toTemplateLink);
+}
+
+function toTemplateLink(link) {
+    return { id: link.id, url: buildUrl(link), name: link.file_name, size: link.file_size, expiresAt: link.expires_at };
+}
+
+/**
+ * Links for an email's (or a digest's) files: the active links of an earlier attempt, or new ones
+ * @param {Object} options - As createLinks(), with emailQueueId or digestId
+ */
+function getOrCreate(options) {
+    requireSecret();
+    const column = options.emailQueueId ? 'email_queue_id' : 'digest_id';
+    const existing = getDb().prepare(`
+        SELECT * FROM download_links
+        WHERE ${column} = ? AND attachment_id = ? AND revoked_at IS NULL AND expires_at > ?
+        ORDER BY created_at, rowid
+    `).all(options.emailQueueId || options.digestId, options.attachmentId, new Date().toISOString());
+    if (existing.length > 0) return existing.map(toTemplateLink);
+    return createLinks(options);
+}
+
+/**
+ * Expiry date as shown in emails (e.g. "26 October 2026")
+ */
+function formatExpiry(links) {
+    if (links.length === 0) return null;
+    return new Date(links[0].expiresAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/London' });
+}
+
+/**
+ * Check a download request against its link
+ * @param {string} linkId - From the URL path
+ * @param {Object} query - { expires, sig }
+ * @returns {Object} { ok: true, link } or { ok: false, status, error }
+ */
+function verify(linkId, query = {}) {
+    const { expires, sig } = query;
+    if (!CONFIG.secret || !linkId || !expires || !sig) {
+        return { ok: false, status: 403, error: 'Invalid download link' };
+    }
+
+    const link = parseLink(getDb().prepare('SELECT * FROM download_links WHERE id = ?').get(linkId));
+    if (!link) {
+        return { ok: false, status: 404, error: 'Download link not found' };
+    }
+
+    const expected = Buffer.from(sign(link.id, link.attachment_id, expires), 'hex');
+    const given = Buffer.from(String(sig), 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { ok: false, status: 403, error: 'Invalid download link' };
+    }
+    if (link.status === 'REVOKED') {
+        return { ok: false, status: 410, error: 'Download link has been revoked' };
+    }
+    if (link.status === 'EXPIRED' || parseInt(expires) * 1000 <= Date.now()) {
+        return { ok: false, status: 410, error: 'Download link has expired' };
+    }
+    return { ok: true, link };
+}
+
+/**
+ * Count a download and log it as a DOWNLOADED delivery event
+ * @param {Object} link - From verify()
+ * @param {Object} client - { ip, userAgent }
+ */
+function recordDownload(link, client = {}) {
+    const db = getDb();
+    const now = new Date().toISOString();
+    db.prepare('UPDATE download_links SET download_count = download_count + 1, last_downloaded_at = ? WHERE id = ?').run(now, link.id);
+    db.prepare(`
+        INSERT INTO delivery_log (id, email_queue_id, attachment_id, event, details, timestamp)
+        VALUES (?, ?, ?, 'DOWNLOADED', ?, ?)
+    `).run(crypto.randomUUID(), link.email_queue_id || null, link.attachment_id, JSON.stringify({
+        linkId: link.id,
+        digestId: link.digest_id || null,
+        fileName: link.file_name,
+        ip: client.ip || null,
+        userAgent: client.userAgent || null
+    }), now);
+    console.log(`[DownloadLinks] ${link.file_name} downloaded via link ${link.id}`);
+}
+
+/**
+ * Where to fetch the file from for a verified link
+ * @returns {Promise<Object>} { redirect: url } for R2, or { path, name } for local files
+ */
+async function resolve(link) {
+    if (CONFIG.storage === 'r2') {
+        // Loaded on demand: needs the AWS SDK and R2 credentials
+        const { getDownloadUrl } = require('./lib/presigned-urls');
+        const { localPathToR2Key } = require('./lib/storage');
+        const match = /^(?:r2|s3):\/\/[^/]+\/(.+)$/.exec(link.storage_uri);
+        const key = match ? match[1] : localPathToR2Key(link.storage_uri);
+        const { downloadUrl } = await getDownloadUrl(key, CONFIG.r2UrlExpirySeconds);
+        return { redirect: downloadUrl };
+    }
+    return { path: link.storage_uri, name: link.file_name };
+}
+
+/**
+ * Revoke a link
+ * @returns {Object|null} The link, or null when not found or already revoked
+ */
+function revoke(id, options = {}) {
+    const now = new Date().toISOString();
+    const result = getDb().prepare(`
+        UPDATE download_links SET revoked_at = ?, revoked_by = ?, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL
+    `).run(now, options.actor || 'system', options.reason || null, id);
+    if (result.changes === 0) return null;
+
+    const link = getLink(id);
+    audit.log({
+        action: 'DOWNLOAD_LINK_REVOKED',
+        attachmentId: link.attachment_id,
+        actor: options.actor || 'system',
+        details: { linkId: id, reason: options.reason || null }
+    });
+    console.log(`[DownloadLinks] Revoked link ${id}`);
+    return link;
+}
+
+/**
+ * Revoke every active link of an attachment
+ * @returns {Array<string>} Revoked link ids
+ */
+function revokeForAttachment(attachmentId, options = {}) {
+    const ids = getDb().prepare('SELECT id FROM download_links WHERE attachment_id = ? AND revoked_at IS NULL')
+        .all(attachmentId).map(row => row.id);
+    return ids.filter(id => revoke(id, options));
+}
+
+/**
+ * A link with its download history
+ */
+function getLink(id) {
+    const link = parseLink(getDb().prepare('SELECT * FROM download_links WHERE id = ?').get(id));
+    if (!link) return null;
+    link.downloads = getDb().prepare(`
+        SELECT timestamp, details FROM delivery_log
+        WHERE event = 'DOWNLOADED' AND attachment_id = ? AND json_extract(details, '$.linkId') = ?
+        ORDER BY timestamp
+    `).all(link.attachment_id, id).map(row => ({ timestamp: row.timestamp, ...JSON.parse(row.details) }));
+    return link;
+}
+
+/**
+ * List links, newest first
+ * @param {Object} filters - { attachmentId, emailQueueId, digestId, customer, status: ACTIVE | EXPIRED | REVOKED, limit }
+ */
+function listLinks(filters = {}) {
+    const where = [];
+    const params = [];
+    const columns = { attachmentId: 'attachment_id', emailQueueId: 'email_queue_id', digestId: 'digest_id', customer: 'customer' };
+    for (const [filter, column] of Object.entries(columns)) {
+        if (filters[filter]) {
+            where.push(`${column} = ?`);
+            params.push(filters[filter]);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const status = filters.status ? String(filters.status).toUpperCase() : null;
+    if (status === 'ACTIVE') {
+        where.push('revoked_at IS NULL AND expires_at > ?');
+        params.push(now);
+    } else if (status === 'EXPIRED') {
+        where.push('revoked_at IS NULL AND expires_at <= ?');
+        params.push(now);
+    } else if (status === 'REVOKED') {
+        where.push('revoked_at IS NOT NULL');
+    } else if (status) {
+        throw new Error(`Unknown link status: ${filters.status}`);
+    }
+
+    params.push(parseInt(filters.limit) || 100);
+    return getDb().prepare(`
+        SELECT * FROM download_links ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, rowid DESC LIMIT ?
+    `).all(...params).map(parseLink);
+}
+
+function getStatus() {
+    const now = new Date().toISOString();
+    const counts = getDb().prepare(`
+        SELECT
+            SUM(CASE WHEN revoked_at IS NULL AND expires_at > ? THEN 1 ELSE 0 END) AS active,
+            SUM(CASE WHEN revoked_at IS NOT NULL THEN 1 ELSE 0 END) AS revoked,
+            COALESCE(SUM(download_count), 0) AS downloads
+        FROM download_links
+    `).get(now);
+    return {
+        storage: CONFIG.storage,
+        secretConfigured: !!CONFIG.secret,
+        expiryDays: CONFIG.expiryDays,
+        thresholdBytes: CONFIG.thresholdBytes,
+        active: counts.active || 0,
+        revoked: counts.revoked || 0,
+        downloads: counts.downloads
+    };
+}
+
+module.exports = {
+    CONFIG,
+    getSettings,
+    shouldLink,
+    createLinks,
+    getOrCreate,
+    formatExpiry,
+    verify,
+    recordDownload,
+    resolve,
+    revoke,
+    revokeForAttachment,
+    getLink,
+    listLinks,
+    getStatus
+};
@@ -1,38 +1,36 @@
 /**
  * Email Service Module
- * Sends POD emails using nodemailer with connection pooling
+ * Sends POD emails using nodemailer with connection pooling.
+ * Subjects and bodies come from emailTemplates.js (per customer / supplier).
+ * SMTP relays (SMTP_HOST, then SMTP_RELAY_<n>_HOST) and failover between them
+ * are in smtpRelays.js.
  */
 
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const emailTemplates = require('./emailTemplates');
+const smtpRelays = require('./smtpRelays');
 
 // Email configuration from environment or config file
 const CONFIG = {
-    // SMTP settings
-    host: process.env.SMTP_HOST || 'smtp.example.com',
-    port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-        user: process.env.SMTP_USER || '',
-        pass: process.env.SMTP_PASS || ''
-    },
-    // TLS/SSL settings
+    // SMTP relays (host, port, credentials) come from smtpRelays.js
+    // TLS/SSL settings (every relay)
     tls: {
         rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false'
     },
     // From address
     from: process.env.EMAIL_FROM || 'Turners Distribution <noreply@turners-distribution.cloud>',
     replyTo: process.env.EMAIL_REPLY_TO || 'operations@turners-distribution.cloud',
-    // Connection pool settings
+    // Connection pool settings (per relay)
     pool: true,
     maxConnections: parseInt(process.env.SMTP_MAX_CONNECTIONS) || 5,
     maxMessages: parseInt(process.env.SMTP_MAX_MESSAGES) || 100,
     rateDelta: parseInt(process.env.SMTP_RATE_DELTA) || 1000, // ms between messages
     rateLimit: parseInt(process.env.SMTP_RATE_LIMIT) || 10, // max messages per rateDelta
     // Message settings
-    htmlTemplates: process.env.EMAIL_TEMPLATES_DIR || './email-templates',
+    htmlTemplates: emailTemplates.CONFIG.dir,
     // Test mode (doesn't actually send)
     testMode: process.env.EMAIL_TEST_MODE === 'true'
 };
@@ -63,23 +61,22 @@ function getTransporter() {
         return transporter;
     }
 
-    if (!CONFIG.auth.user || !CONFIG.auth.pass) {
+    if (!smtpRelays.isConfigured()) {
         console.warn('[Email] SMTP credentials not configured - using stub');
         return null;
     }
 
-    transporter = nodemailer.createTransport({
-        host: CONFIG.host,
-        port: CONFIG.port,
-        secure: CONFIG.secure,
-        auth: CONFIG.auth,
+    // One pooled transport per relay; sends fail over between them
+    smtpRelays.setTransportFactory(relay => nodemailer.createTransport({
+        ...relay,
         tls: CONFIG.tls,
         pool: CONFIG.pool,
         maxConnections: CONFIG.maxConnections,
         maxMessages: CONFIG.maxMessages,
         rateDelta: CONFIG.rateDelta,
         rateLimit: CONFIG.rateLimit
-    });
+    }));
+    transporter = smtpRelays;
 
     return transporter;
 }
@@ -90,16 +87,18 @@ function getTransporter() {
 async function init() {
     console.log('[Email] Initializing email service...');
 
-    if (!CONFIG.testMode && CONFIG.auth.user) {
+    if (!CONFIG.testMode && smtpRelays.isConfigured()) {
         try {
             const transport = getTransporter();
             if (transport) {
                 await transport.verify();
-                console.log('[Email] SMTP connection verified');
+                console.log(`[Email] SMTP connection verified (active relay: ${smtpRelays.getActive().name})`);
             }
         } catch (error) {
             console.error('[Email] SMTP verification failed:', error.message);
         }
+        // Periodic relay checks drive failover and failback
+        smtpRelays.start();
     }
 
     // Ensure templates directory exists
@@ -116,108 +115,24 @@ async function init() {
 
 /**
  * Generate email subject for POD
+ * @param {Object} opts - Template variables; customer/supplier select the templates
  */
 function generateSubject(opts) {
-    const { jobRef, vehicleReg, date } = opts || {};
-
-    if (jobRef) {
-        return `POD for Job ${jobRef}${date ? ' - ' + date : ''}`;
-    }
-    if (vehicleReg) {
-        return `POD for Vehicle ${vehicleReg}${date ? ' - ' + date : ''}`;
-    }
-    return 'Proof of Delivery';
+    return emailTemplates.renderPart('subject', opts || {}).content;
 }
 
 /**
  * Generate HTML email body for POD
  */
 function generateBody(opts) {
-    const { jobRef, vehicleReg, deliveryDate, senderName, customMessage } = opts || {};
-
-    let html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #25D366; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-        .content { background: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-        .details { background: white; padding: 15px; border-radius: 5px; margin: 15px 0; border: 1px solid #eee; }
-        .label { font-weight: bold; color: #666; }
-        .footer { text-align: center; padding: 20px; color: #888; font-size: 12px; }
-        .image-box { text-align: center; padding: 20px; background: #fff; border: 2px dashed #ccc; margin: 15px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Proof of Delivery</h1>
-        </div>
-        <div class="content">
-            <p>Please find attached the proof of delivery for your shipment.</p>
-`;
-
-    if (jobRef || vehicleReg) {
-        html += `
-            <div class="details">
-                <p><span class="label">Job Reference:</span> ${jobRef || 'N/A'}</p>
-                <p><span class="label">Vehicle:</span> ${vehicleReg || 'N/A'}</p>
-                ${deliveryDate ? `<p><span class="label">Delivery Date:</span> ${deliveryDate}</p>` : ''}
-            </div>
-`;
-    }
-
-    if (customMessage) {
-        html += `<p>${customMessage}</p>`;
-    }
-
-    html += `
-            <div class="image-box">
-                <p><strong>Attached:</strong> Proof of Delivery Image</p>
-            </div>
-        </div>
-        <div class="footer">
-            <p>This is an automated message from Turners Distribution</p>
-            <p>For inquiries, please contact operations@turners-distribution.cloud</p>
-        </div>
-    </div>
-</body>
-</html>
-`;
-
-    return html;
+    return emailTemplates.renderPart('html', opts || {}).content;
 }
 
 /**
  * Generate plain text body for POD
  */
 function generateTextBody(opts) {
-    const { jobRef, vehicleReg, deliveryDate, customMessage } = opts || {};
-
-    let text = `Proof of Delivery
-
-Please find attached the proof of delivery for your shipment.
-
-`;
-
-    if (jobRef || vehicleReg) {
-        text += `Details:\n`;
-        if (jobRef) text += `  Job Reference: ${jobRef}\n`;
-        if (vehicleReg) text += `  Vehicle: ${vehicleReg}\n`;
-        if (deliveryDate) text += `  Delivery Date: ${deliveryDate}\n`;
-        text += '\n';
-    }
-
-    if (customMessage) {
-        text += `${customMessage}\n\n`;
-    }
-
-    text += `--\nThis is an automated message from Turners Distribution\nFor inquiries, please contact operations@turners-distribution.cloud`;
-
-    return text;
+    return emailTemplates.renderPart('text', opts || {}).content;
 }
 
 /**
@@ -230,8 +145,12 @@ Please find attached the proof of delivery for your shipment.
  * @param {string} [options.body] - Custom message body
  * @param {string} options.attachmentPath - Path to POD file
  * @param {string} [options.attachmentName] - Display name for attachment
- * @param {Object} [options.metadata] - Additional metadata (jobRef, vehicleReg, etc.)
- * @returns {Promise<Object>} Send result
+ * @param {Array<{path: string, name: string}>} [options.attachments] - All pages of a multi-page POD (overrides attachmentPath)
+ * @param {Object} [options.metadata] - Template variables (jobRef, vehicleReg, customer, supplier, ...; see emailTemplates.js)
+ * @param {string} [options.html] - Pre-rendered HTML body (with options.text, skips the POD templates; e.g. digests)
+ * @param {string} [options.text] - Pre-rendered plain text body
+ * @param {string} [options.replyTo] - Reply-To for pre-rendered bodies
+ * @returns {Promise<Object>} Send result: { messageId, accepted, rejected, rejectedErrors } (per-recipient SMTP outcome) and relay
  */
 async function sendPodEmail(options) {
     const {
@@ -242,7 +161,11 @@ async function sendPodEmail(options) {
         body,
         attachmentPath,
         attachmentName,
-        metadata = {}
+        attachments = [],
+        metadata = {},
+        html,
+        text,
+        replyTo
     } = options;
 
     // Normalize recipients
@@ -262,18 +185,30 @@ async function sendPodEmail(options) {
         throw new Error('At least one recipient is required');
     }
 
-    // Generate subject if not provided
-    const emailSubject = subject || generateSubject(metadata);
     const emailBody = body || '';
 
+    // Multi-page PODs send every page; otherwise the single attachment
+    const files = attachments && attachments.length > 0
+        ? attachments
+        : (attachmentPath ? [{ path: attachmentPath, name: attachmentName }] : []);
+
+    // Templates for the customer/supplier in metadata; subject rendered if not provided
+    const rendered = html && text
+        ? { subject: null, html, text, replyTo: replyTo || null }
+        : emailTemplates.render({ ...metadata, customMessage: emailBody, pageCount: metadata.pageCount || files.length });
+    const emailSubject = subject || rendered.subject;
+    if (!emailSubject) {
+        throw new Error('A subject is required with pre-rendered bodies');
+    }
+
     // Prepare mail options
     const mailOptions = {
         from: CONFIG.from,
         to: toRecipients.join(', '),
         subject: emailSubject,
-        replyTo: CONFIG.replyTo,
-        text: generateTextBody({ ...metadata, customMessage: emailBody }),
-        html: generateBody({ ...metadata, customMessage: emailBody }),
+        replyTo: rendered.replyTo || CONFIG.replyTo,
+        text: rendered.text,
+        html: rendered.html,
         attachments: []
     };
 
@@ -284,15 +219,17 @@ async function sendPodEmail(options) {
         mailOptions.bcc = bccRecipients.join(', ');
     }
 
-    // Add attachment if provided
-    if (attachmentPath && fs.existsSync(attachmentPath)) {
-        mailOptions.attachments.push({
-            filename: attachmentName || path.basename(attachmentPath),
-            path: attachmentPath,
-            contentType: getContentType(attachmentPath)
-        });
-    } else if (attachmentPath) {
-        console.warn('[Email] Attachment path not found:', attachmentPath);
+    // Add attachments (pages in order)
+    for (const file of files) {
+        if (file.path && fs.existsSync(file.path)) {
+            mailOptions.attachments.push({
+                filename: file.name || path.basename(file.path),
+                path: file.path,
+                contentType: getContentType(file.path)
+            });
+        } else if (file.path) {
+            console.warn('[Email] Attachment path not found:', file.path);
+        }
     }
 
     // Send email
@@ -304,6 +241,8 @@ async function sendPodEmail(options) {
             messageId: 'sim-' + crypto.randomUUID(),
             simulated: true,
             to: toRecipients,
+            accepted: [...toRecipients, ...ccRecipients, ...bccRecipients],
+            rejected: [],
             subject: emailSubject
         };
     }
@@ -311,12 +250,25 @@ async function sendPodEmail(options) {
     try {
         const result = await transport.sendMail(mailOptions);
 
-        console.log(`[Email] Sent to ${toRecipients.length} recipient(s): ${emailSubject}`);
+        const rejected = result.rejected || [];
+        console.log(`[Email] Sent to ${toRecipients.length} recipient(s)${result.relay ? ` via ${result.relay}` : ''}: ${emailSubject}` +
+            `${rejected.length > 0 ? ` (${rejected.length} rejected)` : ''}`);
 
+        // Per-recipient outcome from the SMTP server
         return {
             success: true,
             messageId: result.messageId,
             to: toRecipients,
+            accepted: result.accepted || [],
+            rejected,
+            rejectedErrors: (result.rejectedErrors || []).map(error => ({
+                recipient: error.recipient,
+                responseCode: error.responseCode,
+                response: error.response,
+                message: error.message
+            })),
+            response: result.response || null,
+            relay: result.relay || null,
             subject: emailSubject
         };
     } catch (error) {
@@ -377,17 +329,19 @@ function getContentType(filePath) {
  * Get email service status
  */
 function getStatus() {
+    const active = smtpRelays.getActive();
     return {
-        configured: !!CONFIG.auth.user && !CONFIG.testMode,
-        provider: CONFIG.testMode ? 'test' : CONFIG.host,
+        configured: smtpRelays.isConfigured() && !CONFIG.testMode,
+        provider: CONFIG.testMode ? 'test' : (active ? active.host : null),
         from: CONFIG.from,
         testMode: CONFIG.testMode,
-        lastTest: lastTestResult
+        lastTest: lastTestResult,
+        relays: smtpRelays.getStatus()
     };
 }
 
 /**
- * Test email configuration
+ * Test email configuration (checks every SMTP relay; passes when one can be reached)
  */
 async function testConnection() {
     const transport = getTransporter();
@@ -401,9 +355,10 @@ async function testConnection() {
     }
 
     try {
-        await transport.verify();
+        const relays = await transport.verify();
         lastTestResult = {
             success: true,
+            relays: Array.isArray(relays) ? relays : undefined,
             timestamp: new Date().toISOString()
         };
         return lastTestResult;
@@ -411,6 +366,7 @@ async function testConnection() {
         lastTestResult = {
             success: false,
             error: error.message,
+            relays: error.relays,
             timestamp: new Date().toISOString()
         };
         return lastTestResult;
@@ -0,0 +1,658 @@
+/**
+ * Daily Digest Emails
+ * Customers with delivery mode DIGEST (recipients.js) get one email a day with
+ * all their PODs instead of one email per POD.
+ *
+ * OUT attachments for those customers are held as pending digest items. At the
+ * customer's digest time (rule "digest.time", default EMAIL_DIGEST_TIME, local to
+ * "digest.timezone" / EMAIL_DIGEST_TIMEZONE) every pending item goes into one
+ * email: a summary table (templates digest-subject.txt, digest.html, digest.txt)
+ * with the POD files attached, or zipped into one file when together they are
+ * larger than "digest.maxAttachmentBytes" / EMAIL_DIGEST_MAX_ATTACHMENT_BYTES.
+ *
+ * Customers on download links (fileDelivery LINK, or AUTO over the threshold;
+ * downloadLinks.js) get a signed link per file in the table instead.
+ *
+ * Each included attachment keeps its own status (QUEUED -> SENT | FAILED). A
+ * failed send is retried with backoff up to EMAIL_DIGEST_MAX_ATTEMPTS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const audit = require('./audit');
+const recipients = require('./recipients');
+const podWriteback = require('./podWriteback');
+const emailTemplates = require('./emailTemplates');
+const emailSuppressions = require('./emailSuppressions');
+const downloadLinks = require('./downloadLinks');
+const { writeZip } = require('./lib/zip');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Configuration
+const CONFIG = {
+    checkIntervalMs: intEnv('EMAIL_DIGEST_CHECK_INTERVAL_MS', 60 * 1000),
+    time: process.env.EMAIL_DIGEST_TIME || '17:00',
+    timezone: process.env.EMAIL_DIGEST_TIMEZONE || 'Europe/London',
+    maxAttachmentBytes: intEnv('EMAIL_DIGEST_MAX_ATTACHMENT_BYTES', 10 * 1024 * 1024),
+    maxAttempts: intEnv('EMAIL_DIGEST_MAX_ATTEMPTS', 5),
+    retryDelays: [
+        5 * 60 * 1000,      // 5 minutes
+        30 * 60 * 1000,     // 30 minutes
+        2 * 60 * 60 * 1000  // 2 hours
+    ],
+    // Zip files built for digests over the size limit
+    dir: process.env.EMAIL_DIGEST_DIR || '/data/whatsapp-exports/digests'
+};
+
+const STATUSES = {
+    SENDING: 'SENDING',
+    SENT: 'SENT',
+    RETRY: 'RETRY',
+    FAILED: 'FAILED'
+};
+
+const ITEM_STATUSES = {
+    PENDING: 'PENDING',
+    QUEUED: 'QUEUED',
+    SENT: 'SENT',
+    FAILED: 'FAILED'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Scheduler state
+let checkInterval = null;
+let isChecking = false;
+let lastRun = null;
+let sender = null;
+
+/**
+ * Set the function that sends the email: async ({ to, cc, bcc, subject, html, text, replyTo, attachments }) => { messageId }
+ */
+function setSender(fn) {
+    sender = fn;
+}
+
+// Offset of a timezone from UTC at a given instant, in ms
+function timezoneOffset(date, timezone) {
+    const parts = {};
+    for (const { type, value } of new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date)) {
+        parts[type] = value;
+    }
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) in a timezone
+ */
+function localDate(date, timezone = CONFIG.timezone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(date);
+}
+
+/**
+ * The most recent digest time (local "HH:MM" in timezone) at or before now
+ * @returns {Date}
+ */
+function lastSlot(time, timezone, now = new Date()) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    const [year, month, day] = localDate(now, timezone).split('-').map(Number);
+
+    const slotOn = dayOffset => {
+        const guess = Date.UTC(year, month - 1, day + dayOffset, hours, minutes);
+        // Second pass settles the offset on DST change days
+        const first = guess - timezoneOffset(new Date(guess), timezone);
+        return new Date(guess - timezoneOffset(new Date(first), timezone));
+    };
+
+    const today = slotOn(0);
+    return today <= now ? today : slotOn(-1);
+}
+
+/**
+ * Digest time, timezone and size limit for a customer (rule settings over defaults)
+ */
+function getSchedule(customer) {
+    const rule = recipients.getDigestCustomers().find(entry => entry.customer === customer);
+    const digest = rule?.digest || {};
+    return {
+        time: digest.time || CONFIG.time,
+        timezone: digest.timezone || CONFIG.timezone,
+        maxAttachmentBytes: digest.maxAttachmentBytes || CONFIG.maxAttachmentBytes
+    };
+}
+
+function parseItem(row) {
+    return row ? { ...row, files: JSON.parse(row.files) } : null;
+}
+
+function parseDigest(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        recipients_to: JSON.parse(row.recipients_to),
+        recipients_cc: row.recipients_cc ? JSON.parse(row.recipients_cc) : [],
+        recipients_bcc: row.recipients_bcc ? JSON.parse(row.recipients_bcc) : [],
+        zipped: !!row.zipped
+    };
+}
+
+/**
+ * Hold an OUT attachment for the customer's next digest
+ * @param {Object} attachment - Attachment record
+ * @param {Object} rule - Result of recipients.getRecipients (customer rule with delivery DIGEST)
+ * @param {Array<{path: string, name: string}>} files - Files to attach (all pages of the POD)
+ * @param {Object} options - { now }
+ * @returns {Object} Pending item (the existing one if the attachment is already waiting)
+ */
+function add(attachment, rule, files, options = {}) {
+    const db = getDb();
+    const customer = rule.customer;
+    if (!customer) throw new Error('Digest delivery needs a customer');
+
+    const id = crypto.randomUUID();
+    const inserted = db.prepare(`
+        INSERT OR IGNORE INTO email_digest_items (id, attachment_id, customer, files, status, added_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, attachment.id, customer, JSON.stringify(files), ITEM_STATUSES.PENDING,
+        (options.now ? new Date(options.now) : new Date()).toISOString());
+
+    const item = parseItem(db.prepare(`
+        SELECT * FROM email_digest_items WHERE customer = ? AND attachment_id = ? AND digest_id IS NULL
+    `).get(customer, attachment.id));
+
+    if (inserted.changes > 0) {
+        audit.log({
+            action: 'EMAIL_DIGEST_QUEUED',
+            attachmentId: attachment.id,
+            details: { customer, itemId: item.id, files: files.length }
+        });
+        console.log(`[EmailDigest] Held ${attachment.id} for ${customer} digest`);
+    }
+    return item;
+}
+
+function getNextRetryTime(attempts, now) {
+    const delay = CONFIG.retryDelays[Math.min(attempts - 1, CONFIG.retryDelays.length - 1)];
+    return new Date(now.getTime() + delay).toISOString();
+}
+
+/**
+ * Attachments, sizes and template variables for a digest's items
+ * Items whose files are all missing are left out (and returned as missing).
+ */
+function collect(items) {
+    const included = [];
+    const missing = [];
+    for (const item of items) {
+        const files = item.files
+            .filter(file => file.path && fs.existsSync(file.path))
+            .map(file => ({ ...file, name: file.name || path.basename(file.path), size: fs.statSync(file.path).size }));
+        if (files.length === 0) {
+            missing.push(item);
+            continue;
+        }
+        const variables = emailTemplates.variablesForAttachment(item.attachment_id) || {};
+        included.push({
+            item,
+            files,
+            variables: {
+                ...variables,
+                driver: variables.driverName || variables.driverPhone || null,
+                fileName: files.map(file => file.name).join(', ')
+            }
+        });
+    }
+    return { included, missing };
+}
+
+/**
+ * Subject/bodies and attachments for a digest (zipped when over the size limit,
+ * or download links instead of attachments - also when even the zip is over it)
+ * @param {string} customer - Customer name
+ * @param {Array<Object>} included - From collect()
+ * @param {Object} options - { now, maxAttachmentBytes, timezone, zipPath: where to write the zip (none: only measured),
+ *                             createLinks: entry => links (none: placeholder links for previews) }
+ */
+function build(customer, included, options) {
+    const files = included.flatMap(entry => entry.files);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const date = localDate(options.now, options.timezone);
+    let linked = downloadLinks.shouldLink(files, downloadLinks.getSettings(customer));
+
+    // POD photos and PDFs are already compressed, so the zip may not get under the limit
+    let zipBytes = null;
+    if (!linked && totalBytes > options.maxAttachmentBytes) {
+        if (options.zipPath) fs.mkdirSync(path.dirname(options.zipPath), { recursive: true });
+        const zip = writeZip(files.map(file => ({ name: file.name, path: file.path })), {
+            path: options.zipPath || null,
+            date: options.now,
+            maxBytes: options.maxAttachmentBytes
+        });
+        if (zip.complete) zipBytes = zip.bytes;
+        else linked = true;
+    }
+    const zipped = zipBytes !== null;
+    const zipName = zipped ? `PODs-${emailTemplates.templateKey(customer)}-${date}.zip` : null;
+
+    let attachments = linked ? [] : files.map(file => ({ path: file.path, name: file.name }));
+    let linkExpiresAt = null;
+    if (linked) {
+        for (const entry of included) {
+            entry.variables.links = options.createLinks
+                ? options.createLinks(entry)
+                : entry.files.map(file => ({ name: file.name, size: file.size, url: '#' }));
+        }
+        linkExpiresAt = downloadLinks.formatExpiry(included[0].variables.links.filter(link => link.expiresAt));
+    }
+    if (zipped) {
+        attachments = [{ path: options.zipPath || null, name: zipName }];
+    }
+
+    const rendered = emailTemplates.render({
+        customer,
+        date,
+        count: included.length,
+        items: included.map(entry => entry.variables),
+        zipped,
+        zipName,
+        linked,
+        linkExpiresAt
+    }, { kind: 'digest' });
+
+    return { ...rendered, attachments, totalBytes, zipped, zipName, zipBytes, linked };
+}
+
+function updateDigest(id, fields) {
+    const columns = Object.keys(fields);
+    getDb().prepare(`UPDATE email_digests SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`)
+        .run(...columns.map(c => fields[c]), new Date().toISOString(), id);
+}
+
+// The zip is only needed while the digest can still be (re)sent
+function removeZip(digestId, zipPath) {
+    fs.rmSync(zipPath, { force: true });
+    updateDigest(digestId, { zip_path: null });
+}
+
+/**
+ * Send (or retry) one digest and record the outcome per item
+ * @returns {Promise<Object>} { digestId, customer, status, count, zipped, messageId, error }
+ */
+async function deliver(digestId, now) {
+    const db = getDb();
+    const digest = parseDigest(db.prepare('SELECT * FROM email_digests WHERE id = ?').get(digestId));
+    const items = db.prepare(`SELECT * FROM email_digest_items WHERE digest_id = ? AND status = ? ORDER BY added_at, rowid`)
+        .all(digestId, ITEM_STATUSES.QUEUED).map(parseItem);
+    const attempts = digest.attempts + 1;
+    const schedule = getSchedule(digest.customer);
+    const summary = { digestId, customer: digest.customer, count: 0, zipped: false };
+
+    updateDigest(digestId, { status: STATUSES.SENDING, attempts });
+
+    const { included, missing } = collect(items);
+    const setItemStatus = db.prepare('UPDATE email_digest_items SET status = ?, error = ? WHERE id = ?');
+    for (const item of missing) {
+        setItemStatus.run(ITEM_STATUSES.FAILED, 'POD file not found', item.id);
+        audit.log({
+            action: 'EMAIL_DIGEST_FAILED',
+            attachmentId: item.attachment_id,
+            details: { digestId, customer: digest.customer, error: 'POD file not found' }
+        });
+    }
+
+    // Addresses may have bounced since the digest was created
+    const addresses = emailSuppressions.filterRecipients(
+        { to: digest.recipients_to, cc: digest.recipients_cc, bcc: digest.recipients_bcc },
+        { digestId, customer: digest.customer }
+    );
+
+    const zipPath = digest.zip_path || path.join(CONFIG.dir, `${digestId}.zip`);
+    try {
+        if (included.length === 0) throw Object.assign(new Error('No POD files to send'), { permanent: true });
+        if (digest.recipients_to.length === 0) throw Object.assign(new Error('No recipients configured'), { permanent: true });
+        if (addresses.to.length === 0) throw Object.assign(new Error('All recipients are suppressed'), { permanent: true });
+        if (!sender) throw new Error('No email sender configured');
+
+        const built = build(digest.customer, included, {
+            ...schedule,
+            now,
+            zipPath,
+            createLinks: entry => downloadLinks.getOrCreate({
+                attachmentId: entry.item.attachment_id,
+                files: entry.files,
+                digestId,
+                customer: digest.customer,
+                recipients: addresses.to,
+                expiryDays: downloadLinks.getSettings(digest.customer).expiryDays,
+                now
+            })
+        });
+        summary.count = included.length;
+        summary.zipped = built.zipped;
+        updateDigest(digestId, {
+            attachment_count: included.length,
+            total_bytes: built.totalBytes,
+            zipped: built.zipped ? 1 : 0,
+            zip_path: built.zipped ? zipPath : null
+        });
+        // A zip left by an earlier attempt is stale once the digest falls back to links
+        if (!built.zipped) fs.rmSync(zipPath, { force: true });
+
+        const result = await sender({
+            to: addresses.to,
+            cc: addresses.cc,
+            bcc: addresses.bcc,
+            subject: built.subject,
+            html: built.html,
+            text: built.text,
+            replyTo: built.replyTo,
+            attachments: built.attachments,
+            metadata: { customer: digest.customer }
+        });
+
+        const sentAt = new Date().toISOString();
+        updateDigest(digestId, {
+            status: STATUSES.SENT,
+            message_id: result?.messageId || null,
+            relay: result?.relay || null,
+            sent_at: sentAt,
+            error: null,
+            next_retry: null
+        });
+        if (built.zipped) removeZip(digestId, zipPath);
+        const markSent = db.prepare('UPDATE email_digest_items SET status = ?, error = NULL, sent_at = ? WHERE id = ?');
+        for (const { item } of included) {
+            markSent.run(ITEM_STATUSES.SENT, sentAt, item.id);
+            audit.log({
+                action: 'EMAIL_DIGEST_SENT',
+                attachmentId: item.attachment_id,
+                details: { digestId, customer: digest.customer, messageId: result?.messageId || null, relay: result?.relay || null, recipients: addresses.to }
+            });
+            // Tell HRMS the POD reached the customer
+            podWriteback.onEmailSent(item.attachment_id, digestId, addresses.to);
+        }
+
+        console.log(`[EmailDigest] Sent ${included.length} POD(s) to ${digest.customer}${built.zipped ? ' (zipped)' : ''}${built.linked ? ' (links)' : ''}`);
+        return { ...summary, status: STATUSES.SENT, messageId: result?.messageId || null };
+    } catch (error) {
+        const final = error.permanent || attempts >= CONFIG.maxAttempts;
+        const status = final ? STATUSES.FAILED : STATUSES.RETRY;
+        updateDigest(digestId, {
+            status,
+            error: error.message,
+            next_retry: final ? null : getNextRetryTime(attempts, now)
+        });
+        if (final) removeZip(digestId, zipPath);
+        for (const { item } of included) {
+            setItemStatus.run(final ? ITEM_STATUSES.FAILED : ITEM_STATUSES.QUEUED, error.message, item.id);
+            if (final) {
+                audit.log({
+                    action: 'EMAIL_DIGEST_FAILED',
+                    attachmentId: item.attachment_id,
+                    details: { digestId, customer: digest.customer, error: error.message, attempts }
+                });
+            }
+        }
+
+        console.error(`[EmailDigest] ${digest.customer} digest ${final ? 'failed' : 'will be retried'}: ${error.message}`);
+        return { ...summary, status, error: error.message };
+    }
+}
+
+/**
+ * Send every pending item for a customer as one digest now
+ * @param {string} customer - Customer name
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} Delivery summary, or null when nothing is pending
+ */
+async function sendDigest(customer, options = {}) {
+    const db = getDb();
+    const now = options.now ? new Date(options.now) : new Date();
+    const rule = recipients.getRecipients(customer);
+    const to = rule.source === 'customer' ? rule.to : [];
+    const digestId = crypto.randomUUID();
+
+    const claimed = db.transaction(() => {
+        db.prepare(`
+            INSERT INTO email_digests (id, customer, status, recipients_to, recipients_cc, recipients_bcc, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(digestId, customer, STATUSES.SENDING, JSON.stringify(to), JSON.stringify(rule.cc || []),
+            JSON.stringify(rule.bcc || []), now.toISOString(), now.toISOString());
+        const result = db.prepare(`
+            UPDATE email_digest_items SET digest_id = ?, status = ?
+            WHERE customer = ? AND digest_id IS NULL
+        `).run(digestId, ITEM_STATUSES.QUEUED, customer);
+        if (result.changes === 0) {
+            db.prepare('DELETE FROM email_digests WHERE id = ?').run(digestId);
+        }
+        return result.changes;
+    })();
+
+    if (claimed === 0) return null;
+    return deliver(digestId, now);
+}
+
+/**
+ * Send the digests that are due: customers whose digest time has passed since
+ * their oldest pending item was held, and failed sends whose retry time has come
+ * @param {Object} options - { now, customer: only this customer, force: send pending items regardless of the time }
+ * @returns {Promise<Object>} { generatedAt, sent, retried }
+ */
+async function runCheck(options = {}) {
+    const db = getDb();
+    const now = options.now ? new Date(options.now) : new Date();
+    const summary = { generatedAt: now.toISOString(), sent: [], retried: [] };
+
+    const retries = db.prepare(`
+        SELECT id FROM email_digests WHERE status = ? AND next_retry <= ?
+        ${options.customer ? 'AND customer = ?' : ''} ORDER BY created_at
+    `).all(STATUSES.RETRY, now.toISOString(), ...(options.customer ? [options.customer] : []));
+    for (const { id } of retries) {
+        summary.retried.push(await deliver(id, now));
+    }
+
+    for (const { customer, oldest } of getPendingCustomers(options.customer)) {
+        const schedule = getSchedule(customer);
+        if (!options.force && oldest > lastSlot(schedule.time, schedule.timezone, now).toISOString()) continue;
+        const result = await sendDigest(customer, { now });
+        if (result) summary.sent.push(result);
+    }
+
+    lastRun = summary;
+    return summary;
+}
+
+function getPendingCustomers(customer) {
+    return getDb().prepare(`
+        SELECT customer, COUNT(*) AS count, MIN(added_at) AS oldest
+        FROM email_digest_items WHERE digest_id IS NULL ${customer ? 'AND customer = ?' : ''}
+        GROUP BY customer ORDER BY customer
+    `).all(...(customer ? [customer] : []));
+}
+
+/**
+ * Pending items per customer with the next scheduled send
+ * @returns {Array<Object>} [{ customer, count, oldest, nextSendAt, items }]
+ */
+function getPending(customer, now = new Date()) {
+    const db = getDb();
+    return getPendingCustomers(customer).map(group => {
+        const schedule = getSchedule(group.customer);
+        const slot = lastSlot(schedule.time, schedule.timezone, now);
+        const nextSendAt = group.oldest <= slot.toISOString()
+            ? now
+            : lastSlot(schedule.time, schedule.timezone, new Date(now.getTime() + DAY));
+        return {
+            ...group,
+            schedule,
+            nextSendAt: nextSendAt.toISOString(),
+            items: db.prepare('SELECT * FROM email_digest_items WHERE customer = ? AND digest_id IS NULL ORDER BY added_at, rowid')
+                .all(group.customer).map(parseItem)
+        };
+    });
+}
+
+/**
+ * Render the next digest for a customer from the pending items, without sending it
+ * @returns {Object} { success, subject, html, text, count, totalBytes, zipped, zipName, missing } or { success: false, error }
+ */
+function preview(customer, options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const items = getDb().prepare('SELECT * FROM email_digest_items WHERE customer = ? AND digest_id IS NULL ORDER BY added_at, rowid')
+        .all(customer).map(parseItem);
+    if (items.length === 0) return { success: false, error: `No pending PODs for ${customer}` };
+
+    const { included, missing } = collect(items);
+    try {
+        const built = build(customer, included, { ...getSchedule(customer), now });
+        return {
+            success: true,
+            subject: built.subject,
+            html: built.html,
+            text: built.text,
+            templates: built.templates,
+            count: included.length,
+            totalBytes: built.totalBytes,
+            zipped: built.zipped,
+            zipName: built.zipName,
+            linked: built.linked,
+            missing: missing.map(item => item.attachment_id)
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * List digests, newest first
+ * @param {Object} filters - { customer, status, limit }
+ */
+function listDigests(filters = {}) {
+    const where = [];
+    const params = [];
+    if (filters.customer) {
+        where.push('customer = ?');
+        params.push(filters.customer);
+    }
+    if (filters.status) {
+        where.push('status = ?');
+        params.push(filters.status);
+    }
+    params.push(parseInt(filters.limit) || 50);
+    return getDb().prepare(`
+        SELECT * FROM email_digests ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY created_at DESC, rowid DESC LIMIT ?
+    `).all(...params).map(parseDigest);
+}
+
+/**
+ * A digest with the status of each included attachment
+ */
+function getDigest(id) {
+    const db = getDb();
+    const digest = parseDigest(db.prepare('SELECT * FROM email_digests WHERE id = ?').get(id));
+    if (!digest) return null;
+    digest.items = db.prepare('SELECT * FROM email_digest_items WHERE digest_id = ? ORDER BY added_at, rowid').all(id).map(parseItem);
+    return digest;
+}
+
+/**
+ * Digest history of one attachment (pending, and each digest it was included in)
+ */
+function getItemsForAttachment(attachmentId) {
+    return getDb().prepare(`
+        SELECT i.*, d.status AS digest_status, d.sent_at AS digest_sent_at, d.message_id
+        FROM email_digest_items i
+        LEFT JOIN email_digests d ON d.id = i.digest_id
+        WHERE i.attachment_id = ?
+        ORDER BY i.added_at, i.rowid
+    `).all(attachmentId).map(parseItem);
+}
+
+/**
+ * Start the scheduled check
+ */
+function start() {
+    if (checkInterval) {
+        console.log('[EmailDigest] Scheduler already running');
+        return;
+    }
+
+    // Sends interrupted by a restart are retried straight away
+    getDb().prepare('UPDATE email_digests SET status = ?, next_retry = ? WHERE status = ?')
+        .run(STATUSES.RETRY, new Date().toISOString(), STATUSES.SENDING);
+
+    console.log(`[EmailDigest] Checking every ${CONFIG.checkIntervalMs}ms (default time ${CONFIG.time} ${CONFIG.timezone})`);
+
+    checkInterval = setInterval(async () => {
+        if (isChecking) return;
+        isChecking = true;
+        try {
+            await runCheck();
+        } catch (error) {
+            console.error('[EmailDigest] Check error:', error.message);
+        } finally {
+            isChecking = false;
+        }
+    }, CONFIG.checkIntervalMs);
+    checkInterval.unref();
+}
+
+/**
+ * Stop the scheduled check
+ */
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+        console.log('[EmailDigest] Scheduler stopped');
+    }
+}
+
+function getStatus() {
+    return {
+        running: !!checkInterval,
+        time: CONFIG.time,
+        timezone: CONFIG.timezone,
+        maxAttachmentBytes: CONFIG.maxAttachmentBytes,
+        customers: recipients.getDigestCustomers().map(rule => rule.customer),
+        pending: getPendingCustomers().reduce((sum, group) => sum + group.count, 0),
+        lastRun: lastRun ? {
+            at: lastRun.generatedAt,
+            sent: lastRun.sent.filter(result => result.status === STATUSES.SENT).length,
+            retried: lastRun.retried.length,
+            failed: [...lastRun.sent, ...lastRun.retried].filter(result => result.status !== STATUSES.SENT).length
+        } : null
+    };
+}
+
+module.exports = {
+    CONFIG,
+    STATUSES,
+    ITEM_STATUSES,
+    setSender,
+    lastSlot,
+    add,
+    sendDigest,
+    runCheck,
+    getPending,
+    preview,
+    listDigests,
+    getDigest,
+    getItemsForAttachment,
+    start,
+    stop,
+    getStatus
+};
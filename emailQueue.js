@@ -1,11 +1,22 @@
 /**
  * Email Queue Processor
- * Processes pending emails with retry logic and exponential backoff
+ * Processes pending emails with retry logic and exponential backoff, by
+ * priority lane and within per-domain rate limits (emailThrottle.js)
  */
 
 const { getDb, init: initDb } = require('./db');
+const models = require('./models');
 const email = require('./email');
 const audit = require('./audit');
+const podWriteback = require('./podWriteback');
+const emailTemplates = require('./emailTemplates');
+const emailDigest = require('./emailDigest');
+const emailSuppressions = require('./emailSuppressions');
+const downloadLinks = require('./downloadLinks');
+const emailThrottle = require('./emailThrottle');
+const emailRecipients = require('./emailRecipients');
+const recipients = require('./recipients');
+const { DELIVERY_MODES } = recipients;
 const crypto = require('crypto');
 
 // Configuration
@@ -98,17 +109,20 @@ function isReadyForRetry(record) {
 
 /**
  * Queue an email for sending
+ * @param {Object} data - { attachmentId, to, cc, bcc, subject, body, attachmentPath, attachmentName,
+ *                          attachmentFiles, messageId, priority: HIGH | NORMAL (default) | LOW }
  */
 function queueEmail(data) {
     const db = getDb();
     const id = generateUUID();
+    const priority = emailThrottle.normalisePriority(data.priority);
 
     const stmt = db.prepare(`
         INSERT INTO email_queue (
             id, attachment_id, status, recipients_to, recipients_cc, recipients_bcc,
-            subject, body, attachment_path, attachment_name, message_id,
-            next_retry, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            subject, body, attachment_path, attachment_name, attachment_files, message_id,
+            priority, next_retry, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -122,46 +136,113 @@ function queueEmail(data) {
         data.body || null,
         data.attachmentPath || null,
         data.attachmentName || null,
+        data.attachmentFiles && data.attachmentFiles.length > 0 ? JSON.stringify(data.attachmentFiles) : null,
         data.messageId || null,
+        priority,
         new Date().toISOString(),
         new Date().toISOString()
     );
 
-    console.log(`[EmailQueue] Queued email: ${id}`);
+    emailRecipients.create(id, data.attachmentId, { to: data.to, cc: data.cc, bcc: data.bcc });
+
+    console.log(`[EmailQueue] Queued email: ${id}${priority !== emailThrottle.PRIORITIES.NORMAL ? ` (${priority})` : ''}`);
     return id;
 }
 
+/**
+ * Get the files to attach for a POD (every page of a multi-page document, in order)
+ * @param {Object} attachment - Attachment record (document head)
+ * @returns {Array<{path: string, name: string}>}
+ */
+function getAttachmentFiles(attachment) {
+    const pages = models.getDocumentPages(attachment.document_id || attachment.id);
+    if (pages.length === 0) {
+        return [{ path: attachment.storage_uri, name: attachment.canonical_filename }];
+    }
+    return pages.map(page => ({ path: page.storage_uri, name: page.canonical_filename }));
+}
+
 /**
  * Queue email from OUT queue attachment
+ * Customers on digest delivery get the POD in their next daily digest instead;
+ * then nothing is queued and null is returned.
+ * @param {Object} options - { priority }
  */
-function queueFromOutAttachment(attachment, recipients) {
+function queueFromOutAttachment(attachment, recipients, options = {}) {
+    if (recipients.delivery === DELIVERY_MODES.DIGEST) {
+        emailDigest.add(attachment, recipients, getAttachmentFiles(attachment));
+        return null;
+    }
+
     return queueEmail({
         attachmentId: attachment.id,
         to: recipients.to,
         cc: recipients.cc,
         bcc: recipients.bcc,
-        subject: email.generateSubject({ jobRef: attachment.job_ref, vehicleReg: attachment.vehicle_reg }),
+        subject: email.generateSubject(emailTemplates.variablesForAttachment(attachment)),
         attachmentPath: attachment.storage_uri,
         attachmentName: attachment.canonical_filename,
-        messageId: attachment.message_id
+        attachmentFiles: getAttachmentFiles(attachment),
+        messageId: attachment.message_id,
+        priority: options.priority
     });
 }
 
 /**
- * Get pending emails from database
+ * Status change hook: queue the POD email (or hold it for the customer's digest)
+ * when an attachment moves to OUT. Recipients come from the rules for its match.
+ * An attachment with an email already pending or sent is not queued again; a
+ * pending one is moved to the requested lane instead (HIGH on force-send).
+ * Never throws - an email problem must not block routing or review.
+ * @param {Object} options - { priority }
+ * @returns {string|null} Email queue ID, or null when no email was queued
+ */
+function onStatusChange(attachmentId, fromStatus, toStatus, options = {}) {
+    if (toStatus !== 'OUT' || fromStatus === 'OUT') return null;
+    try {
+        const attachment = models.getAttachmentById(attachmentId);
+        if (!attachment) return null;
+
+        const existing = getDb().prepare(`
+            SELECT id FROM email_queue
+            WHERE attachment_id = ? AND status IN ('PENDING', 'SENDING', 'SENT', 'PARTIAL')
+            LIMIT 1
+        `).get(attachmentId);
+        if (existing) {
+            if (options.priority) setPriority(attachmentId, options.priority);
+            return null;
+        }
+
+        const variables = emailTemplates.variablesForAttachment(attachment);
+        const rule = recipients.getRecipients(variables.customer, variables.jobRef, variables.vehicleReg, variables.driverPhone);
+        const addresses = [...(rule.to || []), ...(rule.cc || []), ...(rule.bcc || [])];
+        if (rule.delivery !== DELIVERY_MODES.DIGEST && addresses.length === 0) {
+            console.log(`[EmailQueue] No recipients for ${attachmentId}${variables.customer ? ` (${variables.customer})` : ''} - nothing queued`);
+            return null;
+        }
+
+        return queueFromOutAttachment(attachment, rule, options);
+    } catch (error) {
+        console.error(`[EmailQueue] Failed to queue email for ${attachmentId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Get pending emails from database, highest priority lane first
  */
-function getPendingEmails(limit = CONFIG.batchSize) {
+function getPendingEmails(limit = CONFIG.batchSize, offset = 0) {
     const db = getDb();
 
     const stmt = db.prepare(`
         SELECT * FROM email_queue
         WHERE status = 'PENDING'
         AND (next_retry IS NULL OR next_retry <= ?)
-        ORDER BY created_at ASC
-        LIMIT ?
+        ORDER BY ${emailThrottle.PRIORITY_ORDER}, created_at ASC, id ASC
+        LIMIT ? OFFSET ?
     `);
 
-    return stmt.all(new Date().toISOString(), limit);
+    return stmt.all(new Date().toISOString(), limit, offset);
 }
 
 /**
@@ -201,6 +282,18 @@ function updateEmailStatus(id, status, extraFields = {}) {
         setClause += ', last_attempt = ?';
         params.push(extraFields.lastAttempt);
     }
+    if (extraFields.smtpMessageId !== undefined) {
+        setClause += ', smtp_message_id = ?';
+        params.push(extraFields.smtpMessageId);
+    }
+    if (extraFields.priority !== undefined) {
+        setClause += ', priority = ?';
+        params.push(extraFields.priority);
+    }
+    if (extraFields.relay !== undefined) {
+        setClause += ', relay = ?';
+        params.push(extraFields.relay);
+    }
 
     params.push(id);
 
@@ -251,7 +344,7 @@ function getDeliveryLog(emailQueueId) {
 /**
  * Retry a failed email
  */
-function retryEmail(id) {
+function retryEmail(id, options = {}) {
     const emailRecord = getEmailById(id);
     if (!emailRecord) return false;
 
@@ -262,13 +355,33 @@ function retryEmail(id) {
 
     updateEmailStatus(id, 'PENDING', {
         error: null,
-        nextRetry: null
+        nextRetry: null,
+        priority: options.priority ? emailThrottle.normalisePriority(options.priority) : undefined
     });
 
+    // Every address that does not have it yet is tried again
+    emailRecipients.ensure(emailRecord);
+    emailRecipients.resetForRetry(id);
+
     console.log(`[EmailQueue] Retrying email: ${id} (attempt ${emailRecord.attempts + 1})`);
     return true;
 }
 
+/**
+ * Move an attachment's pending emails to another lane (e.g. HIGH on force-send)
+ * @returns {number} Emails moved
+ */
+function setPriority(attachmentId, priority) {
+    const lane = emailThrottle.normalisePriority(priority);
+    const result = getDb().prepare(`
+        UPDATE email_queue SET priority = ? WHERE attachment_id = ? AND status = 'PENDING'
+    `).run(lane, attachmentId);
+    if (result.changes > 0) {
+        console.log(`[EmailQueue] ${result.changes} email(s) for ${attachmentId} moved to ${lane}`);
+    }
+    return result.changes;
+}
+
 /**
  * Cancel a queued email
  */
@@ -281,111 +394,193 @@ function cancelEmail(id) {
 
 /**
  * Process a single email
+ * Sends to the addresses that do not have it yet (emailRecipients.js), so a
+ * retry goes only to the recipients that failed, then settles the email from
+ * the per-address outcomes.
  */
 async function processEmail(record) {
     console.log(`[EmailQueue] Processing: ${record.id}`);
+    const attempts = (record.attempts || 0) + 1;
 
     // Update to SENDING
     updateEmailStatus(record.id, 'SENDING', {
         lastAttempt: new Date().toISOString(),
-        attempts: (record.attempts || 0) + 1
+        attempts
     });
 
-    // Parse recipients
-    const recipients = {
-        to: record.recipients_to ? JSON.parse(record.recipients_to) : [],
-        cc: record.recipients_cc ? JSON.parse(record.recipients_cc) : [],
-        bcc: record.recipients_bcc ? JSON.parse(record.recipients_bcc) : []
-    };
+    // Addresses still to send, without those suppressed since the email was queued
+    emailRecipients.ensure(record);
+    const { suppressed, ...recipients } = emailSuppressions.filterRecipients(emailRecipients.getOutstanding(record.id), {
+        emailQueueId: record.id,
+        attachmentId: record.attachment_id
+    });
+
+    if (suppressed.length > 0) {
+        emailRecipients.markSuppressed(record.id, suppressed);
+        logDeliveryEvent(record.id, record.attachment_id, 'SUPPRESSED', { suppressed });
+    }
+
+    const delivered = emailRecipients.hasDelivered(record.id);
+    const outstanding = recipients.to.length + recipients.cc.length + recipients.bcc.length;
+    if (outstanding === 0 && !delivered) {
+        const error = suppressed.length > 0 ? 'All recipients are suppressed' : 'No recipients to send to';
+        emailRecipients.settle(record.id, { final: true });
+        updateEmailStatus(record.id, 'FAILED', { error });
+        logDeliveryEvent(record.id, record.attachment_id, 'FAILED', { error, suppressed });
+        audit.log({
+            action: 'EMAIL_FAILED',
+            attachmentId: record.attachment_id,
+            details: { emailQueueId: record.id, error, suppressed }
+        });
+        failedCount++;
+        return false;
+    }
+
+    if (outstanding === 0) {
+        return finishAttempt(record, attempts, { accepted: [], rejected: [], deferred: [] }, { delivered });
+    }
+    // Without To addresses (a retry for CC/BCC alone, or every To suppressed) the
+    // email goes To our own address, so BCC stays hidden
+    const envelope = recipients.to.length > 0 ? recipients : { ...recipients, to: [email.getStatus().from] };
 
     try {
+        // Template variables (customer, supplier, job, driver) from the attachment
+        const metadata = (record.attachment_id && emailTemplates.variablesForAttachment(record.attachment_id)) || {};
+        let attachments = record.attachment_files ? JSON.parse(record.attachment_files) : [];
+        if (attachments.length === 0 && record.attachment_path) {
+            attachments = [{ path: record.attachment_path, name: record.attachment_name }];
+        }
+
+        // Large PODs (or customers set to links) get signed download links instead
+        const fileDelivery = downloadLinks.getSettings(metadata.customer);
+        if (record.attachment_id && attachments.length > 0 && downloadLinks.shouldLink(attachments, fileDelivery)) {
+            metadata.links = downloadLinks.getOrCreate({
+                attachmentId: record.attachment_id,
+                files: attachments,
+                emailQueueId: record.id,
+                customer: metadata.customer,
+                recipients: recipients.to,
+                expiryDays: fileDelivery.expiryDays
+            });
+            metadata.linkExpiresAt = downloadLinks.formatExpiry(metadata.links);
+            metadata.pageCount = metadata.pageCount || attachments.length;
+            attachments = [];
+        }
+
         const result = await email.sendPodEmail({
-            to: recipients.to,
-            cc: recipients.cc,
-            bcc: recipients.bcc,
+            to: envelope.to,
+            cc: envelope.cc,
+            bcc: envelope.bcc,
             subject: record.subject,
             body: record.body,
-            attachmentPath: record.attachment_path,
-            attachmentName: record.attachment_name,
-            metadata: {
-                jobRef: null, // Will be populated from attachment if needed
-                vehicleReg: null
-            }
+            attachments,
+            metadata
         });
 
-        // Mark as sent
-        updateEmailStatus(record.id, 'SENT', {
-            sentAt: new Date().toISOString()
-        });
+        // Per-address outcome from the SMTP server's accepted/rejected lists
+        const outcome = emailRecipients.recordSend(record.id, recipients, result);
+        return finishAttempt(record, attempts, outcome, { delivered, messageId: result.messageId || null, relay: result.relay || null });
+    } catch (error) {
+        console.error(`[EmailQueue] Failed: ${record.id} - ${error.message}`);
+
+        const isHardBounce = error.message.includes('Invalid') || error.message.includes('does not exist');
+        const outcome = emailRecipients.recordError(record.id, recipients, error, isHardBounce);
+        return finishAttempt(record, attempts, outcome, { delivered, error: error.message, relay: error.relay || null });
+    }
+}
+
+/**
+ * Settle an email after an attempt: SENT or PARTIAL once no address is left to
+ * send, FAILED or BOUNCED when no one got it, otherwise a retry for the
+ * deferred addresses
+ * @param {Object} outcome - From emailRecipients.recordSend/recordError: { accepted, rejected, deferred }
+ * @param {Object} context - { delivered: someone had it before this attempt, messageId, relay, error }
+ * @returns {boolean} Whether anyone got the email in this attempt
+ */
+function finishAttempt(record, attempts, outcome, context) {
+    const { status, counts } = emailRecipients.settle(record.id, { final: attempts >= CONFIG.maxRetries });
 
-        // Log delivery event
+    if (outcome.accepted.length > 0) {
         logDeliveryEvent(record.id, record.attachment_id, 'SENT', {
-            messageId: result.messageId,
-            recipients: recipients
+            messageId: context.messageId,
+            relay: context.relay || null,
+            recipients: outcome.accepted
         });
-
-        // Audit log
         audit.log({
             action: 'EMAIL_SENT',
             attachmentId: record.attachment_id,
             details: {
                 emailQueueId: record.id,
-                messageId: result.messageId,
-                recipients: recipients
+                messageId: context.messageId,
+                relay: context.relay || null,
+                recipients: outcome.accepted
             }
         });
 
-        console.log(`[EmailQueue] Sent: ${record.id}`);
-        processedCount++;
-
-        return true;
-    } catch (error) {
-        console.error(`[EmailQueue] Failed: ${record.id} - ${error.message}`);
+        // Tell HRMS the POD reached the customer (once, on the first delivery)
+        if (!context.delivered) {
+            podWriteback.onEmailSent(record.attachment_id, record.id, outcome.accepted);
+        }
+    }
+    if (outcome.rejected.length > 0) {
+        logDeliveryEvent(record.id, record.attachment_id, 'REJECTED', {
+            recipients: outcome.rejected,
+            error: context.error || null
+        });
+    }
 
-        const attempts = (record.attempts || 0) + 1;
-        const isHardBounce = error.message.includes('Invalid') || error.message.includes('does not exist');
+    const undelivered = counts.REJECTED + counts.BOUNCED + counts.FAILED;
+    const error = context.error || (undelivered > 0 ? `${undelivered} of ${counts.total} recipient(s) not delivered` : null);
 
-        if (attempts >= CONFIG.maxRetries || isHardBounce) {
-            // Max retries or hard bounce - mark as failed
-            const finalStatus = isHardBounce ? 'BOUNCED' : 'FAILED';
-            updateEmailStatus(record.id, finalStatus, {
-                error: error.message
-            });
-
-            logDeliveryEvent(record.id, record.attachment_id, finalStatus, {
-                error: error.message,
-                attempts
-            });
+    if (status === 'PENDING') {
+        // Retry the deferred addresses
+        const nextRetry = getNextRetryTime(attempts);
+        updateEmailStatus(record.id, 'PENDING', {
+            error,
+            attempts,
+            nextRetry
+        });
 
-            audit.log({
-                action: isHardBounce ? 'EMAIL_BOUNCED' : 'EMAIL_FAILED',
-                attachmentId: record.attachment_id,
-                details: {
-                    emailQueueId: record.id,
-                    error: error.message,
-                    attempts
-                }
-            });
+        logDeliveryEvent(record.id, record.attachment_id, 'RETRY_SCHEDULED', {
+            error,
+            attempts,
+            nextRetry,
+            relay: context.relay || null,
+            recipients: outcome.deferred
+        });
+    } else if (status === 'SENT' || status === 'PARTIAL') {
+        updateEmailStatus(record.id, status, {
+            error: status === 'PARTIAL' ? error : null,
+            sentAt: new Date().toISOString(),
+            // The SMTP Message-ID matches bounce reports back to it
+            smtpMessageId: context.messageId || record.smtp_message_id || null,
+            relay: context.relay || record.relay || null
+        });
+        console.log(`[EmailQueue] ${status === 'SENT' ? 'Sent' : `Partly sent (${error})`}: ${record.id}`);
+        processedCount++;
+    } else {
+        // Max retries or hard bounce - no one got it
+        updateEmailStatus(record.id, status, { error });
 
-            failedCount++;
-        } else {
-            // Schedule retry
-            const nextRetry = getNextRetryTime(attempts);
-            updateEmailStatus(record.id, 'PENDING', {
-                error: error.message,
-                attempts,
-                nextRetry
-            });
+        logDeliveryEvent(record.id, record.attachment_id, status, {
+            error,
+            attempts
+        });
 
-            logDeliveryEvent(record.id, record.attachment_id, 'RETRY_SCHEDULED', {
-                error: error.message,
-                attempts,
-                nextRetry
-            });
-        }
+        audit.log({
+            action: status === 'BOUNCED' ? 'EMAIL_BOUNCED' : 'EMAIL_FAILED',
+            attachmentId: record.attachment_id,
+            details: {
+                emailQueueId: record.id,
+                error,
+                attempts
+            }
+        });
 
-        return false;
+        failedCount++;
     }
+
+    return outcome.accepted.length > 0;
 }
 
 /**
@@ -400,10 +595,14 @@ async function processQueue() {
     isProcessing = true;
 
     try {
-        const pendingEmails = getPendingEmails(CONFIG.batchSize);
+        // Page past the batch so emails to throttled domains can be stepped over
+        const { batch: pendingEmails, throttled, scanned } = emailThrottle.selectBatch(
+            (offset, size) => getPendingEmails(size, offset),
+            CONFIG.batchSize
+        );
 
         if (pendingEmails.length === 0) {
-            return { processed: 0, pending: 0 };
+            return { processed: 0, pending: scanned, throttled: throttled.length };
         }
 
         console.log(`[EmailQueue] Processing ${pendingEmails.length} emails`);
@@ -417,7 +616,7 @@ async function processQueue() {
             else failed++;
         }
 
-        return { processed, failed, total: pendingEmails.length };
+        return { processed, failed, total: pendingEmails.length, throttled: throttled.length };
     } finally {
         isProcessing = false;
     }
@@ -441,6 +640,7 @@ function getQueueStats() {
         PENDING: 0,
         SENDING: 0,
         SENT: 0,
+        PARTIAL: 0,
         FAILED: 0,
         BOUNCED: 0,
         total: 0
@@ -456,6 +656,10 @@ function getQueueStats() {
     result.failed = failedCount;
     result.running = !!processorInterval;
 
+    // Per priority lane and per recipient domain (with rate limit state)
+    result.byLane = emailThrottle.getLaneStats();
+    result.byDomain = emailThrottle.getDomainStats();
+
     return result;
 }
 
@@ -467,7 +671,7 @@ function getRecentFailures(limit = 20) {
 
     const stmt = db.prepare(`
         SELECT * FROM email_queue
-        WHERE status IN ('FAILED', 'BOUNCED')
+        WHERE status IN ('FAILED', 'BOUNCED', 'PARTIAL')
         ORDER BY last_attempt DESC
         LIMIT ?
     `);
@@ -511,7 +715,8 @@ function getProcessorStatus() {
         maxRetries: CONFIG.maxRetries,
         batchSize: CONFIG.batchSize,
         processed: processedCount,
-        failed: failedCount
+        failed: failedCount,
+        rateLimits: emailThrottle.getStatus()
     };
 }
 
@@ -521,12 +726,15 @@ module.exports = {
     stopProcessor,
     queueEmail,
     queueFromOutAttachment,
+    onStatusChange,
+    getAttachmentFiles,
     getEmailById,
     getPendingEmails,
     updateEmailStatus,
     logDeliveryEvent,
     getDeliveryLog,
     retryEmail,
+    setPriority,
     cancelEmail,
     processQueue,
     getQueueStats,
@@ -0,0 +1,296 @@
+/**
+ * Per-Recipient Delivery Records
+ * Every address of a queued email (To, CC, BCC) has its own row in
+ * email_recipients with its own status, filled in from the accepted/rejected
+ * lists the SMTP server returns to nodemailer:
+ *
+ *   PENDING     not sent yet
+ *   SENT        accepted by the SMTP server
+ *   DEFERRED    temporarily rejected (4xx) or the send failed - retried
+ *   REJECTED    permanently rejected (5xx) - not retried
+ *   SUPPRESSED  dropped by the suppression list (emailSuppressions.js)
+ *   BOUNCED     accepted, then bounced (POST /api/email/bounce)
+ *   FAILED      still deferred when the email ran out of retries
+ *
+ * emailQueue.processEmail sends only to PENDING and DEFERRED addresses, so a
+ * retry never repeats the email to addresses that already have it. The email
+ * row is SENT when everyone got it (suppressed addresses aside), PARTIAL when
+ * some did, and FAILED or BOUNCED when no one did.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { normaliseEmail } = require('./emailSuppressions');
+
+const STATUSES = {
+    PENDING: 'PENDING',
+    SENT: 'SENT',
+    DEFERRED: 'DEFERRED',
+    REJECTED: 'REJECTED',
+    SUPPRESSED: 'SUPPRESSED',
+    BOUNCED: 'BOUNCED',
+    FAILED: 'FAILED'
+};
+
+// Still to be sent
+const OUTSTANDING = [STATUSES.PENDING, STATUSES.DEFERRED];
+
+const FIELDS = ['to', 'cc', 'bcc'];
+
+function keyOf(address) {
+    return normaliseEmail(address) || String(address).trim().toLowerCase();
+}
+
+/**
+ * Create the rows for an email's addresses (existing ones are kept)
+ * @param {Object} recipients - { to, cc, bcc } (arrays)
+ */
+function create(emailQueueId, attachmentId, recipients) {
+    const db = getDb();
+    const now = new Date().toISOString();
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO email_recipients (id, email_queue_id, attachment_id, email, address, field, status, attempts, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+    `);
+    db.transaction(() => {
+        for (const field of FIELDS) {
+            for (const address of recipients[field] || []) {
+                insert.run(crypto.randomUUID(), emailQueueId, attachmentId || null, keyOf(address), address, field, STATUSES.PENDING, now, now);
+            }
+        }
+    })();
+}
+
+/**
+ * Rows for an email queued before per-recipient records, from its recipient columns
+ */
+function ensure(record) {
+    const count = getDb().prepare('SELECT COUNT(*) AS n FROM email_recipients WHERE email_queue_id = ?').get(record.id).n;
+    if (count > 0) return;
+    create(record.id, record.attachment_id, {
+        to: record.recipients_to ? JSON.parse(record.recipients_to) : [],
+        cc: record.recipients_cc ? JSON.parse(record.recipients_cc) : [],
+        bcc: record.recipients_bcc ? JSON.parse(record.recipients_bcc) : []
+    });
+}
+
+function getForEmail(emailQueueId) {
+    return getDb().prepare(`
+        SELECT * FROM email_recipients WHERE email_queue_id = ?
+        ORDER BY CASE field WHEN 'to' THEN 0 WHEN 'cc' THEN 1 ELSE 2 END, rowid
+    `).all(emailQueueId);
+}
+
+/**
+ * Addresses still to be sent
+ * @returns {Object} { to, cc, bcc }
+ */
+function getOutstanding(emailQueueId) {
+    const result = { to: [], cc: [], bcc: [] };
+    for (const row of getForEmail(emailQueueId)) {
+        if (OUTSTANDING.includes(row.status)) result[row.field].push(row.address);
+    }
+    return result;
+}
+
+function hasDelivered(emailQueueId) {
+    return !!getDb().prepare('SELECT 1 FROM email_recipients WHERE email_queue_id = ? AND status IN (?, ?) LIMIT 1')
+        .get(emailQueueId, STATUSES.SENT, STATUSES.BOUNCED);
+}
+
+function setStatus(emailQueueId, addresses, status, fields = {}) {
+    const db = getDb();
+    const now = new Date().toISOString();
+    const update = db.prepare(`
+        UPDATE email_recipients
+        SET status = ?, error = ?, response = ?, smtp_message_id = COALESCE(?, smtp_message_id),
+            attempts = attempts + ?, sent_at = COALESCE(?, sent_at), updated_at = ?
+        WHERE email_queue_id = ? AND email = ?
+    `);
+    for (const address of addresses) {
+        const detail = typeof fields.detail === 'function' ? fields.detail(address) : {};
+        update.run(status, detail.error ?? fields.error ?? null, detail.response ?? fields.response ?? null, fields.messageId || null,
+            fields.attempted ? 1 : 0, status === STATUSES.SENT ? now : null, now, emailQueueId, keyOf(address));
+    }
+}
+
+/**
+ * Mark addresses dropped by the suppression list
+ * @param {Array<Object>} suppressed - From emailSuppressions.filterRecipients: [{ email, reason }]
+ */
+function markSuppressed(emailQueueId, suppressed) {
+    for (const entry of suppressed) {
+        setStatus(emailQueueId, [entry.email], STATUSES.SUPPRESSED, { error: entry.reason });
+    }
+}
+
+// 4xx is worth retrying; 5xx (or no code) is not
+function isTemporary(responseCode) {
+    return responseCode >= 400 && responseCode < 500;
+}
+
+/**
+ * Record a send from nodemailer's result (accepted/rejected lists)
+ * @param {Object} attempted - { to, cc, bcc } sent to
+ * @param {Object} result - { messageId, accepted, rejected, rejectedErrors: [{ recipient, responseCode, response }], response }
+ * @returns {Object} { accepted, rejected, deferred } (addresses)
+ */
+function recordSend(emailQueueId, attempted, result = {}) {
+    const addresses = FIELDS.flatMap(field => attempted[field] || []);
+    const accepted = new Set((result.accepted || []).map(keyOf));
+    const rejected = new Set((result.rejected || []).map(keyOf));
+    const errors = new Map((result.rejectedErrors || []).map(error => [keyOf(error.recipient), error]));
+    const outcome = { accepted: [], rejected: [], deferred: [] };
+
+    for (const address of addresses) {
+        const key = keyOf(address);
+        const error = errors.get(key);
+        if (accepted.has(key) || (!result.accepted && !rejected.has(key))) {
+            outcome.accepted.push(address);
+        } else if (rejected.has(key) && !isTemporary(error?.responseCode)) {
+            outcome.rejected.push(address);
+        } else {
+            outcome.deferred.push(address);
+        }
+    }
+
+    const detail = address => {
+        const error = errors.get(keyOf(address));
+        return error ? { error: error.message || error.response, response: error.response || null } : {};
+    };
+    setStatus(emailQueueId, outcome.accepted, STATUSES.SENT, { messageId: result.messageId, response: result.response, attempted: true });
+    setStatus(emailQueueId, outcome.rejected, STATUSES.REJECTED, { messageId: result.messageId, error: 'Rejected by the SMTP server', detail, attempted: true });
+    setStatus(emailQueueId, outcome.deferred, STATUSES.DEFERRED, { messageId: result.messageId, error: 'Not accepted by the SMTP server', detail, attempted: true });
+    return outcome;
+}
+
+/**
+ * Record a send that failed as a whole
+ * Errors listing rejected recipients (nodemailer EENVELOPE) are recorded per
+ * address; otherwise every address is deferred, or rejected when permanent.
+ * @param {boolean} permanent - The error is not worth retrying
+ */
+function recordError(emailQueueId, attempted, error, permanent = false) {
+    if (Array.isArray(error.rejected) && error.rejected.length > 0) {
+        return recordSend(emailQueueId, attempted, { accepted: error.accepted || [], rejected: error.rejected, rejectedErrors: error.rejectedErrors });
+    }
+    const addresses = FIELDS.flatMap(field => attempted[field] || []);
+    const status = permanent || error.responseCode >= 500 ? STATUSES.REJECTED : STATUSES.DEFERRED;
+    setStatus(emailQueueId, addresses, status, { error: error.message, response: error.response || null, attempted: true });
+    return {
+        accepted: [],
+        rejected: status === STATUSES.REJECTED ? addresses : [],
+        deferred: status === STATUSES.DEFERRED ? addresses : []
+    };
+}
+
+/**
+ * Counts per status
+ */
+function summarise(rows) {
+    const counts = Object.fromEntries(Object.values(STATUSES).map(status => [status, 0]));
+    for (const row of rows) counts[row.status] = (counts[row.status] || 0) + 1;
+    counts.total = rows.length;
+    return counts;
+}
+
+/**
+ * Email status from its recipients
+ * @param {Object} options - { final: no more retries - outstanding addresses become FAILED }
+ * @returns {Object} { status: PENDING (retry) | SENT | PARTIAL | FAILED | BOUNCED, counts }
+ */
+function settle(emailQueueId, options = {}) {
+    if (options.final) {
+        getDb().prepare(`
+            UPDATE email_recipients SET status = ?, updated_at = ? WHERE email_queue_id = ? AND status IN (?, ?)
+        `).run(STATUSES.FAILED, new Date().toISOString(), emailQueueId, ...OUTSTANDING);
+    }
+
+    const counts = summarise(getForEmail(emailQueueId));
+    const outstanding = counts.PENDING + counts.DEFERRED;
+    const problems = counts.REJECTED + counts.BOUNCED + counts.FAILED;
+    let status;
+    if (outstanding > 0) {
+        status = 'PENDING';
+    } else if (counts.SENT > 0) {
+        status = problems > 0 ? 'PARTIAL' : 'SENT';
+    } else {
+        status = counts.FAILED === 0 && problems > 0 ? 'BOUNCED' : 'FAILED';
+    }
+    return { status, counts };
+}
+
+/**
+ * Make every undelivered address sendable again (manual retry); SENT and BOUNCED stay
+ * @returns {number} Addresses reset
+ */
+function resetForRetry(emailQueueId) {
+    return getDb().prepare(`
+        UPDATE email_recipients SET status = ?, updated_at = ? WHERE email_queue_id = ? AND status IN (?, ?, ?, ?)
+    `).run(STATUSES.PENDING, new Date().toISOString(), emailQueueId,
+        STATUSES.DEFERRED, STATUSES.REJECTED, STATUSES.SUPPRESSED, STATUSES.FAILED).changes;
+}
+
+/**
+ * A bounce report for one address of a sent email
+ * @returns {Object|null} settle() result, or null when the address was not sent to
+ */
+function recordBounce(emailQueueId, email, options = {}) {
+    const result = getDb().prepare(`
+        UPDATE email_recipients SET status = ?, error = ?, updated_at = ?
+        WHERE email_queue_id = ? AND email = ? AND status = ?
+    `).run(STATUSES.BOUNCED, options.error || 'Bounced', new Date().toISOString(), emailQueueId, keyOf(email), STATUSES.SENT);
+    if (result.changes === 0) return null;
+    return settle(emailQueueId);
+}
+
+/**
+ * The email queue id a recipient's SMTP Message-ID belongs to (earlier attempts included)
+ */
+function findEmailBySmtpMessageId(messageId) {
+    const row = getDb().prepare('SELECT email_queue_id FROM email_recipients WHERE smtp_message_id = ? LIMIT 1').get(messageId);
+    return row ? row.email_queue_id : null;
+}
+
+/**
+ * Per-address status of every email for an attachment, newest email first
+ * @returns {Array<Object>} [{ emailQueueId, status, priority, createdAt, sentAt, counts, recipients }]
+ */
+function getForAttachment(attachmentId) {
+    const emails = getDb().prepare(`
+        SELECT id, status, priority, created_at, sent_at, attempts FROM email_queue
+        WHERE attachment_id = ? ORDER BY created_at DESC, rowid DESC
+    `).all(attachmentId);
+    return emails.map(email => {
+        const recipients = getForEmail(email.id);
+        return {
+            emailQueueId: email.id,
+            status: email.status,
+            priority: email.priority,
+            attempts: email.attempts,
+            createdAt: email.created_at,
+            sentAt: email.sent_at,
+            counts: summarise(recipients),
+            recipients
+        };
+    });
+}
+
+module.exports = {
+    STATUSES,
+    OUTSTANDING,
+    create,
+    ensure,
+    getForEmail,
+    getOutstanding,
+    hasDelivered,
+    markSuppressed,
+    recordSend,
+    recordError,
+    summarise,
+    settle,
+    resetForRetry,
+    recordBounce,
+    findEmailBySmtpMessageId,
+    getForAttachment
+};
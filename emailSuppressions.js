@@ -0,0 +1,493 @@
+/**
+ * Bounce Processing and Recipient Suppression
+ * Bounces and complaints arrive at POST /api/email/bounce as provider webhook
+ * JSON or as the raw report emails (DSN, RFC 3464; ARF, RFC 5965). Each bounced
+ * address is recorded, and addresses we should stop sending to are suppressed:
+ *
+ *   - hard bounce (5.x.x, e.g. 5.1.1 unknown user): suppressed for
+ *     EMAIL_HARD_BOUNCE_SUPPRESS_DAYS (0 = until lifted)
+ *   - complaint (ARF abuse report): suppressed until lifted
+ *   - soft bounce (4.x.x, delayed, mailbox full): suppressed for
+ *     EMAIL_SOFT_BOUNCE_SUPPRESS_DAYS once EMAIL_SOFT_BOUNCE_THRESHOLD soft
+ *     bounces arrive within EMAIL_SOFT_BOUNCE_WINDOW_DAYS
+ *
+ * The endpoint is public (provider webhooks), so every request must carry the
+ * shared EMAIL_BOUNCE_WEBHOOK_SECRET (X-Webhook-Secret header or ?token=); without
+ * a configured secret bounces are refused.
+ *
+ * emailQueue.processEmail and recipients.getRecipients drop suppressed
+ * addresses (filterRecipients) and log which and why. Ops lift suppressions
+ * through the API; lifted and expired rows are kept for the record.
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const audit = require('./audit');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Configuration
+const CONFIG = {
+    hardBounceDays: intEnv('EMAIL_HARD_BOUNCE_SUPPRESS_DAYS', 0),
+    softBounceThreshold: intEnv('EMAIL_SOFT_BOUNCE_THRESHOLD', 3),
+    softBounceWindowDays: intEnv('EMAIL_SOFT_BOUNCE_WINDOW_DAYS', 7),
+    softBounceDays: intEnv('EMAIL_SOFT_BOUNCE_SUPPRESS_DAYS', 3),
+    webhookSecret: process.env.EMAIL_BOUNCE_WEBHOOK_SECRET || null
+};
+
+const BOUNCE_TYPES = {
+    HARD: 'HARD',
+    SOFT: 'SOFT',
+    COMPLAINT: 'COMPLAINT'
+};
+
+const REASONS = {
+    HARD_BOUNCE: 'HARD_BOUNCE',
+    SOFT_BOUNCE: 'SOFT_BOUNCE',
+    COMPLAINT: 'COMPLAINT',
+    MANUAL: 'MANUAL'
+};
+
+// Permanent (5.x.x) statuses that are worth trying again later
+const SOFT_STATUS_CODES = ['5.2.2', '5.4.7'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check the shared secret sent with a bounce webhook
+ * @param {string} given - X-Webhook-Secret header or ?token= value
+ * @returns {Object} { ok: true } or { ok: false, status, error }
+ */
+function checkWebhookSecret(given) {
+    if (!CONFIG.webhookSecret) {
+        return { ok: false, status: 503, error: 'EMAIL_BOUNCE_WEBHOOK_SECRET is not set - bounces are not accepted' };
+    }
+    const expected = crypto.createHash('sha256').update(CONFIG.webhookSecret).digest();
+    const actual = crypto.createHash('sha256').update(String(given || '')).digest();
+    if (!given || !crypto.timingSafeEqual(expected, actual)) {
+        return { ok: false, status: 401, error: 'Invalid webhook secret' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Normalise an address ("Name <a@b>" or "a@b") to lower case, or null if it is not one
+ */
+function normaliseEmail(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const angled = /<([^<>]+)>/.exec(text);
+    const address = (angled ? angled[1] : text).replace(/^(rfc822|smtp)\s*;\s*/i, '').trim().toLowerCase();
+    return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(address) ? address : null;
+}
+
+// Unfold header continuation lines and split into blocks of "Name: value" fields
+function headerBlocks(text) {
+    const unfolded = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]+/g, ' ');
+    return unfolded.split(/\n\s*\n/).map(block => {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            const match = /^([A-Za-z][A-Za-z0-9-]*):\s*(.*)$/.exec(line);
+            if (match && fields[match[1].toLowerCase()] === undefined) {
+                fields[match[1].toLowerCase()] = match[2].trim();
+            }
+        }
+        return fields;
+    });
+}
+
+// "smtp; 550 5.1.1 <a@b>: user unknown" -> "550 5.1.1 <a@b>: user unknown"
+function stripType(value) {
+    return value ? value.replace(/^[\w-]+\s*;\s*/, '').trim() : null;
+}
+
+function classifyStatus(action, statusCode, diagnostic) {
+    if (['delivered', 'relayed', 'expanded'].includes(action)) return null;
+    if (action === 'delayed') return BOUNCE_TYPES.SOFT;
+    if (statusCode) {
+        return statusCode.startsWith('5.') && !SOFT_STATUS_CODES.includes(statusCode) ? BOUNCE_TYPES.HARD : BOUNCE_TYPES.SOFT;
+    }
+    const reply = /\b([45])\d\d\b/.exec(diagnostic || '');
+    return reply && reply[1] === '4' ? BOUNCE_TYPES.SOFT : BOUNCE_TYPES.HARD;
+}
+
+/**
+ * Parse a raw bounce or complaint email (DSN multipart/report, ARF feedback report)
+ * @param {string} raw - Full message source
+ * @returns {Object} { format: 'dsn' | 'arf' | 'unknown', messageId, bounces: [{ email, type, statusCode, diagnostic, action }] }
+ */
+function parseReport(raw) {
+    const text = String(raw || '');
+    const blocks = headerBlocks(text);
+    // Message-ID of the returned original headers (after the report's own, if present)
+    const messageIds = [...text.matchAll(/^Message-ID:\s*(<[^>\s]+>)/gim)].map(match => match[1]);
+    if (blocks[0]?.['message-id'] && messageIds[0] === blocks[0]['message-id']) messageIds.shift();
+    const messageId = messageIds.pop() || null;
+
+    const feedback = blocks.find(fields => fields['feedback-type']);
+    if (feedback) {
+        const originalTo = blocks.slice(blocks.indexOf(feedback) + 1).reverse().find(fields => fields.to);
+        const email = normaliseEmail(feedback['original-rcpt-to'] || originalTo?.to);
+        return {
+            format: 'arf',
+            messageId,
+            bounces: email ? [{
+                email,
+                type: BOUNCE_TYPES.COMPLAINT,
+                statusCode: null,
+                diagnostic: `Feedback-Type: ${feedback['feedback-type']}`,
+                action: 'complaint'
+            }] : []
+        };
+    }
+
+    const bounces = [];
+    for (const fields of blocks) {
+        const recipient = fields['final-recipient'] || fields['original-recipient'];
+        if (!recipient) continue;
+        const email = normaliseEmail(recipient);
+        const action = (fields.action || 'failed').toLowerCase();
+        const statusCode = (/\b[245]\.\d{1,3}\.\d{1,3}\b/.exec(fields.status || '') || [null])[0];
+        const diagnostic = stripType(fields['diagnostic-code']);
+        const type = classifyStatus(action, statusCode, diagnostic);
+        if (email && type && !bounces.some(bounce => bounce.email === email)) {
+            bounces.push({ email, type, statusCode, diagnostic, action });
+        }
+    }
+
+    // Non-standard bounces (e.g. Exim) name the recipients in a header
+    if (bounces.length === 0 && blocks[0]?.['x-failed-recipients']) {
+        for (const address of blocks[0]['x-failed-recipients'].split(',')) {
+            const email = normaliseEmail(address);
+            if (email) bounces.push({ email, type: BOUNCE_TYPES.HARD, statusCode: null, diagnostic: blocks[0].subject || null, action: 'failed' });
+        }
+    }
+
+    return { format: bounces.length > 0 ? 'dsn' : 'unknown', messageId, bounces };
+}
+
+/**
+ * Parse what was posted to the bounce endpoint
+ * @param {Object|Array|string} body - Raw report text, { raw: '<report>' }, or webhook JSON
+ *   ({ email | recipient, type: hard | soft | complaint, reason, status, messageId }, or an array of them)
+ * @returns {Object} { format, messageId, bounces }
+ */
+function parseBounce(body) {
+    if (typeof body === 'string') return parseReport(body);
+    if (body && typeof body.raw === 'string') {
+        const report = parseReport(body.raw);
+        return { ...report, messageId: body.messageId || report.messageId };
+    }
+
+    const events = Array.isArray(body) ? body : (body ? [body] : []);
+    const bounces = [];
+    let messageId = null;
+    for (const event of events) {
+        const email = normaliseEmail(event.email || event.recipient);
+        if (!email) continue;
+        const kind = String(event.type || '').toLowerCase();
+        const reason = event.reason || event.diagnostic || '';
+        let type;
+        if (['complaint', 'spam', 'abuse'].includes(kind)) {
+            type = BOUNCE_TYPES.COMPLAINT;
+        } else if (['hard', 'permanent'].includes(kind) ||
+            /invalid|does not exist|unknown user|no such user/i.test(reason)) {
+            type = BOUNCE_TYPES.HARD;
+        } else if (['soft', 'transient', 'temporary', 'delayed'].includes(kind)) {
+            type = BOUNCE_TYPES.SOFT;
+        } else {
+            // Without a type, only an explicit 5.x.x status counts as hard
+            type = event.status ? classifyStatus('failed', String(event.status), reason) : BOUNCE_TYPES.SOFT;
+        }
+        messageId = messageId || event.messageId || null;
+        bounces.push({ email, type, statusCode: event.status || null, diagnostic: reason || null, action: kind || 'failed' });
+    }
+    return { format: 'json', messageId, bounces };
+}
+
+function statusOf(row, now) {
+    if (row.lifted_at) return 'LIFTED';
+    if (row.expires_at && row.expires_at <= now.toISOString()) return 'EXPIRED';
+    return 'ACTIVE';
+}
+
+function withStatus(row, now = new Date()) {
+    return row ? { ...row, status: statusOf(row, now) } : null;
+}
+
+/**
+ * Suppress an address (extends an active suppression, never shortens it)
+ * @param {string} email - Address
+ * @param {Object} options - { reason, days (none: until lifted), source, statusCode, diagnostic, emailQueueId, actor, now }
+ * @returns {Object} Suppression
+ */
+function suppress(email, options = {}) {
+    const address = normaliseEmail(email);
+    if (!address) throw new Error(`Invalid email address: ${email}`);
+    const reason = options.reason || REASONS.MANUAL;
+    if (!REASONS[reason]) throw new Error(`Unknown suppression reason: ${reason}`);
+
+    const db = getDb();
+    const now = options.now ? new Date(options.now) : new Date();
+    const timestamp = now.toISOString();
+    const expiresAt = options.days ? new Date(now.getTime() + options.days * DAY).toISOString() : null;
+    const existing = withStatus(db.prepare('SELECT * FROM email_suppressions WHERE email = ?').get(address), now);
+
+    if (existing && existing.status === 'ACTIVE' && (!existing.expires_at || (expiresAt && existing.expires_at >= expiresAt))) {
+        return existing;
+    }
+
+    db.prepare(`
+        INSERT INTO email_suppressions (email, reason, source, status_code, diagnostic, email_queue_id, created_at, updated_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(email) DO UPDATE SET
+            reason = excluded.reason, source = excluded.source, status_code = excluded.status_code,
+            diagnostic = excluded.diagnostic, email_queue_id = excluded.email_queue_id,
+            created_at = CASE WHEN email_suppressions.lifted_at IS NULL AND (email_suppressions.expires_at IS NULL OR email_suppressions.expires_at > ?)
+                THEN email_suppressions.created_at ELSE excluded.created_at END,
+            updated_at = excluded.updated_at, expires_at = excluded.expires_at,
+            lifted_at = NULL, lifted_by = NULL, lift_note = NULL
+    `).run(address, reason, options.source || 'manual', options.statusCode || null, options.diagnostic || null,
+        options.emailQueueId || null, timestamp, timestamp, expiresAt, timestamp);
+
+    audit.log({
+        action: 'EMAIL_SUPPRESSED',
+        actor: options.actor,
+        details: { email: address, reason, expiresAt, source: options.source || 'manual', statusCode: options.statusCode || null }
+    });
+    console.log(`[Suppressions] Suppressed ${address} (${reason}${expiresAt ? ` until ${expiresAt}` : ''})`);
+
+    return withStatus(db.prepare('SELECT * FROM email_suppressions WHERE email = ?').get(address), now);
+}
+
+/**
+ * Record one bounce and suppress the address when it calls for it
+ * @param {Object} bounce - { email, type, statusCode, diagnostic } (from parseBounce)
+ * @param {Object} options - { source, messageId, emailQueueId, now }
+ * @returns {Object} { email, type, suppressed, suppression }
+ */
+function recordBounce(bounce, options = {}) {
+    const db = getDb();
+    const now = options.now ? new Date(options.now) : new Date();
+    const email = normaliseEmail(bounce.email);
+    if (!email) throw new Error(`Invalid email address: ${bounce.email}`);
+    if (!BOUNCE_TYPES[bounce.type]) throw new Error(`Unknown bounce type: ${bounce.type}`);
+
+    db.prepare(`
+        INSERT INTO email_bounces (id, email, type, status_code, diagnostic, source, message_id, email_queue_id, received_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(crypto.randomUUID(), email, bounce.type, bounce.statusCode || null, bounce.diagnostic || null,
+        options.source || 'webhook', options.messageId || null, options.emailQueueId || null, now.toISOString());
+
+    const details = {
+        source: options.source || 'webhook',
+        statusCode: bounce.statusCode,
+        diagnostic: bounce.diagnostic,
+        emailQueueId: options.emailQueueId,
+        now
+    };
+
+    let suppression = null;
+    if (bounce.type === BOUNCE_TYPES.HARD) {
+        suppression = suppress(email, { ...details, reason: REASONS.HARD_BOUNCE, days: CONFIG.hardBounceDays });
+    } else if (bounce.type === BOUNCE_TYPES.COMPLAINT) {
+        suppression = suppress(email, { ...details, reason: REASONS.COMPLAINT });
+    } else {
+        // Soft bounces since the window start (or since the address was last lifted)
+        const lifted = db.prepare('SELECT lifted_at FROM email_suppressions WHERE email = ?').get(email)?.lifted_at;
+        const windowStart = new Date(now.getTime() - CONFIG.softBounceWindowDays * DAY).toISOString();
+        const since = lifted && lifted > windowStart ? lifted : windowStart;
+        const { count } = db.prepare(`
+            SELECT COUNT(*) AS count FROM email_bounces WHERE email = ? AND type = ? AND received_at > ?
+        `).get(email, BOUNCE_TYPES.SOFT, since);
+        if (count >= CONFIG.softBounceThreshold) {
+            suppression = suppress(email, {
+                ...details,
+                reason: REASONS.SOFT_BOUNCE,
+                days: CONFIG.softBounceDays,
+                diagnostic: `${count} soft bounces in ${CONFIG.softBounceWindowDays} days: ${bounce.diagnostic || bounce.statusCode || 'no detail'}`
+            });
+        }
+    }
+
+    return { email, type: bounce.type, suppressed: !!suppression && suppression.status === 'ACTIVE', suppression };
+}
+
+/**
+ * Active suppressions for a set of addresses
+ * @returns {Map<string, Object>} Normalised address -> suppression
+ */
+function getActiveSuppressions(emails, now = new Date()) {
+    const addresses = [...new Set(emails.map(normaliseEmail).filter(Boolean))];
+    const active = new Map();
+    if (addresses.length === 0) return active;
+
+    const rows = getDb().prepare(`
+        SELECT * FROM email_suppressions
+        WHERE email IN (${addresses.map(() => '?').join(', ')})
+        AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `).all(...addresses, now.toISOString());
+    for (const row of rows) active.set(row.email, withStatus(row, now));
+    return active;
+}
+
+function isSuppressed(email) {
+    return getActiveSuppressions([email]).size > 0;
+}
+
+/**
+ * Drop suppressed addresses from to/cc/bcc and log why
+ * @param {Object} recipients - { to, cc, bcc } (arrays)
+ * @param {Object} context - Logged with each drop: { attachmentId, emailQueueId, customer, ... }
+ * @returns {Object} { to, cc, bcc, suppressed: [{ email, field, reason, expiresAt }] }
+ */
+function filterRecipients(recipients, context = {}) {
+    const lists = { to: recipients.to || [], cc: recipients.cc || [], bcc: recipients.bcc || [] };
+    const active = getActiveSuppressions([...lists.to, ...lists.cc, ...lists.bcc]);
+    const result = { to: [], cc: [], bcc: [], suppressed: [] };
+
+    for (const field of ['to', 'cc', 'bcc']) {
+        for (const recipient of lists[field]) {
+            const suppression = active.get(normaliseEmail(recipient));
+            if (!suppression) {
+                result[field].push(recipient);
+                continue;
+            }
+            result.suppressed.push({ email: suppression.email, field, reason: suppression.reason, expiresAt: suppression.expires_at });
+        }
+    }
+
+    if (result.suppressed.length > 0) {
+        const where = Object.entries(context).filter(([, value]) => value).map(([key, value]) => `${key}=${value}`).join(' ');
+        for (const dropped of result.suppressed) {
+            console.log(`[Suppressions] Dropped ${dropped.email} (${dropped.field}): ${dropped.reason}` +
+                `${dropped.expiresAt ? ` until ${dropped.expiresAt}` : ''}${where ? ` [${where}]` : ''}`);
+        }
+        if (context.attachmentId) {
+            audit.log({
+                action: 'EMAIL_RECIPIENTS_SUPPRESSED',
+                attachmentId: context.attachmentId,
+                details: { ...context, suppressed: result.suppressed }
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Lift a suppression so the address is sent to again
+ * @param {string} email - Address
+ * @param {Object} options - { actor, note }
+ * @returns {Object|null} Lifted suppression, or null when the address is not actively suppressed
+ */
+function lift(email, options = {}) {
+    const address = normaliseEmail(email);
+    if (!address || !getActiveSuppressions([address]).has(address)) return null;
+
+    const db = getDb();
+    const actor = options.actor || 'admin';
+    db.prepare(`
+        UPDATE email_suppressions SET lifted_at = ?, lifted_by = ?, lift_note = ?, updated_at = ? WHERE email = ?
+    `).run(new Date().toISOString(), actor, options.note || null, new Date().toISOString(), address);
+
+    audit.log({
+        action: 'EMAIL_SUPPRESSION_LIFTED',
+        actor,
+        details: { email: address, note: options.note || null }
+    });
+    console.log(`[Suppressions] Lifted ${address} (${actor})`);
+
+    return getSuppression(address);
+}
+
+/**
+ * A suppression with the address's bounce history
+ */
+function getSuppression(email) {
+    const address = normaliseEmail(email);
+    if (!address) return null;
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM email_suppressions WHERE email = ?').get(address);
+    const bounces = db.prepare('SELECT * FROM email_bounces WHERE email = ? ORDER BY received_at DESC, rowid DESC LIMIT 50').all(address);
+    if (!row && bounces.length === 0) return null;
+    return { ...(withStatus(row) || { email: address, status: null }), bounces };
+}
+
+/**
+ * List suppressions, most recently updated first
+ * @param {Object} filters - { status: ACTIVE (default) | EXPIRED | LIFTED | ALL, reason, email (substring), limit }
+ */
+function listSuppressions(filters = {}) {
+    const now = new Date().toISOString();
+    const status = String(filters.status || 'ACTIVE').toUpperCase();
+    const where = [];
+    const params = [];
+
+    if (status === 'ACTIVE') {
+        where.push('lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)');
+        params.push(now);
+    } else if (status === 'EXPIRED') {
+        where.push('lifted_at IS NULL AND expires_at <= ?');
+        params.push(now);
+    } else if (status === 'LIFTED') {
+        where.push('lifted_at IS NOT NULL');
+    } else if (status !== 'ALL') {
+        throw new Error(`Unknown suppression status: ${filters.status}`);
+    }
+    if (filters.reason) {
+        where.push('reason = ?');
+        params.push(String(filters.reason).toUpperCase());
+    }
+    if (filters.email) {
+        where.push('email LIKE ?');
+        params.push(`%${String(filters.email).toLowerCase()}%`);
+    }
+    params.push(parseInt(filters.limit) || 100);
+
+    return getDb().prepare(`
+        SELECT * FROM email_suppressions ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY updated_at DESC LIMIT ?
+    `).all(...params).map(row => withStatus(row));
+}
+
+function getStatus() {
+    const now = new Date().toISOString();
+    const db = getDb();
+    const byReason = {};
+    for (const row of db.prepare(`
+        SELECT reason, COUNT(*) AS count FROM email_suppressions
+        WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?) GROUP BY reason
+    `).all(now)) {
+        byReason[row.reason] = row.count;
+    }
+    return {
+        active: Object.values(byReason).reduce((sum, count) => sum + count, 0),
+        byReason,
+        bouncesLast7Days: db.prepare('SELECT COUNT(*) AS count FROM email_bounces WHERE received_at > ?')
+            .get(new Date(Date.now() - 7 * DAY).toISOString()).count,
+        config: { ...CONFIG, webhookSecret: undefined, webhookSecretConfigured: !!CONFIG.webhookSecret }
+    };
+}
+
+module.exports = {
+    CONFIG,
+    BOUNCE_TYPES,
+    REASONS,
+    checkWebhookSecret,
+    normaliseEmail,
+    parseReport,
+    parseBounce,
+    suppress,
+    recordBounce,
+    getActiveSuppressions,
+    isSuppressed,
+    filterRecipients,
+    lift,
+    getSuppression,
+    listSuppressions,
+    getStatus
+};
@@ -0,0 +1,403 @@
+/**
+ * Email Templates
+ * Subject, HTML and text templates for POD emails, per customer and per supplier,
+ * loaded from EMAIL_TEMPLATES_DIR (default email-templates/):
+ *
+ *   default/                    subject.txt, body.html, body.txt, template.json, partials/
+ *                               digest-subject.txt, digest.html, digest.txt (daily digests)
+ *   customers/<KEY>/            any of the same files - overrides for one customer
+ *   suppliers/<KEY>/            any of the same files - overrides for one supplier
+ *
+ * KEY is the customer or supplier name upper-cased with non-alphanumerics as "_"
+ * ("Acme Ltd" -> ACME_LTD). Each part is taken from the first scope that has it:
+ * customer, then supplier, then default, then the defaults shipped with the
+ * service. Partials ({{> name}}) resolve the same way from <scope>/partials/.
+ * template.json holds branding ({ "brand": { name, primaryColor, logoUrl,
+ * contactEmail }, "replyTo" }), merged default <- supplier <- customer.
+ *
+ * Syntax:
+ *   {{jobRef}}             variable (HTML-escaped in body.html), dotted paths allowed
+ *   {{vehicleReg|N/A}}     fallback text when empty
+ *   {{{customMessage}}}    unescaped
+ *   {{#if driver}}...{{else}}...{{/if}}, {{#unless x}}...{{/unless}}
+ *   {{#each items}}...{{else}}...{{/each}}  list; item fields and index (from 1) inside
+ *   {{> details}}          partial
+ * A line holding only a block tag or partial is dropped, so tags can sit on their own lines.
+ *
+ * Files are read on every render, so edits take effect without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const models = require('./models');
+const jobs = require('./jobs');
+
+const CONFIG = {
+    dir: process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, 'email-templates'),
+    builtinDir: path.join(__dirname, 'email-templates', 'default'),
+    maxPartialDepth: 5
+};
+
+const PARTS = {
+    subject: 'subject.txt',
+    html: 'body.html',
+    text: 'body.txt'
+};
+
+// Template files per kind of email
+const KINDS = {
+    pod: PARTS,
+    digest: {
+        subject: 'digest-subject.txt',
+        html: 'digest.html',
+        text: 'digest.txt'
+    }
+};
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each|>)?\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*(?:#if|#unless|#each|else|\/if|\/unless|\/each|>)[^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Directory key for a customer or supplier name
+ */
+function templateKey(name) {
+    if (!name) return null;
+    const key = String(name).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return key || null;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup(variables, name) {
+    return name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || value === false ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Parse template source into a tree
+ * @throws {Error} On unbalanced blocks or empty tags
+ */
+function parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    const text = String(source).replace(STANDALONE_PATTERN, '$1');
+    let lastIndex = 0;
+    let match;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        if (match.index > lastIndex) current().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const [tag, rawName, keyword, body] = match;
+        if (rawName) {
+            current().push({ type: 'var', name: rawName, raw: true });
+        } else if (keyword === '#if' || keyword === '#unless' || keyword === '#each') {
+            if (!/^[\w.]+$/.test(body)) throw new Error(`${tag} needs a variable name`);
+            const type = keyword === '#each' ? 'each' : 'if';
+            const block = { type, name: body, negate: keyword === '#unless', keyword, children: [], otherwise: [] };
+            current().push(block);
+            stack.push(block);
+        } else if (keyword === 'else') {
+            const block = stack[stack.length - 1];
+            if (block === root || block.inElse) throw new Error('{{else}} outside an if or each block');
+            block.inElse = true;
+        } else if (keyword === '/if' || keyword === '/unless' || keyword === '/each') {
+            const block = stack.pop();
+            if (block === root || block.keyword !== `#${keyword.slice(1)}`) {
+                throw new Error(`${tag} does not close an open ${keyword.slice(1)} block`);
+            }
+            delete block.inElse;
+        } else if (keyword === '>') {
+            if (!/^[\w-]+$/.test(body)) throw new Error(`${tag} needs a partial name`);
+            current().push({ type: 'partial', name: body });
+        } else {
+            const [name, ...fallback] = body.split('|');
+            if (!/^[\w.]+$/.test(name.trim())) throw new Error(`${tag} is not a valid variable`);
+            current().push({ type: 'var', name: name.trim(), fallback: fallback.length ? fallback.join('|') : null });
+        }
+    }
+    if (lastIndex < text.length) current().push({ type: 'text', value: text.slice(lastIndex) });
+    if (stack.length > 1) throw new Error(`Unclosed {{${stack[stack.length - 1].keyword} ${stack[stack.length - 1].name}}}`);
+    return root.children;
+}
+
+function renderNodes(nodes, variables, options, depth) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'var') {
+            const value = lookup(variables, node.name);
+            const textValue = isEmpty(value) ? (node.fallback ?? '') : String(value);
+            output += options.html && !node.raw ? escapeHtml(textValue) : textValue;
+        } else if (node.type === 'if') {
+            const truthy = !isEmpty(lookup(variables, node.name));
+            output += renderNodes(truthy !== node.negate ? node.children : node.otherwise, variables, options, depth);
+        } else if (node.type === 'each') {
+            const list = lookup(variables, node.name);
+            if (!Array.isArray(list) || list.length === 0) {
+                output += renderNodes(node.otherwise, variables, options, depth);
+            } else {
+                list.forEach((item, index) => {
+                    const scope = item !== null && typeof item === 'object' ? item : { value: item };
+                    output += renderNodes(node.children, { ...variables, ...scope, index: index + 1 }, options, depth);
+                });
+            }
+        } else if (node.type === 'partial') {
+            if (depth >= CONFIG.maxPartialDepth) throw new Error(`Partials nested deeper than ${CONFIG.maxPartialDepth} (${node.name})`);
+            const partial = options.resolvePartial(node.name);
+            if (partial === null) throw new Error(`Partial ${node.name} not found`);
+            output += renderNodes(parse(partial.source), variables, options, depth + 1);
+        }
+    }
+    return output;
+}
+
+/**
+ * Render template source
+ * @param {string} source - Template text
+ * @param {Object} variables - Values for {{name}}
+ * @param {Object} options - { html: escape variables, resolvePartial: name => { source } | null }
+ */
+function renderString(source, variables, options = {}) {
+    return renderNodes(parse(source), variables || {}, {
+        html: !!options.html,
+        resolvePartial: options.resolvePartial || (() => null)
+    }, 0);
+}
+
+/**
+ * Template directories for a customer/supplier, most specific first
+ * @returns {Array<Object>} [{ scope, dir }]
+ */
+function getScopes({ customer, supplier } = {}) {
+    const scopes = [];
+    const customerKey = templateKey(customer);
+    const supplierKey = templateKey(supplier);
+    if (customerKey) scopes.push({ scope: `customers/${customerKey}`, dir: path.join(CONFIG.dir, 'customers', customerKey) });
+    if (supplierKey) scopes.push({ scope: `suppliers/${supplierKey}`, dir: path.join(CONFIG.dir, 'suppliers', supplierKey) });
+    scopes.push({ scope: 'default', dir: path.join(CONFIG.dir, 'default') });
+    if (path.resolve(CONFIG.builtinDir) !== path.resolve(CONFIG.dir, 'default')) {
+        scopes.push({ scope: 'builtin', dir: CONFIG.builtinDir });
+    }
+    return scopes;
+}
+
+// First scope holding the file: { source, file } or null
+function findFile(scopes, relativePath) {
+    for (const { scope, dir } of scopes) {
+        const file = path.join(dir, relativePath);
+        if (fs.existsSync(file)) {
+            return { source: fs.readFileSync(file, 'utf-8'), file: `${scope}/${relativePath}` };
+        }
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Branding from template.json, merged from the least to the most specific scope
+ */
+function getBranding(scopes) {
+    const settings = {};
+    for (const { scope, dir } of [...scopes].reverse()) {
+        const file = path.join(dir, 'template.json');
+        if (!fs.existsSync(file)) continue;
+        try {
+            const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            for (const [key, value] of Object.entries(parsed)) {
+                settings[key] = isPlainObject(value) && isPlainObject(settings[key]) ? { ...settings[key], ...value } : value;
+            }
+        } catch (error) {
+            console.warn(`[EmailTemplates] ${scope}/template.json ignored: ${error.message}`);
+        }
+    }
+    return { brand: settings.brand || {}, replyTo: settings.replyTo || null };
+}
+
+// Values derived from the others, available to every template
+function withDerived(variables, branding) {
+    const pageCount = parseInt(variables.pageCount) || 0;
+    return {
+        ...variables,
+        driver: variables.driver || variables.driverName || variables.driverPhone || null,
+        hasDetails: !!(variables.jobRef || variables.vehicleReg),
+        multiPage: pageCount > 1,
+        brand: { ...branding.brand, ...(variables.brand || {}) }
+    };
+}
+
+/**
+ * Render one part (subject, html or text) for the customer/supplier in variables
+ * @param {string} part - 'subject' | 'html' | 'text'
+ * @param {Object} variables - Template variables (customer and supplier select the templates)
+ * @param {Object} options - { kind: 'pod' (default) | 'digest',
+ *   overrides: { [part|'partials/<name>.<ext>']: source } to preview unsaved drafts }
+ * @returns {Object} { content, template }
+ */
+function renderPart(part, variables = {}, options = {}) {
+    const files = KINDS[options.kind || 'pod'];
+    if (!files) throw new Error(`Unknown template kind ${options.kind}`);
+    if (!files[part]) throw new Error(`Unknown template part ${part}`);
+    const scopes = getScopes(variables);
+    const overrides = options.overrides || {};
+    const extension = path.extname(files[part]);
+
+    const template = overrides[part] !== undefined
+        ? { source: overrides[part], file: 'override' }
+        : findFile(scopes, files[part]);
+    if (!template) throw new Error(`No ${files[part]} template found`);
+
+    const resolvePartial = name => {
+        const key = `partials/${name}${extension}`;
+        if (overrides[key] !== undefined) return { source: overrides[key] };
+        return findFile(scopes, key);
+    };
+
+    const branding = getBranding(scopes);
+    let content;
+    try {
+        content = renderString(template.source, withDerived(variables, branding), { html: part === 'html', resolvePartial });
+    } catch (error) {
+        throw new Error(`${template.file}: ${error.message}`);
+    }
+    // Subjects are a single line
+    if (part === 'subject') content = content.replace(/\s+/g, ' ').trim();
+    return { content, template: template.file };
+}
+
+/**
+ * Render subject, HTML and text
+ * @param {Object} variables - Template variables
+ * @param {Object} options - See renderPart
+ * @returns {Object} { subject, html, text, templates: { subject, html, text }, brand, replyTo }
+ */
+function render(variables = {}, options = {}) {
+    const rendered = { templates: {} };
+    for (const part of Object.keys(PARTS)) {
+        const { content, template } = renderPart(part, variables, options);
+        rendered[part] = content;
+        rendered.templates[part] = template;
+    }
+    const branding = getBranding(getScopes(variables));
+    return { ...rendered, brand: { ...branding.brand, ...(variables.brand || {}) }, replyTo: branding.replyTo };
+}
+
+/**
+ * Template variables for an attachment: its fields, matched job and sending driver
+ * @param {Object|string} attachmentOrId - Attachment record or id
+ * @param {Object} extra - Additional/overriding variables (customMessage, pageCount, ...)
+ * @returns {Object|null} Variables, or null when the attachment does not exist
+ */
+function variablesForAttachment(attachmentOrId, extra = {}) {
+    const attachment = typeof attachmentOrId === 'string' ? models.getAttachmentById(attachmentOrId) : attachmentOrId;
+    if (!attachment) return null;
+
+    const results = attachment.metadata?.results || {};
+    const match = results.match || null;
+    const jobId = attachment.matched_job_id || match?.jobId || null;
+    const job = jobId ? jobs.getJob(jobId) : null;
+    const message = attachment.message_id ? models.getMessageById(attachment.message_id) : null;
+    const pages = models.getDocumentPages(attachment.document_id || attachment.id);
+
+    return {
+        attachmentId: attachment.id,
+        jobRef: attachment.job_ref || match?.jobRef || job?.job_ref || null,
+        vehicleReg: attachment.vehicle_reg || results.fields?.vehicleReg || job?.vehicle_reg || null,
+        deliveryDate: job?.job_date || results.fields?.date || null,
+        customer: match?.customer || job?.customer || null,
+        supplier: attachment.supplier || results.fields?.supplier || job?.supplier || null,
+        site: job?.site || null,
+        driverName: job?.driver_name || job?.driverName || null,
+        driverPhone: job?.driver_phone || jobs.normalisePhone(message?.sender_id) || null,
+        pageCount: pages.length || 1,
+        ...extra
+    };
+}
+
+/**
+ * Render an email without sending it, e.g. for an attachment in the review UI
+ * @param {Object} options - { attachmentId, customer, supplier, customMessage, variables, templates (draft overrides),
+ *   kind: 'pod' (default) | 'digest' }
+ * @returns {Object} { success, subject, html, text, templates, brand, replyTo, variables } or { success: false, error, notFound }
+ */
+function preview(options = {}) {
+    let variables = {};
+    if (options.attachmentId) {
+        variables = variablesForAttachment(options.attachmentId);
+        if (!variables) return { success: false, notFound: true, error: 'Attachment not found' };
+    }
+    for (const key of ['customer', 'supplier', 'customMessage']) {
+        if (options[key] !== undefined) variables[key] = options[key];
+    }
+    variables = { ...variables, ...(options.variables || {}) };
+
+    try {
+        return { success: true, ...render(variables, { kind: options.kind, overrides: options.templates }), variables };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Template files present per scope
+ * @returns {Object} { dir, scopes: [{ scope, files }] }
+ */
+function listTemplates() {
+    const scopes = [];
+    const addScope = (scope, dir) => {
+        const files = [];
+        for (const file of [...Object.values(KINDS).flatMap(Object.values), 'template.json']) {
+            if (fs.existsSync(path.join(dir, file))) files.push(file);
+        }
+        const partialsDir = path.join(dir, 'partials');
+        if (fs.existsSync(partialsDir)) {
+            for (const file of fs.readdirSync(partialsDir).sort()) files.push(`partials/${file}`);
+        }
+        if (files.length > 0) scopes.push({ scope, files });
+    };
+
+    addScope('default', path.join(CONFIG.dir, 'default'));
+    for (const group of ['customers', 'suppliers']) {
+        const groupDir = path.join(CONFIG.dir, group);
+        if (!fs.existsSync(groupDir)) continue;
+        for (const key of fs.readdirSync(groupDir).sort()) {
+            if (fs.statSync(path.join(groupDir, key)).isDirectory()) addScope(`${group}/${key}`, path.join(groupDir, key));
+        }
+    }
+    return { dir: CONFIG.dir, scopes };
+}
+
+module.exports = {
+    CONFIG,
+    PARTS,
+    KINDS,
+    templateKey,
+    renderString,
+    renderPart,
+    render,
+    getScopes,
+    variablesForAttachment,
+    preview,
+    listTemplates
+};
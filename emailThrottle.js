@@ -0,0 +1,253 @@
+/**
+ * Email Queue Lanes and Per-Domain Rate Limits
+ * Queued emails carry a priority lane; emailQueue.processQueue takes them
+ * HIGH first (force-sends and manual sends), then NORMAL (OUT PODs), then LOW
+ * (bulk resends), oldest first within a lane.
+ *
+ * Each recipient domain has a token bucket: EMAIL_DOMAIN_RATE_PER_MINUTE
+ * tokens a minute, holding at most EMAIL_DOMAIN_BURST, with per-domain rates in
+ * EMAIL_DOMAIN_RATE_LIMITS ("acme.example=5,bigcorp.example=60"). An email
+ * takes one token from every domain it still has to go to (addresses that
+ * already have it from an earlier attempt are not charged); when one of them is
+ * empty the email stays PENDING for a later pass and the next one is tried, so a
+ * big send to one domain does not hold up the others. Pending emails are read a
+ * page at a time until the batch is full or the queue is exhausted, so any
+ * number of throttled emails can be stepped over.
+ */
+
+const { getDb } = require('./db');
+const emailRecipients = require('./emailRecipients');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Parse "domain=perMinute,..." overrides
+ */
+function parseDomainLimits(value) {
+    const limits = {};
+    for (const entry of (value || '').split(',')) {
+        const [domain, rate] = entry.split('=').map(part => part && part.trim());
+        if (!domain || isNaN(parseInt(rate))) continue;
+        limits[domain.toLowerCase()] = parseInt(rate);
+    }
+    return limits;
+}
+
+// Configuration
+const CONFIG = {
+    ratePerMinute: intEnv('EMAIL_DOMAIN_RATE_PER_MINUTE', 30),
+    burst: intEnv('EMAIL_DOMAIN_BURST', 10),
+    domainLimits: parseDomainLimits(process.env.EMAIL_DOMAIN_RATE_LIMITS),
+    // Pending emails read per page while stepping over throttled ones
+    lookahead: Math.max(1, intEnv('EMAIL_QUEUE_LOOKAHEAD', 100))
+};
+
+const PRIORITIES = {
+    HIGH: 'HIGH',
+    NORMAL: 'NORMAL',
+    LOW: 'LOW'
+};
+
+// SQL ordering of the lanes
+const PRIORITY_ORDER = `CASE priority WHEN 'HIGH' THEN 0 WHEN 'LOW' THEN 2 ELSE 1 END`;
+
+// Token buckets and counters per domain (in memory; reset on restart)
+const buckets = new Map();
+
+/**
+ * Validate a priority (default NORMAL)
+ */
+function normalisePriority(priority) {
+    const value = String(priority || PRIORITIES.NORMAL).toUpperCase();
+    if (!PRIORITIES[value]) throw new Error(`Unknown email priority: ${priority}`);
+    return value;
+}
+
+function domainsOf(addresses) {
+    const domains = new Set();
+    for (const address of addresses) {
+        const match = /@([^\s>]+)>?\s*$/.exec(String(address));
+        if (match) domains.add(match[1].toLowerCase());
+    }
+    return [...domains];
+}
+
+/**
+ * Recipient domains of a queued email (To, CC and BCC)
+ * @param {Object} record - email_queue row
+ * @returns {Array<string>} Lower-cased, unique
+ */
+function recipientDomains(record) {
+    return domainsOf(['recipients_to', 'recipients_cc', 'recipients_bcc']
+        .flatMap(field => record[field] ? JSON.parse(record[field]) : []));
+}
+
+/**
+ * Domains a queued email still has to go to: its outstanding addresses in
+ * email_recipients, or every recipient when it has not been attempted yet
+ * @param {Object} record - email_queue row
+ * @returns {Array<string>} Lower-cased, unique
+ */
+function outstandingDomains(record) {
+    const rows = emailRecipients.getForEmail(record.id);
+    if (rows.length === 0) return recipientDomains(record);
+    return domainsOf(rows.filter(row => emailRecipients.OUTSTANDING.includes(row.status)).map(row => row.address));
+}
+
+/**
+ * Tokens a minute for a domain
+ */
+function rateFor(domain) {
+    return CONFIG.domainLimits[domain] ?? CONFIG.ratePerMinute;
+}
+
+function getBucket(domain, now) {
+    const rate = rateFor(domain);
+    const capacity = Math.max(1, Math.min(CONFIG.burst, rate));
+    let bucket = buckets.get(domain);
+    if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now, sent: 0, throttled: 0, lastThrottledAt: null };
+        buckets.set(domain, bucket);
+    }
+    // Refill for the time since the last look
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * rate / 60000);
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    return bucket;
+}
+
+/**
+ * Take one token from each domain, or none when any of them is empty
+ * @returns {Object} { ok, throttled: domains that were empty }
+ */
+function take(domains, now = Date.now()) {
+    const domainBuckets = domains.map(domain => [domain, getBucket(domain, now)]);
+    const throttled = domainBuckets.filter(([, bucket]) => bucket.tokens < 1).map(([domain]) => domain);
+    if (throttled.length > 0) {
+        for (const domain of throttled) {
+            const bucket = buckets.get(domain);
+            bucket.throttled++;
+            bucket.lastThrottledAt = new Date(now).toISOString();
+        }
+        return { ok: false, throttled };
+    }
+    for (const [, bucket] of domainBuckets) {
+        bucket.tokens -= 1;
+        bucket.sent++;
+    }
+    return { ok: true, throttled: [] };
+}
+
+/**
+ * Pick the emails to send this pass
+ * Pages are read until the batch is full or a page comes back short, so a
+ * backlog for a throttled domain cannot hide the emails queued behind it.
+ * @param {Function} fetchPage - (offset, size) => pending email_queue rows, in lane order
+ * @param {number} limit - Batch size
+ * @returns {Object} { batch, throttled: [{ id, priority, domains }], scanned }
+ */
+function selectBatch(fetchPage, limit, now = Date.now()) {
+    const batch = [];
+    const throttled = [];
+    let scanned = 0;
+    while (batch.length < limit) {
+        const records = fetchPage(scanned, CONFIG.lookahead);
+        for (const record of records) {
+            if (batch.length >= limit) break;
+            const result = take(outstandingDomains(record), now);
+            if (result.ok) {
+                batch.push(record);
+            } else {
+                throttled.push({ id: record.id, priority: record.priority, domains: result.throttled });
+            }
+        }
+        scanned += records.length;
+        if (records.length < CONFIG.lookahead) break;
+    }
+    if (throttled.length > 0) {
+        const domains = [...new Set(throttled.flatMap(entry => entry.domains))];
+        console.log(`[EmailThrottle] ${throttled.length} email(s) held back by rate limits: ${domains.join(', ')}`);
+    }
+    return { batch, throttled, scanned };
+}
+
+/**
+ * Queue counts per lane and status
+ * @returns {Object} { HIGH: { PENDING, SENT, ... }, NORMAL: {...}, LOW: {...} }
+ */
+function getLaneStats() {
+    const lanes = {};
+    for (const lane of Object.values(PRIORITIES)) {
+        lanes[lane] = { PENDING: 0, SENDING: 0, SENT: 0, PARTIAL: 0, FAILED: 0, BOUNCED: 0, total: 0 };
+    }
+    const rows = getDb().prepare(`
+        SELECT COALESCE(priority, 'NORMAL') AS priority, status, COUNT(*) AS count
+        FROM email_queue GROUP BY priority, status
+    `).all();
+    for (const row of rows) {
+        const lane = lanes[row.priority] || lanes.NORMAL;
+        lane[row.status] = (lane[row.status] || 0) + row.count;
+        lane.total += row.count;
+    }
+    return lanes;
+}
+
+/**
+ * Pending emails and rate limit state per recipient domain
+ * @returns {Array<Object>} [{ domain, pending, ratePerMinute, tokens, sent, throttled, lastThrottledAt }], busiest first
+ */
+function getDomainStats(now = Date.now()) {
+    const domains = new Map();
+    const pending = getDb().prepare(`
+        SELECT id, recipients_to, recipients_cc, recipients_bcc FROM email_queue WHERE status = 'PENDING'
+    `).all();
+    for (const record of pending) {
+        for (const domain of outstandingDomains(record)) {
+            domains.set(domain, (domains.get(domain) || 0) + 1);
+        }
+    }
+    for (const domain of buckets.keys()) {
+        if (!domains.has(domain)) domains.set(domain, 0);
+    }
+
+    return [...domains.entries()].map(([domain, count]) => {
+        const bucket = getBucket(domain, now);
+        return {
+            domain,
+            pending: count,
+            ratePerMinute: rateFor(domain),
+            tokens: Math.floor(bucket.tokens),
+            sent: bucket.sent,
+            throttled: bucket.throttled,
+            lastThrottledAt: bucket.lastThrottledAt
+        };
+    }).sort((a, b) => b.pending - a.pending || a.domain.localeCompare(b.domain));
+}
+
+function getStatus() {
+    return {
+        ratePerMinute: CONFIG.ratePerMinute,
+        burst: CONFIG.burst,
+        domainLimits: CONFIG.domainLimits,
+        lookahead: CONFIG.lookahead
+    };
+}
+
+module.exports = {
+    CONFIG,
+    PRIORITIES,
+    PRIORITY_ORDER,
+    normalisePriority,
+    parseDomainLimits,
+    recipientDomains,
+    outstandingDomains,
+    take,
+    selectBatch,
+    getLaneStats,
+    getDomainStats,
+    getStatus
+};
@@ -2,46 +2,18 @@
  * Field Extraction Module
  * Parses OCR text to extract structured fields from POD documents
  * Supports supplier-specific patterns for job reference, vehicle registration, date, and supplier identification
+ * Supplier patterns come from the hot-reloaded templates in supplierTemplates.js
  */
 
-const SUPPLIERS = {
-    CPI_EUROMIX: {
-        names: ['cpi euromix', 'cpi euro mix', 'cpi euix'],
-        docketPattern: /Order\s*No\.?\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'docketNumber'
-    },
-    ECOCEM: {
-        names: ['ecocem'],
-        docketPattern: /Dkt\s*No\.?\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'docketNumber'
-    },
-    TARMAC: {
-        names: ['tarmac'],
-        docketPattern: /(?:Docket|Docket\s*No\.?|Ref\.?)\s*[:.]?\s*([A-Z0-9-]+)/i,
-        shipmentPattern: /(?:Shipment|No\.?|Number)\s*[:.]?\s*([A-Z0-9-]+)/i,
-        barcodePattern: /\b([0-9]{13})\b/,
-        field: 'docketNumber'
-    },
-    HEIDELBERG: {
-        names: ['heidelberg'],
-        docketPattern: /(?:Ticket|Conveyance)\s*(?:No\.?|Number|#)?\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'ticketNumber'
-    },
-    CEMEX: {
-        names: ['cemex'],
-        docketPattern: /(?:Delivery\s*Receipt|Docket|Reference)\s*(?:No\.?|Number|#)?\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'deliveryReceipt'
-    },
-    MASAVEU: {
-        names: ['masaveu'],
-        docketPattern: /(?:Delivery\s*Ticket|Ticket)\s*(?:No\.?|Number|#)?\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'deliveryTicket'
-    },
-    SMARTFLOW: {
-        names: ['smartflow'],
-        docketPattern: /(?:Delivery\s*Reference|Ref\.?)\s*[:.]?\s*([A-Z0-9-]+)/i,
-        field: 'deliveryReference'
-    }
+const supplierTemplates = require('./supplierTemplates');
+
+// Supplier-specific patterns live in config/suppliers/*.json (see supplierTemplates.js)
+
+// Confidence for a value captured by a supplier template pattern
+const TEMPLATE_CONFIDENCE = {
+    docket: 0.95,
+    barcode: 0.95,
+    default: 0.9
 };
 
 // UK Vehicle Registration patterns (current and new formats)
@@ -70,8 +42,11 @@ const JOB_REF_PATTERNS = [
  * Initialize the extractor module
  * @param {Object} config - Configuration options
  */
-function init(config) {
-    // Placeholder for any initialization (e.g., loading custom patterns)
+function init(config = {}) {
+    supplierTemplates.load();
+    if (config.watch !== false) {
+        supplierTemplates.watch();
+    }
     return true;
 }
 
@@ -79,6 +54,7 @@ function init(config) {
  * Extract structured fields from OCR text
  * @param {string} text - Raw OCR text
  * @param {Object} options - Extraction options
+ * @param {Array<Object>} options.templates - Compiled supplier templates to use instead of the loaded set
  * @returns {Object} Extracted fields with confidence score
  */
 function extract(text, options = {}) {
@@ -86,6 +62,8 @@ function extract(text, options = {}) {
         return createEmptyResult();
     }
 
+    const templates = options.templates || supplierTemplates.getAll();
+
     const result = {
         supplier: null,
         supplierConfidence: 0,
@@ -97,33 +75,36 @@ function extract(text, options = {}) {
         dateConfidence: 0,
         shipmentNumber: null,
         shipmentNumberConfidence: 0,
+        supplierFields: {},
         confidence: 0,
         rawText: text,
         extractedAt: new Date().toISOString()
     };
 
     // Extract supplier
-    const supplierResult = extractSupplier(text);
+    const supplierResult = extractSupplier(text, templates);
+    const template = supplierResult.template;
     result.supplier = supplierResult.supplier;
     result.supplierConfidence = supplierResult.confidence;
+    result.supplierFields = captureTemplateFields(text, template);
 
     // Extract job reference
-    const jobRefResult = extractJobRef(text, result.supplier);
+    const jobRefResult = extractJobRef(text, template);
     result.jobRef = jobRefResult.value;
     result.jobRefConfidence = jobRefResult.confidence;
 
     // Extract vehicle registration
-    const vehicleRegResult = extractVehicleReg(text);
+    const vehicleRegResult = templateField(text, template, 'vehicleReg') || extractVehicleReg(text);
     result.vehicleReg = vehicleRegResult.value;
     result.vehicleRegConfidence = vehicleRegResult.confidence;
 
     // Extract date
-    const dateResult = extractDate(text);
+    const dateResult = extractDate(text, template);
     result.date = dateResult.value;
     result.dateConfidence = dateResult.confidence;
 
-    // Extract shipment number (especially for Tarmac)
-    const shipmentResult = extractShipmentNumber(text, result.supplier);
+    // Extract shipment number (e.g. Tarmac shipment / barcode)
+    const shipmentResult = extractShipmentNumber(text, template);
     result.shipmentNumber = shipmentResult.value;
     result.shipmentNumberConfidence = shipmentResult.confidence;
 
@@ -134,46 +115,69 @@ function extract(text, options = {}) {
 }
 
 /**
- * Extract supplier from text
+ * Extract supplier from text by template aliases (templates are in priority order)
  */
-function extractSupplier(text) {
+function extractSupplier(text, templates) {
     const lowerText = text.toLowerCase();
 
-    for (const [supplierKey, supplierInfo] of Object.entries(SUPPLIERS)) {
-        for (const name of supplierInfo.names) {
-            if (lowerText.includes(name)) {
+    for (const template of templates) {
+        for (const alias of template.aliases) {
+            if (lowerText.includes(alias)) {
                 return {
-                    supplier: supplierKey,
-                    confidence: 0.9
+                    supplier: template.key,
+                    confidence: 0.9,
+                    template
                 };
             }
         }
     }
 
-    // Check for Cemex brand anywhere (per Python implementation)
-    if (lowerText.includes('cemex')) {
-        return {
-            supplier: 'CEMEX',
-            confidence: 1.0  // Cemex detection is definitive
-        };
+    return { supplier: null, confidence: 0, template: null };
+}
+
+/**
+ * First value captured by a template pattern mapped onto an output field
+ * @returns {Object|null} { value, confidence, pattern } or null
+ */
+function templateField(text, template, field) {
+    if (!template) return null;
+
+    for (const mapping of template.mappings) {
+        if (mapping.field !== field) continue;
+        const match = text.match(template.regexes[mapping.pattern]);
+        if (match && match[1]) {
+            return {
+                value: match[1],
+                confidence: TEMPLATE_CONFIDENCE[mapping.pattern] || TEMPLATE_CONFIDENCE.default,
+                pattern: mapping.pattern
+            };
+        }
     }
+    return null;
+}
 
-    return { supplier: null, confidence: 0 };
+/**
+ * Every template pattern's captured value, keyed by pattern name
+ */
+function captureTemplateFields(text, template) {
+    const fields = {};
+    if (!template) return fields;
+
+    for (const [name, regex] of Object.entries(template.regexes)) {
+        const match = text.match(regex);
+        if (match && match[1]) fields[name] = match[1];
+    }
+    return fields;
 }
 
 /**
  * Extract job reference based on supplier patterns
  */
-function extractJobRef(text, supplier) {
-    const lowerText = text.toLowerCase();
-
+function extractJobRef(text, template) {
     // Try supplier-specific pattern first
-    if (supplier && SUPPLIERS[supplier]) {
-        const pattern = SUPPLIERS[supplier].docketPattern;
-        const match = text.match(pattern);
-        if (match) {
-            return { value: match[1], confidence: 0.95 };
-        }
+    const supplierMatch = templateField(text, template, 'jobRef');
+    if (supplierMatch) {
+        return { value: supplierMatch.value, confidence: supplierMatch.confidence };
     }
 
     // Try generic job reference patterns
@@ -224,9 +228,20 @@ function isValidVehicleReg(reg) {
 }
 
 /**
- * Extract date from text
+ * Extract date from text, trying the supplier's date formats first
  */
-function extractDate(text) {
+function extractDate(text, template = null) {
+    const mapped = templateField(text, template, 'date');
+    if (mapped) {
+        const parsed = extractDate(mapped.value);
+        if (parsed.value) return { value: parsed.value, confidence: mapped.confidence };
+    }
+
+    for (const matcher of template ? template.dateMatchers : []) {
+        const value = supplierTemplates.matchDate(text, matcher);
+        if (value) return { value, confidence: 0.95 };
+    }
+
     // Try DD.MM.YY or DD/MM/YYYY first
     let match = text.match(DATE_PATTERNS[0]);
     if (match) {
@@ -272,24 +287,13 @@ function parseMonth(monthStr) {
 }
 
 /**
- * Extract shipment number (especially for Tarmac)
+ * Extract shipment number from the supplier's mapped patterns (e.g. Tarmac shipment / barcode)
  */
-function extractShipmentNumber(text, supplier) {
-    // Tarmac specific: look for Shipment number
-    if (supplier === 'TARMAC') {
-        const pattern = /(?:Shipment|No\.?|Number)\s*[:.]?\s*([A-Z0-9-]+)/i;
-        const match = text.match(pattern);
-        if (match) {
-            return { value: match[1], confidence: 0.9 };
-        }
-
-        // Try barcode pattern for Tarmac (13-digit)
-        const barcodeMatch = text.match(/\b([0-9]{13})\b/);
-        if (barcodeMatch) {
-            return { value: barcodeMatch[1], confidence: 0.95 };
-        }
+function extractShipmentNumber(text, template) {
+    const mapped = templateField(text, template, 'shipmentNumber');
+    if (mapped) {
+        return { value: mapped.value, confidence: mapped.confidence };
     }
-
     return { value: null, confidence: 0 };
 }
 
@@ -351,6 +355,7 @@ function createEmptyResult() {
         dateConfidence: 0,
         shipmentNumber: null,
         shipmentNumberConfidence: 0,
+        supplierFields: {},
         confidence: 0,
         rawText: null,
         extractedAt: new Date().toISOString()
@@ -397,13 +402,45 @@ function extractBatch(texts) {
     return texts.map(text => extract(text));
 }
 
+/**
+ * Run a single supplier template against sample OCR text (template authoring aid)
+ * @param {Object} template - Raw template definition
+ * @param {string} text - Sample OCR text
+ * @returns {Object} { valid, errors, supplierDetected, fields, captures }
+ */
+function testTemplate(template, text) {
+    const { valid, errors } = supplierTemplates.validateTemplate(template);
+    if (!valid) {
+        return { valid, errors };
+    }
+
+    const compiled = supplierTemplates.compileTemplate(template);
+    const result = extract(text, { templates: [compiled] });
+
+    return {
+        valid: true,
+        errors: [],
+        supplierDetected: result.supplier === compiled.key,
+        fields: {
+            supplier: result.supplier,
+            jobRef: result.jobRef,
+            vehicleReg: result.vehicleReg,
+            date: result.date,
+            shipmentNumber: result.shipmentNumber,
+            confidence: result.confidence
+        },
+        captures: captureTemplateFields(text || '', compiled)
+    };
+}
+
 module.exports = {
     init,
     extract,
     extractBatch,
+    testTemplate,
+    extractDate,
     getQualityScore,
     // Export patterns for testing
-    SUPPLIERS,
     VEHICLE_REG_PATTERNS,
     DATE_PATTERNS,
     JOB_REF_PATTERNS
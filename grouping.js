@@ -0,0 +1,295 @@
+/**
+ * POD Grouping Module
+ * Assembles consecutive media from the same chat into one multi-page POD document.
+ *
+ * Drivers often photograph a docket as several images sent back to back. Pages are
+ * held per chat until no new page has arrived within the grouping window, then the
+ * whole group is handed to the flush handler as one document with ordered pages.
+ *
+ * A page joins the open group for its chat when:
+ *   - it has the same caption as the group (within the caption window), or
+ *   - either side is uncaptioned and it arrives within the time window
+ * A page with a different caption always starts a new document.
+ *
+ * Pages waiting in a group are persisted with status GROUPING, so groups that were
+ * still open when the service stopped can be rebuilt with recover().
+ */
+
+const CONFIG = {
+    enabled: process.env.POD_GROUPING_ENABLED !== 'false',
+    windowMs: parseInt(process.env.POD_GROUP_WINDOW_MS) || 60 * 1000,
+    captionWindowMs: parseInt(process.env.POD_GROUP_CAPTION_WINDOW_MS) || 5 * 60 * 1000,
+    maxPages: parseInt(process.env.POD_GROUP_MAX_PAGES) || 10
+};
+
+// Open groups keyed by chat ID
+const openGroups = new Map();
+let flushHandler = null;
+
+/**
+ * Normalise a caption for comparison (case and whitespace insensitive)
+ * @param {string} caption - Raw message caption
+ * @returns {string|null} Normalised caption or null when empty
+ */
+function normaliseCaption(caption) {
+    if (!caption || typeof caption !== 'string') return null;
+    const normalised = caption.trim().replace(/\s+/g, ' ').toLowerCase();
+    return normalised || null;
+}
+
+function toTime(value) {
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Decide whether a page belongs to an open group
+ * @param {Object} group - { caption, lastReceivedAt, pages }
+ * @param {Object} page - { caption, receivedAt }
+ * @param {Object} config - Grouping config (defaults to module CONFIG)
+ * @returns {boolean}
+ */
+function shouldJoin(group, page, config = CONFIG) {
+    if (!group || group.pages.length >= config.maxPages) return false;
+
+    const gap = toTime(page.receivedAt) - toTime(group.lastReceivedAt);
+    if (gap < 0) return true;
+
+    const pageCaption = normaliseCaption(page.caption);
+    if (pageCaption && group.caption) {
+        return pageCaption === group.caption && gap <= config.captionWindowMs;
+    }
+
+    return gap <= config.windowMs;
+}
+
+function createGroup(chatId, page) {
+    return {
+        chatId,
+        caption: normaliseCaption(page.caption),
+        firstReceivedAt: page.receivedAt,
+        lastReceivedAt: page.receivedAt,
+        pages: [page],
+        timer: null
+    };
+}
+
+/**
+ * Insert a page in received order. Classification can finish out of order, so a
+ * page received before the group's latest page is slotted in rather than appended.
+ * @returns {number} The page's 1-based position in the group
+ */
+function appendPage(group, page) {
+    const receivedAt = toTime(page.receivedAt);
+    let index = group.pages.length;
+    while (index > 0 && toTime(group.pages[index - 1].receivedAt) > receivedAt) {
+        index--;
+    }
+    group.pages.splice(index, 0, page);
+
+    if (receivedAt > toTime(group.lastReceivedAt)) group.lastReceivedAt = page.receivedAt;
+    if (receivedAt < toTime(group.firstReceivedAt)) group.firstReceivedAt = page.receivedAt;
+    if (!group.caption) {
+        group.caption = normaliseCaption(page.caption);
+    }
+    return index + 1;
+}
+
+/**
+ * Split a list of pages into documents using the same rules as live grouping
+ * @param {Array<Object>} pages - { chatId, attachmentId, caption, receivedAt }
+ * @param {Object} config - Grouping config (defaults to module CONFIG)
+ * @returns {Array<Object>} Groups of { chatId, caption, pages }
+ */
+function groupPages(pages, config = CONFIG) {
+    const sorted = [...pages].sort((a, b) => toTime(a.receivedAt) - toTime(b.receivedAt));
+    const current = new Map();
+    const groups = [];
+
+    for (const page of sorted) {
+        const group = current.get(page.chatId);
+        if (group && shouldJoin(group, page, config)) {
+            appendPage(group, page);
+        } else {
+            const next = createGroup(page.chatId, page);
+            current.set(page.chatId, next);
+            groups.push(next);
+        }
+    }
+
+    return groups.map(({ chatId, caption, pages: groupPages }) => ({ chatId, caption, pages: groupPages }));
+}
+
+/**
+ * Register the function that processes a completed document
+ * @param {Function} handler - async ({ chatId, caption, pages }) => void
+ */
+function setFlushHandler(handler) {
+    flushHandler = handler;
+}
+
+function scheduleFlush(group) {
+    if (group.timer) clearTimeout(group.timer);
+    const delay = group.caption ? Math.max(CONFIG.windowMs, CONFIG.captionWindowMs) : CONFIG.windowMs;
+    group.timer = setTimeout(() => {
+        flushGroup(group.chatId).catch(error => {
+            console.error(`[Grouping] Flush failed for ${group.chatId}:`, error.message);
+        });
+    }, delay);
+    if (group.timer.unref) group.timer.unref();
+}
+
+async function runHandler(group) {
+    if (!flushHandler) {
+        console.warn('[Grouping] No flush handler registered - dropping group for', group.chatId);
+        return;
+    }
+    await flushHandler({ chatId: group.chatId, caption: group.caption, pages: group.pages });
+}
+
+/**
+ * Add a page to its chat's open group, flushing the previous group if it doesn't fit
+ * @param {Object} page - { chatId, attachmentId, caption, receivedAt }
+ * @returns {Promise<Object>} { pageNumber, pageCount }
+ */
+async function addPage(page) {
+    if (!CONFIG.enabled) {
+        await runHandler(createGroup(page.chatId, page));
+        return { pageNumber: 1, pageCount: 1 };
+    }
+
+    let group = openGroups.get(page.chatId);
+
+    if (group && !shouldJoin(group, page)) {
+        await flushGroup(page.chatId);
+        group = null;
+    }
+
+    let pageNumber = 1;
+    if (group) {
+        pageNumber = appendPage(group, page);
+    } else {
+        group = createGroup(page.chatId, page);
+        openGroups.set(page.chatId, group);
+    }
+
+    if (group.pages.length >= CONFIG.maxPages) {
+        const pageCount = group.pages.length;
+        await flushGroup(page.chatId);
+        return { pageNumber, pageCount };
+    }
+
+    scheduleFlush(group);
+    console.log(`[Grouping] ${page.chatId}: page ${pageNumber} of ${group.pages.length} held for grouping`);
+    return { pageNumber, pageCount: group.pages.length };
+}
+
+/**
+ * Close the open group for a chat and process it
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<boolean>} True if a group was flushed
+ */
+async function flushGroup(chatId) {
+    const group = openGroups.get(chatId);
+    if (!group) return false;
+
+    openGroups.delete(chatId);
+    if (group.timer) clearTimeout(group.timer);
+
+    console.log(`[Grouping] ${chatId}: flushing document with ${group.pages.length} page(s)`);
+    await runHandler(group);
+    return true;
+}
+
+/**
+ * Flush every open group (used on demand and in tests)
+ */
+async function flushAll() {
+    for (const chatId of [...openGroups.keys()]) {
+        await flushGroup(chatId);
+    }
+}
+
+/**
+ * Check whether a chat currently has pages waiting to be grouped
+ */
+function hasOpenGroup(chatId) {
+    return openGroups.has(chatId);
+}
+
+/**
+ * Check whether an attachment is already held in an open group
+ */
+function isHeld(attachmentId) {
+    for (const group of openGroups.values()) {
+        if (group.pages.some(page => page.attachmentId === attachmentId)) return true;
+    }
+    return false;
+}
+
+/**
+ * Rebuild and process groups for pages left in GROUPING after a restart.
+ * Pages already held in a live group (classify jobs resumed at startup add them
+ * straight away) are left to that group so they are not processed twice.
+ * @param {Array<Object>} pages - { chatId, attachmentId, caption, receivedAt }
+ * @returns {Promise<number>} Number of documents processed
+ */
+async function recover(pages) {
+    pages = pages.filter(page => !isHeld(page.attachmentId));
+    const groups = groupPages(pages);
+    for (const group of groups) {
+        try {
+            await runHandler(group);
+        } catch (error) {
+            console.error(`[Grouping] Recovery failed for ${group.chatId}:`, error.message);
+        }
+    }
+    if (groups.length > 0) {
+        console.log(`[Grouping] Recovered ${pages.length} page(s) into ${groups.length} document(s)`);
+    }
+    return groups.length;
+}
+
+/**
+ * Stop all flush timers without processing (groups stay in GROUPING for recovery)
+ */
+function stop() {
+    for (const group of openGroups.values()) {
+        if (group.timer) clearTimeout(group.timer);
+    }
+    openGroups.clear();
+}
+
+/**
+ * Get grouping status
+ */
+function getStatus() {
+    return {
+        enabled: CONFIG.enabled,
+        windowMs: CONFIG.windowMs,
+        captionWindowMs: CONFIG.captionWindowMs,
+        maxPages: CONFIG.maxPages,
+        openGroups: [...openGroups.values()].map(group => ({
+            chatId: group.chatId,
+            caption: group.caption,
+            pages: group.pages.length,
+            firstReceivedAt: group.firstReceivedAt,
+            lastReceivedAt: group.lastReceivedAt
+        }))
+    };
+}
+
+module.exports = {
+    CONFIG,
+    normaliseCaption,
+    shouldJoin,
+    groupPages,
+    setFlushHandler,
+    addPage,
+    flushGroup,
+    flushAll,
+    hasOpenGroup,
+    isHeld,
+    recover,
+    stop,
+    getStatus
+};
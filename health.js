@@ -8,6 +8,7 @@
  */
 
 const db = require('./db');
+const smtpRelays = require('./smtpRelays');
 const fs = require('fs');
 const path = require('path');
 
@@ -120,6 +121,46 @@ function checkQueues() {
     }
 }
 
+/**
+ * Check SMTP relays (state from smtpRelays.js health checks and sends)
+ * Degraded when failed over to a secondary relay or when every relay is down;
+ * email retries from the queue, so it does not make the service unhealthy.
+ */
+function checkEmailRelays() {
+    try {
+        const status = smtpRelays.getStatus();
+        if (!status.configured) {
+            return { status: 'healthy', message: 'No SMTP relays configured - emails are simulated' };
+        }
+
+        const down = status.relays.filter(relay => !relay.healthy);
+        let message = `Sending via ${status.active}`;
+        if (status.allDown) {
+            message = 'All SMTP relays down';
+        } else if (status.failedOver) {
+            message = `Failed over to ${status.active}`;
+        }
+
+        return {
+            status: down.length > 0 ? 'degraded' : 'healthy',
+            message,
+            details: {
+                active: status.allDown ? null : status.active,
+                relays: status.relays.map(relay => ({
+                    name: relay.name,
+                    host: relay.host,
+                    healthy: relay.healthy,
+                    downSince: relay.downSince,
+                    lastCheck: relay.lastCheck,
+                    lastError: relay.lastError
+                }))
+            }
+        };
+    } catch (error) {
+        return { status: 'unhealthy', message: error.message };
+    }
+}
+
 /**
  * Check recent error rates (last 5 minutes)
  */
@@ -215,6 +256,7 @@ function runDeepCheck() {
         database: checkDatabase(),
         storage: checkStorage(),
         queues: checkQueues(),
+        emailRelays: checkEmailRelays(),
         errorRate: checkErrorRate(),
         memory: checkMemory()
     };
@@ -360,6 +402,7 @@ module.exports = {
     checkDatabase,
     checkStorage,
     checkQueues,
+    checkEmailRelays,
     checkErrorRate,
     checkMemory,
     checkLegalHolds,
@@ -0,0 +1,656 @@
+/**
+ * Jobs Reference Data
+ * The jobs table that match.js matches POD fields against, kept up to date by
+ * CSV/JSON imports instead of a file loaded at startup.
+ *
+ * - Imports upsert by job ref (normalised, so "TM-100245" and "tm 100245" are
+ *   the same job) and return a validation report: rejected rows with the reason,
+ *   warnings for rows that were imported anyway
+ * - Closed/cancelled jobs stay matchable (PODs arrive after a job is closed)
+ *   until they are older than the retention period, then expireClosedJobs removes them
+ * - Candidate lookups use the indexed normalised keys, falling back to a
+ *   date-bounded pool for fuzzy matching
+ */
+
+const { getDb } = require('./db');
+const { normalizeKey, parseVehicleReg } = require('./lib/matching');
+const { generateUUID } = require('./models');
+
+const CONFIG = {
+    closedRetentionDays: parseInt(process.env.JOBS_CLOSED_RETENTION_DAYS) || 30,
+    maxImportRows: parseInt(process.env.JOBS_IMPORT_MAX_ROWS) || 50000,
+    // Fuzzy matching pool: jobs dated within this many days of the POD date
+    matchWindowDays: parseInt(process.env.JOBS_MATCH_WINDOW_DAYS) || 14,
+    matchPoolLimit: parseInt(process.env.JOBS_MATCH_POOL_LIMIT) || 2000,
+    // A sender's usual jobs: vehicles/customers of their PODs sent in this period
+    senderHistoryDays: parseInt(process.env.JOBS_SENDER_HISTORY_DAYS) || 90
+};
+
+const STATUSES = ['OPEN', 'IN_PROGRESS', 'DELIVERED', 'CLOSED', 'CANCELLED'];
+const CLOSED_STATUSES = ['CLOSED', 'CANCELLED'];
+
+const STATUS_ALIASES = {
+    ACTIVE: 'OPEN',
+    PENDING: 'OPEN',
+    SCHEDULED: 'OPEN',
+    INPROGRESS: 'IN_PROGRESS',
+    COMPLETE: 'CLOSED',
+    COMPLETED: 'CLOSED',
+    CANCELED: 'CANCELLED'
+};
+
+// Import column/key names (normalised) -> job field
+const FIELD_ALIASES = {
+    id: 'id',
+    jobid: 'id',
+    jobref: 'jobRef',
+    ref: 'jobRef',
+    jobreference: 'jobRef',
+    jobno: 'jobRef',
+    jobnumber: 'jobRef',
+    vehiclereg: 'vehicleReg',
+    vehicle: 'vehicleReg',
+    reg: 'vehicleReg',
+    registration: 'vehicleReg',
+    vehicleregistration: 'vehicleReg',
+    customer: 'customer',
+    customername: 'customer',
+    supplier: 'supplier',
+    site: 'site',
+    deliverysite: 'site',
+    driverphone: 'driverPhone',
+    drivermobile: 'driverPhone',
+    phone: 'driverPhone',
+    date: 'jobDate',
+    jobdate: 'jobDate',
+    deliverydate: 'jobDate',
+    status: 'status',
+    closedat: 'closedAt',
+    closeddate: 'closedAt',
+    completedat: 'closedAt'
+};
+
+// Columns compared to decide whether an import row changes a stored job
+const STORED_COLUMNS = ['job_ref', 'vehicle_reg', 'customer', 'supplier', 'site', 'driver_phone', 'job_date', 'status', 'closed_at', 'data'];
+
+// Issues listed in a report (counts are always complete)
+const REPORT_ISSUE_LIMIT = 200;
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) throw new Error('Unterminated quoted field');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse an import payload into raw records
+ * @param {string|Object|Array} input - CSV text, JSON text, an array of jobs or { jobs: [...] }
+ * @param {string} format - 'csv' | 'json'
+ * @returns {Array<Object>} [{ row, raw }] - row is the CSV line number or 1-based JSON position
+ */
+function parseInput(input, format) {
+    if (format === 'csv') {
+        const [header, ...lines] = parseCsv(input || '');
+        if (!header) throw new Error('CSV is empty');
+        return lines.map((cells, index) => ({
+            row: index + 2,
+            raw: Object.fromEntries(header.map((name, column) => [name.trim(), cells[column]]))
+        }));
+    }
+
+    if (format === 'json') {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        const list = Array.isArray(data) ? data : data?.jobs;
+        if (!Array.isArray(list)) throw new Error('JSON must be an array of jobs or { "jobs": [...] }');
+        return list.map((raw, index) => ({ row: index + 1, raw }));
+    }
+
+    throw new Error(`Unknown import format: ${format} (expected csv or json)`);
+}
+
+/**
+ * Parse a date to YYYY-MM-DD (accepts ISO and UK DD/MM/YYYY)
+ * @returns {string|null} null when not a valid date
+ */
+function parseDate(value) {
+    const text = String(value).trim();
+    let year, month, day;
+
+    let parts = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+    if (parts) {
+        [, year, month, day] = parts;
+    } else {
+        parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+        if (!parts) return null;
+        [, day, month, year] = parts;
+        if (year.length === 2) year = `20${year}`;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalise a phone number to international digits (UK numbers starting 0 -> 44)
+ */
+function normalisePhone(value) {
+    if (isBlank(value)) return null;
+    const digits = String(value).replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.startsWith('0') && !digits.startsWith('00') ? `44${digits.slice(1)}` : digits.replace(/^00/, '');
+}
+
+/**
+ * Validate one import record and map it to table columns
+ * @returns {Object} { job, errors, warnings } - job is null when the record is rejected
+ */
+function normaliseRecord(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { job: null, errors: ['Record is not an object'], warnings };
+    }
+
+    const fields = {};
+    const extra = {};
+    for (const [key, value] of Object.entries(raw)) {
+        const field = FIELD_ALIASES[normalizeKey(key)];
+        if (field && fields[field] === undefined) {
+            fields[field] = isBlank(value) ? null : String(value).trim();
+        } else if (!isBlank(value)) {
+            extra[key] = value;
+        }
+    }
+
+    const jobRefKey = normalizeKey(fields.jobRef || '');
+    if (!jobRefKey) errors.push('jobRef is required');
+
+    let vehicleReg = null;
+    if (fields.vehicleReg) {
+        vehicleReg = parseVehicleReg(fields.vehicleReg);
+        if (!vehicleReg) {
+            vehicleReg = fields.vehicleReg.toUpperCase().replace(/\s+/g, '');
+            warnings.push(`vehicleReg "${fields.vehicleReg}" is not a recognised UK registration`);
+        }
+    }
+
+    let jobDate = null;
+    if (fields.jobDate) {
+        jobDate = parseDate(fields.jobDate);
+        if (!jobDate) errors.push(`date "${fields.jobDate}" is not a valid date`);
+    }
+
+    let status = 'OPEN';
+    if (fields.status) {
+        const key = fields.status.toUpperCase().replace(/[\s-]+/g, '_');
+        status = STATUS_ALIASES[key.replace(/_/g, '')] || key;
+        if (!STATUSES.includes(status)) {
+            errors.push(`status "${fields.status}" must be one of ${STATUSES.join(', ')}`);
+        }
+    }
+
+    let closedAt = null;
+    if (fields.closedAt) {
+        const iso = /^\d{4}-\d{2}-\d{2}/.test(fields.closedAt) ? fields.closedAt : parseDate(fields.closedAt);
+        const parsed = iso ? new Date(iso) : null;
+        if (!parsed || isNaN(parsed.getTime())) {
+            errors.push(`closedAt "${fields.closedAt}" is not a valid date`);
+        } else {
+            closedAt = parsed.toISOString();
+        }
+    }
+    if (closedAt && !CLOSED_STATUSES.includes(status)) {
+        warnings.push(`closedAt ignored for ${status} job`);
+        closedAt = null;
+    }
+
+    if (errors.length > 0) return { job: null, errors, warnings };
+
+    return {
+        job: {
+            id: fields.id || null,
+            job_ref: fields.jobRef,
+            job_ref_key: jobRefKey,
+            vehicle_reg: vehicleReg,
+            vehicle_reg_key: vehicleReg ? normalizeKey(vehicleReg) : null,
+            customer: fields.customer || null,
+            supplier: fields.supplier ? fields.supplier.toUpperCase() : null,
+            site: fields.site || null,
+            driver_phone: normalisePhone(fields.driverPhone),
+            job_date: jobDate,
+            status,
+            closed_at: closedAt,
+            data: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+        },
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Import jobs, upserting by job ref
+ * @param {string|Object|Array} input - CSV text or JSON jobs
+ * @param {Object} options - { format: 'csv'|'json', dryRun, source, actor }
+ * @returns {Object} Validation report:
+ *   { success, importId, format, dryRun, total, inserted, updated, unchanged, rejected, duplicates, errors, warnings }
+ */
+function importJobs(input, options = {}) {
+    const format = (options.format || 'json').toLowerCase();
+    let records;
+    try {
+        records = parseInput(input, format);
+    } catch (error) {
+        return { success: false, error: `Could not parse ${format}: ${error.message}` };
+    }
+
+    if (records.length > CONFIG.maxImportRows) {
+        return { success: false, error: `Import has ${records.length} rows (limit ${CONFIG.maxImportRows})` };
+    }
+
+    const db = getDb();
+    const now = new Date().toISOString();
+    const importId = generateUUID();
+    const report = {
+        success: true,
+        importId,
+        format,
+        dryRun: !!options.dryRun,
+        total: records.length,
+        inserted: 0,
+        updated: 0,
+        unchanged: 0,
+        rejected: 0,
+        duplicates: 0,
+        errors: [],
+        warnings: []
+    };
+    const addIssue = (list, row, jobRef, message) => {
+        if (list.length < REPORT_ISSUE_LIMIT) list.push({ row, jobRef: jobRef || null, message });
+    };
+
+    // Validate everything first; a job ref repeated in the file keeps its last row
+    const valid = new Map();
+    for (const { row, raw } of records) {
+        const { job, errors, warnings } = normaliseRecord(raw);
+        const jobRef = job?.job_ref || raw?.jobRef || raw?.job_ref || null;
+        warnings.forEach(message => addIssue(report.warnings, row, jobRef, message));
+
+        if (!job) {
+            report.rejected++;
+            errors.forEach(message => addIssue(report.errors, row, jobRef, message));
+            continue;
+        }
+        if (valid.has(job.job_ref_key)) {
+            addIssue(report.warnings, row, jobRef, `Duplicate job ref (row ${valid.get(job.job_ref_key).row} superseded)`);
+            report.duplicates++;
+        }
+        valid.set(job.job_ref_key, { row, job });
+    }
+
+    const findExisting = db.prepare('SELECT * FROM jobs WHERE job_ref_key = ?');
+    const idTaken = db.prepare('SELECT 1 FROM jobs WHERE id = ?');
+    const insert = db.prepare(`
+        INSERT INTO jobs
+        (id, job_ref, job_ref_key, vehicle_reg, vehicle_reg_key, customer, supplier, site, driver_phone,
+         job_date, status, closed_at, data, source, import_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const update = db.prepare(`
+        UPDATE jobs SET job_ref = ?, vehicle_reg = ?, vehicle_reg_key = ?, customer = ?, supplier = ?, site = ?,
+            driver_phone = ?, job_date = ?, status = ?, closed_at = ?, data = ?, source = ?, import_id = ?, updated_at = ?
+        WHERE id = ?
+    `);
+
+    const apply = db.transaction(() => {
+        for (const { row, job } of valid.values()) {
+            const existing = findExisting.get(job.job_ref_key);
+            const closing = CLOSED_STATUSES.includes(job.status);
+            // Keep when a job was first seen closed unless the file says otherwise
+            job.closed_at = closing ? (job.closed_at || existing?.closed_at || now) : null;
+
+            if (!existing) {
+                if (job.id && idTaken.get(job.id)) {
+                    addIssue(report.warnings, row, job.job_ref, `id "${job.id}" belongs to another job - new id assigned`);
+                    job.id = null;
+                }
+                report.inserted++;
+                if (!report.dryRun) {
+                    insert.run(
+                        job.id || generateUUID(), job.job_ref, job.job_ref_key, job.vehicle_reg, job.vehicle_reg_key,
+                        job.customer, job.supplier, job.site, job.driver_phone, job.job_date, job.status,
+                        job.closed_at, job.data, options.source || format, importId, now, now
+                    );
+                }
+                continue;
+            }
+
+            if (STORED_COLUMNS.every(column => (existing[column] ?? null) === (job[column] ?? null))) {
+                report.unchanged++;
+                continue;
+            }
+
+            report.updated++;
+            if (!report.dryRun) {
+                update.run(
+                    job.job_ref, job.vehicle_reg, job.vehicle_reg_key, job.customer, job.supplier, job.site,
+                    job.driver_phone, job.job_date, job.status, job.closed_at, job.data,
+                    options.source || format, importId, now, existing.id
+                );
+            }
+        }
+
+        db.prepare(`
+            INSERT INTO job_imports
+            (id, format, source, actor, dry_run, total, inserted, updated, unchanged, rejected, report, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            importId, format, options.source || null, options.actor || 'system', report.dryRun ? 1 : 0,
+            report.total, report.inserted, report.updated, report.unchanged, report.rejected,
+            JSON.stringify({ duplicates: report.duplicates, errors: report.errors, warnings: report.warnings }), now
+        );
+    });
+    apply();
+
+    console.log(`[Jobs] Import ${importId}${report.dryRun ? ' (dry run)' : ''}: ${report.total} rows, ` +
+        `${report.inserted} inserted, ${report.updated} updated, ${report.unchanged} unchanged, ${report.rejected} rejected, ` +
+        `${report.duplicates} duplicates`);
+    return report;
+}
+
+/**
+ * Remove closed/cancelled jobs closed longer ago than the retention period
+ * @param {Object} options - { retentionDays, dryRun }
+ * @returns {Object} { expired, cutoff, dryRun }
+ */
+function expireClosedJobs(options = {}) {
+    const retentionDays = parseInt(options.retentionDays) || CONFIG.closedRetentionDays;
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const placeholders = CLOSED_STATUSES.map(() => '?').join(', ');
+    const where = `status IN (${placeholders}) AND closed_at IS NOT NULL AND closed_at < ?`;
+    const db = getDb();
+
+    const expired = options.dryRun
+        ? db.prepare(`SELECT COUNT(*) AS count FROM jobs WHERE ${where}`).get(...CLOSED_STATUSES, cutoff).count
+        : db.prepare(`DELETE FROM jobs WHERE ${where}`).run(...CLOSED_STATUSES, cutoff).changes;
+
+    if (expired > 0 && !options.dryRun) {
+        console.log(`[Jobs] Expired ${expired} jobs closed before ${cutoff}`);
+    }
+    return { expired, cutoff, dryRun: !!options.dryRun };
+}
+
+// Table row -> job object in the shape match.js expects (import extras first, columns win)
+function toJob(row) {
+    if (!row) return null;
+    let extra = {};
+    try {
+        extra = row.data ? JSON.parse(row.data) : {};
+    } catch (e) {
+        extra = {};
+    }
+    return {
+        ...extra,
+        id: row.id,
+        job_ref: row.job_ref,
+        vehicle_reg: row.vehicle_reg,
+        customer: row.customer,
+        supplier: row.supplier,
+        site: row.site,
+        driver_phone: row.driver_phone,
+        job_date: row.job_date,
+        status: row.status,
+        closed_at: row.closed_at,
+        source: row.source,
+        updated_at: row.updated_at
+    };
+}
+
+function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Jobs to match POD fields against
+ * Exact job ref / vehicle reg hits come straight from the indexes; without one,
+ * a pool of jobs dated around the POD date (or recent/undated) for fuzzy matching.
+ * @param {Object} filters - { jobRef, vehicleReg, date }
+ * @returns {Array<Object>} Jobs
+ */
+function findCandidates(filters = {}) {
+    const db = getDb();
+    const jobRefKey = normalizeKey(filters.jobRef || '');
+    const vehicleRegKey = normalizeKey(filters.vehicleReg || '');
+
+    if (jobRefKey || vehicleRegKey) {
+        const exact = db.prepare(`
+            SELECT * FROM jobs WHERE job_ref_key = ?
+            UNION
+            SELECT * FROM jobs WHERE vehicle_reg_key = ?
+        `).all(jobRefKey || null, vehicleRegKey || null);
+        if (exact.length > 0) return exact.map(toJob);
+    }
+
+    const podDate = filters.date ? parseDate(filters.date) : null;
+    const centre = podDate || new Date().toISOString().slice(0, 10);
+    const from = shiftDate(centre, -CONFIG.matchWindowDays);
+    const to = shiftDate(centre, podDate ? CONFIG.matchWindowDays : 1);
+
+    return db.prepare(`
+        SELECT * FROM jobs
+        WHERE job_date BETWEEN ? AND ?
+        UNION ALL
+        SELECT * FROM jobs WHERE job_date IS NULL
+        ORDER BY updated_at DESC
+        LIMIT ?
+    `).all(from, to, CONFIG.matchPoolLimit).map(toJob);
+}
+
+/**
+ * Open jobs for a driver's phone number, most recent first
+ */
+function findBySender(phone) {
+    const driverPhone = normalisePhone(phone);
+    if (!driverPhone) return [];
+    const placeholders = CLOSED_STATUSES.map(() => '?').join(', ');
+    return getDb().prepare(`
+        SELECT * FROM jobs
+        WHERE driver_phone = ? AND status NOT IN (${placeholders})
+        ORDER BY job_date DESC, updated_at DESC
+        LIMIT 10
+    `).all(driverPhone, ...CLOSED_STATUSES).map(toJob);
+}
+
+/**
+ * Delivered jobs dated within a range (for missing-POD detection)
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ */
+function findDelivered(range = {}) {
+    return getDb().prepare(`
+        SELECT * FROM jobs
+        WHERE status = 'DELIVERED' AND job_date >= ? AND job_date <= ?
+        ORDER BY job_date ASC, job_ref ASC
+    `).all(range.from, range.to).map(toJob);
+}
+
+/**
+ * What a sender usually delivers: their phone plus the vehicles and customers of
+ * jobs their sent (OUT) PODs were matched to recently
+ * @param {string} sender - WhatsApp chat ID or phone number
+ * @returns {Object} { phone, vehicleRegKeys: Set, customers: Set }
+ */
+function getSenderProfile(sender) {
+    const phone = normalisePhone(String(sender || '').replace(/@.*$/, ''));
+    const profile = { phone, vehicleRegKeys: new Set(), customers: new Set() };
+    if (!phone) return profile;
+
+    const since = new Date(Date.now() - CONFIG.senderHistoryDays * 24 * 60 * 60 * 1000)
+        .toISOString().replace('T', ' ').slice(0, 19);
+    getDb().prepare(`
+        SELECT DISTINCT j.vehicle_reg_key, j.customer
+        FROM attachments a
+        JOIN messages m ON m.id = a.message_id
+        JOIN jobs j ON j.id = a.matched_job_id
+        WHERE m.chat_id IN (?, ?) AND a.status = 'OUT' AND a.created_at >= ?
+    `).all(`${phone}@c.us`, String(sender), since).forEach(row => {
+        if (row.vehicle_reg_key) profile.vehicleRegKeys.add(row.vehicle_reg_key);
+        if (row.customer) profile.customers.add(row.customer.toLowerCase());
+    });
+    return profile;
+}
+
+/**
+ * Get a job by job ref (any formatting) or id
+ */
+function getJob(refOrId) {
+    return toJob(getDb().prepare('SELECT * FROM jobs WHERE job_ref_key = ? OR id = ?')
+        .get(normalizeKey(refOrId || ''), refOrId));
+}
+
+/**
+ * List jobs
+ * @param {Object} filter - { q (job ref / vehicle reg / customer), status, limit, offset }
+ */
+function listJobs(filter = {}) {
+    const clauses = [];
+    const params = [];
+    if (filter.status) {
+        clauses.push('status = ?');
+        params.push(String(filter.status).toUpperCase());
+    }
+    if (filter.q) {
+        const key = `%${normalizeKey(filter.q)}%`;
+        clauses.push('(job_ref_key LIKE ? OR vehicle_reg_key LIKE ? OR customer LIKE ?)');
+        params.push(key, key, `%${filter.q}%`);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const db = getDb();
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM jobs ${where}`).get(...params).count;
+    const jobs = db.prepare(`
+        SELECT * FROM jobs ${where}
+        ORDER BY COALESCE(job_date, '') DESC, updated_at DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, parseInt(filter.limit) || 100, parseInt(filter.offset) || 0).map(toJob);
+
+    return { total, jobs };
+}
+
+function toImport(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        format: row.format,
+        source: row.source,
+        actor: row.actor,
+        dryRun: row.dry_run === 1,
+        total: row.total,
+        inserted: row.inserted,
+        updated: row.updated,
+        unchanged: row.unchanged,
+        rejected: row.rejected,
+        ...(row.report ? JSON.parse(row.report) : {}),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Recent import runs (newest first), without the per-row issues
+ */
+function listImports(limit = 20) {
+    return getDb().prepare('SELECT * FROM job_imports ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(parseInt(limit) || 20)
+        .map(row => {
+            const { errors, warnings, ...summary } = toImport(row);
+            return { ...summary, errorCount: errors?.length || 0, warningCount: warnings?.length || 0 };
+        });
+}
+
+/**
+ * One import run with its validation report
+ */
+function getImport(id) {
+    return toImport(getDb().prepare('SELECT * FROM job_imports WHERE id = ?').get(id));
+}
+
+/**
+ * Job counts by status and the last import
+ */
+function getStats() {
+    const db = getDb();
+    const byStatus = {};
+    db.prepare('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status').all()
+        .forEach(row => { byStatus[row.status] = row.count; });
+
+    return {
+        total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+        byStatus,
+        lastImport: listImports(1)[0] || null,
+        closedRetentionDays: CONFIG.closedRetentionDays
+    };
+}
+
+module.exports = {
+    CONFIG,
+    STATUSES,
+    normalisePhone,
+    parseCsv,
+    importJobs,
+    expireClosedJobs,
+    findCandidates,
+    findBySender,
+    findDelivered,
+    getSenderProfile,
+    getJob,
+    listJobs,
+    listImports,
+    getImport,
+    getStats
+};
@@ -1,14 +1,30 @@
 /**
  * Auto-Send Rule Engine
  * Evaluates confidence thresholds to determine if PODs should auto-send or require manual review
+ *
+ * On top of the supplier thresholds, config "rules" can hold a document back
+ * from auto-send using expressions (see lib/expression.js). Rules are checked in
+ * order once the threshold is met; each has an optional "if" scope and either
+ * "require" (must hold) or "block" (must not hold):
+ *
+ *   { "name": "cemex-exact-reg", "if": "supplier == 'CEMEX'",
+ *     "require": "match.regMatch == 'EXACT' && weekday" }
+ *   { "name": "never-acme", "block": "customer == 'ACME'" }
+ *
+ * Rules only ever turn AUTO_SEND into MANUAL_REVIEW. See RULE_FACTS for facts.
  */
 
 const fs = require('fs');
 const path = require('path');
+const expression = require('./expression');
+
+const DEFAULT_CONFIG_PATH = process.env.AUTO_SEND_CONFIG_PATH || path.join(__dirname, '..', 'config', 'auto-send.json');
 
 // Configuration schema
 let config = null;
 let configPath = null;
+// Stored version of the active configuration (see autoSendVersions.js)
+let activeVersion = null;
 
 /**
  * Decision types for auto-send evaluation
@@ -29,9 +45,45 @@ const ReasonCode = {
     NO_MATCH: 'NO_MATCH',
     NO_CLASSIFICATION: 'NO_CLASSIFICATION',
     LOW_CLASSIFICATION: 'LOW_CLASSIFICATION',
+    RULE_BLOCKED: 'RULE_BLOCKED',
     FORCE_OVERRIDE: 'FORCE_OVERRIDE'
 };
 
+/**
+ * Facts available to rule expressions
+ */
+const RULE_FACTS = {
+    supplier: 'Supplier (upper case) from extraction or the match',
+    customer: 'Customer of the matched job',
+    'confidence.classification': 'Classification confidence (0-1)',
+    'confidence.extraction': 'Extraction confidence (0-1)',
+    'confidence.matching': 'Job match confidence (0-1)',
+    'confidence.overall': 'Weighted overall confidence (0-1)',
+    threshold: 'Supplier threshold that applied',
+    fieldConflicts: 'Number of fields the OCR sources disagreed on',
+    'match.found': 'A job was matched',
+    'match.jobRef': 'Matched job reference',
+    'match.type': 'Match type, e.g. EXACT_JOB_REF, FUZZY_VEHICLE_REG, SENDER_MATCH',
+    'match.ambiguous': 'Runner-up candidate was close to the best match',
+    'match.refMatch': 'Job ref comparison: EXACT, FUZZY, DIFFERENT or MISSING',
+    'match.regMatch': 'Vehicle reg comparison: EXACT, FUZZY, DIFFERENT or MISSING',
+    'match.dateDays': 'Days between the POD date and the job date (null when unknown)',
+    'match.dateMatch': 'SAME_DAY, IN_WINDOW, OUT_OF_WINDOW or UNKNOWN',
+    'match.supplierMatch': 'AGREE, DISAGREE or UNKNOWN',
+    'match.senderMatch': 'DRIVER, USUAL_VEHICLE, USUAL_CUSTOMER, NOT_USUAL or UNKNOWN',
+    weekday: 'Decision made Monday-Friday (config timezone)',
+    day: 'Day of the week: MON..SUN',
+    hour: 'Hour of the day, 0-23'
+};
+
+// Compiled rule expressions, by source text
+const compiled = new Map();
+
+function compileExpression(source) {
+    if (!compiled.has(source)) compiled.set(source, expression.compile(source));
+    return compiled.get(source);
+}
+
 /**
  * Load auto-send configuration
  * @param {string} customPath - Optional custom config path
@@ -42,8 +94,7 @@ function loadConfig(customPath = null) {
         return config;
     }
 
-    const configDir = path.dirname(customPath || path.join(__dirname, '..', 'config', 'auto-send.json'));
-    const configFile = customPath || path.join(configDir, 'auto-send.json');
+    const configFile = customPath || DEFAULT_CONFIG_PATH;
 
     try {
         if (fs.existsSync(configFile)) {
@@ -96,31 +147,63 @@ function getDefaultConfig() {
             classification: 0.25,
             extraction: 0.35,
             matching: 0.40
-        }
+        },
+        timezone: 'Europe/London',
+        rules: []
     };
 }
 
+/**
+ * Make a configuration (already validated) the active one
+ * @param {object} newConfig - Configuration object
+ * @param {number|null} version - Stored version number
+ * @returns {object} Active configuration
+ */
+function applyConfig(newConfig, version = null) {
+    config = newConfig;
+    activeVersion = version;
+    return config;
+}
+
+/**
+ * Stored version of the active configuration, recorded on every decision
+ * @returns {number|null} Version number
+ */
+function getActiveVersion() {
+    return activeVersion;
+}
+
+/**
+ * Path of the configuration file
+ * @returns {string} Config file path
+ */
+function getConfigPath() {
+    return configPath || DEFAULT_CONFIG_PATH;
+}
+
 /**
  * Get threshold for a specific supplier
  * @param {string} supplier - Supplier name (case-insensitive)
+ * @param {object} cfg - Configuration (defaults to the active one)
  * @returns {number} Confidence threshold
  */
-function getSupplierThreshold(supplier) {
-    const cfg = loadConfig();
+function getSupplierThreshold(supplier, cfg = loadConfig()) {
     if (!supplier) {
         return cfg.defaultThreshold;
     }
 
     const normalizedSupplier = supplier.toUpperCase();
 
+    const supplierRules = cfg.supplierRules || {};
+
     // Check for exact match
-    if (cfg.supplierRules[normalizedSupplier]) {
-        return cfg.supplierRules[normalizedSupplier].threshold;
+    if (supplierRules[normalizedSupplier]) {
+        return supplierRules[normalizedSupplier].threshold;
     }
 
     // Check for wildcard match
-    if (cfg.supplierRules['*']) {
-        return cfg.supplierRules['*'].threshold;
+    if (supplierRules['*']) {
+        return supplierRules['*'].threshold;
     }
 
     return cfg.defaultThreshold;
@@ -129,10 +212,10 @@ function getSupplierThreshold(supplier) {
 /**
  * Calculate overall confidence from pipeline scores
  * @param {object} scores - Individual confidence scores
+ * @param {object} cfg - Configuration (defaults to the active one)
  * @returns {number} Overall confidence (0-1)
  */
-function calculateOverallConfidence(scores) {
-    const cfg = loadConfig();
+function calculateOverallConfidence(scores, cfg = loadConfig()) {
     const weights = cfg.confidenceWeights;
 
     const classificationScore = scores.classification || scores.classificationConfidence || 0;
@@ -148,14 +231,90 @@ function calculateOverallConfidence(scores) {
     return Math.min(Math.max(overall, 0), 1); // Clamp between 0 and 1
 }
 
+/**
+ * Facts for rule expressions (see RULE_FACTS)
+ * @param {object} input - { attachment, matchResult, scores, overallConfidence, threshold, supplier, now, timezone }
+ * @returns {object} Facts
+ */
+function buildRuleFacts({ attachment = {}, matchResult = {}, scores, overallConfidence, threshold, supplier, now = new Date(), timezone }) {
+    const identity = matchResult.breakdown?.identity || {};
+    const signal = name => (matchResult.breakdown?.signals || []).find(s => s.signal === name) || null;
+    const date = signal('date');
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || 'Europe/London',
+        weekday: 'short',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    const day = parts.weekday.toUpperCase();
+
+    return {
+        supplier: supplier ? supplier.toUpperCase() : null,
+        customer: matchResult.customer || null,
+        confidence: {
+            classification: scores.classification,
+            extraction: scores.extraction,
+            matching: scores.matching,
+            overall: overallConfidence
+        },
+        threshold,
+        fieldConflicts: (attachment.fieldConflicts || []).length,
+        match: {
+            found: !!matchResult.found,
+            jobRef: matchResult.jobRef || null,
+            type: matchResult.matchType || (matchResult.found ? null : 'NO_MATCH'),
+            ambiguous: !!matchResult.ambiguous,
+            refMatch: identity.jobRef?.result || 'MISSING',
+            regMatch: identity.vehicleReg?.result || 'MISSING',
+            dateDays: date?.detail?.days ?? null,
+            dateMatch: date?.result || 'UNKNOWN',
+            supplierMatch: signal('supplier')?.result || 'UNKNOWN',
+            senderMatch: signal('sender')?.result || 'UNKNOWN'
+        },
+        weekday: !['SAT', 'SUN'].includes(day),
+        day,
+        hour: Number(parts.hour)
+    };
+}
+
+/**
+ * First rule that holds the document back from auto-send
+ * @param {Array<object>} rules - Configured rules
+ * @param {object} facts - Rule facts
+ * @returns {object|null} { rule, reason } or null when every rule passes
+ */
+function evaluateRules(rules, facts) {
+    for (const rule of rules || []) {
+        if (rule.enabled === false) continue;
+        try {
+            if (rule.if && !expression.evaluate(compileExpression(rule.if), facts)) continue;
+
+            if (rule.require && !expression.evaluate(compileExpression(rule.require), facts)) {
+                return { rule: rule.name, reason: rule.reason || `requires ${rule.require}` };
+            }
+            if (rule.block && expression.evaluate(compileExpression(rule.block), facts)) {
+                return { rule: rule.name, reason: rule.reason || `blocked by ${rule.block}` };
+            }
+        } catch (error) {
+            // A broken rule holds documents back rather than letting them through
+            return { rule: rule.name, reason: `invalid rule (${error.message})` };
+        }
+    }
+    return null;
+}
+
 /**
  * Evaluate auto-send decision for an attachment
- * @param {object} attachment - Attachment data with confidence scores
- * @param {object} matchResult - Job match result
+ * @param {object} attachment - Attachment data with confidence scores (and optional fieldConflicts)
+ * @param {object} matchResult - Job match result { found, confidence, supplier, customer, jobRef, matchType, breakdown, ambiguous }
+ * @param {object} options - { now } for time-based rules; { config, configVersion } to evaluate
+ *   a configuration other than the active one (backtests)
  * @returns {object} Decision object with type, reason, and next action
  */
-function shouldAutoSend(attachment = {}, matchResult = {}) {
-    const cfg = loadConfig();
+function shouldAutoSend(attachment = {}, matchResult = {}, options = {}) {
+    const cfg = options.config || loadConfig();
+    const version = options.config ? (options.configVersion ?? null) : activeVersion;
 
     // Check if auto-send is enabled
     if (!cfg.enabled) {
@@ -174,18 +333,19 @@ function shouldAutoSend(attachment = {}, matchResult = {}) {
     };
 
     // Calculate overall confidence
-    const overallConfidence = calculateOverallConfidence(scores);
+    const overallConfidence = calculateOverallConfidence(scores, cfg);
 
     // Get supplier-specific threshold
     const supplier = attachment.supplier || matchResult.supplier || null;
-    const threshold = getSupplierThreshold(supplier);
+    const threshold = getSupplierThreshold(supplier, cfg);
 
     // Decision logic
     if (!matchResult.found && cfg.reviewRequired.noMatch) {
         return createDecision(
             DecisionType.MANUAL_REVIEW,
             ReasonCode.NO_MATCH,
-            `No job match found - requires manual review (threshold: ${threshold})`
+            `No job match found - requires manual review (threshold: ${threshold})`,
+            version
         );
     }
 
@@ -193,15 +353,39 @@ function shouldAutoSend(attachment = {}, matchResult = {}) {
         return createDecision(
             DecisionType.MANUAL_REVIEW,
             ReasonCode.LOW_CLASSIFICATION,
-            `Classification confidence too low (${scores.classification.toFixed(2)}) - requires manual review`
+            `Classification confidence too low (${scores.classification.toFixed(2)}) - requires manual review`,
+            version
         );
     }
 
     if (overallConfidence >= threshold) {
+        const blocked = evaluateRules(cfg.rules, buildRuleFacts({
+            attachment,
+            matchResult,
+            scores,
+            overallConfidence,
+            threshold,
+            supplier,
+            now: options.now,
+            timezone: cfg.timezone
+        }));
+        if (blocked) {
+            return {
+                ...createDecision(
+                    DecisionType.MANUAL_REVIEW,
+                    ReasonCode.RULE_BLOCKED,
+                    `Rule ${blocked.rule}: ${blocked.reason} - requires manual review`,
+                    version
+                ),
+                rule: blocked.rule
+            };
+        }
+
         return createDecision(
             DecisionType.AUTO_SEND,
             ReasonCode.HIGH_CONFIDENCE,
-            `Overall confidence ${overallConfidence.toFixed(3)} meets threshold ${threshold} for ${supplier || 'default'}`
+            `Overall confidence ${overallConfidence.toFixed(3)} meets threshold ${threshold} for ${supplier || 'default'}`,
+            version
         );
     }
 
@@ -209,7 +393,8 @@ function shouldAutoSend(attachment = {}, matchResult = {}) {
     return createDecision(
         DecisionType.MANUAL_REVIEW,
         ReasonCode.BELOW_THRESHOLD,
-        `Overall confidence ${overallConfidence.toFixed(3)} below threshold ${threshold} for ${supplier || 'default'}`
+        `Overall confidence ${overallConfidence.toFixed(3)} below threshold ${threshold} for ${supplier || 'default'}`,
+        version
     );
 }
 
@@ -218,14 +403,16 @@ function shouldAutoSend(attachment = {}, matchResult = {}) {
  * @param {string} decisionType - Type of decision
  * @param {string} reasonCode - Reason code
  * @param {string} reason - Human-readable reason
+ * @param {number|null} configVersion - Configuration version that produced it
  * @returns {object} Decision object
  */
-function createDecision(decisionType, reasonCode, reason) {
+function createDecision(decisionType, reasonCode, reason, configVersion = activeVersion) {
     return {
         decision: decisionType,
         reasonCode,
         reason,
         nextAction: getNextAction(decisionType),
+        configVersion,
         timestamp: new Date().toISOString()
     };
 }
@@ -285,7 +472,7 @@ function getConfigSummary() {
     const cfg = loadConfig();
     const thresholds = {};
 
-    for (const [supplier, rule] of Object.entries(cfg.supplierRules)) {
+    for (const [supplier, rule] of Object.entries(cfg.supplierRules || {})) {
         thresholds[supplier] = {
             threshold: rule.threshold,
             isDefault: supplier === '*'
@@ -297,7 +484,10 @@ function getConfigSummary() {
         defaultThreshold: cfg.defaultThreshold,
         supplierThresholds: thresholds,
         confidenceWeights: cfg.confidenceWeights,
-        reviewRequired: cfg.reviewRequired
+        reviewRequired: cfg.reviewRequired,
+        timezone: cfg.timezone || 'Europe/London',
+        rules: cfg.rules || [],
+        configVersion: activeVersion
     };
 }
 
@@ -307,6 +497,7 @@ function getConfigSummary() {
  */
 function reloadConfig() {
     config = null;
+    activeVersion = null;
     return loadConfig();
 }
 
@@ -318,53 +509,115 @@ function reloadConfig() {
 function validateConfig(configPath) {
     try {
         const content = fs.readFileSync(configPath, 'utf-8');
-        const parsed = JSON.parse(content);
+        return validateConfigObject(JSON.parse(content));
+    } catch (error) {
+        return {
+            valid: false,
+            errors: [`Failed to parse config: ${error.message}`]
+        };
+    }
+}
 
-        const errors = [];
+/**
+ * Validate a configuration object
+ * @param {object} parsed - Configuration
+ * @returns {object} Validation result
+ */
+function validateConfigObject(parsed) {
+    const errors = [];
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { valid: false, errors: ['Configuration must be an object'] };
+    }
 
-        if (typeof parsed.enabled !== 'boolean') {
-            errors.push('enabled must be a boolean');
-        }
+    if (typeof parsed.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+    }
 
-        if (typeof parsed.defaultThreshold !== 'number' || parsed.defaultThreshold < 0 || parsed.defaultThreshold > 1) {
-            errors.push('defaultThreshold must be a number between 0 and 1');
-        }
+    if (typeof parsed.defaultThreshold !== 'number' || parsed.defaultThreshold < 0 || parsed.defaultThreshold > 1) {
+        errors.push('defaultThreshold must be a number between 0 and 1');
+    }
 
-        if (parsed.supplierRules) {
-            for (const [supplier, rule] of Object.entries(parsed.supplierRules)) {
-                if (typeof rule.threshold !== 'number' || rule.threshold < 0 || rule.threshold > 1) {
-                    errors.push(`supplierRules.${supplier}.threshold must be a number between 0 and 1`);
-                }
+    if (parsed.supplierRules) {
+        for (const [supplier, rule] of Object.entries(parsed.supplierRules)) {
+            if (typeof rule.threshold !== 'number' || rule.threshold < 0 || rule.threshold > 1) {
+                errors.push(`supplierRules.${supplier}.threshold must be a number between 0 and 1`);
             }
         }
+    }
 
-        if (parsed.confidenceWeights) {
-            const weightTotal = (
-                (parsed.confidenceWeights.classification || 0) +
-                (parsed.confidenceWeights.extraction || 0) +
-                (parsed.confidenceWeights.matching || 0)
-            );
-            if (Math.abs(weightTotal - 1.0) > 0.001) {
-                errors.push(`confidenceWeights must sum to 1.0 (current: ${weightTotal.toFixed(3)})`);
-            }
+    if (parsed.confidenceWeights) {
+        const weightTotal = (
+            (parsed.confidenceWeights.classification || 0) +
+            (parsed.confidenceWeights.extraction || 0) +
+            (parsed.confidenceWeights.matching || 0)
+        );
+        if (Math.abs(weightTotal - 1.0) > 0.001) {
+            errors.push(`confidenceWeights must sum to 1.0 (current: ${weightTotal.toFixed(3)})`);
         }
+    }
 
-        return {
-            valid: errors.length === 0,
-            errors
-        };
-    } catch (error) {
-        return {
-            valid: false,
-            errors: [`Failed to parse config: ${error.message}`]
-        };
+    if (parsed.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: parsed.timezone });
+        } catch (error) {
+            errors.push(`timezone ${parsed.timezone} is not a valid time zone`);
+        }
     }
+
+    errors.push(...validateRules(parsed.rules));
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate rule definitions: names, expressions and the facts they use
+ * @param {Array<object>} rules - Configured rules
+ * @returns {Array<string>} Errors
+ */
+function validateRules(rules) {
+    if (rules === undefined) return [];
+    if (!Array.isArray(rules)) return ['rules must be an array'];
+
+    const errors = [];
+    const names = new Set();
+    rules.forEach((rule, index) => {
+        const label = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!rule.name) errors.push(`${label} needs a name`);
+        else if (names.has(rule.name)) errors.push(`${label} duplicates rule name ${rule.name}`);
+        names.add(rule.name);
+
+        if (!rule.require === !rule.block) errors.push(`${label} needs exactly one of require or block`);
+
+        for (const key of ['if', 'require', 'block']) {
+            if (rule[key] === undefined) continue;
+            try {
+                const unknown = expression.factsUsed(expression.compile(rule[key])).filter(fact => !RULE_FACTS[fact]);
+                if (unknown.length > 0) errors.push(`${label} ${key}: unknown fact(s) ${unknown.join(', ')}`);
+            } catch (error) {
+                errors.push(`${label} ${key}: ${error.message}`);
+            }
+        }
+    });
+    return errors;
 }
 
 module.exports = {
     DecisionType,
     ReasonCode,
+    RULE_FACTS,
     loadConfig,
+    applyConfig,
+    getActiveVersion,
+    getConfigPath,
+    buildRuleFacts,
+    evaluateRules,
     getSupplierThreshold,
     calculateOverallConfidence,
     shouldAutoSend,
@@ -374,5 +627,6 @@ module.exports = {
     getConfigSummary,
     reloadConfig,
     validateConfig,
+    validateConfigObject,
     getDefaultConfig
 };
@@ -26,7 +26,8 @@ class DataPump {
     this.io = null; // Socket.IO instance for broadcasting
     this.broadcastInterval = null;
     this.broadcastMs = 10000; // 10 seconds
-    this.queueStats = {
+    this.pipeline = null; // POD pipeline (lib/pipeline.js) for real queue counts
+    this.emailStats = {
       waiting: 0,
       active: 0,
       completed: 0,
@@ -53,6 +54,10 @@ class DataPump {
     await this.recoverMetricsFromRedis();
   }
 
+  setPipeline(pipeline) {
+    this.pipeline = pipeline;
+  }
+
   setSocketIO(io) {
     this.io = io;
     if (io) {
@@ -210,14 +215,18 @@ class DataPump {
     });
   }
 
-  broadcastQueueStats() {
+  async broadcastQueueStats() {
     if (!this.io) return;
 
-    this.io.emit('whatsapp:queue', {
-      type: 'queue',
-      timestamp: new Date().toISOString(),
-      ...this.queueStats
-    });
+    try {
+      const stats = await this.getQueueStats();
+      this.io.emit('whatsapp:queue', {
+        type: 'queue',
+        ...stats
+      });
+    } catch (err) {
+      console.error('[DATA PUMP] Queue stats error:', err.message);
+    }
   }
 
   calculateSuccessRates() {
@@ -252,12 +261,20 @@ class DataPump {
   }
 
   updateQueueStats(stats) {
-    this.queueStats = { ...this.queueStats, ...stats };
+    this.emailStats = { ...this.emailStats, ...stats };
   }
 
+  // Totals and per-stage counts come from the pipeline's BullMQ queues;
+  // email queue counts are reported separately under `email`
   async getQueueStats() {
+    const empty = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+    const pipelineStats = this.pipeline
+      ? await this.pipeline.getQueueStats()
+      : { mode: 'unavailable', ...empty, deadLetter: 0, stages: {} };
+
     return {
-      ...this.queueStats,
+      ...pipelineStats,
+      email: { ...this.emailStats },
       timestamp: new Date().toISOString()
     };
   }
@@ -269,21 +286,21 @@ class DataPump {
       if (typeof emailQueue.getEventEmitter === 'function') {
         const queueEvents = await emailQueue.getEventEmitter();
         queueEvents.on('waiting', (job) => {
-          this.queueStats.waiting++;
+          this.emailStats.waiting++;
         });
         queueEvents.on('completed', (job) => {
-          this.queueStats.waiting--;
-          this.queueStats.completed++;
+          this.emailStats.waiting--;
+          this.emailStats.completed++;
         });
         queueEvents.on('failed', (job) => {
-          this.queueStats.waiting--;
-          this.queueStats.failed++;
+          this.emailStats.waiting--;
+          this.emailStats.failed++;
         });
         queueEvents.on('active', (job) => {
-          this.queueStats.active++;
+          this.emailStats.active++;
         });
         queueEvents.on('completed', (job) => {
-          this.queueStats.active--;
+          this.emailStats.active--;
         });
         console.log('[DATA PUMP] BullMQ queue monitoring initialized');
         return;
@@ -295,7 +312,7 @@ class DataPump {
           try {
             const stats = emailQueue.getQueueStats();
             // Map email queue stats to our format
-            this.queueStats = {
+            this.emailStats = {
               waiting: stats.PENDING || 0,
               active: stats.SENDING || 0,
               completed: stats.SENT || 0,
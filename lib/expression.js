@@ -0,0 +1,212 @@
+/**
+ * Rule Expressions
+ * A small, safe expression language for config-driven rules (no eval):
+ *
+ *   supplier == 'CEMEX' && match.regMatch == 'EXACT' && weekday
+ *   customer in ['ACME', 'BETA'] || !(confidence.overall >= 0.9)
+ *
+ * Literals: numbers, 'strings' / "strings", true, false, null, [lists].
+ * Identifiers are dotted fact paths; unknown facts evaluate to null.
+ * Operators: == != < <= > >= in, && || ! (also and, or, not), parentheses.
+ * Text comparisons are case-insensitive.
+ */
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} Tokens { type, value, pos }
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const two = source.slice(i, i + 2);
+        if (['==', '!=', '<=', '>=', '&&', '||'].includes(two)) {
+            tokens.push({ type: 'op', value: two, pos: i });
+            i += 2;
+        } else if ('<>!()[],'.includes(char)) {
+            tokens.push({ type: 'op', value: char, pos: i });
+            i++;
+        } else if (char === '\'' || char === '"') {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) throw new Error(`Unterminated string at ${i}`);
+            tokens.push({ type: 'literal', value: source.slice(i + 1, end), pos: i });
+            i = end + 1;
+        } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+            const number = source.slice(i).match(/^-?\d+(\.\d+)?/)[0];
+            tokens.push({ type: 'literal', value: Number(number), pos: i });
+            i += number.length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/)[0];
+            if (KEYWORDS[word]) tokens.push({ type: 'op', value: KEYWORDS[word], pos: i });
+            else if (word === 'in') tokens.push({ type: 'op', value: 'in', pos: i });
+            else if (word in LITERALS) tokens.push({ type: 'literal', value: LITERALS[word], pos: i });
+            else tokens.push({ type: 'fact', value: word, pos: i });
+            i += word.length;
+        } else {
+            throw new Error(`Unexpected "${char}" at ${i}`);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse an expression into a tree
+ * @param {string} source - Expression text
+ * @returns {Object} Parsed expression, for evaluate()
+ * @throws {Error} On a syntax error
+ */
+function compile(source) {
+    if (typeof source !== 'string' || !source.trim()) throw new Error('Expression must be a non-empty string');
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+    const expect = value => {
+        if (!isOp(value)) {
+            const token = peek();
+            throw new Error(token ? `Expected "${value}" at ${token.pos}` : `Expected "${value}" at end`);
+        }
+        index++;
+    };
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isOp('||')) {
+            index++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (isOp('&&')) {
+            index++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (isOp('!')) {
+            index++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const left = parseValue();
+        const token = peek();
+        if (token && token.type === 'op' && ['==', '!=', '<', '<=', '>', '>=', 'in'].includes(token.value)) {
+            index++;
+            return { type: 'compare', operator: token.value, left, right: parseValue() };
+        }
+        return left;
+    }
+
+    function parseValue() {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of expression');
+        index++;
+
+        if (token.type === 'literal') return { type: 'literal', value: token.value };
+        if (token.type === 'fact') return { type: 'fact', path: token.value };
+        if (token.value === '(') {
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        if (token.value === '[') {
+            const items = [];
+            while (!isOp(']')) {
+                items.push(parseValue());
+                if (!isOp(']')) expect(',');
+            }
+            index++;
+            return { type: 'list', items };
+        }
+        throw new Error(`Unexpected "${token.value}" at ${token.pos}`);
+    }
+
+    const tree = parseOr();
+    if (index < tokens.length) throw new Error(`Unexpected "${peek().value}" at ${peek().pos}`);
+    return tree;
+}
+
+/**
+ * Fact paths an expression refers to
+ * @param {Object} tree - Compiled expression
+ * @returns {Array<string>} Fact paths
+ */
+function factsUsed(tree) {
+    switch (tree.type) {
+        case 'fact': return [tree.path];
+        case 'list': return tree.items.flatMap(factsUsed);
+        case 'not': return factsUsed(tree.operand);
+        case 'literal': return [];
+        default: return [...factsUsed(tree.left), ...factsUsed(tree.right)];
+    }
+}
+
+function getFact(facts, factPath) {
+    const value = factPath.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), facts);
+    return value === undefined ? null : value;
+}
+
+function same(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') return a.toUpperCase() === b.toUpperCase();
+    return a === b;
+}
+
+function compare(operator, left, right) {
+    switch (operator) {
+        case '==': return same(left, right);
+        case '!=': return !same(left, right);
+        case 'in': return Array.isArray(right) && right.some(item => same(left, item));
+        default:
+            // Ordering only means something between two numbers
+            if (typeof left !== 'number' || typeof right !== 'number') return false;
+            if (operator === '<') return left < right;
+            if (operator === '<=') return left <= right;
+            if (operator === '>') return left > right;
+            return left >= right;
+    }
+}
+
+/**
+ * Evaluate a compiled expression against facts
+ * @param {Object} tree - Compiled expression
+ * @param {Object} facts - Fact values
+ * @returns {*} Value (boolean for conditions)
+ */
+function evaluate(tree, facts) {
+    switch (tree.type) {
+        case 'literal': return tree.value;
+        case 'fact': return getFact(facts, tree.path);
+        case 'list': return tree.items.map(item => evaluate(item, facts));
+        case 'not': return !evaluate(tree.operand, facts);
+        case 'and': return !!evaluate(tree.left, facts) && !!evaluate(tree.right, facts);
+        case 'or': return !!evaluate(tree.left, facts) || !!evaluate(tree.right, facts);
+        case 'compare': return compare(tree.operator, evaluate(tree.left, facts), evaluate(tree.right, facts));
+        default: throw new Error(`Unknown expression node ${tree.type}`);
+    }
+}
+
+module.exports = {
+    compile,
+    evaluate,
+    factsUsed
+};
@@ -0,0 +1,320 @@
+// lib/hrms-client.js
+// HRMS job API client used by match.js.
+//
+// - Responses are cached per request (HRMS_CACHE_TTL_MS) and identical requests
+//   already in flight share one HTTP call
+// - Job lists are paged (page/page_size) and followed up to HRMS_MAX_PAGES
+// - Every request has a timeout (HRMS_TIMEOUT_MS)
+// - A circuit breaker opens after HRMS_BREAKER_THRESHOLD consecutive failures and
+//   fails fast until HRMS_BREAKER_RESET_MS has passed, then lets one trial request
+//   through (half-open) - success closes it, failure re-opens it
+//
+// Run scripts/hrms-standin.js for a local HRMS serving fixture jobs.
+
+const CIRCUIT = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Recent request durations kept for latency percentiles
+const LATENCY_SAMPLES = 200;
+
+class HrmsError extends Error {
+  constructor(message, code, status = null) {
+    super(message);
+    this.name = 'HrmsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class HrmsClient {
+  constructor() {
+    this.config = {
+      endpoint: process.env.HRMS_API_ENDPOINT || 'http://localhost:8000',
+      token: process.env.HRMS_API_TOKEN || '',
+      timeoutMs: parseInt(process.env.HRMS_TIMEOUT_MS) || 5000,
+      cacheTtlMs: parseInt(process.env.HRMS_CACHE_TTL_MS) || 60000,
+      cacheMaxEntries: parseInt(process.env.HRMS_CACHE_MAX_ENTRIES) || 500,
+      pageSize: parseInt(process.env.HRMS_PAGE_SIZE) || 200,
+      maxPages: parseInt(process.env.HRMS_MAX_PAGES) || 20,
+      breakerThreshold: parseInt(process.env.HRMS_BREAKER_THRESHOLD) || 5,
+      breakerResetMs: parseInt(process.env.HRMS_BREAKER_RESET_MS) || 30000
+    };
+    this.cache = new Map();
+    this.inFlight = new Map();
+    this.breaker = {
+      state: CIRCUIT.CLOSED,
+      failures: 0,
+      openedAt: null,
+      lastFailure: null,
+      trialInFlight: false
+    };
+    this.resetMetrics();
+  }
+
+  /**
+   * Override configuration (endpoint, token, timeoutMs, cacheTtlMs, pageSize, ...)
+   */
+  configure(options = {}) {
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && key in this.config) this.config[key] = value;
+    }
+    this.clearCache();
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      requests: 0,
+      httpRequests: 0,
+      pagesFetched: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      coalesced: 0,
+      failures: 0,
+      timeouts: 0,
+      shortCircuited: 0,
+      lastSuccessAt: null,
+      lastError: null
+    };
+    this.latencies = [];
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Jobs matching filters (all pages)
+   * @param {Object} filters - { jobRef, vehicleReg, date }
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobs(filters = {}) {
+    const query = {};
+    if (filters.jobRef) query.job_ref = filters.jobRef;
+    if (filters.vehicleReg) query.vehicle_reg = filters.vehicleReg;
+    if (filters.date) query.date = filters.date;
+    return this.cached('/api/jobs', query, () => this.fetchAllPages('/api/jobs', query));
+  }
+
+  /**
+   * Current jobs for a driver's phone number
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobsBySender(phone) {
+    const query = { phone };
+    return this.cached('/api/jobs/by-sender', query, async () => {
+      const body = await this.request('/api/jobs/by-sender', query);
+      return Array.isArray(body) ? body : (body.jobs || body.data || []);
+    });
+  }
+
+  /**
+   * Serve from cache, join an identical in-flight request, or load
+   */
+  async cached(path, query, load) {
+    this.metrics.requests++;
+    const key = `${path}?${new URLSearchParams(Object.entries(query).sort()).toString()}`;
+
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.metrics.cacheHits++;
+      return entry.value;
+    }
+    if (this.inFlight.has(key)) {
+      this.metrics.coalesced++;
+      return this.inFlight.get(key);
+    }
+    this.metrics.cacheMisses++;
+
+    const pending = load()
+      .then(value => {
+        this.store(key, value);
+        return value;
+      })
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  store(key, value) {
+    this.cache.delete(key);
+    this.cache.set(key, { value, expiresAt: Date.now() + this.config.cacheTtlMs });
+    // Map keeps insertion order - drop the oldest entries beyond the limit
+    while (this.cache.size > this.config.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Follow pages until the last one (or maxPages)
+   * Accepts a plain array (unpaged) or { jobs|data, page, totalPages|hasMore|next }
+   */
+  async fetchAllPages(path, query) {
+    const jobs = [];
+    for (let page = 1; page <= this.config.maxPages; page++) {
+      const body = await this.request(path, { ...query, page, page_size: this.config.pageSize });
+      if (Array.isArray(body)) return jobs.concat(body);
+
+      const items = body.jobs || body.data || [];
+      jobs.push(...items);
+
+      const hasMore = body.totalPages ? page < body.totalPages : !!(body.hasMore || body.next);
+      if (!hasMore || items.length === 0) return jobs;
+    }
+    console.warn(`[HRMS] ${path} stopped after ${this.config.maxPages} pages`);
+    return jobs;
+  }
+
+  /**
+   * One HTTP request through the circuit breaker, with a timeout
+   */
+  async request(path, query = {}) {
+    this.checkBreaker();
+
+    const url = new URL(path, this.config.endpoint);
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) url.searchParams.append(key, value);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeoutMs);
+    const startTime = Date.now();
+    this.metrics.httpRequests++;
+
+    try {
+      const response = await fetch(url.toString(), {
+        headers: {
+          'Authorization': `Bearer ${this.config.token}`,
+          'Content-Type': 'application/json'
+        },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new HrmsError(`HRMS returned ${response.status}`, 'HTTP_ERROR', response.status);
+      }
+      const body = await response.json();
+
+      this.metrics.pagesFetched++;
+      this.recordSuccess(Date.now() - startTime);
+      return body;
+    } catch (error) {
+      const timedOut = error.name === 'AbortError';
+      const failure = timedOut
+        ? new HrmsError(`HRMS timed out after ${this.config.timeoutMs}ms`, 'TIMEOUT')
+        : error instanceof HrmsError ? error : new HrmsError(error.message, 'NETWORK_ERROR');
+      this.recordFailure(failure, Date.now() - startTime);
+      throw failure;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  checkBreaker() {
+    const breaker = this.breaker;
+    if (breaker.state === CIRCUIT.OPEN && Date.now() - breaker.openedAt >= this.config.breakerResetMs) {
+      breaker.state = CIRCUIT.HALF_OPEN;
+      console.log('[HRMS] Circuit half-open, sending trial request');
+    }
+    if (breaker.state === CIRCUIT.OPEN || (breaker.state === CIRCUIT.HALF_OPEN && breaker.trialInFlight)) {
+      this.metrics.shortCircuited++;
+      throw new HrmsError('HRMS circuit open', 'CIRCUIT_OPEN');
+    }
+    if (breaker.state === CIRCUIT.HALF_OPEN) breaker.trialInFlight = true;
+  }
+
+  recordSuccess(duration) {
+    this.recordLatency(duration);
+    this.metrics.lastSuccessAt = new Date().toISOString();
+    if (this.breaker.state !== CIRCUIT.CLOSED) {
+      console.log('[HRMS] Circuit closed');
+    }
+    this.breaker.state = CIRCUIT.CLOSED;
+    this.breaker.failures = 0;
+    this.breaker.openedAt = null;
+    this.breaker.trialInFlight = false;
+  }
+
+  recordFailure(error, duration) {
+    this.recordLatency(duration);
+    this.metrics.failures++;
+    if (error.code === 'TIMEOUT') this.metrics.timeouts++;
+    this.metrics.lastError = { message: error.message, code: error.code, at: new Date().toISOString() };
+
+    const breaker = this.breaker;
+    breaker.failures++;
+    breaker.lastFailure = this.metrics.lastError;
+    breaker.trialInFlight = false;
+    if (breaker.state === CIRCUIT.HALF_OPEN || breaker.failures >= this.config.breakerThreshold) {
+      if (breaker.state !== CIRCUIT.OPEN) {
+        console.warn(`[HRMS] Circuit open after ${breaker.failures} failure(s): ${error.message}`);
+      }
+      breaker.state = CIRCUIT.OPEN;
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  recordLatency(duration) {
+    this.latencies.push(duration);
+    if (this.latencies.length > LATENCY_SAMPLES) this.latencies.shift();
+  }
+
+  resetBreaker() {
+    this.breaker.state = CIRCUIT.CLOSED;
+    this.breaker.failures = 0;
+    this.breaker.openedAt = null;
+    this.breaker.trialInFlight = false;
+  }
+
+  getLatency() {
+    if (this.latencies.length === 0) return { samples: 0, avgMs: null, p95Ms: null };
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    return {
+      samples: sorted.length,
+      avgMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))]
+    };
+  }
+
+  getStatus() {
+    const breaker = this.breaker;
+    return {
+      endpoint: this.config.endpoint,
+      circuit: {
+        state: breaker.state,
+        failures: breaker.failures,
+        threshold: this.config.breakerThreshold,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === CIRCUIT.OPEN
+          ? new Date(breaker.openedAt + this.config.breakerResetMs).toISOString()
+          : null,
+        lastFailure: breaker.lastFailure
+      },
+      cache: {
+        entries: this.cache.size,
+        inFlight: this.inFlight.size,
+        ttlMs: this.config.cacheTtlMs
+      },
+      metrics: {
+        ...this.metrics,
+        latency: this.getLatency()
+      }
+    };
+  }
+
+  /**
+   * Health summary: unhealthy while the circuit is open, degraded while it is testing
+   */
+  getHealth() {
+    const state = this.breaker.state;
+    return {
+      status: state === CIRCUIT.CLOSED ? 'healthy' : state === CIRCUIT.HALF_OPEN ? 'degraded' : 'unhealthy',
+      circuit: state,
+      lastSuccessAt: this.metrics.lastSuccessAt,
+      lastError: this.metrics.lastError
+    };
+  }
+}
+
+module.exports = new HrmsClient();
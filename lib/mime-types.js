@@ -20,6 +20,8 @@ const MIME_TYPES = {
   '.bmp': 'image/bmp',
   '.svg': 'image/svg+xml',
   '.ico': 'image/x-icon',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
 
   // Documents
   '.pdf': 'application/pdf',
@@ -184,9 +186,62 @@ function isValidPodType(mimeType) {
   return isAllowed(mimeType, POD_ALLOWED_MIME_TYPES);
 }
 
+/**
+ * Magic byte signatures for content sniffing.
+ * Checked in order; `offset` is where the signature starts in the file.
+ */
+const MAGIC_NUMBERS = [
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], requires: { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] } },
+  { mimeType: 'image/bmp', offset: 0, bytes: [0x42, 0x4d] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'audio/ogg', offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+];
+
+/**
+ * Check whether a buffer contains the given bytes at an offset
+ *
+ * @param {Buffer} buffer - File content
+ * @param {number} offset - Start position
+ * @param {number[]} bytes - Expected bytes
+ * @returns {boolean}
+ */
+function hasBytesAt(buffer, offset, bytes) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Detect MIME type from file content (magic bytes)
+ *
+ * @param {Buffer} buffer - File content (the first 16 bytes are enough)
+ * @returns {string|null} Detected MIME type or null if unrecognised
+ */
+function detectMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+  for (const signature of MAGIC_NUMBERS) {
+    if (signature.requires && !hasBytesAt(buffer, signature.requires.offset, signature.requires.bytes)) {
+      continue;
+    }
+    if (hasBytesAt(buffer, signature.offset, signature.bytes)) {
+      return signature.mimeType;
+    }
+  }
+
+  return null;
+}
+
 module.exports = {
   getMimeType,
   getExtension,
+  detectMimeType,
   isImage,
   isDocument,
   isAudio,
@@ -195,4 +250,5 @@ module.exports = {
   isValidPodType,
   POD_ALLOWED_MIME_TYPES,
   MIME_TYPES,
+  MAGIC_NUMBERS,
 };
@@ -0,0 +1,421 @@
+// lib/pipeline.js
+// POD Pipeline: runs each processing stage (classify -> ocr -> extract -> match -> route)
+// as a persisted BullMQ job with its own retries, backoff and dead-letter handling.
+//
+// Stage handlers are registered by the caller and receive (data, ctx). A handler
+// returns { next, data } to hand the document on to the next stage, or nothing to
+// finish. Jobs that exhaust their attempts are copied to the dead-letter queue and
+// passed to the dead-letter handler so the attachment can be marked FAILED.
+//
+// With PIPELINE_INLINE=true, or when bullmq/ioredis are not installed or Redis does
+// not answer a PING within PIPELINE_REDIS_TIMEOUT_MS at startup, stages run
+// in-process with the same retry/backoff rules, so development setups work without
+// Redis. A fallback is logged and reported as inlineReason in getQueueStats().
+// Redis going away after startup is not detected: enqueue() then waits for it.
+
+const STAGE_ORDER = ['classify', 'ocr', 'extract', 'match', 'route'];
+
+// Per-stage defaults: attempts, base backoff (ms, exponential) and worker concurrency
+const STAGE_DEFAULTS = {
+  classify: { attempts: 3, backoffMs: 5000, concurrency: 2 },
+  ocr: { attempts: 4, backoffMs: 10000, concurrency: 2 },
+  extract: { attempts: 2, backoffMs: 1000, concurrency: 5 },
+  match: { attempts: 3, backoffMs: 5000, concurrency: 5 },
+  route: { attempts: 3, backoffMs: 2000, concurrency: 5 }
+};
+
+function stageConfig(stage) {
+  const defaults = STAGE_DEFAULTS[stage];
+  const key = `PIPELINE_${stage.toUpperCase()}`;
+  return {
+    attempts: parseInt(process.env[`${key}_ATTEMPTS`]) || defaults.attempts,
+    backoffMs: parseInt(process.env[`${key}_BACKOFF_MS`]) || defaults.backoffMs,
+    concurrency: parseInt(process.env[`${key}_CONCURRENCY`]) || defaults.concurrency
+  };
+}
+
+class PodPipeline {
+  constructor() {
+    this.prefix = process.env.PIPELINE_QUEUE_PREFIX || 'pod';
+    this.inline = process.env.PIPELINE_INLINE === 'true';
+    this.inlineReason = this.inline ? 'PIPELINE_INLINE=true' : null;
+    this.redisTimeoutMs = parseInt(process.env.PIPELINE_REDIS_TIMEOUT_MS) || 5000;
+    this.starting = null;
+    this.config = {};
+    for (const stage of STAGE_ORDER) {
+      this.config[stage] = stageConfig(stage);
+    }
+    this.handlers = {};
+    this.deadLetterHandler = null;
+    this.connection = null;
+    this.queues = {};
+    this.workers = {};
+    this.deadLetterQueue = null;
+    this.started = false;
+    this.inlineStats = this.emptyInlineStats();
+    this.inlineDeadLetters = [];
+  }
+
+  emptyInlineStats() {
+    const stats = {};
+    for (const stage of STAGE_ORDER) {
+      stats[stage] = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+    }
+    return stats;
+  }
+
+  queueName(stage) {
+    return `${this.prefix}-${stage}`;
+  }
+
+  registerStage(stage, handler) {
+    if (!STAGE_ORDER.includes(stage)) {
+      throw new Error(`Unknown pipeline stage: ${stage}. Valid: ${STAGE_ORDER.join(', ')}`);
+    }
+    this.handlers[stage] = handler;
+  }
+
+  onDeadLetter(handler) {
+    this.deadLetterHandler = handler;
+  }
+
+  /**
+   * Connect the stage queues; enqueue() waits for this to finish
+   */
+  start() {
+    if (!this.started) {
+      this.started = true;
+      this.starting = this.connect();
+    }
+    return this.starting;
+  }
+
+  async connect() {
+    if (this.inline) {
+      console.log('[PIPELINE] Running stages inline (PIPELINE_INLINE=true)');
+      return;
+    }
+
+    try {
+      const { Queue, Worker } = require('bullmq');
+      const Redis = require('ioredis');
+      const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+
+      // BullMQ workers need blocking commands without a retry limit
+      this.connection = new Redis(redisUrl, { maxRetriesPerRequest: null });
+      this.connection.on('error', (err) => {
+        console.error('[PIPELINE] Redis error:', err.message);
+      });
+
+      // Without a retry limit commands wait forever for Redis - check it answers first
+      try {
+        await this.ping(this.connection);
+      } catch (err) {
+        this.connection.disconnect();
+        this.connection = null;
+        console.error(`[PIPELINE] Redis unreachable at ${redisUrl}, falling back to inline processing:`, err.message);
+        this.inline = true;
+        this.inlineReason = `Redis unreachable: ${err.message}`;
+        return;
+      }
+
+      for (const stage of STAGE_ORDER) {
+        const { attempts, backoffMs, concurrency } = this.config[stage];
+        const name = this.queueName(stage);
+
+        this.queues[stage] = new Queue(name, {
+          connection: this.connection,
+          defaultJobOptions: {
+            attempts,
+            backoff: { type: 'exponential', delay: backoffMs },
+            removeOnComplete: { count: 1000 },
+            removeOnFail: { count: 5000 }
+          }
+        });
+
+        const worker = new Worker(name, (job) => this.runJob(stage, job), {
+          connection: this.connection.duplicate(),
+          concurrency
+        });
+        worker.on('failed', (job, err) => {
+          this.handleFailed(stage, job, err).catch(error => {
+            console.error(`[PIPELINE] Dead-letter handling failed for ${stage}:`, error.message);
+          });
+        });
+        worker.on('error', (err) => {
+          console.error(`[PIPELINE] Worker ${name} error:`, err.message);
+        });
+        this.workers[stage] = worker;
+      }
+
+      this.deadLetterQueue = new Queue(`${this.prefix}-dead-letter`, { connection: this.connection });
+      console.log(`[PIPELINE] Started ${STAGE_ORDER.length} stage queues (prefix ${this.prefix})`);
+    } catch (err) {
+      console.error('[PIPELINE] BullMQ unavailable, falling back to inline processing:', err.message);
+      this.inline = true;
+      this.inlineReason = `BullMQ unavailable: ${err.message}`;
+    }
+  }
+
+  ping(connection) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no PING reply within ${this.redisTimeoutMs}ms`)), this.redisTimeoutMs);
+    });
+    return Promise.race([connection.ping(), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Queue a document for a stage
+   * @param {string} stage - Stage name from STAGE_ORDER
+   * @param {Object} data - JSON-serialisable job payload
+   * @param {Object} opts - Extra BullMQ job options (jobId, delay, priority)
+   */
+  async enqueue(stage, data, opts = {}) {
+    if (!this.handlers[stage]) {
+      throw new Error(`No handler registered for pipeline stage: ${stage}`);
+    }
+    if (this.starting) await this.starting;
+
+    if (this.inline) {
+      // Detach from the caller like a real queue would, but keep errors visible
+      setImmediate(() => {
+        this.runInline(stage, data).catch(error => {
+          console.error(`[PIPELINE] Inline ${stage} failed:`, error.message);
+        });
+      });
+      return { id: null, stage, inline: true };
+    }
+
+    const job = await this.queues[stage].add(stage, data, opts);
+    return { id: job.id, stage, inline: false };
+  }
+
+  /**
+   * Run one attempt of a stage for a BullMQ job
+   */
+  async runJob(stage, job) {
+    const maxAttempts = job.opts.attempts || this.config[stage].attempts;
+    const attempt = job.attemptsMade + 1;
+
+    const ctx = {
+      stage,
+      jobId: job.id,
+      attempt,
+      maxAttempts,
+      isFinalAttempt: attempt >= maxAttempts,
+      progress: (percent, info = {}) => job.updateProgress({ stage, percent, ...info })
+    };
+
+    await ctx.progress(0);
+    const result = await this.handlers[stage](job.data, ctx);
+    await ctx.progress(100);
+
+    if (result && result.next) {
+      await this.enqueue(result.next, result.data || job.data);
+    }
+    return result ? { next: result.next || null } : { next: null };
+  }
+
+  /**
+   * Move a job that has used all its attempts to the dead-letter queue
+   */
+  async handleFailed(stage, job, err) {
+    if (!job) return;
+    const maxAttempts = job.opts.attempts || this.config[stage].attempts;
+    if (job.attemptsMade < maxAttempts) {
+      console.warn(`[PIPELINE] ${stage} job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}), retrying: ${err.message}`);
+      return;
+    }
+
+    console.error(`[PIPELINE] ${stage} job ${job.id} dead-lettered after ${job.attemptsMade} attempt(s): ${err.message}`);
+    const entry = {
+      stage,
+      jobId: job.id,
+      data: job.data,
+      error: err.message,
+      attempts: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    };
+
+    if (this.deadLetterQueue) {
+      await this.deadLetterQueue.add(stage, entry, { removeOnComplete: false, removeOnFail: false });
+    }
+    await this.notifyDeadLetter(entry);
+  }
+
+  async notifyDeadLetter(entry) {
+    if (!this.deadLetterHandler) return;
+    try {
+      await this.deadLetterHandler(entry);
+    } catch (error) {
+      console.error('[PIPELINE] Dead-letter handler error:', error.message);
+    }
+  }
+
+  /**
+   * Run a stage in-process with the configured retries and backoff, then follow
+   * the chain of next stages. Used in inline mode and by tests.
+   */
+  async runInline(stage, data) {
+    const { attempts, backoffMs } = this.config[stage];
+    const stats = this.inlineStats[stage];
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const ctx = {
+        stage,
+        jobId: null,
+        attempt,
+        maxAttempts: attempts,
+        isFinalAttempt: attempt >= attempts,
+        progress: async () => {}
+      };
+
+      stats.active++;
+      try {
+        const result = await this.handlers[stage](data, ctx);
+        stats.active--;
+        stats.completed++;
+        if (result && result.next) {
+          return this.runInline(result.next, result.data || data);
+        }
+        return result || null;
+      } catch (error) {
+        stats.active--;
+        stats.failed++;
+        lastError = error;
+        if (attempt < attempts) {
+          console.warn(`[PIPELINE] ${stage} failed (attempt ${attempt}/${attempts}), retrying: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, backoffMs * Math.pow(2, attempt - 1)));
+        }
+      }
+    }
+
+    console.error(`[PIPELINE] ${stage} dead-lettered after ${attempts} attempt(s): ${lastError.message}`);
+    const entry = {
+      stage,
+      jobId: null,
+      data,
+      error: lastError.message,
+      attempts,
+      failedAt: new Date().toISOString()
+    };
+    this.inlineDeadLetters.unshift({ id: `inline-${Date.now()}-${this.inlineDeadLetters.length}`, ...entry });
+    this.inlineDeadLetters.length = Math.min(this.inlineDeadLetters.length, 500);
+    await this.notifyDeadLetter(entry);
+    return null;
+  }
+
+  /**
+   * Job counts per stage queue plus totals and dead-letter size
+   */
+  async getQueueStats() {
+    const stages = {};
+    let deadLetter = 0;
+
+    if (this.inline) {
+      for (const stage of STAGE_ORDER) {
+        stages[stage] = { ...this.inlineStats[stage] };
+      }
+      deadLetter = this.inlineDeadLetters.length;
+    } else {
+      for (const stage of STAGE_ORDER) {
+        if (!this.queues[stage]) {
+          stages[stage] = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+          continue;
+        }
+        stages[stage] = await this.queues[stage].getJobCounts('waiting', 'active', 'completed', 'failed', 'delayed');
+      }
+      if (this.deadLetterQueue) {
+        const counts = await this.deadLetterQueue.getJobCounts('waiting');
+        deadLetter = counts.waiting || 0;
+      }
+    }
+
+    const totals = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 };
+    for (const counts of Object.values(stages)) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += counts[key] || 0;
+      }
+    }
+
+    return {
+      mode: this.inline ? 'inline' : 'bullmq',
+      inlineReason: this.inlineReason,
+      ...totals,
+      deadLetter,
+      stages
+    };
+  }
+
+  /**
+   * Active jobs with their reported progress
+   */
+  async getActiveJobs(limit = 50) {
+    if (this.inline) return [];
+    const jobs = [];
+    for (const stage of STAGE_ORDER) {
+      const active = await this.queues[stage].getJobs(['active'], 0, limit - 1);
+      for (const job of active) {
+        jobs.push({
+          id: job.id,
+          stage,
+          attempt: job.attemptsMade + 1,
+          progress: job.progress,
+          attachmentId: job.data.attachmentId || null,
+          messageId: job.data.messageId || null,
+          startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null
+        });
+      }
+    }
+    return jobs.slice(0, limit);
+  }
+
+  async getDeadLetters(limit = 50) {
+    if (this.inline) {
+      return this.inlineDeadLetters.slice(0, limit);
+    }
+    const jobs = await this.deadLetterQueue.getJobs(['waiting'], 0, limit - 1);
+    return jobs.map(job => ({ id: job.id, ...job.data }));
+  }
+
+  /**
+   * Put a dead-lettered job back on its stage queue
+   */
+  async retryDeadLetter(id) {
+    if (this.inline) {
+      const index = this.inlineDeadLetters.findIndex(entry => entry.id === id);
+      if (index === -1) return { success: false, error: 'Dead-letter entry not found' };
+      const [entry] = this.inlineDeadLetters.splice(index, 1);
+      await this.enqueue(entry.stage, entry.data);
+      return { success: true, stage: entry.stage };
+    }
+
+    const job = await this.deadLetterQueue.getJob(id);
+    if (!job) return { success: false, error: 'Dead-letter entry not found' };
+    const requeued = await this.enqueue(job.data.stage, job.data.data);
+    await job.remove();
+    return { success: true, stage: job.data.stage, jobId: requeued.id };
+  }
+
+  async close() {
+    for (const worker of Object.values(this.workers)) {
+      await worker.close();
+    }
+    for (const queue of Object.values(this.queues)) {
+      await queue.close();
+    }
+    if (this.deadLetterQueue) await this.deadLetterQueue.close();
+    if (this.connection) await this.connection.quit();
+    this.workers = {};
+    this.queues = {};
+    this.deadLetterQueue = null;
+    this.started = false;
+  }
+}
+
+const pipeline = new PodPipeline();
+pipeline.STAGE_ORDER = STAGE_ORDER;
+
+module.exports = pipeline;
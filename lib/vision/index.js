@@ -0,0 +1,204 @@
+// lib/vision/index.js
+// Vision provider layer shared by classify.js and ocr.js.
+//
+// Providers are tried in the order given by VISION_PROVIDERS (default "openai").
+// A provider is skipped when it is not configured or cannot handle the file type,
+// and the chain moves on when it throws or exceeds its timeout
+// (VISION_<NAME>_TIMEOUT_MS). Every result names the provider and model that
+// produced it, plus the attempts made before it.
+
+const OpenAIProvider = require('./openai');
+const TesseractProvider = require('./tesseract');
+const MockProvider = require('./mock');
+
+const DEFAULT_TIMEOUTS = {
+  openai: 30000,
+  tesseract: 20000,
+  mock: 2000
+};
+
+// Capability name -> provider method
+const TASKS = {
+  classify: 'classify',
+  text: 'extractText',
+  structured: 'extractStructured'
+};
+
+function parseChain(value) {
+  return (value || 'openai')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class VisionProviders {
+  constructor() {
+    this.providers = {
+      openai: new OpenAIProvider(),
+      tesseract: new TesseractProvider(),
+      mock: new MockProvider()
+    };
+    this.chain = parseChain(process.env.VISION_PROVIDERS);
+    this.stats = {};
+  }
+
+  /**
+   * Configure providers and/or the chain
+   * @param {Object} options - { chain, openai: {...}, tesseract: {...}, mock: {...} }
+   */
+  configure(options = {}) {
+    if (options.chain) {
+      this.chain = Array.isArray(options.chain) ? options.chain : parseChain(options.chain);
+    }
+    for (const [name, provider] of Object.entries(this.providers)) {
+      if (options[name]) provider.configure(options[name]);
+    }
+  }
+
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Vision provider must have a name');
+    }
+    this.providers[provider.name] = provider;
+  }
+
+  getProvider(name) {
+    return this.providers[name] || null;
+  }
+
+  getTimeout(name) {
+    return parseInt(process.env[`VISION_${name.toUpperCase()}_TIMEOUT_MS`]) || DEFAULT_TIMEOUTS[name] || 30000;
+  }
+
+  /**
+   * Whether any provider in the chain is configured
+   */
+  isReady() {
+    return this.chain.some(name => this.providers[name] && this.providers[name].isAvailable());
+  }
+
+  /**
+   * The provider that would be tried first for a file (used as the cache model key)
+   * @param {string} mimeType - MIME type
+   * @param {Array<string>} providers - Optional chain override
+   */
+  primaryProvider(mimeType, providers = null) {
+    const chain = providers ? parseChain(providers.join(',')) : this.chain;
+    for (const name of chain) {
+      const provider = this.providers[name];
+      if (provider && provider.isAvailable() && provider.supports(mimeType)) {
+        return provider;
+      }
+    }
+    return null;
+  }
+
+  recordStat(name, outcome, duration) {
+    if (!this.stats[name]) {
+      this.stats[name] = { success: 0, failure: 0, timeout: 0, skipped: 0, totalDuration: 0 };
+    }
+    this.stats[name][outcome]++;
+    this.stats[name].totalDuration += duration;
+  }
+
+  /**
+   * Run a task through the fallback chain
+   * @param {string} task - 'classify', 'text' or 'structured'
+   * @param {Buffer} buffer - Image/PDF bytes
+   * @param {string} mimeType - MIME type
+   * @param {Object} request - { prompt, system, maxTokens } for LLM providers
+   * @returns {Promise<Object>} { success, provider, model, result, duration, attempts, error? }
+   */
+  async run(task, buffer, mimeType, request = {}) {
+    const method = TASKS[task];
+    if (!method) {
+      throw new Error(`Unknown vision task: ${task}. Valid: ${Object.keys(TASKS).join(', ')}`);
+    }
+
+    const chain = request.providers ? parseChain(request.providers.join(',')) : this.chain;
+    const attempts = [];
+    const startTime = Date.now();
+
+    for (const name of chain) {
+      const provider = this.providers[name];
+      if (!provider) {
+        attempts.push({ provider: name, skipped: true, error: 'Unknown provider' });
+        continue;
+      }
+      if (typeof provider[method] !== 'function') {
+        attempts.push({ provider: name, skipped: true, error: `Does not support ${task}` });
+        continue;
+      }
+      if (!provider.isAvailable() || !provider.supports(mimeType)) {
+        attempts.push({
+          provider: name,
+          skipped: true,
+          error: provider.isAvailable() ? `Unsupported file type ${mimeType}` : 'Not configured'
+        });
+        this.recordStat(name, 'skipped', 0);
+        continue;
+      }
+
+      const timeoutMs = this.getTimeout(name);
+      const attemptStart = Date.now();
+      try {
+        const result = await withTimeout(provider[method](buffer, mimeType, request, timeoutMs), timeoutMs, name);
+        const duration = Date.now() - attemptStart;
+        attempts.push({ provider: name, duration });
+        this.recordStat(name, 'success', duration);
+
+        return {
+          success: true,
+          provider: name,
+          model: provider.model,
+          result,
+          duration: Date.now() - startTime,
+          attempts
+        };
+      } catch (error) {
+        const duration = Date.now() - attemptStart;
+        const timedOut = /timed out/.test(error.message);
+        attempts.push({ provider: name, duration, error: error.message, timedOut });
+        this.recordStat(name, timedOut ? 'timeout' : 'failure', duration);
+        console.warn(`[VISION] ${name} ${task} failed (${error.message}), trying next provider`);
+      }
+    }
+
+    const lastError = [...attempts].reverse().find(a => a.error);
+    return {
+      success: false,
+      provider: null,
+      model: null,
+      result: null,
+      duration: Date.now() - startTime,
+      attempts,
+      error: attempts.length === 0
+        ? 'No vision providers configured'
+        : `All vision providers failed (last: ${lastError.provider}: ${lastError.error})`
+    };
+  }
+
+  getStatus() {
+    return {
+      chain: this.chain,
+      providers: Object.values(this.providers).map(provider => ({
+        name: provider.name,
+        model: provider.model,
+        inChain: this.chain.includes(provider.name),
+        available: provider.isAvailable(),
+        timeoutMs: this.getTimeout(provider.name),
+        stats: this.stats[provider.name] || null
+      }))
+    };
+  }
+}
+
+module.exports = new VisionProviders();
@@ -0,0 +1,70 @@
+// lib/vision/mock.js
+// Fixture-backed provider for offline use and tests. Results are deterministic:
+// a fixture named <sha256 of image>.json wins, otherwise default.json is used.
+//
+// Fixture format:
+//   { "classify": { type, imageType, confidence, isPOD, reason },
+//     "text": "plain OCR text",
+//     "structured": { supplier, jobRef, vehicleReg, date, shipmentNumber, confidence, rawText } }
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = 'fixtures';
+    this.fixturesDir = options.fixturesDir || process.env.VISION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  configure(options = {}) {
+    if (options.fixturesDir) this.fixturesDir = options.fixturesDir;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  supports() {
+    return true;
+  }
+
+  loadFixture(buffer) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const candidates = [
+      path.join(this.fixturesDir, `${hash}.json`),
+      path.join(this.fixturesDir, 'default.json'),
+      path.join(DEFAULT_FIXTURES_DIR, 'default.json')
+    ];
+
+    for (const file of candidates) {
+      if (fs.existsSync(file)) {
+        return { hash, fixture: JSON.parse(fs.readFileSync(file, 'utf8')), file: path.basename(file) };
+      }
+    }
+    throw new Error(`No vision fixture for ${hash}`);
+  }
+
+  async classify(buffer) {
+    const { fixture, file } = this.loadFixture(buffer);
+    if (!fixture.classify) throw new Error(`Fixture ${file} has no classify result`);
+    return { ...fixture.classify, fixture: file };
+  }
+
+  async extractText(buffer) {
+    const { fixture, file } = this.loadFixture(buffer);
+    const text = fixture.text || fixture.structured?.rawText || '';
+    return { text, confidence: text.length > 0 ? 0.9 : 0.0, fixture: file };
+  }
+
+  async extractStructured(buffer) {
+    const { fixture, file } = this.loadFixture(buffer);
+    if (!fixture.structured) throw new Error(`Fixture ${file} has no structured result`);
+    return { ...fixture.structured, fixture: file };
+  }
+}
+
+module.exports = MockProvider;
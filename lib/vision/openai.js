@@ -0,0 +1,112 @@
+// lib/vision/openai.js
+// OpenAI vision provider: sends the image and the caller's prompt to a chat model
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini';
+    this.client = options.client || null;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+  }
+
+  configure(options = {}) {
+    if (options.client) this.client = options.client;
+    if (options.apiKey) this.apiKey = options.apiKey;
+    if (options.model) this.model = options.model;
+  }
+
+  isAvailable() {
+    return !!(this.client || this.apiKey);
+  }
+
+  supports() {
+    return true;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('OpenAI API key required. Set OPENAI_API_KEY environment variable.');
+      }
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async complete(buffer, mimeType, request, timeoutMs) {
+    const dataUrl = `data:${mimeType};base64,${buffer.toString('base64')}`;
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: request.system },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: request.prompt },
+            { type: 'image_url', image_url: { url: dataUrl } }
+          ]
+        }
+      ],
+      max_tokens: request.maxTokens || 1000,
+      temperature: 0.1
+    }, { timeout: timeoutMs, maxRetries: 0 });
+
+    return response.choices[0].message.content;
+  }
+
+  async classify(buffer, mimeType, request, timeoutMs) {
+    const text = await this.complete(buffer, mimeType, request, timeoutMs);
+    return parseJsonResponse(text);
+  }
+
+  async extractText(buffer, mimeType, request, timeoutMs) {
+    const text = (await this.complete(buffer, mimeType, request, timeoutMs)).trim();
+    // The model gives no score - estimate from whether anything came back
+    return { text, confidence: text.length > 0 ? 0.85 : 0.5 };
+  }
+
+  async extractStructured(buffer, mimeType, request, timeoutMs) {
+    const text = await this.complete(buffer, mimeType, request, timeoutMs);
+    const data = parseJsonResponse(text);
+    if (data.parseError) {
+      throw new Error(`Unparseable response: ${data.parseError}`);
+    }
+    return data;
+  }
+}
+
+/**
+ * Parse JSON from a model response (handles markdown wrapping)
+ */
+function parseJsonResponse(responseText) {
+  let cleaned = responseText.trim();
+
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    cleaned = jsonMatch[0];
+  }
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    return {
+      type: 'UNKNOWN',
+      imageType: 'parse_error',
+      confidence: 0.0,
+      isPOD: null,
+      reason: 'Failed to parse response',
+      parseError: e.message,
+      raw: responseText.substring(0, 200)
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
+module.exports.parseJsonResponse = parseJsonResponse;
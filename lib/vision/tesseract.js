@@ -0,0 +1,103 @@
+// lib/vision/tesseract.js
+// Local OCR provider: pipes the image through a Tesseract-compatible binary
+// (`<bin> stdin stdout`) and derives classification and fields from the text.
+// Images only - PDFs are left to the next provider in the chain.
+
+const { execFile } = require('child_process');
+const extractor = require('../../extractor');
+
+// Words that mark a delivery document; two or more hits classify the image as a POD
+const POD_KEYWORDS = [
+  'delivery', 'delivered', 'docket', 'ticket', 'pod', 'consignment', 'signature',
+  'signed', 'received', 'order no', 'dkt', 'waybill', 'customer', 'site'
+];
+
+class TesseractProvider {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.bin = options.bin || process.env.TESSERACT_BIN || 'tesseract';
+    this.lang = options.lang || process.env.TESSERACT_LANG || 'eng';
+    this.model = `tesseract:${this.lang}`;
+  }
+
+  configure(options = {}) {
+    if (options.bin) this.bin = options.bin;
+    if (options.lang) {
+      this.lang = options.lang;
+      this.model = `tesseract:${this.lang}`;
+    }
+  }
+
+  isAvailable() {
+    return !!this.bin;
+  }
+
+  supports(mimeType) {
+    return typeof mimeType === 'string' && mimeType.startsWith('image/');
+  }
+
+  runBinary(buffer, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(this.bin, ['stdin', 'stdout', '-l', this.lang], {
+        timeout: timeoutMs,
+        maxBuffer: 10 * 1024 * 1024,
+        encoding: 'utf8'
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const reason = error.killed ? `timed out after ${timeoutMs}ms` : (stderr || error.message).trim();
+          return reject(new Error(`tesseract failed: ${reason}`));
+        }
+        resolve(stdout);
+      });
+      child.stdin.on('error', () => {});
+      child.stdin.end(buffer);
+    });
+  }
+
+  async extractText(buffer, mimeType, request, timeoutMs) {
+    const text = (await this.runBinary(buffer, timeoutMs)).trim();
+    const words = text.split(/\s+/).filter(w => w.length > 1).length;
+    return { text, confidence: words >= 10 ? 0.7 : words > 0 ? 0.4 : 0.0 };
+  }
+
+  async classify(buffer, mimeType, request, timeoutMs) {
+    const { text } = await this.extractText(buffer, mimeType, request, timeoutMs);
+    const lower = text.toLowerCase();
+    const hits = POD_KEYWORDS.filter(keyword => lower.includes(keyword));
+
+    if (hits.length >= 2) {
+      return {
+        type: 'POD',
+        imageType: 'delivery_document',
+        confidence: hits.length >= 4 ? 'high' : 'medium',
+        isPOD: true,
+        reason: `Delivery keywords found: ${hits.join(', ')}`
+      };
+    }
+
+    // No text is not proof of a non-POD (could be a poor photo), so never claim high confidence
+    return {
+      type: 'NON_POD',
+      imageType: text.length > 0 ? 'other' : 'blurry',
+      confidence: 'low',
+      isPOD: false,
+      reason: text.length > 0 ? 'No delivery keywords in OCR text' : 'No text recognised'
+    };
+  }
+
+  async extractStructured(buffer, mimeType, request, timeoutMs) {
+    const { text } = await this.extractText(buffer, mimeType, request, timeoutMs);
+    const fields = extractor.extract(text);
+    return {
+      supplier: fields.supplier,
+      jobRef: fields.jobRef,
+      vehicleReg: fields.vehicleReg,
+      date: fields.date,
+      shipmentNumber: fields.shipmentNumber,
+      confidence: fields.confidence,
+      rawText: text
+    };
+  }
+}
+
+module.exports = TesseractProvider;
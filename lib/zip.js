@@ -0,0 +1,128 @@
+/**
+ * Minimal ZIP writer (deflate, no ZIP64) for bundling POD files into one
+ * email attachment. Entries are read, compressed and written one at a time, and
+ * writing stops as soon as the archive is over the size it has to fit in.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// CRC-32 (IEEE) lookup table - zlib.crc32 only exists from Node 20.15 / 22.2
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c;
+}
+
+function crc32(data) {
+    let crc = -1;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+// MS-DOS date/time fields (local time, 2-second resolution)
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Write a ZIP archive
+ * @param {Array<Object>} entries - [{ name, data: Buffer } | { name, path }]
+ * @param {Object} options - { path: file to write (none: only measure the archive),
+ *                             date: modification time for every entry,
+ *                             maxBytes: give up once the archive is larger than this }
+ * @returns {Object} { bytes, complete } - complete is false when maxBytes was passed;
+ *                   the partly written file is then removed
+ */
+function writeZip(entries, options = {}) {
+    const { time, date } = dosDateTime(options.date || new Date());
+    const fd = options.path ? fs.openSync(options.path, 'w') : null;
+    const centralParts = [];
+    const usedNames = new Set();
+    let offset = 0;
+
+    const write = (...buffers) => {
+        for (const buffer of buffers) {
+            if (fd !== null) fs.writeSync(fd, buffer);
+            offset += buffer.length;
+        }
+        return !(options.maxBytes && offset > options.maxBytes);
+    };
+    const discard = () => {
+        if (fd === null) return;
+        fs.closeSync(fd);
+        fs.rmSync(options.path, { force: true });
+    };
+    const giveUp = () => {
+        discard();
+        return { bytes: offset, complete: false };
+    };
+
+    try {
+        for (const entry of entries) {
+            const data = entry.data || fs.readFileSync(entry.path);
+            // Duplicate names would overwrite each other when extracted
+            let name = entry.name;
+            for (let n = 2; usedNames.has(name); n++) name = entry.name.replace(/(\.[^.]*)?$/, `-${n}$1`);
+            usedNames.add(name);
+
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const compressed = zlib.deflateRawSync(data);
+            const crc = crc32(data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4);             // version needed
+            local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+            local.writeUInt16LE(8, 8);              // deflate
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(nameBuffer.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4);           // version made by
+            central.writeUInt16LE(20, 6);           // version needed
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(nameBuffer.length, 28);
+            central.writeUInt32LE(offset, 42);      // local header offset (other fields zero)
+            centralParts.push(central, nameBuffer);
+
+            if (!write(local, nameBuffer, compressed)) return giveUp();
+        }
+
+        const centralDirectory = Buffer.concat(centralParts);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        if (!write(centralDirectory, end)) return giveUp();
+    } catch (error) {
+        discard();
+        throw error;
+    }
+
+    if (fd !== null) fs.closeSync(fd);
+    return { bytes: offset, complete: true };
+}
+
+module.exports = {
+    writeZip
+};
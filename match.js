@@ -7,15 +7,18 @@
 const fs = require('fs');
 const path = require('path');
 const { fuzzyMatch, matchVehicleReg, parseVehicleReg, normalizeKey, jaroWinklerSimilarity } = require('./lib/matching');
+const jobsStore = require('./jobs');
+const hrmsClient = require('./lib/hrms-client');
+const reconcile = require('./reconcile');
 
 // Configuration
-let config = {
+const config = {
     // HRMS API endpoint for fetching jobs
     hrmsApiEndpoint: process.env.HRMS_API_ENDPOINT || 'http://localhost:8000',
     // API token for authentication
     apiToken: process.env.HRMS_API_TOKEN || '',
-    // Enable/disable HRMS API calls
-    useApi: false,
+    // Enable/disable HRMS API calls (the jobs table is used when off or unavailable)
+    useApi: process.env.HRMS_API_ENABLED === 'true',
     // Confidence thresholds
     thresholds: {
         exactJobRef: 1.0,
@@ -24,8 +27,21 @@ let config = {
         fuzzyVehicleReg: 0.85,
         minMatch: 0.70  // Below this, flag for manual review
     },
-    // Local jobs cache (for testing without API)
-    localJobs: []
+    // Composite scoring (see findMatch)
+    scoring: {
+        vehicleRegWeight: 0.8,      // Identity score of an exact reg on its own
+        dateWindowDays: 3,          // Delivery date within this many days of the POD date corroborates
+        dateBonus: 0.1,
+        datePenalty: 0.15,          // Job dated outside the window
+        supplierBonus: 0.05,
+        supplierPenalty: 0.1,
+        senderBonus: 0.1,           // Sender is the job's driver, or usually delivers this vehicle
+        ambiguityMargin: 0.05,      // Runner-up this close to the best makes the match ambiguous
+        ambiguityPenalty: 0.1,
+        maxCandidates: 5
+    },
+    // Seed file imported into the jobs table on init (jobs are otherwise imported via /api/jobs/import)
+    localJobsPath: process.env.LOCAL_JOBS_PATH || path.join(__dirname, 'data', 'jobs.json')
 };
 
 /**
@@ -33,15 +49,22 @@ let config = {
  * @param {Object} options - Configuration options
  */
 function init(options = {}) {
-    config = { ...config, ...options };
+    // Update in place so the exported config stays current
+    Object.assign(config, options);
+    if (config.useApi) {
+        hrmsClient.configure({ endpoint: config.hrmsApiEndpoint, token: config.apiToken });
+    }
 
-    // Try to load local jobs from file if available
-    const localJobsPath = process.env.LOCAL_JOBS_PATH || path.join(__dirname, 'data', 'jobs.json');
-    if (fs.existsSync(localJobsPath)) {
+    // Import the local jobs file if available (upserts, so restarts do not duplicate jobs)
+    const localJobsPath = config.localJobsPath;
+    if (localJobsPath && fs.existsSync(localJobsPath)) {
         try {
-            const jobsData = JSON.parse(fs.readFileSync(localJobsPath, 'utf8'));
-            config.localJobs = Array.isArray(jobsData) ? jobsData : [];
-            console.log(`[Match] Loaded ${config.localJobs.length} local jobs from ${localJobsPath}`);
+            const report = jobsStore.importJobs(fs.readFileSync(localJobsPath, 'utf8'), {
+                format: 'json',
+                source: localJobsPath
+            });
+            if (!report.success) throw new Error(report.error);
+            console.log(`[Match] Imported local jobs from ${localJobsPath}: ${report.inserted} new, ${report.updated} updated, ${report.rejected} rejected`);
         } catch (err) {
             console.warn(`[Match] Failed to load local jobs: ${err.message}`);
         }
@@ -49,44 +72,56 @@ function init(options = {}) {
 
     console.log('[Match] Initialized with config:', {
         useApi: config.useApi,
+        hrmsApiEndpoint: config.useApi ? config.hrmsApiEndpoint : undefined,
         thresholds: config.thresholds,
-        localJobsCount: config.localJobs.length
+        jobsCount: jobsStore.getStats().total
     });
 }
 
 /**
- * Fetch jobs from HRMS API
+ * Jobs to match against: the HRMS API when enabled, otherwise (or when the HRMS
+ * call fails or its circuit is open) the jobs table
  * @param {Object} filters - Optional filters (jobRef, vehicleReg, date)
- * @returns {Promise<Array>} Array of job objects
+ * @returns {Promise<Object>} { jobs, source: 'hrms' | 'jobs-table', hrmsError }
  */
-async function fetchJobsFromApi(filters = {}) {
+async function loadJobs(filters = {}) {
     if (!config.useApi) {
-        return config.localJobs;
+        return { jobs: jobsStore.findCandidates(filters), source: 'jobs-table', hrmsError: null };
     }
 
     try {
-        const url = new URL('/api/jobs', config.hrmsApiEndpoint);
-
-        if (filters.jobRef) url.searchParams.append('job_ref', filters.jobRef);
-        if (filters.vehicleReg) url.searchParams.append('vehicle_reg', filters.vehicleReg);
-        if (filters.date) url.searchParams.append('date', filters.date);
+        return { jobs: await hrmsClient.getJobs(filters), source: 'hrms', hrmsError: null };
+    } catch (err) {
+        console.warn(`[Match] HRMS job lookup failed (${err.code || 'ERROR'}): ${err.message} - using jobs table`);
+        return {
+            jobs: jobsStore.findCandidates(filters),
+            source: 'jobs-table',
+            hrmsError: { code: err.code || 'ERROR', message: err.message }
+        };
+    }
+}
 
-        const response = await fetch(url.toString(), {
-            headers: {
-                'Authorization': `Bearer ${config.apiToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
+/**
+ * Fetch jobs from HRMS API, or from the jobs table when the API is off or unavailable
+ * @param {Object} filters - Optional filters (jobRef, vehicleReg, date)
+ * @returns {Promise<Array>} Array of job objects
+ */
+async function fetchJobsFromApi(filters = {}) {
+    return (await loadJobs(filters)).jobs;
+}
 
-        if (!response.ok) {
-            throw new Error(`API returned ${response.status}`);
+/**
+ * Open jobs for a sender's phone: HRMS when enabled, falling back to the jobs table
+ */
+async function loadSenderJobs(sender) {
+    if (config.useApi) {
+        try {
+            return await hrmsClient.getJobsBySender(sender);
+        } catch (err) {
+            console.warn(`[Match] HRMS sender lookup failed (${err.code || 'ERROR'}): ${err.message} - using jobs table`);
         }
-
-        return await response.json();
-    } catch (err) {
-        console.error(`[Match] Failed to fetch jobs from API: ${err.message}`);
-        return config.localJobs;
     }
+    return jobsStore.findBySender(sender);
 }
 
 /**
@@ -184,13 +219,151 @@ function matchVehicleRegistration(vehicleReg, jobs) {
     return bestScore >= config.thresholds.fuzzyVehicleReg ? bestMatch : { jobId: null, jobRef: null, score: 0, matchType: 'NO_MATCH' };
 }
 
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Identity score for one job: how well the job ref and vehicle reg match.
+ * Job ref and reg are independent evidence, combined as 1 - (1 - a)(1 - b).
+ */
+function scoreIdentity(jobRef, vehicleReg, job) {
+    const candidateRef = job.job_ref || job.ref || job.jobReference || '';
+    const candidateReg = job.vehicle_reg || job.vehicleReg || job.vehicleRegistration || '';
+    const identity = {
+        jobRef: { extracted: jobRef, candidate: candidateRef || null, result: 'MISSING', score: 0 },
+        vehicleReg: { extracted: vehicleReg, candidate: candidateReg || null, result: 'MISSING', score: 0 },
+        score: 0
+    };
+
+    if (jobRef && candidateRef) {
+        if (normalizeKey(jobRef) === normalizeKey(candidateRef)) {
+            identity.jobRef.result = 'EXACT';
+            identity.jobRef.score = config.thresholds.exactJobRef;
+        } else {
+            const similarity = fuzzyMatch(jobRef, candidateRef, config.thresholds.fuzzyJobRef);
+            identity.jobRef.result = similarity > 0 ? 'FUZZY' : 'DIFFERENT';
+            identity.jobRef.score = round(similarity);
+        }
+    }
+
+    if (vehicleReg && candidateReg) {
+        // A reg alone is weaker evidence than a job ref - one vehicle runs many jobs
+        if (matchVehicleReg(vehicleReg, candidateReg)) {
+            identity.vehicleReg.result = 'EXACT';
+            identity.vehicleReg.score = config.scoring.vehicleRegWeight;
+        } else {
+            const similarity = jaroWinklerSimilarity(normalizeKey(vehicleReg), normalizeKey(candidateReg));
+            const fuzzy = similarity >= config.thresholds.fuzzyVehicleReg;
+            identity.vehicleReg.result = fuzzy ? 'FUZZY' : 'DIFFERENT';
+            identity.vehicleReg.score = fuzzy ? round(similarity * config.scoring.vehicleRegWeight) : 0;
+        }
+    }
+
+    identity.score = round(1 - (1 - identity.jobRef.score) * (1 - identity.vehicleReg.score));
+    return identity;
+}
+
+function daysBetween(a, b) {
+    const first = Date.parse(`${String(a).slice(0, 10)}T00:00:00Z`);
+    const second = Date.parse(`${String(b).slice(0, 10)}T00:00:00Z`);
+    if (isNaN(first) || isNaN(second)) return null;
+    return Math.round(Math.abs(first - second) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Corroborating signals for one job: delivery date, supplier, sender
+ * @returns {Array<Object>} [{ signal, result, detail, points }] - points are added to the identity score
+ */
+function scoreSignals({ date, supplier, senderProfile }, job) {
+    const scoring = config.scoring;
+    const signals = [];
+
+    const jobDate = job.job_date || job.date || job.delivery_date || null;
+    const days = date && jobDate ? daysBetween(date, jobDate) : null;
+    if (days === null) {
+        signals.push({ signal: 'date', result: 'UNKNOWN', detail: { extracted: date || null, candidate: jobDate }, points: 0 });
+    } else if (days <= scoring.dateWindowDays) {
+        // Full bonus on the day, tapering to half at the edge of the window
+        const points = scoring.dateBonus * (1 - days / (2 * Math.max(scoring.dateWindowDays, 1)));
+        signals.push({ signal: 'date', result: days === 0 ? 'SAME_DAY' : 'IN_WINDOW', detail: { extracted: date, candidate: jobDate, days }, points: round(points) });
+    } else {
+        signals.push({ signal: 'date', result: 'OUT_OF_WINDOW', detail: { extracted: date, candidate: jobDate, days }, points: -scoring.datePenalty });
+    }
+
+    const jobSupplier = job.supplier || null;
+    if (!supplier || !jobSupplier) {
+        signals.push({ signal: 'supplier', result: 'UNKNOWN', detail: { extracted: supplier || null, candidate: jobSupplier }, points: 0 });
+    } else {
+        const agree = normalizeKey(reconcile.NORMALISERS.supplier(supplier)) === normalizeKey(reconcile.NORMALISERS.supplier(jobSupplier));
+        signals.push({
+            signal: 'supplier',
+            result: agree ? 'AGREE' : 'DISAGREE',
+            detail: { extracted: supplier, candidate: jobSupplier },
+            points: agree ? scoring.supplierBonus : -scoring.supplierPenalty
+        });
+    }
+
+    if (senderProfile?.phone) {
+        const driverPhone = jobsStore.normalisePhone(job.driver_phone || job.driverPhone);
+        const regKey = normalizeKey(job.vehicle_reg || job.vehicleReg || '');
+        let result = 'NOT_USUAL';
+        let points = 0;
+        if (driverPhone && driverPhone === senderProfile.phone) {
+            result = 'DRIVER';
+            points = scoring.senderBonus;
+        } else if (regKey && senderProfile.vehicleRegKeys.has(regKey)) {
+            result = 'USUAL_VEHICLE';
+            points = scoring.senderBonus;
+        } else if (job.customer && senderProfile.customers.has(String(job.customer).toLowerCase())) {
+            result = 'USUAL_CUSTOMER';
+            points = round(scoring.senderBonus / 2);
+        }
+        signals.push({ signal: 'sender', result, detail: { sender: senderProfile.phone }, points });
+    } else {
+        signals.push({ signal: 'sender', result: 'UNKNOWN', detail: {}, points: 0 });
+    }
+
+    return signals;
+}
+
+/**
+ * Composite score for one job with an explainable breakdown
+ * @returns {Object|null} Candidate, or null when neither job ref nor vehicle reg matches
+ */
+function scoreCandidate(fields, job) {
+    const identity = scoreIdentity(fields.jobRef, fields.vehicleReg, job);
+    if (identity.score === 0) return null;
+
+    const signals = scoreSignals(fields, job);
+    const score = round(Math.min(1, Math.max(0, identity.score + signals.reduce((sum, s) => sum + s.points, 0))));
+    const byJobRef = identity.jobRef.score > 0;
+    const result = byJobRef ? identity.jobRef.result : identity.vehicleReg.result;
+
+    return {
+        jobId: job.id,
+        jobRef: job.job_ref || job.ref || job.jobReference || '',
+        customer: job.customer || null,
+        score,
+        matchType: `${result}_${byJobRef ? 'JOB_REF' : 'VEHICLE_REG'}`,
+        breakdown: { identity, signals, score }
+    };
+}
+
 /**
  * Find best match for extracted POD fields against jobs data
+ *
+ * Every job whose ref or reg matches is scored on identity (job ref, vehicle reg)
+ * plus corroborating signals (date proximity, supplier agreement, the sender's
+ * usual jobs). When the runner-up is within the ambiguity margin the best match
+ * is penalised - a common reg on many jobs should not auto-match.
+ *
  * @param {Object} extractedFields - Fields extracted from POD
  * @param {string} attachmentId - Attachment ID for logging
- * @returns {Promise<Object>} Match result with confidence and candidates
+ * @param {Object} options - { sender: WhatsApp chat ID or phone of the sender }
+ * @returns {Promise<Object>} Match result with confidence, breakdown and candidates
  */
-async function findMatch(extractedFields, attachmentId = null) {
+async function findMatch(extractedFields, attachmentId = null, options = {}) {
     const startTime = Date.now();
 
     // Extract fields (handle both formats from extractor.js)
@@ -199,8 +372,8 @@ async function findMatch(extractedFields, attachmentId = null) {
     const date = extractedFields?.date || null;
     const supplier = extractedFields?.supplier || null;
 
-    // Fetch potential jobs from API
-    const jobs = await fetchJobsFromApi({ jobRef, vehicleReg, date });
+    // Fetch potential jobs (HRMS API or jobs table)
+    const { jobs, source: jobSource, hrmsError } = await loadJobs({ jobRef, vehicleReg, date });
 
     if (jobs.length === 0) {
         const result = {
@@ -209,7 +382,9 @@ async function findMatch(extractedFields, attachmentId = null) {
             summary: {
                 status: 'NO_JOBS_FOUND',
                 duration: Date.now() - startTime,
-                extractedFields: { jobRef, vehicleReg, date, supplier }
+                extractedFields: { jobRef, vehicleReg, date, supplier },
+                jobSource,
+                hrmsError
             }
         };
 
@@ -217,64 +392,55 @@ async function findMatch(extractedFields, attachmentId = null) {
         return result;
     }
 
-    // Perform matching in priority order:
-    // 1. Exact jobRef match
-    // 2. Exact vehicleReg match
-    // 3. Fuzzy jobRef match
-    // 4. Fuzzy vehicleReg match
-
-    const candidates = [];
-
-    // Try exact jobRef match
-    const exactJobRefMatch = matchJobRef(jobRef, jobs);
-    if (exactJobRefMatch.score > 0) {
-        candidates.push(exactJobRefMatch);
-    }
-
-    // Try exact vehicleReg match
-    const exactVehicleMatch = matchVehicleRegistration(vehicleReg, jobs);
-    if (exactVehicleMatch.score > 0) {
-        candidates.push(exactVehicleMatch);
-    }
-
-    // If no exact matches, try fuzzy matching
-    if (candidates.length === 0) {
-        const fuzzyJobRefMatch = matchJobRef(jobRef, jobs);
-        if (fuzzyJobRefMatch.score > 0) {
-            candidates.push(fuzzyJobRefMatch);
-        }
-
-        const fuzzyVehicleMatch = matchVehicleRegistration(vehicleReg, jobs);
-        if (fuzzyVehicleMatch.score > 0) {
-            candidates.push(fuzzyVehicleMatch);
-        }
+    const senderProfile = options.sender ? jobsStore.getSenderProfile(options.sender) : null;
+    const fields = { jobRef, vehicleReg, date, supplier, senderProfile };
+
+    const candidates = jobs
+        .map(job => scoreCandidate(fields, job))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+    const bestCandidate = candidates[0] || null;
+    const runnerUp = candidates[1] || null;
+    const ambiguous = !!(bestCandidate && runnerUp && bestCandidate.score - runnerUp.score < config.scoring.ambiguityMargin);
+    if (ambiguous) {
+        bestCandidate.score = round(Math.max(0, bestCandidate.score - config.scoring.ambiguityPenalty));
+        bestCandidate.breakdown.signals.push({
+            signal: 'ambiguity',
+            result: 'AMBIGUOUS',
+            detail: { runnerUp: runnerUp.jobRef, runnerUpScore: runnerUp.score, candidates: candidates.length },
+            points: -config.scoring.ambiguityPenalty
+        });
+        bestCandidate.breakdown.score = bestCandidate.score;
     }
 
-    // Sort candidates by score (highest first)
-    candidates.sort((a, b) => b.score - a.score);
-
-    // Determine best match
-    const bestCandidate = candidates.length > 0 ? candidates[0] : null;
-
     const result = {
         match: bestCandidate ? {
             jobId: bestCandidate.jobId,
             jobRef: bestCandidate.jobRef,
+            customer: bestCandidate.customer,
             confidence: bestCandidate.score,
-            matchType: bestCandidate.matchType
+            matchType: bestCandidate.matchType,
+            breakdown: bestCandidate.breakdown
         } : null,
-        candidates: candidates.map(c => ({
+        candidates: candidates.slice(0, config.scoring.maxCandidates).map(c => ({
             jobId: c.jobId,
             jobRef: c.jobRef,
+            customer: c.customer,
             confidence: c.score,
-            matchType: c.matchType
+            matchType: c.matchType,
+            breakdown: c.breakdown
         })),
         summary: {
             status: bestCandidate ? 'MATCHED' : 'NO_MATCH',
             duration: Date.now() - startTime,
             bestScore: bestCandidate?.score || 0,
+            ambiguous,
             extractedFields: { jobRef, vehicleReg, date, supplier },
-            jobsSearched: jobs.length
+            jobsSearched: jobs.length,
+            candidatesScored: candidates.length,
+            jobSource,
+            hrmsError
         }
     };
 
@@ -333,33 +499,18 @@ async function findBestMatch(options = {}) {
     if (vehicleReg) return findByVehicleReg(vehicleReg);
 
     // Fallback: try to find job by sender (phone number)
-    if (sender && config.useApi) {
-        try {
-            const url = new URL('/api/jobs/by-sender', config.hrmsApiEndpoint);
-            url.searchParams.append('phone', sender);
-
-            const response = await fetch(url.toString(), {
-                headers: {
-                    'Authorization': `Bearer ${config.apiToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (response.ok) {
-                const jobs = await response.json();
-                if (jobs.length > 0) {
-                    return {
-                        job: {
-                            id: jobs[0].id,
-                            ref: jobs[0].job_ref || jobs[0].ref
-                        },
-                        confidence: 0.5,  // Lower confidence for sender-based match
-                        matchType: 'SENDER_MATCH'
-                    };
-                }
-            }
-        } catch (err) {
-            console.warn(`[Match] Sender match failed: ${err.message}`);
+    if (sender) {
+        const jobs = await loadSenderJobs(sender);
+        if (jobs.length > 0) {
+            return {
+                job: {
+                    id: jobs[0].id,
+                    ref: jobs[0].job_ref || jobs[0].ref,
+                    customer: jobs[0].customer || null
+                },
+                confidence: 0.5,  // Lower confidence for sender-based match
+                matchType: 'SENDER_MATCH'
+            };
         }
     }
 
@@ -367,29 +518,24 @@ async function findBestMatch(options = {}) {
 }
 
 /**
- * Log match attempt for audit trail
+ * Log a one-line summary of a match attempt. The candidates and their score
+ * breakdowns are in the MATCH audit entry written by the route stage.
  * @param {string} attachmentId - Attachment ID
  * @param {Object} result - Match result
  * @param {Object} extractedFields - Extracted fields used for matching
  */
 function logMatchAttempt(attachmentId, result, extractedFields) {
-    const logData = {
-        attachmentId,
-        timestamp: new Date().toISOString(),
-        extractedFields: {
-            jobRef: extractedFields?.jobRef,
-            vehicleReg: extractedFields?.vehicleReg,
-            date: extractedFields?.date,
-            supplier: extractedFields?.supplier
-        },
-        matchResult: result
-    };
-
-    // Log to console for debugging
-    console.log('[Match] Attempt:', JSON.stringify(logData, null, 2));
-
-    // In production, this would write to audit logs
-    // The service.js already handles audit.logMatch() calls
+    const { summary, match } = result;
+    const fields = ['jobRef', 'vehicleReg', 'date', 'supplier']
+        .map(name => `${name}=${extractedFields?.[name] || '-'}`)
+        .join(' ');
+    const outcome = match
+        ? `${match.jobRef} (${match.matchType}, ${match.confidence}${summary.ambiguous ? ', ambiguous' : ''})`
+        : summary.status;
+
+    console.log(`[Match] ${attachmentId || '-'}: ${outcome}; ${fields}; ` +
+        `${summary.candidatesScored || 0} candidate(s) of ${summary.jobsSearched || 0} job(s) from ${summary.jobSource}` +
+        `${summary.hrmsError ? `, HRMS error ${summary.hrmsError.code}: ${summary.hrmsError.message}` : ''}`);
 }
 
 /**
@@ -0,0 +1,454 @@
+/**
+ * Missing-POD Detection and Driver Chasing
+ * Finds delivered jobs (jobs table) that still have no POD attachment after a
+ * grace period, lists them per driver and customer, and chases the drivers over
+ * WhatsApp.
+ *
+ * A job has its POD once any attachment (other than QUARANTINE) is matched to it
+ * (matched_job_id) or carries its job ref. Jobs count as delivered at their
+ * "delivered_at" (import column, kept in the job data) or otherwise at the end of
+ * their job date.
+ *
+ * Chasing (MISSING_POD_CHASE_ENABLED=true), on each scheduled check:
+ *   - each driver gets one message listing all their outstanding jobs, at most
+ *     every MISSING_POD_REMINDER_INTERVAL_HOURS, up to MISSING_POD_MAX_REMINDERS
+ *   - a reminder interval after the last reminder (or straight away for jobs with
+ *     no driver phone) the jobs are escalated once to MISSING_POD_ESCALATION_CHAT
+ *   - nothing is sent during quiet hours (MISSING_POD_QUIET_START-END, local time)
+ * Message texts are templates ({{name}} placeholders), overridable per key from
+ * the JSON file at MISSING_POD_TEMPLATES_PATH.
+ */
+
+const fs = require('fs');
+const { getDb } = require('./db');
+const jobs = require('./jobs');
+const audit = require('./audit');
+const { normalizeKey } = require('./lib/matching');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Configuration
+const CONFIG = {
+    checkIntervalMs: intEnv('MISSING_POD_CHECK_INTERVAL_MS', 60 * 60 * 1000), // hourly
+    chaseEnabled: process.env.MISSING_POD_CHASE_ENABLED === 'true',
+    graceHours: intEnv('MISSING_POD_GRACE_HOURS', 24),
+    lookbackDays: intEnv('MISSING_POD_LOOKBACK_DAYS', 14),
+    reminderIntervalHours: intEnv('MISSING_POD_REMINDER_INTERVAL_HOURS', 24),
+    maxReminders: intEnv('MISSING_POD_MAX_REMINDERS', 2),
+    escalationChatId: process.env.MISSING_POD_ESCALATION_CHAT || '',
+    quietStart: intEnv('MISSING_POD_QUIET_START', 20),
+    quietEnd: intEnv('MISSING_POD_QUIET_END', 7),
+    timezone: process.env.MISSING_POD_TIMEZONE || 'Europe/London',
+    templatesPath: process.env.MISSING_POD_TEMPLATES_PATH || ''
+};
+
+const DEFAULT_TEMPLATES = {
+    jobLine: '- {{jobRef}} ({{customer}}, {{jobDate}})',
+    driverReminder: 'Hi {{driverName}}, we have not received the POD for {{count}} delivered job(s):\n{{jobs}}\n\n' +
+        'Please send a photo of each signed POD in this chat. Thank you!',
+    driverFinalReminder: 'Hi {{driverName}}, final reminder: the POD is still missing for {{count}} delivered job(s):\n{{jobs}}\n\n' +
+        'Please send the signed POD(s) in this chat today, otherwise the office will be in touch.',
+    escalation: 'Missing PODs: {{driverName}} ({{driverPhone}}) has not sent the POD for {{count}} job(s) ' +
+        'after {{reminders}} reminder(s):\n{{jobs}}'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Scheduler state
+let checkInterval = null;
+let isChecking = false;
+let lastRun = null;
+let sender = null;
+
+/**
+ * Set the function that sends a WhatsApp message: async (chatId, text) => {}
+ */
+function setSender(fn) {
+    sender = fn;
+}
+
+function loadTemplates() {
+    if (!CONFIG.templatesPath) return { ...DEFAULT_TEMPLATES };
+    try {
+        return { ...DEFAULT_TEMPLATES, ...JSON.parse(fs.readFileSync(CONFIG.templatesPath, 'utf8')) };
+    } catch (error) {
+        console.error(`[MissingPods] Failed to load templates from ${CONFIG.templatesPath}: ${error.message}`);
+        return { ...DEFAULT_TEMPLATES };
+    }
+}
+
+/**
+ * Fill {{name}} placeholders (unknown names become empty)
+ */
+function render(template, vars) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        vars[name] === undefined || vars[name] === null ? '' : String(vars[name]));
+}
+
+function localHour(date) {
+    return parseInt(new Intl.DateTimeFormat('en-GB', {
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZone: CONFIG.timezone
+    }).format(date));
+}
+
+/**
+ * Whether messages are held back at this time (quiet hours may wrap midnight)
+ */
+function isQuietHours(now = new Date()) {
+    const { quietStart: start, quietEnd: end } = CONFIG;
+    if (start === end) return false;
+    const hour = localHour(now);
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function deliveredAt(job) {
+    const explicit = job.delivered_at || job.deliveredAt;
+    if (explicit && !isNaN(Date.parse(explicit))) return new Date(explicit);
+    const endOfDay = new Date(`${job.job_date}T00:00:00Z`);
+    endOfDay.setUTCDate(endOfDay.getUTCDate() + 1);
+    return endOfDay;
+}
+
+/**
+ * Job IDs and normalised job refs that already have a POD
+ */
+function getPodKeys(since) {
+    const jobIds = new Set();
+    const jobRefKeys = new Set();
+    const rows = getDb().prepare(`
+        SELECT matched_job_id, job_ref FROM attachments
+        WHERE status != 'QUARANTINE' AND created_at >= ?
+          AND (matched_job_id IS NOT NULL OR job_ref IS NOT NULL)
+    `).all(since.toISOString().replace('T', ' ').slice(0, 19));
+    for (const row of rows) {
+        if (row.matched_job_id) jobIds.add(row.matched_job_id);
+        if (row.job_ref) jobRefKeys.add(normalizeKey(row.job_ref));
+    }
+    return { jobIds, jobRefKeys };
+}
+
+function getChases(jobIds) {
+    const chases = new Map();
+    if (jobIds.length === 0) return chases;
+    const rows = getDb().prepare(`
+        SELECT * FROM pod_chases WHERE resolved_at IS NULL AND job_id IN (${jobIds.map(() => '?').join(', ')})
+    `).all(...jobIds);
+    for (const row of rows) chases.set(row.job_id, row);
+    return chases;
+}
+
+function groupBy(list, keyFn, fields) {
+    const groups = new Map();
+    for (const item of list) {
+        const key = keyFn(item) || 'UNKNOWN';
+        if (!groups.has(key)) groups.set(key, { ...fields(item), count: 0, jobs: [] });
+        const group = groups.get(key);
+        group.count++;
+        group.jobs.push(item);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Delivered jobs with no POD after the grace period
+ * @param {Object} options - { now, customer, driver }
+ * @returns {Object} { generatedAt, total, jobs, byDriver, byCustomer }
+ */
+function findMissing(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const from = new Date(now.getTime() - CONFIG.lookbackDays * 24 * HOUR);
+    const pods = getPodKeys(new Date(from.getTime() - 7 * 24 * HOUR));
+
+    const driver = options.driver ? jobs.normalisePhone(options.driver) : null;
+    const outstanding = jobs.findDelivered({
+        from: from.toISOString().slice(0, 10),
+        to: now.toISOString().slice(0, 10)
+    }).filter(job =>
+        now - deliveredAt(job) >= CONFIG.graceHours * HOUR &&
+        !pods.jobIds.has(job.id) &&
+        !pods.jobRefKeys.has(normalizeKey(job.job_ref)) &&
+        (!options.customer || String(job.customer || '').toUpperCase() === String(options.customer).toUpperCase()) &&
+        (!driver || job.driver_phone === driver));
+
+    const chases = getChases(outstanding.map(job => job.id));
+    const list = outstanding.map(job => {
+        const delivered = deliveredAt(job);
+        const chase = chases.get(job.id);
+        return {
+            jobId: job.id,
+            jobRef: job.job_ref,
+            customer: job.customer || null,
+            driverPhone: job.driver_phone || null,
+            driverName: job.driver_name || job.driverName || null,
+            vehicleReg: job.vehicle_reg || null,
+            jobDate: job.job_date,
+            deliveredAt: delivered.toISOString(),
+            hoursOutstanding: Math.floor((now - delivered) / HOUR),
+            chase: {
+                remindersSent: chase?.reminders_sent || 0,
+                lastReminderAt: chase?.last_reminder_at || null,
+                escalatedAt: chase?.escalated_at || null,
+                lastError: chase?.last_error || null
+            }
+        };
+    });
+
+    return {
+        generatedAt: now.toISOString(),
+        graceHours: CONFIG.graceHours,
+        total: list.length,
+        jobs: list,
+        byDriver: groupBy(list, job => job.driverPhone, job => ({
+            driverPhone: job.driverPhone,
+            driverName: job.driverName
+        })),
+        byCustomer: groupBy(list, job => job.customer, job => ({ customer: job.customer }))
+    };
+}
+
+/**
+ * Record newly outstanding jobs and resolve chases that are no longer outstanding
+ * (POD arrived, job no longer delivered, or older than the look-back)
+ * @returns {number} Chases resolved
+ */
+function syncChases(missing, now) {
+    const db = getDb();
+    const timestamp = now.toISOString();
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO pod_chases (job_id, job_ref, driver_phone, customer, first_detected_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const resolve = db.prepare('UPDATE pod_chases SET resolved_at = ?, updated_at = ? WHERE job_id = ?');
+
+    return db.transaction(() => {
+        const outstanding = new Set();
+        for (const job of missing.jobs) {
+            outstanding.add(job.jobId);
+            insert.run(job.jobId, job.jobRef, job.driverPhone, job.customer, timestamp, timestamp);
+        }
+        let resolved = 0;
+        for (const row of db.prepare('SELECT job_id FROM pod_chases WHERE resolved_at IS NULL').all()) {
+            if (!outstanding.has(row.job_id)) {
+                resolve.run(timestamp, timestamp, row.job_id);
+                resolved++;
+            }
+        }
+        return resolved;
+    })();
+}
+
+function jobLines(templates, list) {
+    return list.map(job => render(templates.jobLine, { ...job, customer: job.customer || 'no customer' })).join('\n');
+}
+
+async function send(chatId, text) {
+    if (!sender) throw new Error('No WhatsApp sender configured');
+    await sender(chatId, text);
+}
+
+/**
+ * Remind drivers whose outstanding jobs are due a reminder
+ */
+async function remindDrivers(missing, templates, now, dryRun) {
+    const db = getDb();
+    const intervalMs = CONFIG.reminderIntervalHours * HOUR;
+    const results = [];
+
+    for (const group of missing.byDriver) {
+        if (!group.driverPhone) continue;
+        const due = group.jobs.filter(job =>
+            job.chase.remindersSent < CONFIG.maxReminders &&
+            (!job.chase.lastReminderAt || now - new Date(job.chase.lastReminderAt) >= intervalMs));
+        if (due.length === 0) continue;
+
+        // The message lists every outstanding job and is numbered after the most-reminded due job
+        const reminder = Math.max(...due.map(job => job.chase.remindersSent)) + 1;
+        const template = reminder >= CONFIG.maxReminders ? templates.driverFinalReminder : templates.driverReminder;
+        const text = render(template, {
+            driverName: group.driverName || 'there',
+            driverPhone: group.driverPhone,
+            count: group.jobs.length,
+            reminder,
+            maxReminders: CONFIG.maxReminders,
+            jobs: jobLines(templates, group.jobs)
+        });
+        const result = { driverPhone: group.driverPhone, jobRefs: due.map(job => job.jobRef), reminder, text, sent: false };
+        results.push(result);
+        if (dryRun) continue;
+
+        const timestamp = now.toISOString();
+        try {
+            await send(`${group.driverPhone}@c.us`, text);
+            result.sent = true;
+            const update = db.prepare(`
+                UPDATE pod_chases
+                SET reminders_sent = reminders_sent + 1, last_reminder_at = ?, last_error = NULL, updated_at = ?
+                WHERE job_id = ?
+            `);
+            for (const job of due) update.run(timestamp, timestamp, job.jobId);
+            audit.log({
+                action: 'MISSING_POD_REMINDER',
+                details: { driverPhone: group.driverPhone, jobRefs: result.jobRefs, reminder }
+            });
+            console.log(`[MissingPods] Reminder ${reminder} sent to ${group.driverPhone} for ${due.length} job(s)`);
+        } catch (error) {
+            result.error = error.message;
+            const update = db.prepare('UPDATE pod_chases SET last_error = ?, updated_at = ? WHERE job_id = ?');
+            for (const job of due) update.run(error.message, timestamp, job.jobId);
+            console.error(`[MissingPods] Reminder to ${group.driverPhone} failed: ${error.message}`);
+        }
+    }
+    return results;
+}
+
+/**
+ * Escalate jobs the driver was reminded about enough (or that have no driver phone)
+ */
+async function escalate(missing, templates, now, dryRun) {
+    const intervalMs = CONFIG.reminderIntervalHours * HOUR;
+    const results = [];
+    if (!CONFIG.escalationChatId) return results;
+
+    for (const group of missing.byDriver) {
+        const due = group.jobs.filter(job => !job.chase.escalatedAt && (!job.driverPhone ||
+            (job.chase.remindersSent >= CONFIG.maxReminders &&
+                now - new Date(job.chase.lastReminderAt) >= intervalMs)));
+        if (due.length === 0) continue;
+
+        const text = render(templates.escalation, {
+            driverName: group.driverName || 'Unknown driver',
+            driverPhone: group.driverPhone || 'no phone on record',
+            count: due.length,
+            reminders: Math.max(...due.map(job => job.chase.remindersSent)),
+            jobs: jobLines(templates, due)
+        });
+        const result = { driverPhone: group.driverPhone, jobRefs: due.map(job => job.jobRef), text, sent: false };
+        results.push(result);
+        if (dryRun) continue;
+
+        try {
+            await send(CONFIG.escalationChatId, text);
+            result.sent = true;
+            const timestamp = now.toISOString();
+            const update = getDb().prepare('UPDATE pod_chases SET escalated_at = ?, updated_at = ? WHERE job_id = ?');
+            for (const job of due) update.run(timestamp, timestamp, job.jobId);
+            audit.log({
+                action: 'MISSING_POD_ESCALATED',
+                details: { driverPhone: group.driverPhone, jobRefs: result.jobRefs }
+            });
+            console.log(`[MissingPods] Escalated ${due.length} job(s) for ${group.driverPhone || 'unknown driver'}`);
+        } catch (error) {
+            result.error = error.message;
+            console.error(`[MissingPods] Escalation failed: ${error.message}`);
+        }
+    }
+    return results;
+}
+
+/**
+ * Scheduled check: detect missing PODs, then remind and escalate
+ * @param {Object} options - { now, dryRun: report what would be sent without sending or saving }
+ * @returns {Promise<Object>} { generatedAt, missing, byDriver, resolved, quietHours, reminders, escalations }
+ */
+async function runCheck(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const missing = findMissing({ now });
+    const summary = {
+        generatedAt: now.toISOString(),
+        dryRun: !!options.dryRun,
+        missing: missing.total,
+        drivers: missing.byDriver.length,
+        customers: missing.byCustomer.length,
+        resolved: 0,
+        chaseEnabled: CONFIG.chaseEnabled,
+        quietHours: isQuietHours(now),
+        reminders: [],
+        escalations: []
+    };
+
+    if (!options.dryRun) {
+        summary.resolved = syncChases(missing, now);
+        // Chase state (reminder counts) as just recorded
+        Object.assign(missing, findMissing({ now }));
+    }
+
+    if (CONFIG.chaseEnabled && !summary.quietHours) {
+        const templates = loadTemplates();
+        summary.reminders = await remindDrivers(missing, templates, now, options.dryRun);
+        summary.escalations = await escalate(missing, templates, now, options.dryRun);
+    }
+
+    if (!options.dryRun) lastRun = summary;
+    return summary;
+}
+
+/**
+ * Start the scheduled check
+ */
+function start() {
+    if (checkInterval) {
+        console.log('[MissingPods] Scheduler already running');
+        return;
+    }
+    console.log(`[MissingPods] Checking every ${CONFIG.checkIntervalMs}ms (chasing ${CONFIG.chaseEnabled ? 'on' : 'off'})`);
+
+    checkInterval = setInterval(async () => {
+        if (isChecking) return;
+        isChecking = true;
+        try {
+            const result = await runCheck();
+            if (result.missing > 0) {
+                console.log(`[MissingPods] ${result.missing} missing POD(s) across ${result.drivers} driver(s)`);
+            }
+        } catch (error) {
+            console.error('[MissingPods] Check error:', error.message);
+        } finally {
+            isChecking = false;
+        }
+    }, CONFIG.checkIntervalMs);
+    checkInterval.unref();
+}
+
+/**
+ * Stop the scheduled check
+ */
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+        console.log('[MissingPods] Scheduler stopped');
+    }
+}
+
+function getStatus() {
+    return {
+        running: !!checkInterval,
+        chaseEnabled: CONFIG.chaseEnabled,
+        quietHours: { start: CONFIG.quietStart, end: CONFIG.quietEnd, timezone: CONFIG.timezone, active: isQuietHours() },
+        escalationChat: CONFIG.escalationChatId || null,
+        lastRun: lastRun ? {
+            at: lastRun.generatedAt,
+            missing: lastRun.missing,
+            reminders: lastRun.reminders.filter(r => r.sent).length,
+            escalations: lastRun.escalations.filter(e => e.sent).length
+        } : null
+    };
+}
+
+module.exports = {
+    CONFIG,
+    DEFAULT_TEMPLATES,
+    setSender,
+    render,
+    isQuietHours,
+    findMissing,
+    runCheck,
+    start,
+    stop,
+    getStatus
+};
@@ -49,6 +49,15 @@ function getMessageById(id) {
     };
 }
 
+function updateMessageStatus(id, status, metadata = undefined) {
+    const db = getDb();
+    if (metadata !== undefined) {
+        return db.prepare('UPDATE messages SET status = ?, metadata = ? WHERE id = ?')
+            .run(status, metadata ? JSON.stringify(metadata) : null, id);
+    }
+    return db.prepare('UPDATE messages SET status = ? WHERE id = ?').run(status, id);
+}
+
 function getMessagesByStatus(status, limit = 100) {
     const db = getDb();
     const stmt = db.prepare('SELECT * FROM messages WHERE status = ? ORDER BY received_at DESC LIMIT ?');
@@ -102,22 +111,33 @@ function getAttachmentByHash(contentHash) {
     return stmt.get(contentHash);
 }
 
+// Columns settable alongside a status change; pipeline callers use camelCase keys
+const ATTACHMENT_FIELD_COLUMNS = {
+    job_ref: 'job_ref',
+    jobRef: 'job_ref',
+    vehicle_reg: 'vehicle_reg',
+    vehicleReg: 'vehicle_reg',
+    supplier: 'supplier',
+    matched_job_id: 'matched_job_id',
+    matchedJobId: 'matched_job_id',
+    match_confidence: 'match_confidence',
+    matchConfidence: 'match_confidence',
+    review_queue: 'review_queue',
+    reviewQueue: 'review_queue'
+};
+
 function updateAttachmentStatus(id, status, extraFields = {}) {
     const db = getDb();
     let setClause = 'status = ?';
     const params = [status];
-
-    if (extraFields.job_ref !== undefined) {
-        setClause += ', job_ref = ?';
-        params.push(extraFields.job_ref);
-    }
-    if (extraFields.vehicle_reg !== undefined) {
-        setClause += ', vehicle_reg = ?';
-        params.push(extraFields.vehicle_reg);
-    }
-    if (extraFields.matchedJobId !== undefined) {
-        setClause += ', matched_job_id = ?';
-        params.push(extraFields.matchedJobId);
+    const columns = new Set();
+
+    for (const [field, column] of Object.entries(ATTACHMENT_FIELD_COLUMNS)) {
+        if (extraFields[field] !== undefined && !columns.has(column)) {
+            columns.add(column);
+            setClause += `, ${column} = ?`;
+            params.push(extraFields[field]);
+        }
     }
 
     params.push(id);
@@ -126,11 +146,136 @@ function updateAttachmentStatus(id, status, extraFields = {}) {
     return stmt.run(...params);
 }
 
+/**
+ * Shallow-merge keys into an attachment's metadata JSON
+ * @param {string} id - Attachment ID
+ * @param {Object} patch - Keys to set (undefined values are ignored)
+ * @returns {Object|null} Updated metadata, or null if the attachment does not exist
+ */
+function mergeAttachmentMetadata(id, patch) {
+    const attachment = getAttachmentById(id);
+    if (!attachment) return null;
+
+    const metadata = { ...(attachment.metadata || {}) };
+    for (const [key, value] of Object.entries(patch)) {
+        if (value !== undefined) metadata[key] = value;
+    }
+
+    getDb().prepare('UPDATE attachments SET metadata = ? WHERE id = ?').run(JSON.stringify(metadata), id);
+    return metadata;
+}
+
+// created_at is stored as 'YYYY-MM-DD HH:MM:SS' (UTC); a bare date bound covers the whole day
+function toSqlTimestamp(value, endOfDay = false) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Find document heads by status, supplier and creation date (pages are excluded)
+ * @param {Object} filter - { status, supplier, from, to, limit } (from/to: ISO date or timestamp)
+ * @returns {Array<Object>} Attachments ordered oldest first
+ */
+function findAttachments(filter = {}) {
+    const clauses = ["a.status != 'PAGE'"];
+    const params = [];
+
+    if (filter.status) {
+        const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+        clauses.push(`a.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+    }
+    if (filter.supplier) {
+        clauses.push('UPPER(a.supplier) = UPPER(?)');
+        params.push(filter.supplier);
+    }
+    if (filter.from) {
+        clauses.push('a.created_at >= ?');
+        params.push(toSqlTimestamp(filter.from));
+    }
+    if (filter.to) {
+        clauses.push('a.created_at <= ?');
+        params.push(toSqlTimestamp(filter.to, true));
+    }
+
+    params.push(filter.limit || 100);
+
+    return getDb().prepare(`
+        SELECT a.* FROM attachments a
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY a.created_at ASC
+        LIMIT ?
+    `).all(...params).map(row => ({
+        ...row,
+        metadata: row.metadata ? JSON.parse(row.metadata) : null
+    }));
+}
+
+// Multi-page documents
+// Page count for a document head; single-page attachments report 1
+const PAGE_COUNT_SQL = `MAX(1, (SELECT COUNT(*) FROM attachments p WHERE p.document_id = a.id))`;
+
+/**
+ * Link attachments into one document. The first ID becomes the document head
+ * (carries status/routing); the rest are marked PAGE so they leave the queues.
+ * @param {string} documentId - Head attachment ID (page 1)
+ * @param {string[]} pageIds - All page IDs in order, including the head
+ */
+function linkDocumentPages(documentId, pageIds) {
+    const db = getDb();
+    const setPage = db.prepare('UPDATE attachments SET document_id = ?, page_number = ? WHERE id = ?');
+    const setSecondary = db.prepare("UPDATE attachments SET document_id = ?, page_number = ?, status = 'PAGE' WHERE id = ?");
+
+    const link = db.transaction(() => {
+        pageIds.forEach((pageId, index) => {
+            if (pageId === documentId) {
+                setPage.run(documentId, index + 1, pageId);
+            } else {
+                setSecondary.run(documentId, index + 1, pageId);
+            }
+        });
+    });
+
+    link();
+    return { documentId, pageCount: pageIds.length };
+}
+
+/**
+ * Get the ordered pages of a document (a single-page attachment returns itself)
+ * @param {string} documentId - Head attachment ID
+ * @returns {Array<Object>} Page attachments ordered by page_number
+ */
+function getDocumentPages(documentId) {
+    const db = getDb();
+    const rows = db.prepare(`
+        SELECT * FROM attachments
+        WHERE document_id = ?
+        ORDER BY page_number ASC, created_at ASC
+    `).all(documentId);
+
+    if (rows.length === 0) {
+        const single = getAttachmentById(documentId);
+        return single ? [single] : [];
+    }
+
+    return rows.map(row => ({
+        ...row,
+        metadata: row.metadata ? JSON.parse(row.metadata) : null
+    }));
+}
+
 // Queue queries
 function getAttachmentsForReview(limit = 100) {
     const db = getDb();
     const stmt = db.prepare(`
-        SELECT a.*, m.sender_id, m.received_at as message_received_at
+        SELECT a.*, m.sender_id, m.received_at as message_received_at,
+               ${PAGE_COUNT_SQL} as page_count
         FROM attachments a
         JOIN messages m ON a.message_id = m.id
         WHERE a.status = 'REVIEW'
@@ -143,7 +288,8 @@ function getAttachmentsForReview(limit = 100) {
 function getAttachmentsForOut(limit = 100) {
     const db = getDb();
     const stmt = db.prepare(`
-        SELECT a.*, m.sender_id, m.received_at as message_received_at
+        SELECT a.*, m.sender_id, m.received_at as message_received_at,
+               ${PAGE_COUNT_SQL} as page_count
         FROM attachments a
         JOIN messages m ON a.message_id = m.id
         WHERE a.status = 'OUT'
@@ -153,17 +299,42 @@ function getAttachmentsForOut(limit = 100) {
     return stmt.all(limit);
 }
 
-function getAttachmentsByStatus(status, limit = 100) {
+/**
+ * Attachments in a status, optionally in one named review queue (null = the main queue)
+ */
+function getAttachmentsByStatus(status, limit = 100, reviewQueue = undefined) {
     const db = getDb();
+    const params = [status];
+    let queueClause = '';
+    if (reviewQueue === null) {
+        queueClause = 'AND a.review_queue IS NULL';
+    } else if (reviewQueue !== undefined) {
+        queueClause = 'AND UPPER(a.review_queue) = UPPER(?)';
+        params.push(reviewQueue);
+    }
     const stmt = db.prepare(`
-        SELECT a.*, m.sender_id, m.received_at as message_received_at
+        SELECT a.*, m.sender_id, m.received_at as message_received_at,
+               ${PAGE_COUNT_SQL} as page_count
         FROM attachments a
         JOIN messages m ON a.message_id = m.id
-        WHERE a.status = ?
+        WHERE a.status = ? ${queueClause}
         ORDER BY a.created_at ASC
         LIMIT ?
     `);
-    return stmt.all(status, limit);
+    return stmt.all(...params, limit);
+}
+
+/**
+ * REVIEW counts per named review queue ('main' for attachments without one)
+ */
+function countReviewQueues() {
+    const rows = getDb().prepare(`
+        SELECT COALESCE(UPPER(review_queue), 'main') AS queue, COUNT(*) AS count
+        FROM attachments
+        WHERE status = 'REVIEW'
+        GROUP BY COALESCE(UPPER(review_queue), 'main')
+    `).all();
+    return Object.fromEntries(rows.map(row => [row.queue, row.count]));
 }
 
 // Audit operations
@@ -368,13 +539,20 @@ module.exports = {
     createMessage,
     getMessageById,
     getMessagesByStatus,
+    updateMessageStatus,
     createAttachment,
     getAttachmentById,
     getAttachmentByHash,
     updateAttachmentStatus,
+    mergeAttachmentMetadata,
+    toSqlTimestamp,
+    findAttachments,
     getAttachmentsForReview,
     getAttachmentsForOut,
     getAttachmentsByStatus,
+    countReviewQueues,
+    linkDocumentPages,
+    getDocumentPages,
     logAudit,
     getAuditTrail,
     getAuditTrailByCorrelationId,
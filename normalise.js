@@ -1,7 +1,29 @@
+/**
+ * File Normalisation Module
+ * Validates incoming POD files, hashes them (SHA-256), sniffs the real MIME type
+ * from magic bytes and places them in a content-addressed, sharded store:
+ *
+ *   {STORAGE_BASE}/POD/{hash[0..2]}/{hash[2..4]}/{hash}.{ext}
+ *
+ * Identical bytes always land on the same path, so a re-sent POD is detected
+ * as a duplicate of the attachment that already owns that hash.
+ */
+
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const mimeTypes = require('./lib/mime-types');
+const { getAttachmentByHash } = require('./models');
+
+const STORAGE_BASE = process.env.STORAGE_BASE_PATH || '/data/whatsapp-pod-pods';
+const STORAGE_DIR = path.join(STORAGE_BASE, 'POD');
+
+// Size limits (bytes) - anything smaller is almost certainly a thumbnail or corrupt download
+const POD_MIN_SIZE = parseInt(process.env.POD_MIN_SIZE) || 1024;
+const MAX_FILE_SIZE = parseInt(process.env.POD_MAX_FILE_SIZE) || 25 * 1024 * 1024;
 
-const STORAGE_DIR = './pod_storage';
+// Number of two-character shard levels under STORAGE_DIR
+const SHARD_DEPTH = 2;
 
 function ensureStorageDirectories() {
   if (!fs.existsSync(STORAGE_DIR)) {
@@ -9,16 +31,178 @@ function ensureStorageDirectories() {
   }
 }
 
-function validateAndProcessFile(tempPath, options) {
+/**
+ * Calculate SHA-256 hash of a buffer
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex digest
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Build the sharded storage path for a content hash
+ * @param {string} contentHash - SHA-256 hex digest
+ * @param {string} extension - File extension including the dot
+ * @returns {string} Absolute storage path
+ */
+function getShardedPath(contentHash, extension) {
+  const shards = [];
+  for (let i = 0; i < SHARD_DEPTH; i++) {
+    shards.push(contentHash.substring(i * 2, i * 2 + 2));
+  }
+  return path.join(STORAGE_DIR, ...shards, `${contentHash}${extension}`);
+}
+
+/**
+ * Reduce a free-text value to a filename-safe token
+ */
+function toFilenameToken(value, fallback) {
+  if (!value) return fallback;
+  const token = String(value)
+    .replace(/@(c|g)\.us$/, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40);
+  return token || fallback;
+}
+
+/**
+ * Build canonical filename: {YYYYMMDD}_{HHMMSS}_{sender}_{supplier}_{hash8}.{ext}
+ * @param {Object} parts
+ * @param {Date|string} parts.receivedAt - When the POD was received
+ * @param {string} parts.sender - Sender phone or name
+ * @param {string} parts.supplier - Supplier key (UNKNOWN if not yet extracted)
+ * @param {string} parts.contentHash - SHA-256 hex digest
+ * @param {string} parts.extension - File extension including the dot
+ * @returns {string} Canonical filename
+ */
+function buildCanonicalFilename({ receivedAt, sender, supplier, contentHash, extension }) {
+  const date = receivedAt ? new Date(receivedAt) : new Date();
+  const iso = (isNaN(date.getTime()) ? new Date() : date).toISOString();
+  const datePart = iso.substring(0, 10).replace(/-/g, '');
+  const timePart = iso.substring(11, 19).replace(/:/g, '');
+
+  return [
+    datePart,
+    timePart,
+    toFilenameToken(sender, 'unknown'),
+    toFilenameToken(supplier, 'UNKNOWN').toUpperCase(),
+    contentHash.substring(0, 8)
+  ].join('_') + extension;
+}
+
+/**
+ * Validate a temp file and work out where it belongs in the store
+ * @param {string} tempPath - Path of the downloaded temp file
+ * @param {Object} options
+ * @param {Date} options.receivedAt - Message receive time
+ * @param {string} options.mimeType - MIME type declared by WhatsApp
+ * @param {string} options.originalFilename - Filename from the sender (documents only)
+ * @param {string} options.sender - Sender phone/chat id
+ * @param {string} options.supplier - Supplier if already known
+ * @returns {Object} { success, error?, storagePath, contentHash, fileType, fileSize, canonicalFilename, duplicateOf }
+ */
+function validateAndProcessFile(tempPath, options = {}) {
+  if (!tempPath || !fs.existsSync(tempPath)) {
+    return { success: false, error: `File not found: ${tempPath}` };
+  }
+
+  const buffer = fs.readFileSync(tempPath);
+  const fileSize = buffer.length;
+
+  if (fileSize < POD_MIN_SIZE) {
+    return { success: false, error: `File too small (${fileSize} bytes, minimum ${POD_MIN_SIZE})`, fileSize };
+  }
+  if (fileSize > MAX_FILE_SIZE) {
+    return { success: false, error: `File too large (${fileSize} bytes, maximum ${MAX_FILE_SIZE})`, fileSize };
+  }
+
+  // Trust the bytes over the declared type; fall back to declared/filename type if unrecognised
+  const declaredMimeType = options.mimeType ? options.mimeType.split(';')[0].trim() : null;
+  const detectedMimeType = mimeTypes.detectMimeType(buffer);
+  const fileType = detectedMimeType ||
+    declaredMimeType ||
+    mimeTypes.getMimeType(options.originalFilename || tempPath);
+
+  if (!mimeTypes.isImage(fileType) && fileType !== 'application/pdf') {
+    return { success: false, error: `Unsupported file type: ${fileType}`, fileType, fileSize };
+  }
+
+  const contentHash = hashBuffer(buffer);
+  const extension = mimeTypes.getExtension(fileType) || path.extname(tempPath) || '.bin';
+  const storagePath = getShardedPath(contentHash, extension);
+
+  const canonicalFilename = buildCanonicalFilename({
+    receivedAt: options.receivedAt,
+    sender: options.sender,
+    supplier: options.supplier,
+    contentHash,
+    extension
+  });
+
   return {
-    storagePath: 'pod_' + Date.now() + '.dat',
-    contentHash: 'stub_hash',
-    fileType: 'image/jpeg'
+    success: true,
+    storagePath,
+    contentHash,
+    fileType,
+    fileSize,
+    extension,
+    canonicalFilename,
+    declaredMimeType,
+    mimeMismatch: !!(detectedMimeType && declaredMimeType && detectedMimeType !== declaredMimeType),
+    duplicateOf: findDuplicate(contentHash)
   };
 }
 
+/**
+ * Find an existing attachment with the same content
+ * @param {string} contentHash - SHA-256 hex digest
+ * @returns {Object|null} Existing attachment row
+ */
+function findDuplicate(contentHash) {
+  return getAttachmentByHash(contentHash) || null;
+}
+
+/**
+ * Move a validated temp file into the content-addressed store.
+ * If the target already exists (same bytes), the temp file is simply removed.
+ * @param {string} tempPath - Temp file path
+ * @param {string} storagePath - Target path from validateAndProcessFile
+ * @returns {string} Final storage path
+ */
 function moveToStorage(tempPath, storagePath) {
-  // Stub - just copy
+  if (fs.existsSync(storagePath)) {
+    discardTemp(tempPath);
+    return storagePath;
+  }
+
+  fs.mkdirSync(path.dirname(storagePath), { recursive: true });
+
+  try {
+    fs.renameSync(tempPath, storagePath);
+  } catch (error) {
+    // Temp dir may be on a different device
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(tempPath, storagePath);
+    fs.unlinkSync(tempPath);
+  }
+
+  return storagePath;
+}
+
+/**
+ * Remove a temp file that will not be stored (duplicate or invalid)
+ * @param {string} tempPath - Temp file path
+ */
+function discardTemp(tempPath) {
+  try {
+    if (tempPath && fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+  } catch (error) {
+    console.error('[Normalise] Failed to remove temp file:', error.message);
+  }
 }
 
 function generateStorageUri(storagePath) {
@@ -30,6 +214,13 @@ module.exports = {
   ensureStorageDirectories,
   validateAndProcessFile,
   moveToStorage,
+  discardTemp,
+  findDuplicate,
   generateStorageUri,
-  process: (text) => text
+  hashBuffer,
+  getShardedPath,
+  buildCanonicalFilename,
+  STORAGE_DIR,
+  POD_MIN_SIZE,
+  MAX_FILE_SIZE
 };
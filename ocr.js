@@ -1,13 +1,18 @@
 /**
  * OCR Module
- * Uses OpenAI GPT-4o-mini vision API to extract text from images
+ * Extracts text and structured fields from images through the vision provider
+ * chain (lib/vision: OpenAI, local Tesseract, fixture mock)
  */
 
-const OpenAI = require('openai');
+const vision = require('./lib/vision');
+const resultCache = require('./resultCache');
+const { hashBuffer } = require('./normalise');
 
-// Global OpenAI client (lazy initialization)
-let openaiClient = null;
-let isInitialized = false;
+// Bump when EXTRACT_STRUCTURED_PROMPT changes so cached results are not reused
+const EXTRACT_STRUCTURED_PROMPT_VERSION = '1';
+
+const EXTRACT_TEXT_SYSTEM = 'You are an OCR system. Extract and return ONLY the visible text from the image. No explanations.';
+const EXTRACT_STRUCTURED_SYSTEM = 'You are a document analysis expert. Return ONLY valid JSON matching the specified schema.';
 
 // Prompt for extracting all visible text
 const EXTRACT_TEXT_PROMPT = `Extract ALL visible text from this image. Return the text exactly as it appears, preserving formatting where possible. If no text is visible, return an empty string.`;
@@ -38,29 +43,21 @@ Return ONLY valid JSON:
 }`;
 
 /**
- * Initialize the OCR module with OpenAI API client
+ * Initialize the OCR module
  * @param {Object} options - Configuration options
  * @param {string} options.apiKey - OpenAI API key
  * @param {Object} options.client - Pre-configured OpenAI client (reuses if provided)
  */
 function init(options = {}) {
-    if (options.client) {
-        openaiClient = options.client;
-        isInitialized = true;
-        console.log('OCR module initialized with provided client');
-        return true;
+    if (options.client || options.apiKey) {
+        vision.configure({ openai: { client: options.client, apiKey: options.apiKey } });
     }
 
-    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
-
-    if (!apiKey) {
-        throw new Error('OpenAI API key required. Set OPENAI_API_KEY environment variable or pass apiKey to init().');
+    if (!vision.isReady()) {
+        throw new Error('No vision provider available. Set OPENAI_API_KEY or VISION_PROVIDERS.');
     }
 
-    openaiClient = new OpenAI({ apiKey });
-    isInitialized = true;
-
-    console.log('OCR module initialized with OpenAI');
+    console.log(`OCR module initialized (providers: ${vision.chain.join(' -> ')})`);
     return true;
 }
 
@@ -68,98 +65,52 @@ function init(options = {}) {
  * Check if module is initialized
  */
 function isReady() {
-    return isInitialized && openaiClient !== null;
-}
-
-/**
- * Get or create OpenAI client
- */
-function getClient() {
-    if (!isInitialized) {
-        init();
-    }
-    return openaiClient;
-}
-
-/**
- * Convert buffer to base64 data URL
- * @param {Buffer} buffer - Image buffer
- * @param {string} mimeType - MIME type
- * @returns {string} Data URL
- */
-function bufferToDataUrl(buffer, mimeType) {
-    const base64 = buffer.toString('base64');
-    return `data:${mimeType};base64,${base64}`;
+    return vision.isReady();
 }
 
 /**
  * Extract all visible text from an image
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} mimeType - MIME type
- * @param {Object} options - Options
- * @returns {Promise<Object>} Result with text and confidence
+ * @param {Object} options - Options ({ providers } to override the chain)
+ * @returns {Promise<Object>} Result with text, confidence and provider
  */
 async function extractText(imageBuffer, mimeType, options = {}) {
-    const client = getClient();
-
-    const startTime = Date.now();
-
-    try {
-        const dataUrl = bufferToDataUrl(imageBuffer, mimeType);
-
-        const response = await client.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an OCR system. Extract and return ONLY the visible text from the image. No explanations.'
-                },
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: EXTRACT_TEXT_PROMPT
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: dataUrl
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 4000,
-            temperature: 0.1
-        });
-
-        const duration = Date.now() - startTime;
-        const text = response.choices[0].message.content.trim();
-
-        // Estimate confidence based on response length and model behavior
-        const confidence = text.length > 0 ? 0.85 : 0.5;
-
-        return {
-            success: true,
-            text,
-            confidence,
-            wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
-            duration,
-            raw: text
-        };
+    const outcome = await vision.run('text', imageBuffer, mimeType, {
+        system: EXTRACT_TEXT_SYSTEM,
+        prompt: EXTRACT_TEXT_PROMPT,
+        maxTokens: 4000,
+        providers: options.providers
+    });
 
-    } catch (error) {
-        console.error('OCR extraction error:', error.message);
+    if (!outcome.success) {
+        console.error('OCR extraction error:', outcome.error);
         return {
             success: false,
             text: '',
             confidence: 0.0,
             wordCount: 0,
-            duration: Date.now() - startTime,
-            error: error.message
+            duration: outcome.duration,
+            provider: null,
+            model: null,
+            providerAttempts: outcome.attempts,
+            error: outcome.error
         };
     }
+
+    const text = outcome.result.text || '';
+
+    return {
+        success: true,
+        text,
+        confidence: outcome.result.confidence,
+        wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+        duration: outcome.duration,
+        provider: outcome.provider,
+        model: outcome.model,
+        providerAttempts: outcome.attempts,
+        raw: text
+    };
 }
 
 /**
@@ -180,64 +131,28 @@ async function extractTextFromPath(imagePath, mimeType, options = {}) {
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} mimeType - MIME type
  * @param {Object} options - Options
- * @returns {Promise<Object>} Structured extraction result
+ * @param {Array<string>} options.providers - Override the provider chain
+ * @param {boolean|string} options.cache - false to bypass the cache, 'refresh' to skip the read but store
+ * @returns {Promise<Object>} Structured extraction result, including the provider that produced it
  */
 async function extractStructured(imageBuffer, mimeType, options = {}) {
-    const client = getClient();
-
-    const startTime = Date.now();
-
-    try {
-        const dataUrl = bufferToDataUrl(imageBuffer, mimeType);
-
-        const response = await client.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a document analysis expert. Return ONLY valid JSON matching the specified schema.'
-                },
-                {
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'text',
-                            text: EXTRACT_STRUCTURED_PROMPT
-                        },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: dataUrl
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 1000,
-            temperature: 0.1
-        });
-
-        const duration = Date.now() - startTime;
-        const responseText = response.choices[0].message.content;
-
-        // Parse JSON response
-        const data = parseJsonResponse(responseText);
+    const cacheKey = buildCacheKey(imageBuffer, mimeType, options);
+    if (cacheKey && options.cache !== 'refresh') {
+        const cached = resultCache.get(cacheKey);
+        if (cached) {
+            return { ...cached.result, duration: 0, cached: true, providerAttempts: [] };
+        }
+    }
 
-        return {
-            success: true,
-            supplier: data.supplier || null,
-            jobRef: data.jobRef || null,
-            vehicleReg: data.vehicleReg || null,
-            date: data.date || null,
-            shipmentNumber: data.shipmentNumber || null,
-            confidence: data.confidence || 0.5,
-            rawText: data.rawText || '',
-            duration,
-            raw: data
-        };
+    const outcome = await vision.run('structured', imageBuffer, mimeType, {
+        system: EXTRACT_STRUCTURED_SYSTEM,
+        prompt: EXTRACT_STRUCTURED_PROMPT,
+        maxTokens: 1000,
+        providers: options.providers
+    });
 
-    } catch (error) {
-        console.error('Structured extraction error:', error.message);
+    if (!outcome.success) {
+        console.error('Structured extraction error:', outcome.error);
         return {
             success: false,
             supplier: null,
@@ -247,10 +162,57 @@ async function extractStructured(imageBuffer, mimeType, options = {}) {
             shipmentNumber: null,
             confidence: 0.0,
             rawText: '',
-            duration: Date.now() - startTime,
-            error: error.message
+            duration: outcome.duration,
+            provider: null,
+            model: null,
+            providerAttempts: outcome.attempts,
+            error: outcome.error
         };
     }
+
+    const data = outcome.result;
+
+    const result = {
+        success: true,
+        supplier: data.supplier || null,
+        jobRef: data.jobRef || null,
+        vehicleReg: data.vehicleReg || null,
+        date: data.date || null,
+        shipmentNumber: data.shipmentNumber || null,
+        confidence: data.confidence || 0.5,
+        rawText: data.rawText || '',
+        duration: outcome.duration,
+        provider: outcome.provider,
+        model: outcome.model,
+        providerAttempts: outcome.attempts,
+        raw: data
+    };
+
+    // Only the primary provider's results are cached: a fallback answer would
+    // otherwise be served for the whole TTL and the primary never tried again
+    if (cacheKey && outcome.model === cacheKey.model) {
+        const { providerAttempts, ...cacheable } = result;
+        resultCache.set(cacheKey, cacheable, { provider: outcome.provider });
+    }
+
+    return { ...result, cached: false };
+}
+
+/**
+ * Cache key for an image: content hash, prompt version and the model that would answer first
+ * @returns {Object|null} Key, or null when caching is off or no provider is available
+ */
+function buildCacheKey(imageBuffer, mimeType, options = {}) {
+    if (options.cache === false) return null;
+    const provider = vision.primaryProvider(mimeType, options.providers);
+    if (!provider) return null;
+
+    return {
+        contentHash: options.contentHash || hashBuffer(imageBuffer),
+        kind: 'structured',
+        promptVersion: EXTRACT_STRUCTURED_PROMPT_VERSION,
+        model: provider.model
+    };
 }
 
 /**
@@ -266,38 +228,6 @@ async function extractStructuredFromPath(imagePath, mimeType, options = {}) {
     return extractStructured(buffer, mimeType, options);
 }
 
-/**
- * Parse JSON from OpenAI response (handles markdown wrapping)
- * @param {string} responseText - Raw response text
- * @returns {Object} Parsed JSON
- */
-function parseJsonResponse(responseText) {
-    let cleaned = responseText.trim();
-
-    // Clean markdown code blocks
-    if (cleaned.startsWith('```json')) {
-        cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (cleaned.startsWith('```')) {
-        cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-
-    // Find JSON object
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-        cleaned = jsonMatch[0];
-    }
-
-    try {
-        return JSON.parse(cleaned);
-    } catch (e) {
-        return {
-            error: 'Failed to parse response',
-            parseError: e.message,
-            raw: responseText.substring(0, 200)
-        };
-    }
-}
-
 /**
  * Batch extract text from multiple images
  * @param {Array<{buffer: Buffer, mimeType: string}>} images - Array of images
@@ -333,8 +263,8 @@ async function extractStructuredBatch(images, options = {}) {
         const result = await extractStructured(image.buffer, image.mimeType, options);
         results.push(result);
 
-        // Rate limiting
-        if (images.indexOf(image) < images.length - 1) {
+        // Rate limiting (cache hits made no provider call)
+        if (!result.cached && images.indexOf(image) < images.length - 1) {
             await new Promise(resolve => setTimeout(resolve, 500));
         }
     }
@@ -342,6 +272,60 @@ async function extractStructuredBatch(images, options = {}) {
     return results;
 }
 
+/**
+ * Combine per-page structured results into one document result.
+ * Raw text is joined in page order; each field takes the first page that has it.
+ * @param {Array<Object>} results - extractStructured results in page order
+ * @returns {Object} Combined result with per-page results under `pages`
+ */
+function mergePageResults(results) {
+    const successful = results.filter(r => r.success);
+    const firstValue = (field) => {
+        const hit = successful.find(r => r[field]);
+        return hit ? hit[field] : null;
+    };
+
+    const rawText = results
+        .map((r, i) => results.length > 1 ? `--- Page ${i + 1} ---\n${r.rawText || ''}` : (r.rawText || ''))
+        .join('\n\n');
+
+    const confidence = successful.length > 0
+        ? successful.reduce((sum, r) => sum + (r.confidence || 0), 0) / successful.length
+        : 0.0;
+
+    // Provider of the first page that produced a result (pages may differ after fallback)
+    const providers = [...new Set(successful.map(r => r.provider).filter(Boolean))];
+
+    return {
+        success: successful.length > 0,
+        provider: providers[0] || null,
+        providers,
+        supplier: firstValue('supplier'),
+        jobRef: firstValue('jobRef'),
+        vehicleReg: firstValue('vehicleReg'),
+        date: firstValue('date'),
+        shipmentNumber: firstValue('shipmentNumber'),
+        confidence: Math.round(confidence * 100) / 100,
+        rawText,
+        duration: results.reduce((sum, r) => sum + (r.duration || 0), 0),
+        pageCount: results.length,
+        cachedPages: results.filter(r => r.cached).length,
+        pages: results.map((r, i) => ({ page: i + 1, ...r })),
+        error: successful.length === 0 ? (results[0]?.error || 'No pages extracted') : undefined
+    };
+}
+
+/**
+ * Extract structured fields across all pages of a multi-page document
+ * @param {Array<{buffer: Buffer, mimeType: string}>} pages - Pages in order
+ * @param {Object} options - Options
+ * @returns {Promise<Object>} Combined result (see mergePageResults)
+ */
+async function extractStructuredPages(pages, options = {}) {
+    const results = await extractStructuredBatch(pages, options);
+    return mergePageResults(results);
+}
+
 /**
  * Utility: Detect vehicle registration in text
  * @param {string} text - Text to search
@@ -414,6 +398,9 @@ module.exports = {
     extractStructuredFromPath,
     extractTextBatch,
     extractStructuredBatch,
+    extractStructuredPages,
+    mergePageResults,
+    EXTRACT_STRUCTURED_PROMPT_VERSION,
     detectVehicleRegs,
     detectDates,
     detectJobRefs
@@ -0,0 +1,707 @@
+/**
+ * POD Pipeline Stages
+ * Stage handlers run by lib/pipeline.js for every incoming POD:
+ *
+ *   classify -> (grouping) -> ocr -> extract -> match -> route
+ *
+ * Each handler receives the job payload and a context { attempt, maxAttempts,
+ * isFinalAttempt, progress } and returns { next, data } to continue the chain.
+ * Handlers must be safe to re-run: BullMQ retries a stage from the start.
+ *
+ * Transient provider failures (classification, OCR) are thrown so the stage is
+ * retried with backoff. On the final attempt the stage carries on without the
+ * result instead, so a POD is never lost to a flaky provider - it simply lands
+ * in REVIEW with lower confidence.
+ *
+ * The OCR/extract/match/decision steps are also exported as plain helpers so
+ * reprocess.js can re-run any of them against a stored document; routeStage
+ * keeps a snapshot of every result in metadata.results for that purpose.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const models = require('./models');
+const grouping = require('./grouping');
+const audit = require('./audit');
+const classify = require('./classify');
+const match = require('./match');
+const autoRoute = require('./autoRoute');
+const ocr = require('./ocr');
+const extractor = require('./extractor');
+const reconcile = require('./reconcile');
+const autoSend = require('./lib/auto-send');
+const podWriteback = require('./podWriteback');
+const emailQueue = require('./emailQueue');
+
+const STORAGE_BASE = process.env.STORAGE_BASE_PATH || '/data/whatsapp-pod-pods';
+
+/**
+ * Record a message whose file is already stored under another message's attachment
+ * (as processMediaMessage does for duplicates found before queueing)
+ */
+function markDuplicate(existing, data) {
+    console.log(`[Pipeline] classify: duplicate of attachment ${existing.id} (hash ${data.file.contentHash.substring(0, 12)})`);
+    models.updateMessageStatus(data.messageId, 'DUPLICATE');
+    audit.logDuplicate(existing.id, data.messageId, {
+        contentHash: data.file.contentHash,
+        sender: data.from,
+        existingStatus: existing.status,
+        existingMessageId: existing.message_id
+    });
+}
+
+/**
+ * Classify a stored file, create its attachment and hand it to grouping
+ * @param {Object} data - { messageId, from, caption, receivedAt, correlationId, mimeType, originalFilename, file }
+ */
+async function classifyStage(data, ctx) {
+    const { messageId, from, caption, correlationId, mimeType, file } = data;
+
+    // A previous attempt already created the attachment - nothing left to do
+    const existing = models.getAttachmentByHash(file.contentHash);
+    if (existing && existing.message_id === messageId) {
+        console.log(`[Pipeline] classify: attachment ${existing.id} already created, skipping`);
+        return null;
+    }
+    // The same bytes were sent again before this message was classified
+    if (existing) {
+        markDuplicate(existing, data);
+        return null;
+    }
+
+    const imageBuffer = fs.readFileSync(file.storagePath);
+    await ctx.progress(20);
+
+    let classification = await classify.classify(imageBuffer, file.fileType, { contentHash: file.contentHash });
+    if (classification.error && !ctx.isFinalAttempt) {
+        throw new Error(`Classification failed: ${classification.error}`);
+    }
+    if (classification.error) {
+        classification = {
+            type: 'UNKNOWN',
+            imageType: 'error',
+            confidence: 0.0,
+            isPOD: null,
+            reason: `Classification failed: ${classification.error}`,
+            provider: null,
+            providerAttempts: classification.providerAttempts
+        };
+    }
+    await ctx.progress(70);
+
+    audit.log({
+        action: 'CLASSIFY_ATTEMPTED',
+        attachmentId: null,
+        messageId,
+        correlationId,
+        details: {
+            fileType: file.fileType,
+            fileSize: file.fileSize,
+            contentHash: file.contentHash,
+            attempt: ctx.attempt,
+            cached: !!classification.cached,
+            provider: classification.provider || null,
+            providerAttempts: classification.providerAttempts || []
+        }
+    });
+
+    console.log(`Classification: type=${classification.type}, confidence=${classification.confidence}, isPOD=${classification.isPOD}`);
+
+    // Handle NON_POD images with high confidence - skip attachment creation
+    if (classification.type === 'NON_POD' && classification.confidence >= 0.9) {
+        console.log(`Rejecting NON_POD image: ${classification.imageType} (confidence: ${classification.confidence})`);
+
+        const rejectedDir = path.join(STORAGE_BASE, 'REJECTED', new Date().toISOString().split('T')[0]);
+        const rejectedPath = path.join(rejectedDir, path.basename(file.storagePath));
+
+        audit.log({
+            action: 'CLASSIFY_REJECTED',
+            attachmentId: null,
+            messageId,
+            correlationId,
+            details: {
+                reason: 'NON_POD classification high confidence',
+                imageType: classification.imageType,
+                confidence: classification.confidence,
+                fileMovedTo: rejectedPath
+            }
+        });
+
+        if (!fs.existsSync(rejectedDir)) {
+            fs.mkdirSync(rejectedDir, { recursive: true });
+        }
+        if (fs.existsSync(file.storagePath)) {
+            fs.renameSync(file.storagePath, rejectedPath);
+        }
+        models.updateMessageStatus(messageId, 'REJECTED');
+
+        console.log(`Image moved to REJECTED folder`);
+        return null;
+    }
+
+    // POD pages (and anything arriving while the chat has pages waiting) are held
+    // for grouping; OCR, matching and routing then run once per assembled document.
+    const joinsDocument = classification.isPOD || grouping.hasOpenGroup(from);
+
+    let attachmentData;
+    try {
+        attachmentData = models.createAttachment({
+            message_id: messageId,
+            content_hash: file.contentHash,
+            file_type: file.fileType,
+            file_size: file.fileSize,
+            original_filename: data.originalFilename || null,
+            storage_uri: file.storagePath,
+            canonical_filename: file.canonicalFilename,
+            status: joinsDocument ? 'GROUPING' : 'REVIEW',
+            metadata: {
+                mimeType,
+                declaredMimeType: file.declaredMimeType,
+                caption,
+                correlationId,
+                classification: {
+                    type: classification.type,
+                    imageType: classification.imageType,
+                    confidence: classification.confidence,
+                    isPOD: classification.isPOD,
+                    reason: classification.reason,
+                    provider: classification.provider || null,
+                    model: classification.model || null
+                }
+            }
+        });
+    } catch (error) {
+        // Another message with the same bytes was classified while this one ran
+        const duplicate = error.code === 'SQLITE_CONSTRAINT_UNIQUE' && models.getAttachmentByHash(file.contentHash);
+        if (!duplicate || duplicate.message_id === messageId) throw error;
+        markDuplicate(duplicate, data);
+        return null;
+    }
+
+    audit.logNormalise(attachmentData.id, {
+        canonicalFilename: file.canonicalFilename,
+        storagePath: file.storagePath,
+        contentHash: file.contentHash,
+        fileSize: file.fileSize
+    });
+
+    if (joinsDocument) {
+        const { pageNumber } = await grouping.addPage({
+            chatId: from,
+            attachmentId: attachmentData.id,
+            caption,
+            receivedAt: new Date(data.receivedAt)
+        });
+        console.log(`POD page ${pageNumber} saved: ${file.canonicalFilename}`);
+        return null;
+    }
+
+    // Not a POD (or unclassified) - routed on the classification alone
+    const routeDecision = autoRoute.route({ classification, match: null, sender: from });
+
+    models.updateAttachmentStatus(attachmentData.id, routeDecision.routeTo, {
+        reviewQueue: routeDecision.queue
+    });
+
+    audit.logRoute(attachmentData.id, routeDecision.routeTo, {
+        decisionType: routeDecision.decisionType,
+        rule: routeDecision.rule,
+        queue: routeDecision.queue,
+        confidence: routeDecision.confidence,
+        reason: routeDecision.reason,
+        classification: classification
+    });
+
+    console.log(`Routed to ${routeDecision.routeTo}${routeDecision.queue ? ` (${routeDecision.queue})` : ''}: ${routeDecision.reason}`);
+    return null;
+}
+
+/**
+ * Pick the document classification: most confident verdict, preferring pages classified as POD
+ */
+function documentClassification(pages) {
+    const classifications = pages.map(page => page.metadata?.classification).filter(Boolean);
+    const podClassifications = classifications.filter(c => c.isPOD);
+    return (podClassifications.length > 0 ? podClassifications : classifications)
+        .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0] ||
+        { type: 'UNKNOWN', confidence: 0.0, isPOD: null, reason: 'No page classification' };
+}
+
+/**
+ * Read stored page files for OCR
+ * @param {Array<Object>} pages - Page attachments in order
+ */
+function readPages(pages) {
+    return pages.map(page => ({
+        buffer: fs.readFileSync(page.storage_uri),
+        mimeType: page.file_type
+    }));
+}
+
+/**
+ * Reduce a merged structured OCR result to what later stages need
+ * @returns {Object|null} null when OCR failed
+ */
+function summariseOcr(ocrResult) {
+    if (!ocrResult || !ocrResult.success) return null;
+    return {
+        supplier: ocrResult.supplier,
+        jobRef: ocrResult.jobRef,
+        vehicleReg: ocrResult.vehicleReg,
+        date: ocrResult.date,
+        shipmentNumber: ocrResult.shipmentNumber,
+        confidence: ocrResult.confidence,
+        rawText: ocrResult.rawText || '',
+        duration: ocrResult.duration,
+        provider: ocrResult.provider,
+        providers: ocrResult.providers,
+        cachedPages: ocrResult.cachedPages
+    };
+}
+
+/**
+ * Parse OCR text into the structured fields used for matching, reconciled
+ * field by field with the provider's own structured output (see reconcile.js)
+ * @param {Object|null} ocrSummary - Output of summariseOcr
+ * @returns {Object|null} { supplier, jobRef, vehicleReg, date, shipmentNumber, confidence, conflicts, reconciliation }
+ */
+function extractFields(ocrSummary) {
+    if (!ocrSummary) return null;
+    const parsed = extractor.extract(ocrSummary.rawText || '');
+    return reconcile.reconcile(ocrSummary, parsed);
+}
+
+/**
+ * Match extracted fields against jobs, falling back to the sender's current job
+ * @param {Object} input - { fields, ocr, chatId, attachmentId }
+ */
+async function findJobMatch({ fields, ocr: ocrResult, chatId, attachmentId }) {
+    let jobMatch = null;
+
+    if (fields || ocrResult) {
+        const matchFields = {
+            jobRef: fields?.jobRef || ocrResult?.jobRef || null,
+            vehicleReg: fields?.vehicleReg || ocrResult?.vehicleReg || null,
+            date: fields?.date || ocrResult?.date || null,
+            supplier: fields?.supplier || null
+        };
+
+        // Only attempt matching if we have at least one field
+        if (matchFields.jobRef || matchFields.vehicleReg) {
+            console.log(`Matching with extracted fields: jobRef=${matchFields.jobRef}, vehicleReg=${matchFields.vehicleReg}`);
+            jobMatch = await match.findMatch(matchFields, attachmentId, { sender: chatId });
+            console.log(`Match result: status=${jobMatch.summary?.status}, confidence=${jobMatch.match?.confidence || 0}, candidates=${jobMatch.candidates?.length || 0}`);
+        }
+    }
+
+    // Fallback to sender-based matching if no match found
+    if ((!jobMatch || !jobMatch.match) && chatId) {
+        const senderPhone = chatId.replace('@c.us', '').replace('@g.us', '');
+        jobMatch = await match.findBestMatch({ sender: senderPhone });
+        console.log(`Fallback sender match: confidence=${jobMatch.confidence}, matchType=${jobMatch.matchType}`);
+    }
+
+    return jobMatch;
+}
+
+/**
+ * Arguments for autoSend.shouldAutoSend from a document's pipeline results
+ * @param {Object} input - { attachmentId, classification, fields, ocr, jobMatch }
+ * @returns {Object} { attachment, matchResult, supplier, extractionConfidence, matchConfidence }
+ */
+function autoSendInputs({ attachmentId, classification, fields: extractedFields, ocr: ocrResult, jobMatch }) {
+    const supplier = extractedFields?.supplier || ocrResult?.supplier || null;
+    // Reconciled confidence already carries the penalty for conflicting fields
+    const extractionConfidence = extractedFields ? extractedFields.confidence : (ocrResult?.confidence || 0);
+    const matchConfidence = jobMatch?.match?.confidence || 0;
+
+    // shouldAutoSend expects { found, confidence, ... } rather than the match.findMatch result
+    const best = jobMatch?.match || null;
+    return {
+        attachment: {
+            id: attachmentId,
+            classificationConfidence: classification?.confidence || 0,
+            extractionConfidence,
+            supplier,
+            fieldConflicts: extractedFields?.conflicts || []
+        },
+        matchResult: {
+            found: !!best,
+            confidence: matchConfidence,
+            supplier,
+            customer: best?.customer || null,
+            jobRef: best?.jobRef || null,
+            matchType: best?.matchType || null,
+            breakdown: best?.breakdown || null,
+            ambiguous: !!jobMatch?.summary?.ambiguous
+        },
+        supplier,
+        extractionConfidence,
+        matchConfidence
+    };
+}
+
+/**
+ * Evaluate auto-send and routing for a document (no side effects)
+ * @param {Object} input - { attachmentId, classification, fields, ocr, jobMatch, chatId }
+ * @returns {Object} { status, autoSendDecision, routeDecision, matchStatus, matchConfidence, overallConfidence, threshold, fieldConflicts }
+ */
+function decide({ attachmentId, classification, fields: extractedFields, ocr: ocrResult, jobMatch, chatId }) {
+    const inputs = autoSendInputs({ attachmentId, classification, fields: extractedFields, ocr: ocrResult, jobMatch });
+    const { supplier, extractionConfidence, matchConfidence } = inputs;
+    const autoSendDecision = autoSend.shouldAutoSend(inputs.attachment, inputs.matchResult);
+
+    let matchStatus;
+    if (matchConfidence >= 0.95) {
+        matchStatus = 'HIGH_CONFIDENCE';
+    } else if (matchConfidence >= 0.70) {
+        matchStatus = 'MEDIUM_CONFIDENCE';
+    } else {
+        matchStatus = 'LOW_CONFIDENCE';
+    }
+
+    const overallConfidence = autoSend.calculateOverallConfidence({
+        classification: classification.confidence,
+        extraction: extractionConfidence,
+        matching: matchConfidence
+    });
+
+    const routeDecision = autoRoute.route({
+        classification,
+        match: jobMatch,
+        autoSend: { ...autoSendDecision, overallConfidence },
+        sender: chatId,
+        supplier
+    });
+
+    return {
+        status: routeDecision.routeTo,
+        autoSendDecision,
+        routeDecision,
+        matchStatus,
+        matchConfidence,
+        overallConfidence,
+        threshold: autoSend.getSupplierThreshold(supplier),
+        fieldConflicts: extractedFields?.conflicts || []
+    };
+}
+
+/**
+ * Snapshot of a document's pipeline results, kept in metadata.results so any
+ * stage can later be re-run against the rest (see reprocess.js)
+ */
+function buildResults({ classification, ocr: ocrResult, fields, jobMatch, decision }) {
+    return {
+        classification: classification || null,
+        ocr: ocrResult || null,
+        fields: fields || null,
+        match: jobMatch?.match ? {
+            jobId: jobMatch.match.jobId,
+            jobRef: jobMatch.match.jobRef,
+            customer: jobMatch.match.customer || null,
+            confidence: jobMatch.match.confidence,
+            matchType: jobMatch.match.matchType,
+            breakdown: jobMatch.match.breakdown || null,
+            candidates: jobMatch.candidates || []
+        } : null,
+        autoSend: decision ? {
+            decision: decision.autoSendDecision.decision,
+            reasonCode: decision.autoSendDecision.reasonCode,
+            reason: decision.autoSendDecision.reason,
+            rule: decision.autoSendDecision.rule || null,
+            configVersion: decision.autoSendDecision.configVersion ?? null,
+            overallConfidence: decision.overallConfidence,
+            threshold: decision.threshold,
+            fieldConflicts: decision.fieldConflicts
+        } : null,
+        route: decision ? {
+            status: decision.status,
+            queue: decision.routeDecision.queue || null,
+            decisionType: decision.routeDecision.decisionType || null,
+            rule: decision.routeDecision.rule || null,
+            reason: decision.routeDecision.reason || null
+        } : null,
+        processedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Persist a document's results: promoted columns, metadata.results and (optionally) status
+ * @param {string} attachmentId - Document head ID
+ * @param {Object} results - Output of buildResults
+ * @param {string|null} status - New status, or null to keep the current one
+ */
+function saveResults(attachmentId, results, status = null) {
+    const current = models.getAttachmentById(attachmentId);
+    if (!current) return null;
+
+    models.updateAttachmentStatus(attachmentId, status || current.status, {
+        jobRef: results.fields?.jobRef || results.ocr?.jobRef || results.match?.jobRef || null,
+        vehicleReg: results.fields?.vehicleReg || results.ocr?.vehicleReg || null,
+        supplier: results.fields?.supplier || results.ocr?.supplier || null,
+        matchedJobId: results.match?.jobId || null,
+        matchConfidence: results.match?.confidence || 0,
+        reviewQueue: results.route ? results.route.queue || null : undefined
+    });
+    const metadata = models.mergeAttachmentMetadata(attachmentId, { results });
+    podWriteback.onStatusChange(attachmentId, current.status, status || current.status);
+    emailQueue.onStatusChange(attachmentId, current.status, status || current.status);
+    return metadata;
+}
+
+/**
+ * Link an assembled document's pages and run OCR across all of them
+ * @param {Object} data - { chatId, caption, pageIds }
+ */
+async function ocrStage(data, ctx) {
+    const pages = data.pageIds
+        .map(id => models.getAttachmentById(id))
+        .filter(Boolean);
+    if (pages.length === 0) return null;
+
+    // The first page is the document head: it carries status, fields and routing
+    const attachmentId = pages[0].id;
+    const correlationId = pages[0].metadata?.correlationId || null;
+    const pageIds = pages.map(page => page.id);
+
+    if (pages.length > 1 && ctx.attempt === 1) {
+        models.linkDocumentPages(attachmentId, pageIds);
+        audit.logGrouped(attachmentId, pageIds, { chatId: data.chatId, caption: data.caption });
+        console.log(`[Grouping] Assembled ${pages.length}-page POD ${attachmentId}`);
+    }
+
+    const classification = documentClassification(pages);
+
+    console.log(`Running structured OCR extraction (${pages.length} page(s))...`);
+    await ctx.progress(10, { attachmentId });
+    const ocrResult = await ocr.extractStructuredPages(readPages(pages));
+
+    if (!ocrResult.success) {
+        if (!ctx.isFinalAttempt) {
+            throw new Error(`OCR failed: ${ocrResult.error}`);
+        }
+        console.error('OCR error:', ocrResult.error);
+        audit.logFailed(attachmentId, ocrResult.error || 'OCR failed', { phase: 'OCR', pageIds, attempts: ctx.attempt });
+    }
+
+    const next = {
+        attachmentId,
+        chatId: data.chatId,
+        pageIds,
+        correlationId,
+        classification,
+        ocr: summariseOcr(ocrResult)
+    };
+
+    return { next: 'extract', data: next };
+}
+
+/**
+ * Parse OCR text into structured fields
+ */
+async function extractStage(data) {
+    const { attachmentId, correlationId, ocr: ocrResult } = data;
+    if (!ocrResult) {
+        return { next: 'match', data: { ...data, fields: null } };
+    }
+
+    const fields = extractFields(ocrResult);
+    const wordCount = ocrResult.rawText ? ocrResult.rawText.split(/\s+/).filter(w => w.length > 0).length : 0;
+
+    audit.log({
+        action: 'OCR_EXTRACTED',
+        attachmentId,
+        correlationId,
+        details: {
+            wordCount,
+            pageCount: data.pageIds.length,
+            confidence: ocrResult.confidence,
+            duration: ocrResult.duration,
+            provider: ocrResult.provider,
+            providers: ocrResult.providers,
+            cachedPages: ocrResult.cachedPages || 0,
+            fieldsFound: {
+                supplier: fields.supplier,
+                jobRef: fields.jobRef,
+                vehicleReg: fields.vehicleReg,
+                date: fields.date,
+                shipmentNumber: fields.shipmentNumber
+            }
+        }
+    });
+
+    console.log(`OCR: supplier=${fields.supplier}, jobRef=${fields.jobRef}, vehicleReg=${fields.vehicleReg}, confidence=${fields.confidence}, conflicts=${fields.conflicts.join(',') || 'none'}`);
+
+    if (fields.confidence > 0) {
+        audit.log({
+            action: 'FIELDS_EXTRACTED',
+            attachmentId,
+            correlationId,
+            details: {
+                supplier: fields.supplier,
+                jobRef: fields.jobRef,
+                vehicleReg: fields.vehicleReg,
+                date: fields.date,
+                shipmentNumber: fields.shipmentNumber,
+                confidence: fields.confidence,
+                quality: fields.confidence,
+                provider: ocrResult.provider,
+                conflicts: fields.conflicts,
+                reconciliation: fields.reconciliation
+            }
+        });
+    }
+
+    return { next: 'match', data: { ...data, fields } };
+}
+
+/**
+ * Match the document against jobs, falling back to the sender's current job
+ */
+async function matchStage(data) {
+    const jobMatch = await findJobMatch({
+        fields: data.fields,
+        ocr: data.ocr,
+        chatId: data.chatId,
+        attachmentId: data.attachmentId
+    });
+    return { next: 'route', data: { ...data, jobMatch } };
+}
+
+/**
+ * Evaluate auto-send, route the document and record the outcome
+ */
+async function routeStage(data) {
+    const { attachmentId, correlationId, classification, fields: extractedFields, ocr: ocrResult, jobMatch } = data;
+    const pageCount = data.pageIds.length;
+
+    const decision = decide({
+        attachmentId,
+        classification,
+        fields: extractedFields,
+        ocr: ocrResult,
+        jobMatch,
+        chatId: data.chatId
+    });
+    const { autoSendDecision, routeDecision, matchStatus } = decision;
+    console.log(`[AutoSend] Decision: ${autoSendDecision.decision}, Reason: ${autoSendDecision.reasonCode}`);
+
+    audit.log({
+        action: 'AUTO_SEND_DECISION',
+        attachmentId: attachmentId,
+        correlationId,
+        details: {
+            decision: autoSendDecision.decision,
+            reasonCode: autoSendDecision.reasonCode,
+            reason: autoSendDecision.reason,
+            nextAction: autoSendDecision.nextAction,
+            rule: autoSendDecision.rule || null,
+            configVersion: autoSendDecision.configVersion ?? null,
+            overallConfidence: decision.overallConfidence,
+            threshold: decision.threshold,
+            fieldConflicts: decision.fieldConflicts
+        }
+    });
+
+    if (jobMatch && jobMatch.match) {
+        audit.logMatch(attachmentId, {
+            jobId: jobMatch.match.jobId,
+            jobRef: jobMatch.match.jobRef,
+            confidence: jobMatch.match.confidence,
+            matchType: jobMatch.match.matchType,
+            breakdown: jobMatch.match.breakdown || null,
+            candidates: jobMatch.candidates,
+            source: extractedFields ? 'EXTRACTOR' : 'OCR'
+        });
+        console.log(`Job match: ${jobMatch.match.jobRef}, confidence=${jobMatch.match.confidence}, type=${jobMatch.match.matchType}, status=${matchStatus}`);
+    } else {
+        audit.logMatch(attachmentId, {
+            jobId: null,
+            jobRef: null,
+            confidence: 0,
+            matchType: 'NO_MATCH',
+            candidates: [],
+            source: 'NONE'
+        });
+    }
+
+    saveResults(attachmentId, buildResults({
+        classification,
+        ocr: ocrResult,
+        fields: extractedFields,
+        jobMatch,
+        decision
+    }), decision.status);
+
+    audit.logRoute(attachmentId, decision.status, {
+        decisionType: routeDecision.decisionType,
+        rule: routeDecision.rule,
+        queue: routeDecision.queue,
+        confidence: routeDecision.confidence,
+        reason: routeDecision.reason,
+        classification: classification,
+        match: jobMatch,
+        autoSendDecision: autoSendDecision,
+        pageCount,
+        extraction: extractedFields
+    });
+
+    console.log(`Routed: ${decision.status}${routeDecision.queue ? ` (${routeDecision.queue})` : ''} (${pageCount} page(s), rule=${routeDecision.rule || 'default'}, autoSend=${autoSendDecision.decision}, confidence=${routeDecision.confidence})`);
+    return null;
+}
+
+/**
+ * Record a stage that exhausted its retries against the attachment (or message)
+ * @param {Object} entry - { stage, data, error, attempts }
+ */
+function handleDeadLetter(entry) {
+    const { stage, data, error, attempts } = entry;
+    const attachmentId = data.attachmentId || (data.pageIds && data.pageIds[0]) || null;
+
+    if (attachmentId) {
+        models.updateAttachmentStatus(attachmentId, 'FAILED');
+    } else if (data.messageId) {
+        models.updateMessageStatus(data.messageId, 'FAILED');
+    }
+
+    audit.logFailed(attachmentId, error, {
+        phase: stage.toUpperCase(),
+        attempts,
+        messageId: data.messageId || null,
+        pageIds: data.pageIds || null,
+        correlationId: data.correlationId || null,
+        deadLettered: true
+    });
+}
+
+/**
+ * Register all POD stages on a pipeline instance
+ * @param {Object} pipeline - lib/pipeline.js singleton
+ */
+function register(pipeline) {
+    pipeline.registerStage('classify', classifyStage);
+    pipeline.registerStage('ocr', ocrStage);
+    pipeline.registerStage('extract', extractStage);
+    pipeline.registerStage('match', matchStage);
+    pipeline.registerStage('route', routeStage);
+    pipeline.onDeadLetter(handleDeadLetter);
+}
+
+module.exports = {
+    register,
+    classifyStage,
+    ocrStage,
+    extractStage,
+    matchStage,
+    routeStage,
+    documentClassification,
+    handleDeadLetter,
+    readPages,
+    summariseOcr,
+    extractFields,
+    findJobMatch,
+    autoSendInputs,
+    decide,
+    buildResults,
+    saveResults
+};
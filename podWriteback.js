@@ -0,0 +1,531 @@
+/**
+ * POD Write-back
+ * Tells the HRMS job system when a POD arrives, through a durable outbox.
+ *
+ *   POD_RECEIVED   - the attachment moved to OUT (approved, force-sent or auto-sent)
+ *   POD_DELIVERED  - its email was SENT by emailQueue.processEmail
+ *
+ * Events are written to pod_writeback_outbox first (one row per event, deduplicated),
+ * then a background processor POSTs them to HRMS_WRITEBACK_URL with retries and
+ * backoff. Updates that still fail after HRMS_WRITEBACK_MAX_ATTEMPTS (or that HRMS
+ * rejects outright) stay FAILED for the reconciliation report until retried.
+ */
+
+const { getDb } = require('./db');
+const models = require('./models');
+const audit = require('./audit');
+const downloadLinks = require('./downloadLinks');
+
+// Configuration
+const CONFIG = {
+    enabled: process.env.HRMS_WRITEBACK_ENABLED === 'true',
+    endpoint: process.env.HRMS_WRITEBACK_URL ||
+        `${process.env.HRMS_API_ENDPOINT || 'http://localhost:8000'}/api/pods/status`,
+    token: process.env.HRMS_WRITEBACK_TOKEN || process.env.HRMS_API_TOKEN || '',
+    timeoutMs: parseInt(process.env.HRMS_WRITEBACK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(process.env.HRMS_WRITEBACK_MAX_ATTEMPTS) || 8,
+    pollInterval: parseInt(process.env.HRMS_WRITEBACK_POLL_INTERVAL) || 30000,
+    batchSize: parseInt(process.env.HRMS_WRITEBACK_BATCH_SIZE) || 20,
+    // Lifetime of the signed download links sent to HRMS (downloadLinks.js)
+    linkExpiryDays: parseInt(process.env.HRMS_WRITEBACK_LINK_EXPIRY_DAYS) || 365,
+    retryDelays: [
+        60 * 1000,          // 1 minute
+        5 * 60 * 1000,      // 5 minutes
+        30 * 60 * 1000,     // 30 minutes
+        2 * 60 * 60 * 1000, // 2 hours
+        6 * 60 * 60 * 1000  // 6 hours
+    ]
+};
+
+const EVENTS = {
+    POD_RECEIVED: 'POD_RECEIVED',
+    POD_DELIVERED: 'POD_DELIVERED'
+};
+
+const STATUSES = {
+    PENDING: 'PENDING',
+    SENDING: 'SENDING',
+    DELIVERED: 'DELIVERED',
+    FAILED: 'FAILED'
+};
+
+// HTTP statuses worth retrying - any other 4xx means HRMS rejected the update
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+// Processor state
+let processorInterval = null;
+let isProcessing = false;
+
+/**
+ * Signed link HRMS can use to fetch the POD file - unlike /api/files the URL is stable,
+ * expires, can be revoked and every download is logged
+ * @returns {string|null} null when links cannot be signed (no DOWNLOAD_LINK_SECRET)
+ */
+function buildDownloadUrl(attachment) {
+    if (!attachment.storage_uri) return null;
+    try {
+        const [link] = downloadLinks.createLinks({
+            attachmentId: attachment.id,
+            files: [{ path: attachment.storage_uri, name: attachment.canonical_filename || attachment.original_filename }],
+            recipients: ['HRMS'],
+            expiryDays: CONFIG.linkExpiryDays
+        });
+        return link ? link.url : null;
+    } catch (error) {
+        console.warn(`[Writeback] No download link for ${attachment.id}: ${error.message}`);
+        return null;
+    }
+}
+
+function buildPayload(id, event, attachment, extra) {
+    return {
+        eventId: id,
+        event,
+        attachmentId: attachment.id,
+        jobRef: attachment.job_ref || null,
+        jobId: attachment.matched_job_id || null,
+        vehicleReg: attachment.vehicle_reg || null,
+        supplier: attachment.supplier || null,
+        fileName: attachment.canonical_filename || attachment.original_filename || null,
+        downloadUrl: buildDownloadUrl(attachment),
+        occurredAt: extra.occurredAt || new Date().toISOString(),
+        ...(event === EVENTS.POD_DELIVERED ? {
+            emailQueueId: extra.emailQueueId || null,
+            recipients: extra.recipients || []
+        } : {})
+    };
+}
+
+/**
+ * Write an event to the outbox (no-op if the same event is already there)
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} event - EVENTS value
+ * @param {Object} extra - { emailQueueId, recipients, occurredAt }
+ * @returns {Object|null} { id, created } or null if the attachment does not exist
+ */
+function enqueue(attachmentId, event, extra = {}) {
+    if (!EVENTS[event]) throw new Error(`Unknown write-back event: ${event}`);
+
+    const attachment = models.getAttachmentById(attachmentId);
+    if (!attachment) return null;
+
+    const db = getDb();
+    const dedupeKey = event === EVENTS.POD_DELIVERED
+        ? `${attachmentId}:${event}:${extra.emailQueueId || 'manual'}`
+        : `${attachmentId}:${event}`;
+    const existing = db.prepare('SELECT id FROM pod_writeback_outbox WHERE dedupe_key = ?').get(dedupeKey);
+    if (existing) return { id: existing.id, created: false };
+
+    const id = models.generateUUID();
+    const now = new Date().toISOString();
+    const payload = buildPayload(id, event, attachment, extra);
+
+    db.prepare(`
+        INSERT OR IGNORE INTO pod_writeback_outbox
+        (id, attachment_id, event, dedupe_key, job_ref, job_id, payload, status, attempts,
+         next_attempt_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+    `).run(id, attachmentId, event, dedupeKey, payload.jobRef, payload.jobId,
+        JSON.stringify(payload), STATUSES.PENDING, now, now, now);
+
+    console.log(`[Writeback] Queued ${event} for ${attachmentId}${payload.jobRef ? ` (job ${payload.jobRef})` : ''}`);
+    return { id, created: true };
+}
+
+/**
+ * Status change hook: queue POD_RECEIVED when an attachment moves to OUT
+ * Never throws - a write-back problem must not block routing.
+ */
+function onStatusChange(attachmentId, fromStatus, toStatus, details = {}) {
+    if (!CONFIG.enabled || toStatus !== 'OUT' || fromStatus === 'OUT') return null;
+    try {
+        return enqueue(attachmentId, EVENTS.POD_RECEIVED, details);
+    } catch (error) {
+        console.error(`[Writeback] Failed to queue POD_RECEIVED for ${attachmentId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Email hook: queue POD_DELIVERED once the POD email is SENT
+ * Never throws - a write-back problem must not fail the email.
+ */
+function onEmailSent(attachmentId, emailQueueId, recipients = []) {
+    if (!CONFIG.enabled || !attachmentId) return null;
+    try {
+        return enqueue(attachmentId, EVENTS.POD_DELIVERED, { emailQueueId, recipients });
+    } catch (error) {
+        console.error(`[Writeback] Failed to queue POD_DELIVERED for ${attachmentId}: ${error.message}`);
+        return null;
+    }
+}
+
+function getNextAttemptTime(attempts) {
+    const delay = CONFIG.retryDelays[Math.min(attempts - 1, CONFIG.retryDelays.length - 1)];
+    return new Date(Date.now() + delay).toISOString();
+}
+
+/**
+ * POST one outbox row to HRMS and record the outcome
+ * @returns {Promise<string>} New row status
+ */
+async function deliver(row) {
+    const db = getDb();
+    const attempts = row.attempts + 1;
+    db.prepare('UPDATE pod_writeback_outbox SET status = ?, attempts = ?, updated_at = ? WHERE id = ?')
+        .run(STATUSES.SENDING, attempts, new Date().toISOString(), row.id);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.timeoutMs);
+    let statusCode = null;
+    let error = null;
+    let retryable = true;
+
+    try {
+        const response = await fetch(CONFIG.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${CONFIG.token}`,
+                'Content-Type': 'application/json',
+                'Idempotency-Key': row.dedupe_key
+            },
+            body: row.payload,
+            signal: controller.signal
+        });
+        statusCode = response.status;
+        // 409: HRMS already has this update
+        if (!response.ok && statusCode !== 409) {
+            const text = await response.text().catch(() => '');
+            error = `HRMS returned ${statusCode}${text ? `: ${text.slice(0, 200)}` : ''}`;
+            retryable = statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode);
+        }
+    } catch (err) {
+        error = err.name === 'AbortError' ? `Timed out after ${CONFIG.timeoutMs}ms` : err.message;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const now = new Date().toISOString();
+    if (!error) {
+        db.prepare(`
+            UPDATE pod_writeback_outbox
+            SET status = ?, last_status_code = ?, last_error = NULL, delivered_at = ?, updated_at = ?
+            WHERE id = ?
+        `).run(STATUSES.DELIVERED, statusCode, now, now, row.id);
+        audit.log({
+            action: 'HRMS_WRITEBACK_DELIVERED',
+            attachmentId: row.attachment_id,
+            details: { outboxId: row.id, event: row.event, jobRef: row.job_ref, attempts }
+        });
+        return STATUSES.DELIVERED;
+    }
+
+    const giveUp = !retryable || attempts >= CONFIG.maxAttempts;
+    db.prepare(`
+        UPDATE pod_writeback_outbox
+        SET status = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+        WHERE id = ?
+    `).run(
+        giveUp ? STATUSES.FAILED : STATUSES.PENDING,
+        statusCode,
+        error,
+        giveUp ? null : getNextAttemptTime(attempts),
+        now,
+        row.id
+    );
+
+    if (giveUp) {
+        console.error(`[Writeback] ${row.event} for ${row.attachment_id} failed after ${attempts} attempt(s): ${error}`);
+        audit.log({
+            action: 'HRMS_WRITEBACK_FAILED',
+            attachmentId: row.attachment_id,
+            details: { outboxId: row.id, event: row.event, jobRef: row.job_ref, attempts, statusCode, error }
+        });
+        return STATUSES.FAILED;
+    }
+    console.warn(`[Writeback] ${row.event} for ${row.attachment_id} attempt ${attempts} failed, will retry: ${error}`);
+    return STATUSES.PENDING;
+}
+
+/**
+ * Send due outbox rows (one batch)
+ * @returns {Promise<Object>} { processed, delivered, retrying, failed }
+ */
+async function processOutbox() {
+    const summary = { processed: 0, delivered: 0, retrying: 0, failed: 0 };
+    if (isProcessing) return summary;
+    isProcessing = true;
+
+    try {
+        const rows = getDb().prepare(`
+            SELECT * FROM pod_writeback_outbox
+            WHERE status = ? AND next_attempt_at <= ?
+            ORDER BY created_at ASC
+            LIMIT ?
+        `).all(STATUSES.PENDING, new Date().toISOString(), CONFIG.batchSize);
+
+        // One at a time, in order - HRMS sees RECEIVED before DELIVERED
+        for (const row of rows) {
+            const status = await deliver(row);
+            summary.processed++;
+            if (status === STATUSES.DELIVERED) summary.delivered++;
+            else if (status === STATUSES.FAILED) summary.failed++;
+            else summary.retrying++;
+        }
+        return summary;
+    } finally {
+        isProcessing = false;
+    }
+}
+
+/**
+ * Start the background processor
+ */
+function startProcessor() {
+    if (processorInterval) {
+        console.log('[Writeback] Processor already running');
+        return;
+    }
+
+    // Rows left SENDING by a crash or restart are sent again (HRMS dedupes on Idempotency-Key)
+    const recovered = getDb().prepare('UPDATE pod_writeback_outbox SET status = ? WHERE status = ?')
+        .run(STATUSES.PENDING, STATUSES.SENDING).changes;
+    if (recovered > 0) console.log(`[Writeback] Re-queued ${recovered} interrupted update(s)`);
+
+    console.log(`[Writeback] Starting processor (poll interval: ${CONFIG.pollInterval}ms) -> ${CONFIG.endpoint}`);
+
+    processOutbox().catch(err => console.error('[Writeback] Initial process error:', err.message));
+
+    processorInterval = setInterval(async () => {
+        try {
+            await processOutbox();
+        } catch (error) {
+            console.error('[Writeback] Process error:', error.message);
+        }
+    }, CONFIG.pollInterval);
+}
+
+/**
+ * Stop the background processor
+ */
+function stopProcessor() {
+    if (processorInterval) {
+        clearInterval(processorInterval);
+        processorInterval = null;
+        console.log('[Writeback] Processor stopped');
+    }
+}
+
+/**
+ * Send a FAILED update again (attempts start over)
+ * @returns {boolean} True if the row was re-queued
+ */
+function retry(id) {
+    const now = new Date().toISOString();
+    return getDb().prepare(`
+        UPDATE pod_writeback_outbox
+        SET status = ?, attempts = 0, next_attempt_at = ?, updated_at = ?
+        WHERE id = ? AND status = ?
+    `).run(STATUSES.PENDING, now, now, id, STATUSES.FAILED).changes > 0;
+}
+
+/**
+ * Re-queue every FAILED update (optionally one event type)
+ * @returns {number} Rows re-queued
+ */
+function retryFailed(filter = {}) {
+    const now = new Date().toISOString();
+    const params = [STATUSES.PENDING, now, now, STATUSES.FAILED];
+    let sql = `
+        UPDATE pod_writeback_outbox
+        SET status = ?, attempts = 0, next_attempt_at = ?, updated_at = ?
+        WHERE status = ?
+    `;
+    if (filter.event) {
+        sql += ' AND event = ?';
+        params.push(filter.event);
+    }
+    return getDb().prepare(sql).run(...params).changes;
+}
+
+function toEntry(row) {
+    return {
+        id: row.id,
+        attachmentId: row.attachment_id,
+        event: row.event,
+        jobRef: row.job_ref,
+        jobId: row.job_id,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.status === STATUSES.PENDING ? row.next_attempt_at : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        deliveredAt: row.delivered_at,
+        payload: row.payload ? JSON.parse(row.payload) : null
+    };
+}
+
+/**
+ * List outbox rows (newest first)
+ * @param {Object} filter - { status, event, attachmentId, limit }
+ */
+function listOutbox(filter = {}) {
+    const clauses = [];
+    const params = [];
+    if (filter.status) {
+        clauses.push('status = ?');
+        params.push(String(filter.status).toUpperCase());
+    }
+    if (filter.event) {
+        clauses.push('event = ?');
+        params.push(String(filter.event).toUpperCase());
+    }
+    if (filter.attachmentId) {
+        clauses.push('attachment_id = ?');
+        params.push(filter.attachmentId);
+    }
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return getDb().prepare(`
+        SELECT * FROM pod_writeback_outbox ${where}
+        ORDER BY created_at DESC
+        LIMIT ?
+    `).all(...params, parseInt(filter.limit) || 100).map(toEntry);
+}
+
+/**
+ * Outbox counts by status
+ */
+function getStats() {
+    const counts = {};
+    for (const status of Object.values(STATUSES)) counts[status.toLowerCase()] = 0;
+    for (const row of getDb().prepare('SELECT status, COUNT(*) AS count FROM pod_writeback_outbox GROUP BY status').all()) {
+        counts[row.status.toLowerCase()] = row.count;
+    }
+    return {
+        enabled: CONFIG.enabled,
+        endpoint: CONFIG.endpoint,
+        processorRunning: !!processorInterval,
+        ...counts
+    };
+}
+
+/**
+ * Reconciliation report: what HRMS has not been told
+ *   - failed:   updates that gave up (with the last error) - retry once fixed
+ *   - retrying: updates still being retried after at least one failure
+ *   - missing:  OUT attachments with no POD_RECEIVED update at all (e.g. sent
+ *               while write-back was disabled)
+ * @param {Object} filter - { from, to, limit } on the event / attachment creation time
+ * @returns {Object} { summary, failed, retrying, missing }
+ */
+function getReconciliationReport(filter = {}) {
+    const db = getDb();
+    const limit = parseInt(filter.limit) || 100;
+    const clauses = [];
+    const params = [];
+    if (filter.from) {
+        clauses.push('created_at >= ?');
+        params.push(filter.from);
+    }
+    if (filter.to) {
+        clauses.push('created_at <= ?');
+        params.push(filter.to);
+    }
+    const and = clauses.map(clause => ` AND ${clause}`).join('');
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const summary = db.prepare(`
+        SELECT event, status, COUNT(*) AS count
+        FROM pod_writeback_outbox ${where}
+        GROUP BY event, status
+        ORDER BY event, status
+    `).all(...params);
+
+    const failed = db.prepare(`
+        SELECT * FROM pod_writeback_outbox WHERE status = ?${and}
+        ORDER BY updated_at DESC LIMIT ?
+    `).all(STATUSES.FAILED, ...params, limit).map(toEntry);
+
+    const retrying = db.prepare(`
+        SELECT * FROM pod_writeback_outbox WHERE status = ? AND attempts > 0${and}
+        ORDER BY next_attempt_at ASC LIMIT ?
+    `).all(STATUSES.PENDING, ...params, limit).map(toEntry);
+
+    // attachments.created_at is SQLite datetime() - compare on the same format
+    const attachmentClauses = [];
+    const attachmentParams = [];
+    if (filter.from) {
+        attachmentClauses.push('a.created_at >= ?');
+        attachmentParams.push(models.toSqlTimestamp(filter.from));
+    }
+    if (filter.to) {
+        attachmentClauses.push('a.created_at <= ?');
+        attachmentParams.push(models.toSqlTimestamp(filter.to, true));
+    }
+    const missingWhere = `
+        FROM attachments a
+        WHERE a.status = 'OUT'
+          AND NOT EXISTS (
+              SELECT 1 FROM pod_writeback_outbox o
+              WHERE o.attachment_id = a.id AND o.event = '${EVENTS.POD_RECEIVED}'
+          )
+          ${attachmentClauses.map(clause => `AND ${clause}`).join(' ')}
+    `;
+    const missingCount = db.prepare(`SELECT COUNT(*) AS count ${missingWhere}`).get(...attachmentParams).count;
+    const missing = db.prepare(`
+        SELECT a.id, a.job_ref, a.matched_job_id, a.created_at ${missingWhere}
+        ORDER BY a.created_at DESC LIMIT ?
+    `).all(...attachmentParams, limit).map(row => ({
+        attachmentId: row.id,
+        jobRef: row.job_ref,
+        jobId: row.matched_job_id,
+        createdAt: row.created_at
+    }));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        ...getStats(),
+        summary,
+        failedCount: summary.filter(row => row.status === STATUSES.FAILED).reduce((sum, row) => sum + row.count, 0),
+        failed,
+        retrying,
+        missingCount,
+        missing
+    };
+}
+
+/**
+ * Queue POD_RECEIVED for OUT attachments that have none (see the report's "missing")
+ * @param {Object} filter - { from, to, limit }
+ * @returns {Object} { queued, attachmentIds }
+ */
+function queueMissing(filter = {}) {
+    const report = getReconciliationReport({ ...filter, limit: parseInt(filter.limit) || 500 });
+    const attachmentIds = [];
+    for (const entry of report.missing) {
+        const result = enqueue(entry.attachmentId, EVENTS.POD_RECEIVED);
+        if (result?.created) attachmentIds.push(entry.attachmentId);
+    }
+    return { queued: attachmentIds.length, attachmentIds };
+}
+
+module.exports = {
+    CONFIG,
+    EVENTS,
+    STATUSES,
+    buildDownloadUrl,
+    enqueue,
+    onStatusChange,
+    onEmailSent,
+    processOutbox,
+    startProcessor,
+    stopProcessor,
+    retry,
+    retryFailed,
+    listOutbox,
+    getStats,
+    getReconciliationReport,
+    queueMissing
+};
@@ -149,6 +149,8 @@ function renderGrid() {
                     <span class="card-date">${formatDate(att.created_at)}</span>
                 </div>
                 <span class="card-status ${att.status}">${att.status}</span>
+                ${att.page_count > 1 ? `<span class="card-pages">${att.page_count} pages</span>` : ''}
+                ${conflictBadge(att)}
                 <div class="card-fields">
                     <div class="card-field">
                         <label>Job Ref</label>
@@ -349,6 +351,9 @@ async function openDetail(id) {
         document.getElementById('detail-status').className = `status-badge ${att.status}`;
         document.getElementById('detail-jobref').value = att.job_ref || '';
         document.getElementById('detail-vehreg').value = att.vehicle_reg || '';
+        renderPages(att.pages || []);
+        renderFieldCheck(att.reconciliation);
+        loadDelivery(id);
 
         modal.classList.add('active');
     } catch (error) {
@@ -357,6 +362,124 @@ async function openDetail(id) {
     }
 }
 
+// Fields where the vision provider and the text parser disagree (queue rows carry raw metadata JSON)
+function fieldConflicts(att) {
+    let metadata = att.metadata;
+    if (typeof metadata === 'string') {
+        try {
+            metadata = JSON.parse(metadata);
+        } catch (error) {
+            return [];
+        }
+    }
+    return metadata?.results?.fields?.conflicts || [];
+}
+
+function conflictBadge(att) {
+    const conflicts = fieldConflicts(att);
+    if (conflicts.length === 0) return '';
+    return `<span class="card-conflicts" title="OCR and parser disagree: ${escapeHtml(conflicts.join(', '))}">${conflicts.length} conflict${conflicts.length > 1 ? 's' : ''}</span>`;
+}
+
+// Per-field value, confidence and provenance from field reconciliation
+function renderFieldCheck(reconciliation) {
+    const row = document.getElementById('detail-fields-row');
+    const table = document.getElementById('detail-fields');
+
+    if (!reconciliation) {
+        row.style.display = 'none';
+        table.innerHTML = '';
+        return;
+    }
+
+    const labels = {
+        supplier: 'Supplier',
+        jobRef: 'Job Ref',
+        vehicleReg: 'Vehicle',
+        date: 'Date',
+        shipmentNumber: 'Shipment'
+    };
+
+    row.style.display = '';
+    table.innerHTML = `
+        <tr><th>Field</th><th>Value</th><th>Confidence</th><th>Source</th></tr>
+        ${Object.entries(reconciliation).filter(([, field]) => field.status !== 'MISSING').map(([name, field]) => `
+            <tr class="${field.status}">
+                <td>${labels[name] || escapeHtml(name)}</td>
+                <td>${escapeHtml(field.value || '-')}${field.status === 'CONFLICT' ? `
+                    <div class="source">OCR: ${escapeHtml(field.vision?.value || '-')} / Parser: ${escapeHtml(field.regex?.value || '-')}</div>
+                ` : ''}</td>
+                <td>${Math.round((field.confidence || 0) * 100)}%</td>
+                <td class="source">${field.status === 'AGREE' ? 'both agree' : field.status === 'CONFLICT' ? `conflict (${field.source} kept)` : field.source}</td>
+            </tr>
+        `).join('')}
+    `;
+}
+
+// Per-address status of the POD emails (SMTP accepted/rejected, bounces, suppressions)
+async function loadDelivery(id) {
+    const row = document.getElementById('detail-delivery-row');
+    const container = document.getElementById('detail-delivery');
+    row.style.display = 'none';
+    container.innerHTML = '';
+
+    try {
+        const { emails } = await fetch(`${API_BASE}/api/attachments/${id}/email/recipients`).then(r => r.json());
+        if (!emails || emails.length === 0 || currentDetailId !== id) return;
+
+        row.style.display = '';
+        container.innerHTML = emails.map(email => `
+            <div class="delivery-email">
+                <span class="status-badge ${email.status}">${email.status}</span>
+                <span class="export-date">${formatDate(email.sentAt || email.createdAt)}</span>
+                <span class="source">${email.counts.SENT} of ${email.counts.total} delivered</span>
+            </div>
+            <table class="field-check">
+                <tr><th>Address</th><th></th><th>Status</th><th>Detail</th></tr>
+                ${email.recipients.map(recipient => `
+                    <tr>
+                        <td>${escapeHtml(recipient.address)}</td>
+                        <td class="source">${recipient.field.toUpperCase()}</td>
+                        <td><span class="status-badge ${recipient.status}">${recipient.status}</span></td>
+                        <td class="source">${escapeHtml(recipient.status === 'SENT' ? '' : recipient.error || '')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `).join('');
+    } catch (error) {
+        // Delivery status is informational - the rest of the detail view still works
+        console.warn('Failed to load email delivery status', error);
+    }
+}
+
+// Page strip for multi-page PODs
+function renderPages(pages) {
+    const container = document.getElementById('detail-pages');
+    const wrapper = document.getElementById('detail-image');
+
+    if (pages.length <= 1) {
+        container.innerHTML = '';
+        wrapper.classList.remove('multi-page');
+        return;
+    }
+
+    wrapper.classList.add('multi-page');
+    document.getElementById('detail-img').src = `${API_BASE}/api/files/${pages[0].id}`;
+    container.innerHTML = pages.map((page, index) => `
+        <img src="${API_BASE}/api/files/${page.id}"
+             class="${index === 0 ? 'active' : ''}"
+             title="Page ${page.pageNumber}"
+             alt="Page ${page.pageNumber}"
+             onclick="showPage(this, '${page.id}')">
+    `).join('');
+}
+
+function showPage(thumb, pageId) {
+    document.getElementById('detail-img').src = `${API_BASE}/api/files/${pageId}`;
+    document.querySelectorAll('#detail-pages img').forEach(img => img.classList.remove('active'));
+    thumb.classList.add('active');
+}
+
 function closeModal() {
     document.getElementById('detail-modal').classList.remove('active');
     currentDetailId = null;
@@ -459,6 +582,8 @@ async function openExportModal(attachmentId) {
         document.getElementById('detail-status').className = `status-badge ${att.status}`;
         document.getElementById('detail-jobref').value = att.job_ref || '';
         document.getElementById('detail-vehreg').value = att.vehicle_reg || '';
+        renderPages(att.pages || []);
+        loadDelivery(attachmentId);
 
         // Show export section for OUT items
         const exportSection = document.getElementById('export-section');
@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const emailSuppressions = require('./emailSuppressions');
 
 // Default rules directory
 const RULES_DIR = process.env.CUSTOMER_RULES_DIR || '/data/customers';
@@ -25,6 +26,87 @@ const RULE_TYPES = {
     DEFAULT: 'DEFAULT'
 };
 
+// Delivery modes: send each POD as it goes OUT, or bundle them into a daily digest
+const DELIVERY_MODES = {
+    IMMEDIATE: 'IMMEDIATE',
+    DIGEST: 'DIGEST'
+};
+
+// How POD files reach the customer: attached, as signed download links, or links only when large
+const FILE_DELIVERY_MODES = {
+    ATTACH: 'ATTACH',
+    LINK: 'LINK',
+    AUTO: 'AUTO'
+};
+
+/**
+ * Normalise a customer's file delivery settings
+ * @param {Object} config - { fileDelivery, links: { expiryDays, thresholdBytes (AUTO: link above this size) } }
+ * @returns {Object} { fileDelivery, links } (links null when attaching)
+ */
+function normaliseFileDelivery(config = {}) {
+    const fileDelivery = String(config.fileDelivery || FILE_DELIVERY_MODES.ATTACH).toUpperCase();
+    if (!FILE_DELIVERY_MODES[fileDelivery]) {
+        throw new Error(`Unknown file delivery mode: ${config.fileDelivery}`);
+    }
+    if (fileDelivery === FILE_DELIVERY_MODES.ATTACH) {
+        return { fileDelivery, links: null };
+    }
+
+    const links = {};
+    for (const key of ['expiryDays', 'thresholdBytes']) {
+        const value = config.links?.[key];
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(Number(value)) || Number(value) <= 0) {
+            throw new Error(`Invalid links.${key}: ${value}`);
+        }
+        links[key] = Number(value);
+    }
+    return { fileDelivery, links };
+}
+
+/**
+ * Normalise a customer's delivery settings
+ * @param {Object} config - { delivery, digest: { time: 'HH:MM', timezone, maxAttachmentBytes } }
+ * @returns {Object} { delivery, digest } (digest null for immediate delivery)
+ */
+function normaliseDelivery(config = {}) {
+    const delivery = String(config.delivery || DELIVERY_MODES.IMMEDIATE).toUpperCase();
+    if (!DELIVERY_MODES[delivery]) {
+        throw new Error(`Unknown delivery mode: ${config.delivery}`);
+    }
+    if (delivery !== DELIVERY_MODES.DIGEST) {
+        return { delivery, digest: null };
+    }
+
+    const digest = {};
+    const options = config.digest || {};
+    if (options.time !== undefined && options.time !== null) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(options.time).trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`Invalid digest time: ${options.time} (expected HH:MM)`);
+        }
+        digest.time = `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+    if (options.timezone) {
+        try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: options.timezone });
+        } catch (error) {
+            throw new Error(`Invalid digest timezone: ${options.timezone}`);
+        }
+        digest.timezone = options.timezone;
+    }
+    if (options.maxAttachmentBytes !== undefined && options.maxAttachmentBytes !== null) {
+        const bytes = Number(options.maxAttachmentBytes);
+        if (!Number.isInteger(bytes) || bytes <= 0) {
+            throw new Error(`Invalid digest maxAttachmentBytes: ${options.maxAttachmentBytes}`);
+        }
+        digest.maxAttachmentBytes = bytes;
+    }
+
+    return { delivery, digest };
+}
+
 /**
  * Ensure rules directory exists
  */
@@ -155,6 +237,8 @@ function matchPattern(pattern, value) {
 
 /**
  * Get recipients for a customer/job
+ * Suppressed addresses (bounced, complained; see emailSuppressions.js) are
+ * dropped and listed in "suppressed".
  * @param {string} customerName - Customer name or identifier
  * @param {string} jobRef - Job reference (optional)
  * @param {string} vehicleReg - Vehicle registration (optional)
@@ -162,6 +246,15 @@ function matchPattern(pattern, value) {
  * @returns {Object} Recipients with to, cc, internal flags
  */
 function getRecipients(customerName, jobRef, vehicleReg, senderPhone) {
+    const matched = matchRecipients(customerName, jobRef, vehicleReg);
+    const filtered = emailSuppressions.filterRecipients(matched, { customer: customerName, jobRef });
+    return { ...matched, to: filtered.to, cc: filtered.cc, bcc: filtered.bcc, suppressed: filtered.suppressed };
+}
+
+/**
+ * Recipients from the first matching rule: customer, wildcard, then defaults
+ */
+function matchRecipients(customerName, jobRef, vehicleReg) {
     const rules = loadRules();
     const defaults = loadDefaultRecipients();
 
@@ -174,7 +267,10 @@ function getRecipients(customerName, jobRef, vehicleReg, senderPhone) {
             bcc: customerRule.bcc || [],
             internal: false,
             source: 'customer',
-            customer: customerName
+            customer: customerName,
+            delivery: customerRule.delivery || DELIVERY_MODES.IMMEDIATE,
+            digest: customerRule.digest || null,
+            fileDelivery: customerRule.fileDelivery || FILE_DELIVERY_MODES.ATTACH
         };
     }
 
@@ -244,6 +340,8 @@ function isAutoSendEnabled(customerName) {
  */
 function setCustomerRule(customerName, config) {
     const rules = loadRules();
+    const { delivery, digest } = normaliseDelivery(config);
+    const { fileDelivery, links } = normaliseFileDelivery(config);
 
     rules.customers[customerName] = {
         recipients: config.recipients || [],
@@ -251,6 +349,10 @@ function setCustomerRule(customerName, config) {
         bcc: config.bcc || [],
         autoSend: config.autoSend !== false,
         template: config.template || 'default',
+        delivery,
+        ...(digest ? { digest } : {}),
+        fileDelivery,
+        ...(links ? { links } : {}),
         updatedAt: new Date().toISOString()
     };
 
@@ -338,6 +440,37 @@ function getAllCustomerRules() {
     }));
 }
 
+/**
+ * File delivery settings of a customer (attach when there is no customer rule)
+ * @returns {Object} { mode, expiryDays, thresholdBytes } (null: use the defaults)
+ */
+function getFileDelivery(customerName) {
+    const rules = loadRules();
+    const rule = (customerName && rules.customers[customerName]) || {};
+    return {
+        mode: rule.fileDelivery || FILE_DELIVERY_MODES.ATTACH,
+        expiryDays: rule.links?.expiryDays || null,
+        thresholdBytes: rule.links?.thresholdBytes || null
+    };
+}
+
+/**
+ * Get customers whose PODs are bundled into a daily digest
+ * @returns {Array<Object>} [{ customer, recipients, cc, bcc, digest }]
+ */
+function getDigestCustomers() {
+    const rules = loadRules();
+    return Object.entries(rules.customers)
+        .filter(([, config]) => config.delivery === DELIVERY_MODES.DIGEST)
+        .map(([name, config]) => ({
+            customer: name,
+            recipients: config.recipients || [],
+            cc: config.cc || [],
+            bcc: config.bcc || [],
+            digest: config.digest || {}
+        }));
+}
+
 /**
  * Get all wildcard rules
  */
@@ -397,10 +530,10 @@ function exportRules(format = 'json') {
     }
 
     // Export as CSV-friendly format
-    const lines = ['Customer,Recipients,CC,BCC,AutoSend,Template'];
+    const lines = ['Customer,Recipients,CC,BCC,AutoSend,Template,Delivery,FileDelivery'];
 
     for (const [name, config] of Object.entries(rules.customers)) {
-        lines.push(`${name},"${(config.recipients || []).join('; ')}","${(config.cc || []).join('; ')}","${(config.bcc || []).join('; ')}",${config.autoSend},${config.template || 'default'}`);
+        lines.push(`${name},"${(config.recipients || []).join('; ')}","${(config.cc || []).join('; ')}","${(config.bcc || []).join('; ')}",${config.autoSend},${config.template || 'default'},${config.delivery || DELIVERY_MODES.IMMEDIATE},${config.fileDelivery || FILE_DELIVERY_MODES.ATTACH}`);
     }
 
     return lines.join('\n');
@@ -436,15 +569,21 @@ function importRules(content) {
 
 module.exports = {
     RULE_TYPES,
+    DELIVERY_MODES,
+    FILE_DELIVERY_MODES,
     init,
     getRecipients,
     getInternalRecipients,
     isAutoSendEnabled,
     setCustomerRule,
+    normaliseDelivery,
+    normaliseFileDelivery,
     setWildcardRule,
     deleteCustomerRule,
     deleteWildcardRule,
     getAllCustomerRules,
+    getDigestCustomers,
+    getFileDelivery,
     getAllWildcardRules,
     getDefaultConfig,
     setDefaultConfig,
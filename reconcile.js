@@ -0,0 +1,174 @@
+/**
+ * Field Reconciliation
+ * Compares the structured fields returned by the vision provider (LLM/OCR) with
+ * the fields extractor.js parses from the same text, one field at a time.
+ *
+ * Values are normalised before comparing (registration spacing, date formats,
+ * supplier names -> template keys). Each field gets a value, a confidence and
+ * its provenance:
+ *
+ *   AGREE     both sources found the same value   (confidence reinforced)
+ *   SINGLE    only one source found a value       (that source's confidence)
+ *   CONFLICT  the sources disagree                (more confident source wins, confidence penalised)
+ *   MISSING   neither source found a value
+ *
+ * Conflicts are flagged for the reviewer and lower the overall extraction
+ * confidence used by the auto-send decision.
+ */
+
+const extractor = require('./extractor');
+const supplierTemplates = require('./supplierTemplates');
+const { normalizeKey } = require('./lib/matching');
+
+const CONFIG = {
+    // Multiplier applied to a conflicting field's winning confidence
+    conflictFieldFactor: parseFloat(process.env.RECONCILE_CONFLICT_FIELD_FACTOR) || 0.5,
+    // Subtracted from the overall confidence per conflicting field
+    conflictPenalty: parseFloat(process.env.RECONCILE_CONFLICT_PENALTY) || 0.1
+};
+
+// Same weighting as the extractor's overall confidence
+const FIELD_WEIGHTS = {
+    supplier: 0.2,
+    jobRef: 0.3,
+    vehicleReg: 0.2,
+    date: 0.15,
+    shipmentNumber: 0.15
+};
+
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+function normaliseSupplier(value) {
+    const lower = String(value).toLowerCase();
+    const template = supplierTemplates.getAll().find(t =>
+        t.key.toLowerCase() === lower.replace(/[\s-]+/g, '_') ||
+        t.aliases.some(alias => lower.includes(alias))
+    );
+    return template ? template.key : String(value).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function normaliseDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return extractor.extractDate(String(value)).value || String(value).trim();
+}
+
+// Display value for each field
+const NORMALISERS = {
+    supplier: normaliseSupplier,
+    jobRef: value => String(value).trim().toUpperCase(),
+    vehicleReg: value => String(value).replace(/\s+/g, '').toUpperCase(),
+    date: normaliseDate,
+    shipmentNumber: value => String(value).replace(/\s+/g, '').toUpperCase()
+};
+
+// Comparison key: punctuation-insensitive for references
+function compareKey(field, value) {
+    if (field === 'date' || field === 'supplier') return value;
+    return normalizeKey(value);
+}
+
+function isPresent(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Reconcile one field
+ * @returns {Object} { value, confidence, source, status, vision, regex }
+ */
+function reconcileField(field, visionValue, visionConfidence, regexValue, regexConfidence) {
+    const vision = isPresent(visionValue) ? NORMALISERS[field](visionValue) : null;
+    const regex = isPresent(regexValue) ? NORMALISERS[field](regexValue) : null;
+    const candidates = {
+        vision: vision !== null ? { value: vision, raw: visionValue, confidence: visionConfidence } : null,
+        regex: regex !== null ? { value: regex, raw: regexValue, confidence: regexConfidence } : null
+    };
+
+    if (vision === null && regex === null) {
+        return { value: null, confidence: 0, source: null, status: 'MISSING', ...candidates };
+    }
+    if (vision === null || regex === null) {
+        const single = vision !== null ? 'vision' : 'regex';
+        return {
+            value: candidates[single].value,
+            confidence: round(candidates[single].confidence),
+            source: single,
+            status: 'SINGLE',
+            ...candidates
+        };
+    }
+    if (compareKey(field, vision) === compareKey(field, regex)) {
+        // Independent agreement: 1 - (1 - a)(1 - b)
+        return {
+            value: regexConfidence >= visionConfidence ? regex : vision,
+            confidence: round(1 - (1 - visionConfidence) * (1 - regexConfidence)),
+            source: 'both',
+            status: 'AGREE',
+            ...candidates
+        };
+    }
+
+    const winner = regexConfidence > visionConfidence ? 'regex' : 'vision';
+    return {
+        value: candidates[winner].value,
+        confidence: round(candidates[winner].confidence * CONFIG.conflictFieldFactor),
+        source: winner,
+        status: 'CONFLICT',
+        ...candidates
+    };
+}
+
+function round(value) {
+    return Math.round((value || 0) * 1000) / 1000;
+}
+
+/**
+ * Reconcile vision-structured fields with regex-extracted fields
+ * @param {Object|null} visionFields - Structured OCR result { supplier, jobRef, ..., confidence }
+ * @param {Object|null} regexFields - extractor.extract() result (with per-field confidences)
+ * @returns {Object} { supplier, jobRef, vehicleReg, date, shipmentNumber, confidence, conflicts, reconciliation }
+ */
+function reconcile(visionFields, regexFields) {
+    const visionConfidence = visionFields?.confidence || 0;
+    const reconciliation = {};
+
+    for (const field of FIELDS) {
+        reconciliation[field] = reconcileField(
+            field,
+            visionFields ? visionFields[field] : null,
+            visionConfidence,
+            regexFields ? regexFields[field] : null,
+            regexFields ? (regexFields[`${field}Confidence`] ?? regexFields.confidence ?? 0) : 0
+        );
+    }
+
+    const conflicts = FIELDS.filter(field => reconciliation[field].status === 'CONFLICT');
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const field of FIELDS) {
+        if (reconciliation[field].value === null) continue;
+        weightedSum += reconciliation[field].confidence * FIELD_WEIGHTS[field];
+        totalWeight += FIELD_WEIGHTS[field];
+    }
+    const base = totalWeight > 0 ? weightedSum / totalWeight : 0;
+
+    const result = {};
+    for (const field of FIELDS) {
+        result[field] = reconciliation[field].value;
+    }
+
+    return {
+        ...result,
+        confidence: round(Math.max(0, base - conflicts.length * CONFIG.conflictPenalty)),
+        conflicts,
+        reconciliation
+    };
+}
+
+module.exports = {
+    CONFIG,
+    FIELDS,
+    NORMALISERS,
+    reconcile,
+    reconcileField
+};
@@ -0,0 +1,373 @@
+/**
+ * Reprocessing
+ * Re-runs chosen pipeline stages against an attachment's stored file(s), e.g.
+ * after a provider, prompt, template or threshold change.
+ *
+ * Stages: classify, ocr, extract, match, autosend. Stages before the first one
+ * that runs reuse the results stored in metadata.results by the previous run
+ * (stages with no stored result are run anyway); once a stage runs, every later
+ * stage runs too, so nothing downstream is left built on the old results. The
+ * previous and new results are recorded side by side in a REPROCESSED audit
+ * entry; a dry run only reports the changes.
+ *
+ * Status is only changed when auto-send is re-run and the document is still
+ * awaiting a decision (REVIEW, QUARANTINE, FAILED) - released (OUT) documents
+ * keep their status.
+ */
+
+const fs = require('fs');
+const models = require('./models');
+const audit = require('./audit');
+const classify = require('./classify');
+const ocr = require('./ocr');
+const podStages = require('./podStages');
+
+const STAGES = ['classify', 'ocr', 'extract', 'match', 'autosend'];
+const ROUTABLE_STATUSES = ['REVIEW', 'QUARANTINE', 'FAILED'];
+
+const CONFIG = {
+    bulkLimit: parseInt(process.env.REPROCESS_BULK_LIMIT) || 100
+};
+
+// Fields compared between the previous and new results
+const COMPARED_FIELDS = [
+    'classification.type',
+    'classification.confidence',
+    'classification.provider',
+    'ocr.supplier',
+    'ocr.jobRef',
+    'ocr.vehicleReg',
+    'ocr.confidence',
+    'ocr.provider',
+    'fields.supplier',
+    'fields.jobRef',
+    'fields.vehicleReg',
+    'fields.date',
+    'fields.shipmentNumber',
+    'fields.confidence',
+    'fields.conflicts',
+    'match.jobId',
+    'match.jobRef',
+    'match.confidence',
+    'match.matchType',
+    'autoSend.decision',
+    'autoSend.reasonCode',
+    'autoSend.overallConfidence',
+    'route.status'
+];
+
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * List fields whose value differs between two result snapshots
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+function diffResults(before, after) {
+    const changes = [];
+    for (const field of COMPARED_FIELDS) {
+        const previous = getPath(before, field);
+        const next = getPath(after, field);
+        if (JSON.stringify(previous ?? null) !== JSON.stringify(next ?? null)) {
+            changes.push({ field, before: previous ?? null, after: next ?? null });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Validate and normalise the requested stage list (default: all)
+ */
+function parseStages(stages) {
+    if (!stages || (Array.isArray(stages) && stages.length === 0)) return [...STAGES];
+
+    const list = (Array.isArray(stages) ? stages : String(stages).split(','))
+        .map(stage => String(stage).trim().toLowerCase().replace(/[-_]/g, ''))
+        .filter(Boolean);
+
+    const unknown = list.filter(stage => !STAGES.includes(stage));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown stage(s): ${unknown.join(', ')}. Valid: ${STAGES.join(', ')}`);
+    }
+    return STAGES.filter(stage => list.includes(stage));
+}
+
+/**
+ * Results stored by the last run, falling back to the page classification for
+ * documents processed before results were kept
+ */
+function previousResults(head, pages) {
+    const stored = head.metadata?.results;
+    if (stored) return stored;
+
+    return {
+        classification: podStages.documentClassification(pages),
+        ocr: null,
+        fields: null,
+        match: null,
+        autoSend: null,
+        route: { status: head.status, decisionType: null, reason: null },
+        processedAt: null
+    };
+}
+
+// Rebuild the jobMatch shape used by the pipeline from a stored results.match
+function storedJobMatch(storedMatch) {
+    if (!storedMatch) return null;
+    const { candidates, ...jobMatch } = storedMatch;
+    return { match: jobMatch, candidates: candidates || [] };
+}
+
+// Audit copy of a results snapshot without the bulky raw text and candidate list
+function auditView(results) {
+    if (!results) return null;
+    return {
+        ...results,
+        ocr: results.ocr ? { ...results.ocr, rawText: undefined } : null,
+        match: results.match ? { ...results.match, candidates: undefined } : null
+    };
+}
+
+/**
+ * Re-classify each page, keeping the previous verdict for a page whose classification fails
+ * @returns {Promise<Object>} { pages: [{ id, classification, error }], classification }
+ */
+async function reclassifyPages(pages, cacheMode) {
+    const results = [];
+    for (const page of pages) {
+        const buffer = fs.readFileSync(page.storage_uri);
+        const result = await classify.classify(buffer, page.file_type, {
+            contentHash: page.content_hash,
+            cache: cacheMode
+        });
+
+        if (result.error) {
+            results.push({ id: page.id, classification: page.metadata?.classification || null, error: result.error });
+            continue;
+        }
+
+        results.push({
+            id: page.id,
+            classification: {
+                type: result.type,
+                imageType: result.imageType,
+                confidence: result.confidence,
+                isPOD: result.isPOD,
+                reason: result.reason,
+                provider: result.provider || null,
+                model: result.model || null
+            },
+            error: null
+        });
+    }
+
+    const classification = podStages.documentClassification(
+        results.map(result => ({ metadata: { classification: result.classification } }))
+    );
+    return { pages: results, classification };
+}
+
+/**
+ * Re-run pipeline stages for one attachment
+ * @param {string} attachmentId - Attachment (or any page of a multi-page document)
+ * @param {Object} options - { stages, dryRun, refresh, actor }
+ *   refresh: bypass the vision result cache for classify/OCR
+ * @returns {Promise<Object>} { success, attachmentId, dryRun, stages, status, before, after, changes, errors }
+ */
+async function reprocessAttachment(attachmentId, options = {}) {
+    const attachment = models.getAttachmentById(attachmentId);
+    if (!attachment) {
+        return { success: false, attachmentId, error: 'Attachment not found' };
+    }
+
+    // Pages are reprocessed through their document head
+    const headId = attachment.document_id || attachment.id;
+    const head = headId === attachment.id ? attachment : models.getAttachmentById(headId);
+    const pages = models.getDocumentPages(headId);
+
+    let requested;
+    try {
+        requested = parseStages(options.stages);
+    } catch (error) {
+        return { success: false, attachmentId: headId, error: error.message };
+    }
+
+    const missingFiles = pages.filter(page => !page.storage_uri || !fs.existsSync(page.storage_uri));
+    if (missingFiles.length > 0 && (requested.includes('classify') || requested.includes('ocr'))) {
+        return {
+            success: false,
+            attachmentId: headId,
+            error: `Stored file missing for page(s): ${missingFiles.map(page => page.id).join(', ')}`
+        };
+    }
+
+    const dryRun = !!options.dryRun;
+    const cacheMode = options.refresh ? 'refresh' : undefined;
+    const before = previousResults(head, pages);
+    const message = models.getMessageById(head.message_id);
+    const chatId = message?.chat_id || null;
+    const errors = [];
+    const ran = [];
+
+    // A stage runs when chosen, when there is nothing stored to reuse, or when
+    // an earlier stage ran (stages run in order, so ran holds the earlier ones)
+    const shouldRun = (stage, stored) => ran.length > 0 || requested.includes(stage) || stored == null;
+
+    let classification = before.classification;
+    let pageClassifications = null;
+    if (requested.includes('classify')) {
+        const reclassified = await reclassifyPages(pages, cacheMode);
+        classification = reclassified.classification;
+        pageClassifications = reclassified.pages;
+        reclassified.pages.filter(page => page.error)
+            .forEach(page => errors.push({ stage: 'classify', pageId: page.id, error: page.error }));
+        ran.push('classify');
+    }
+
+    let ocrSummary = before.ocr;
+    if (shouldRun('ocr', before.ocr)) {
+        const ocrResult = await ocr.extractStructuredPages(podStages.readPages(pages), { cache: cacheMode });
+        if (ocrResult.success) {
+            ocrSummary = podStages.summariseOcr(ocrResult);
+        } else {
+            errors.push({ stage: 'ocr', error: ocrResult.error || 'OCR failed' });
+        }
+        ran.push('ocr');
+    }
+
+    let fields = before.fields;
+    if (shouldRun('extract', before.fields)) {
+        fields = podStages.extractFields(ocrSummary);
+        ran.push('extract');
+    }
+
+    let jobMatch = storedJobMatch(before.match);
+    if (shouldRun('match', before.match)) {
+        jobMatch = await podStages.findJobMatch({ fields, ocr: ocrSummary, chatId, attachmentId: headId });
+        ran.push('match');
+    }
+
+    let decision = null;
+    if (shouldRun('autosend', before.autoSend)) {
+        decision = podStages.decide({
+            attachmentId: headId,
+            classification,
+            fields,
+            ocr: ocrSummary,
+            jobMatch,
+            chatId
+        });
+        ran.push('autosend');
+    }
+
+    const after = podStages.buildResults({ classification, ocr: ocrSummary, fields, jobMatch, decision });
+    if (!decision) {
+        after.autoSend = before.autoSend;
+        after.route = before.route;
+    }
+
+    const statusBefore = head.status;
+    const statusAfter = decision && ROUTABLE_STATUSES.includes(statusBefore) ? decision.status : statusBefore;
+    after.route = after.route ? { ...after.route, status: statusAfter } : null;
+
+    const changes = diffResults(before, after);
+    if (statusAfter !== statusBefore && !changes.some(change => change.field === 'route.status')) {
+        changes.push({ field: 'route.status', before: statusBefore, after: statusAfter });
+    }
+
+    if (!dryRun) {
+        if (pageClassifications) {
+            pageClassifications
+                .filter(page => !page.error)
+                .forEach(page => models.mergeAttachmentMetadata(page.id, { classification: page.classification }));
+        }
+        podStages.saveResults(headId, after, statusAfter);
+
+        audit.logReprocess(headId, options.actor, ran, auditView(before), auditView(after), {
+            requestedStages: requested,
+            changes,
+            statusBefore,
+            statusAfter,
+            pageCount: pages.length,
+            errors
+        });
+        console.log(`[Reprocess] ${headId}: stages=${ran.join(',')}, changes=${changes.length}, status ${statusBefore} -> ${statusAfter}`);
+    }
+
+    return {
+        success: true,
+        attachmentId: headId,
+        dryRun,
+        stages: ran,
+        status: { before: statusBefore, after: statusAfter },
+        before,
+        after,
+        changes,
+        errors
+    };
+}
+
+/**
+ * Re-run stages for every document matching a filter
+ * @param {Object} filter - { status, supplier, from, to, limit }
+ * @param {Object} options - Same as reprocessAttachment
+ * @returns {Promise<Object>} { success, dryRun, matched, processed, changed, failed, results }
+ */
+async function reprocessBulk(filter = {}, options = {}) {
+    try {
+        parseStages(options.stages);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!filter.status && !filter.supplier && !filter.from && !filter.to) {
+        return { success: false, error: 'Bulk reprocess needs at least one filter (status, supplier, from, to)' };
+    }
+
+    let attachments;
+    try {
+        attachments = models.findAttachments({
+            ...filter,
+            limit: Math.min(parseInt(filter.limit) || CONFIG.bulkLimit, CONFIG.bulkLimit)
+        });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    const results = [];
+    for (const attachment of attachments) {
+        try {
+            results.push(await reprocessAttachment(attachment.id, options));
+        } catch (error) {
+            console.error(`[Reprocess] ${attachment.id} failed: ${error.message}`);
+            results.push({ success: false, attachmentId: attachment.id, error: error.message });
+        }
+    }
+
+    return {
+        success: true,
+        dryRun: !!options.dryRun,
+        filter,
+        matched: attachments.length,
+        processed: results.filter(result => result.success).length,
+        changed: results.filter(result => result.success && result.changes.length > 0).length,
+        failed: results.filter(result => !result.success).length,
+        results: results.map(result => result.success ? {
+            attachmentId: result.attachmentId,
+            stages: result.stages,
+            status: result.status,
+            changes: result.changes,
+            errors: result.errors
+        } : result)
+    };
+}
+
+module.exports = {
+    STAGES,
+    CONFIG,
+    parseStages,
+    diffResults,
+    reprocessAttachment,
+    reprocessBulk
+};
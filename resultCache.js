@@ -0,0 +1,163 @@
+/**
+ * Vision Result Cache
+ * Persists classifier and structured OCR results in SQLite so the same bytes are
+ * never sent to a vision provider twice (re-sent photos, reprocessing, retries).
+ *
+ * Entries are keyed by content hash + kind + prompt version + model. Bumping a
+ * prompt version or switching model therefore misses naturally; old entries
+ * expire after the TTL or can be invalidated explicitly.
+ */
+
+const { getDb } = require('./db');
+
+const CONFIG = {
+    enabled: process.env.VISION_CACHE_ENABLED !== 'false',
+    ttlHours: parseInt(process.env.VISION_CACHE_TTL_HOURS) || 30 * 24
+};
+
+const KINDS = ['classify', 'structured'];
+
+function expiryFor(ttlHours) {
+    if (!ttlHours || ttlHours <= 0) return null;
+    return new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Look up a cached result
+ * @param {Object} key - { contentHash, kind, promptVersion, model }
+ * @returns {Object|null} { result, provider, model, createdAt, hitCount } or null on miss/expiry
+ */
+function get({ contentHash, kind, promptVersion, model }) {
+    if (!CONFIG.enabled || !contentHash || !model) return null;
+
+    const db = getDb();
+    const now = new Date().toISOString();
+    const row = db.prepare(`
+        SELECT * FROM vision_cache
+        WHERE content_hash = ? AND kind = ? AND prompt_version = ? AND model = ?
+        AND (expires_at IS NULL OR expires_at > ?)
+    `).get(contentHash, kind, promptVersion, model, now);
+
+    if (!row) return null;
+
+    db.prepare(`
+        UPDATE vision_cache SET hit_count = hit_count + 1, last_hit_at = ?
+        WHERE content_hash = ? AND kind = ? AND prompt_version = ? AND model = ?
+    `).run(now, contentHash, kind, promptVersion, model);
+
+    return {
+        result: JSON.parse(row.result),
+        provider: row.provider,
+        model: row.model,
+        createdAt: row.created_at,
+        hitCount: row.hit_count + 1
+    };
+}
+
+/**
+ * Store (or replace) a result
+ * @param {Object} key - { contentHash, kind, promptVersion, model }
+ * @param {Object} result - JSON-serialisable result
+ * @param {Object} options - { provider, ttlHours }
+ */
+function set({ contentHash, kind, promptVersion, model }, result, options = {}) {
+    if (!CONFIG.enabled || !contentHash || !model) return false;
+    if (!KINDS.includes(kind)) {
+        throw new Error(`Unknown cache kind: ${kind}. Valid: ${KINDS.join(', ')}`);
+    }
+
+    getDb().prepare(`
+        INSERT OR REPLACE INTO vision_cache
+        (content_hash, kind, prompt_version, model, provider, result, created_at, expires_at, hit_count, last_hit_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, NULL)
+    `).run(
+        contentHash,
+        kind,
+        promptVersion,
+        model,
+        options.provider || null,
+        JSON.stringify(result),
+        new Date().toISOString(),
+        expiryFor(options.ttlHours !== undefined ? options.ttlHours : CONFIG.ttlHours)
+    );
+    return true;
+}
+
+/**
+ * Remove entries matching a filter (all given fields must match)
+ * @param {Object} filter - { contentHash, kind, promptVersion, model, provider }
+ * @returns {number} Entries removed
+ */
+function invalidate(filter = {}) {
+    const columns = {
+        contentHash: 'content_hash',
+        kind: 'kind',
+        promptVersion: 'prompt_version',
+        model: 'model',
+        provider: 'provider'
+    };
+
+    const clauses = [];
+    const params = [];
+    for (const [field, column] of Object.entries(columns)) {
+        if (filter[field]) {
+            clauses.push(`${column} = ?`);
+            params.push(filter[field]);
+        }
+    }
+
+    if (clauses.length === 0 && !filter.all) {
+        throw new Error('Refusing to invalidate the whole cache without { all: true }');
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return getDb().prepare(`DELETE FROM vision_cache ${where}`).run(...params).changes;
+}
+
+/**
+ * Delete expired entries
+ * @returns {number} Entries removed
+ */
+function purgeExpired() {
+    return getDb().prepare(`
+        DELETE FROM vision_cache WHERE expires_at IS NOT NULL AND expires_at <= ?
+    `).run(new Date().toISOString()).changes;
+}
+
+/**
+ * Cache size and hit counts by kind and model
+ */
+function getStats() {
+    const db = getDb();
+    const now = new Date().toISOString();
+
+    const byKey = db.prepare(`
+        SELECT kind, model, prompt_version AS promptVersion, COUNT(*) AS entries, SUM(hit_count) AS hits
+        FROM vision_cache
+        GROUP BY kind, model, prompt_version
+        ORDER BY kind, model
+    `).all();
+
+    const expired = db.prepare(`
+        SELECT COUNT(*) AS count FROM vision_cache WHERE expires_at IS NOT NULL AND expires_at <= ?
+    `).get(now).count;
+
+    return {
+        enabled: CONFIG.enabled,
+        ttlHours: CONFIG.ttlHours,
+        entries: byKey.reduce((sum, row) => sum + row.entries, 0),
+        hits: byKey.reduce((sum, row) => sum + (row.hits || 0), 0),
+        expired,
+        byKey
+    };
+}
+
+module.exports = {
+    CONFIG,
+    KINDS,
+    get,
+    set,
+    invalidate,
+    purgeExpired,
+    getStats
+};
@@ -0,0 +1,190 @@
+/**
+ * Local HRMS Stand-in
+ *
+ * Serves fixture jobs with the same API the HRMS client (lib/hrms-client.js)
+ * uses, so job matching can be exercised end to end without the real HRMS.
+ *
+ *   GET  /api/jobs?job_ref=&vehicle_reg=&date=&page=&page_size=
+ *   GET  /api/jobs/by-sender?phone=
+ *   POST /api/pods/status      - POD write-back updates (podWriteback.js), kept in app.locals.podUpdates
+ *   GET  /health
+ *   POST /__standin/mode   { latencyMs, failRate, status }  - simulate a slow or failing HRMS
+ *
+ * Fixture jobs with "day_offset" get job_date = today + day_offset, so date
+ * matching works whenever the stand-in is started.
+ *
+ * Usage:
+ *   node scripts/hrms-standin.js                 # http://localhost:8000
+ *   HRMS_STANDIN_PORT=8100 HRMS_STANDIN_FIXTURES=./my-jobs.json node scripts/hrms-standin.js
+ *
+ * Then run the service with HRMS_API_ENABLED=true HRMS_API_ENDPOINT=http://localhost:8000
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { normalizeKey } = require('../lib/matching');
+
+// Configuration
+const PORT = parseInt(process.env.HRMS_STANDIN_PORT) || 8000;
+const FIXTURES = process.env.HRMS_STANDIN_FIXTURES || path.join(__dirname, 'fixtures', 'hrms-jobs.json');
+const TOKEN = process.env.HRMS_STANDIN_TOKEN || '';
+const DATE_WINDOW_DAYS = 14;
+const CLOSED_STATUSES = ['CLOSED', 'CANCELLED'];
+
+function shiftDays(days, from = new Date()) {
+    const date = new Date(from);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Load fixture jobs, resolving day_offset to a job_date
+ */
+function loadFixtures(file = FIXTURES) {
+    const jobs = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return jobs.map(({ day_offset: offset, ...job }) => ({
+        ...job,
+        job_date: offset !== undefined ? shiftDays(offset) : job.job_date || null
+    }));
+}
+
+/**
+ * Jobs matching the client's filters: job ref or vehicle reg hits, otherwise
+ * jobs dated within the window around the date (or all jobs)
+ */
+function filterJobs(jobs, query) {
+    const jobRef = normalizeKey(query.job_ref || '');
+    const vehicleReg = normalizeKey(query.vehicle_reg || '');
+
+    if (jobRef || vehicleReg) {
+        return jobs.filter(job =>
+            (jobRef && normalizeKey(job.job_ref) === jobRef) ||
+            (vehicleReg && normalizeKey(job.vehicle_reg) === vehicleReg)
+        );
+    }
+    if (query.date) {
+        const day = Date.parse(`${query.date}T00:00:00Z`);
+        if (!isNaN(day)) {
+            const from = shiftDays(-DATE_WINDOW_DAYS, day);
+            const to = shiftDays(DATE_WINDOW_DAYS, day);
+            return jobs.filter(job => !job.job_date || (job.job_date >= from && job.job_date <= to));
+        }
+    }
+    return jobs;
+}
+
+/**
+ * Build the stand-in app
+ * @param {Object} options - { jobs, token, latencyMs, failRate, status }
+ * @returns {Object} Express app; app.locals.stats counts requests, app.locals.mode controls behaviour
+ */
+function createApp(options = {}) {
+    const app = express();
+    app.use(express.json());
+
+    app.locals.jobs = options.jobs || loadFixtures();
+    app.locals.mode = {
+        latencyMs: options.latencyMs || 0,
+        failRate: options.failRate || 0,
+        status: options.status || 503
+    };
+    app.locals.stats = { requests: 0, failures: 0 };
+    app.locals.podUpdates = [];
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', jobs: app.locals.jobs.length, mode: app.locals.mode });
+    });
+
+    app.post('/__standin/mode', (req, res) => {
+        app.locals.mode = { ...app.locals.mode, ...(req.body || {}) };
+        res.json(app.locals.mode);
+    });
+
+    // Auth, simulated latency and failures for the API routes
+    app.use('/api', async (req, res, next) => {
+        app.locals.stats.requests++;
+        const token = options.token !== undefined ? options.token : TOKEN;
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const { latencyMs, failRate, status } = app.locals.mode;
+        if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+        if (failRate > 0 && Math.random() < failRate) {
+            app.locals.stats.failures++;
+            return res.status(status).json({ error: 'Simulated HRMS failure' });
+        }
+        next();
+    });
+
+    app.get('/api/jobs/by-sender', (req, res) => {
+        const phone = String(req.query.phone || '').replace(/\D/g, '');
+        res.json(app.locals.jobs
+            .filter(job => phone && job.driver_phone === phone && !CLOSED_STATUSES.includes(job.status))
+            .sort((a, b) => String(b.job_date).localeCompare(String(a.job_date))));
+    });
+
+    app.get('/api/jobs', (req, res) => {
+        const jobs = filterJobs(app.locals.jobs, req.query);
+        const pageSize = Math.max(1, parseInt(req.query.page_size) || 100);
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const totalPages = Math.max(1, Math.ceil(jobs.length / pageSize));
+
+        res.json({
+            jobs: jobs.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            total: jobs.length,
+            totalPages
+        });
+    });
+
+    app.post('/api/pods/status', (req, res) => {
+        const update = req.body || {};
+        if (!update.eventId || !update.attachmentId || !update.event) {
+            return res.status(400).json({ error: 'eventId, event and attachmentId are required' });
+        }
+        // Same Idempotency-Key as an update already received: acknowledge without recording again
+        const key = req.headers['idempotency-key'] || update.eventId;
+        const duplicate = app.locals.podUpdates.some(existing => existing.key === key);
+        if (!duplicate) app.locals.podUpdates.push({ key, receivedAt: new Date().toISOString(), ...update });
+        res.status(202).json({ received: true, duplicate });
+    });
+
+    return app;
+}
+
+/**
+ * Start the stand-in
+ * @param {Object} options - createApp options plus { port } (0 = any free port)
+ * @returns {Promise<Object>} { app, server, url }
+ */
+function start(options = {}) {
+    const app = createApp(options);
+    return new Promise((resolve, reject) => {
+        const server = app.listen(options.port !== undefined ? options.port : PORT, () => {
+            const url = `http://localhost:${server.address().port}`;
+            resolve({ app, server, url });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    loadFixtures,
+    filterJobs,
+    createApp,
+    start
+};
+
+if (require.main === module) {
+    start()
+        .then(({ app, url }) => {
+            console.log(`[HRMS Stand-in] Serving ${app.locals.jobs.length} fixture jobs at ${url}`);
+        })
+        .catch(error => {
+            console.error(`[HRMS Stand-in] Failed to start: ${error.message}`);
+            process.exit(1);
+        });
+}
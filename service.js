@@ -8,17 +8,38 @@ const path = require('path');
 const { init: initDb } = require('./db');
 const models = require('./models');
 const normalise = require('./normalise');
+const grouping = require('./grouping');
+const podStages = require('./podStages');
 const audit = require('./audit');
 const classify = require('./classify');
 const match = require('./match');
 const autoRoute = require('./autoRoute');
 const ocr = require('./ocr');
+const vision = require('./lib/vision');
+const resultCache = require('./resultCache');
+const reprocess = require('./reprocess');
+const corrections = require('./corrections');
+const jobs = require('./jobs');
+const hrmsClient = require('./lib/hrms-client');
+const podWriteback = require('./podWriteback');
+const missingPods = require('./missingPods');
 const extractor = require('./extractor');
+const supplierTemplates = require('./supplierTemplates');
 const email = require('./email');
+const emailTemplates = require('./emailTemplates');
 const emailQueue = require('./emailQueue');
+const emailDigest = require('./emailDigest');
+const emailSuppressions = require('./emailSuppressions');
+const downloadLinks = require('./downloadLinks');
+const emailThrottle = require('./emailThrottle');
+const emailRecipients = require('./emailRecipients');
+const smtpRelays = require('./smtpRelays');
 const recipients = require('./recipients');
 // Import Phase 2 Auto-Send module
 const autoSend = require('./lib/auto-send');
+const autoSendVersions = require('./autoSendVersions');
+const autoSendBacktest = require('./autoSendBacktest');
+const autoSendCalibration = require('./autoSendCalibration');
 // Import Phase 4 modules
 const retention = require('./retention');
 const legalHold = require('./legalHold');
@@ -35,6 +56,9 @@ const eventEmitter = require('./lib/events');
 // Import Data Pump module (Phase 2 - Data Pipeline)
 const dataPump = require('./lib/data-pump');
 
+// POD processing pipeline (BullMQ stage queues)
+const pipeline = require('./lib/pipeline');
+
 // Import Phase 4 Security modules
 const { requireAuth, optionalAuth } = require('./lib/auth-middleware');
 const healthCheck = require('./lib/health-check');
@@ -123,6 +147,32 @@ const TEMP_DIR = path.join(STORAGE_BASE, 'temp');
 normalise.ensureStorageDirectories();
 initDb();
 
+// Staged POD pipeline: classify -> (grouping) -> ocr -> extract -> match -> route
+podStages.register(pipeline);
+pipeline.start().catch(err => console.error('[PIPELINE] Start failed:', err.message));
+dataPump.setPipeline(pipeline);
+
+// Multi-page POD grouping - completed documents are queued for OCR, matching and routing
+grouping.setFlushHandler(document => pipeline.enqueue('ocr', {
+    chatId: document.chatId,
+    caption: document.caption,
+    pageIds: document.pages.map(page => page.attachmentId)
+}));
+
+// Re-assemble pages that were still waiting for grouping when the service stopped
+setTimeout(() => {
+    const pending = models.getAttachmentsByStatus('GROUPING', 1000).map(att => {
+        const metadata = att.metadata ? JSON.parse(att.metadata) : {};
+        return {
+            chatId: att.sender_id,
+            attachmentId: att.id,
+            caption: metadata.caption || null,
+            receivedAt: att.message_received_at || att.created_at
+        };
+    });
+    grouping.recover(pending).catch(err => console.error('[Grouping] Recovery error:', err.message));
+}, 5000);
+
 // Initialize event emitter
 eventEmitter.connect().catch(err => {
     console.error('[EVENTS] Failed to connect:', err.message);
@@ -149,29 +199,97 @@ setTimeout(() => {
     initDataPump();
 }, 2000);
 
-// Initialize Phase 2 modules (classification and OCR) with shared OpenAI client
+// Initialize Phase 2 modules (classification and OCR) - both share the vision provider chain
 try {
-    const OpenAI = require('openai');
     const apiKey = process.env.OPENAI_API_KEY;
     if (apiKey) {
-        const openaiClient = new OpenAI({ apiKey });
-        classify.init({ client: openaiClient });
-        ocr.init({ client: openaiClient });
-        console.log('Phase 2 modules initialized: classify and OCR ready');
+        const OpenAI = require('openai');
+        vision.configure({ openai: { client: new OpenAI({ apiKey }) } });
+    }
+    if (vision.isReady()) {
+        classify.init();
+        ocr.init();
+        console.log(`Phase 2 modules initialized: classify and OCR ready (providers: ${vision.chain.join(' -> ')})`);
     } else {
-        console.warn('OPENAI_API_KEY not set - classification/OCR will use fallback mode');
+        console.warn('No vision provider available (set OPENAI_API_KEY or VISION_PROVIDERS) - PODs will go to review');
     }
 } catch (initError) {
     console.error('Failed to initialize Phase 2 modules:', initError.message);
 }
 
-// Initialize Phase 2 Auto-Send rules
+// Supplier extraction templates (config/suppliers) - validated on load, reloaded on change
+try {
+    extractor.init({ watch: process.env.SUPPLIER_TEMPLATES_WATCH !== 'false' });
+    const templateStatus = supplierTemplates.getStatus();
+    const rejected = Object.keys(templateStatus.errors);
+    if (rejected.length > 0) {
+        console.warn(`[SupplierTemplates] Rejected: ${rejected.join(', ')}`);
+    }
+} catch (initError) {
+    console.error('Failed to load supplier templates:', initError.message);
+}
+
+// Routing rules (config/routing.json)
+try {
+    autoRoute.init();
+} catch (initError) {
+    console.error('[AutoRoute] Failed to load routing rules:', initError.message);
+}
+
+// Job matching - jobs table seeded from LOCAL_JOBS_PATH, kept current via /api/jobs/import
+try {
+    match.init();
+} catch (initError) {
+    console.error('[Match] Failed to initialize:', initError.message);
+}
+
+// POD received/delivered updates to HRMS (outbox processor)
+if (podWriteback.CONFIG.enabled) {
+    try {
+        podWriteback.startProcessor();
+    } catch (initError) {
+        console.error('[Writeback] Failed to start:', initError.message);
+    }
+}
+
+// Missing-POD detection: delivered jobs without a POD, drivers chased over WhatsApp
+missingPods.setSender(async (chatId, text) => {
+    if (!isReady) throw new Error('WhatsApp not ready');
+    await client.sendMessage(chatId, text);
+});
+missingPods.start();
+
+// Daily digest emails for customers on digest delivery
+emailDigest.setSender(options => email.sendPodEmail(options));
+emailDigest.start();
+
+// Expire jobs closed longer than JOBS_CLOSED_RETENTION_DAYS daily
+setInterval(() => {
+    try {
+        jobs.expireClosedJobs();
+    } catch (err) {
+        console.error('[Jobs] Expiry failed:', err.message);
+    }
+}, 24 * 60 * 60 * 1000).unref();
+
+// Purge expired vision cache entries daily
+setInterval(() => {
+    try {
+        const removed = resultCache.purgeExpired();
+        if (removed > 0) console.log(`[VisionCache] Purged ${removed} expired entries`);
+    } catch (err) {
+        console.error('[VisionCache] Purge failed:', err.message);
+    }
+}, 24 * 60 * 60 * 1000).unref();
+
+// Initialize Phase 2 Auto-Send rules (recorded as a config version when changed)
 try {
-    const autoSendConfig = autoSend.loadConfig();
-    console.log('[AutoSend] Configuration loaded:', autoSend.getConfigSummary().enabled ? 'enabled' : 'disabled');
+    const { version } = autoSendVersions.init();
+    console.log(`[AutoSend] Configuration version ${version} loaded:`, autoSend.getConfigSummary().enabled ? 'enabled' : 'disabled');
 } catch (initError) {
     console.error('[AutoSend] Failed to initialize:', initError.message);
 }
+autoSendCalibration.start();
 
 // ============================================
 // Phase 5 Performance Monitoring Initialization
@@ -437,342 +555,66 @@ async function processMediaMessage(message, from, senderName, receivedAt, correl
         const processed = normalise.validateAndProcessFile(tempPath, {
             receivedAt,
             mimeType,
-            originalFilename: message._data?.filename || null
+            originalFilename: message._data?.filename || null,
+            sender: from
         });
 
-        // Move to canonical storage location
-        normalise.moveToStorage(tempPath, processed.storagePath);
-
-        // ============================================
-        // Phase 2: Classification BEFORE creating attachment
-        // ============================================
-
-        // Read file buffer for classification
-        const imageBuffer = fs.readFileSync(processed.storagePath);
-
-        // Classify the image
-        let classification;
-        try {
-            classification = await classify.classify(imageBuffer, mimeType);
-        } catch (classError) {
-            console.error('Classification error:', classError.message);
-            classification = {
-                type: 'UNKNOWN',
-                imageType: 'error',
-                confidence: 0.0,
-                isPOD: null,
-                reason: `Classification failed: ${classError.message}`
-            };
-        }
-
-        // Log classification attempt
-        audit.log({
-            action: 'CLASSIFY_ATTEMPTED',
-            attachmentId: null,
-            correlationId,
-            details: {
+        if (!processed.success) {
+            console.log(`[Normalise] Rejected file from ${from}: ${processed.error}`);
+            normalise.discardTemp(tempPath);
+            models.updateMessageStatus(messageData.id, 'REJECTED');
+            audit.logFailed(null, processed.error, {
+                phase: 'NORMALISE',
+                messageId: messageData.id,
                 fileType: processed.fileType,
-                fileSize: processed.fileSize,
-                contentHash: processed.contentHash
-            }
-        });
-
-        console.log(`Classification: type=${classification.type}, confidence=${classification.confidence}, isPOD=${classification.isPOD}`);
-
-        // Handle NON_POD images with high confidence - skip attachment creation
-        if (classification.type === 'NON_POD' && classification.confidence >= 0.9) {
-            console.log(`Rejecting NON_POD image: ${classification.imageType} (confidence: ${classification.confidence})`);
-
-            // Log rejection
-            audit.log({
-                action: 'CLASSIFY_REJECTED',
-                attachmentId: null,
-                correlationId,
-                details: {
-                    reason: 'NON_POD classification high confidence',
-                    imageType: classification.imageType,
-                    confidence: classification.confidence,
-                    fileMovedTo: `${STORAGE_BASE}/REJECTED/${path.basename(processed.storagePath)}`
-                }
+                fileSize: processed.fileSize
             });
-
-            // Move to REJECTED folder
-            const rejectedDir = path.join(STORAGE_BASE, 'REJECTED', new Date().toISOString().split('T')[0]);
-            if (!fs.existsSync(rejectedDir)) {
-                fs.mkdirSync(rejectedDir, { recursive: true });
-            }
-            const rejectedPath = path.join(rejectedDir, path.basename(processed.storagePath));
-            fs.renameSync(processed.storagePath, rejectedPath);
-
-            console.log(`Image moved to REJECTED folder`);
-            return; // Skip further processing
+            return;
         }
 
-        // For POD, UNKNOWN, or low-confidence images, continue with processing
-        // Proceed to create attachment record and continue with OCR
-        const attachmentData = models.createAttachment({
-            message_id: messageData.id,
-            content_hash: processed.contentHash,
-            file_type: processed.fileType,
-            file_size: processed.fileSize,
-            original_filename: message._data?.filename || null,
-            storage_uri: normalise.generateStorageUri(processed.storagePath),
-            canonical_filename: processed.canonicalFilename,
-            status: 'REVIEW',
-            metadata: { mimeType }
-        });
-
-        audit.logNormalise(attachmentData.id, {
-            canonicalFilename: processed.canonicalFilename,
-            storagePath: processed.storagePath,
-            contentHash: processed.contentHash,
-            fileSize: processed.fileSize
-        });
-
-        // ============================================
-        // Phase 2: Run OCR on POD images
-        // ============================================
-
-        // 1. Use already-classified result (classification.type is POD)
-        // Run OCR asynchronously
-        let ocrResult = null;
-        let extractedFields = null;
-
-        if (classification.isPOD) {
-            // Run OCR with structured extraction
-            try {
-                console.log('Running structured OCR extraction...');
-                ocrResult = await ocr.extractStructured(imageBuffer, mimeType);
-
-                if (ocrResult.success) {
-                    // Parse raw OCR text using extractor module for structured fields
-                    extractedFields = extractor.extract(ocrResult.rawText || '');
-
-                    // Extract structured fields from OCR result
-                    const wordCount = ocrResult.rawText ? ocrResult.rawText.split(/\s+/).filter(w => w.length > 0).length : 0;
-
-                    // Log OCR extraction
-                    audit.log({
-                        action: 'OCR_EXTRACTED',
-                        attachmentId: attachmentData.id,
-                        correlationId,
-                        details: {
-                            wordCount,
-                            confidence: ocrResult.confidence,
-                            duration: ocrResult.duration,
-                            fieldsFound: {
-                                supplier: extractedFields.supplier,
-                                jobRef: extractedFields.jobRef,
-                                vehicleReg: extractedFields.vehicleReg,
-                                date: extractedFields.date,
-                                shipmentNumber: extractedFields.shipmentNumber
-                            }
-                        }
-                    });
-
-                    console.log(`OCR: supplier=${extractedFields.supplier}, jobRef=${extractedFields.jobRef}, vehicleReg=${extractedFields.vehicleReg}, confidence=${extractedFields.confidence}`);
-
-                    // Log extracted fields with quality score
-                    if (extractedFields.confidence > 0) {
-                        audit.log({
-                            action: 'FIELDS_EXTRACTED',
-                            attachmentId: attachmentData.id,
-                            correlationId,
-                            details: {
-                                supplier: extractedFields.supplier,
-                                jobRef: extractedFields.jobRef,
-                                vehicleReg: extractedFields.vehicleReg,
-                                date: extractedFields.date,
-                                shipmentNumber: extractedFields.shipmentNumber,
-                                confidence: extractedFields.confidence,
-                                quality: extractedFields.confidence
-                            }
-                        });
-                    }
-                }
-            } catch (ocrError) {
-                console.error('OCR error:', ocrError.message);
-                audit.logFailed(attachmentData.id, ocrError, { phase: 'OCR' });
-            }
-
-            // 3. Match with job using extracted fields
-            let jobMatch = null;
-            const senderPhone = from.replace('@c.us', '').replace('@g.us', '');
-
-            // Use new match.findMatch() for comprehensive matching
-            if (extractedFields || ocrResult) {
-                const matchFields = {
-                    jobRef: extractedFields?.jobRef || ocrResult?.jobRef || null,
-                    vehicleReg: extractedFields?.vehicleReg || ocrResult?.vehicleReg || null,
-                    date: extractedFields?.date || ocrResult?.date || null,
-                    supplier: extractedFields?.supplier || null
-                };
-
-                // Only attempt matching if we have at least one field
-                if (matchFields.jobRef || matchFields.vehicleReg) {
-                    console.log(`Matching with extracted fields: jobRef=${matchFields.jobRef}, vehicleReg=${matchFields.vehicleReg}`);
-                    jobMatch = await match.findMatch(matchFields, attachmentData.id);
-
-                    // Log match result with confidence
-                    console.log(`Match result: status=${jobMatch.summary?.status}, confidence=${jobMatch.match?.confidence || 0}, candidates=${jobMatch.candidates?.length || 0}`);
-                }
-            }
-
-            // Fallback to sender-based matching if no match found
-            if (!jobMatch || !jobMatch.match) {
-                jobMatch = await match.findBestMatch({ sender: senderPhone });
-                console.log(`Fallback sender match: confidence=${jobMatch.confidence}, matchType=${jobMatch.matchType}`);
-            }
-
-            // ============================================
-            // Phase 2: Auto-Send Rules Evaluation
-            // ============================================
-
-            // Capture attachment ID for audit logging
-            const attachmentId = attachmentData.id;
-
-            // Evaluate auto-send decision based on confidence scores
-            const confidenceData = {
-                id: attachmentId,
-                classificationConfidence: classification.confidence,
-                extractionConfidence: extractedFields?.confidence || ocrResult?.confidence || 0,
-                supplier: extractedFields?.supplier || ocrResult?.supplier || null
-            };
-
-            const autoSendDecision = autoSend.shouldAutoSend(confidenceData, jobMatch);
-            console.log(`[AutoSend] Decision: ${autoSendDecision.decision}, Reason: ${autoSendDecision.reasonCode}`);
-
-            // Log auto-send decision
-            audit.log({
-                action: 'AUTO_SEND_DECISION',
-                attachmentId: attachmentId,
-                correlationId,
-                details: {
-                    decision: autoSendDecision.decision,
-                    reasonCode: autoSendDecision.reasonCode,
-                    reason: autoSendDecision.reason,
-                    nextAction: autoSendDecision.nextAction,
-                    overallConfidence: autoSend.calculateOverallConfidence({
-                        classification: classification.confidence,
-                        extraction: extractedFields?.confidence || ocrResult?.confidence || 0,
-                        matching: jobMatch?.match?.confidence || 0
-                    }),
-                    threshold: autoSend.getSupplierThreshold(extractedFields?.supplier || ocrResult?.supplier)
-                }
+        // Same bytes already stored - link this message to the existing attachment
+        if (processed.duplicateOf) {
+            const existing = processed.duplicateOf;
+            console.log(`[Normalise] Duplicate of attachment ${existing.id} (hash ${processed.contentHash.substring(0, 12)})`);
+            normalise.discardTemp(tempPath);
+            models.updateMessageStatus(messageData.id, 'DUPLICATE');
+            audit.logDuplicate(existing.id, messageData.id, {
+                contentHash: processed.contentHash,
+                sender: from,
+                existingStatus: existing.status,
+                existingMessageId: existing.message_id
             });
+            return;
+        }
 
-            // Determine status based on auto-send decision
-            // Use OUT for AUTO_SEND, REVIEW for MANUAL_REVIEW
-            const finalStatus = autoSendDecision.nextAction === 'READY_FOR_EXPORT' ? 'OUT' : 'REVIEW';
-
-            // Determine review status based on confidence
-            const matchConfidence = jobMatch?.match?.confidence || 0;
-            let matchStatus = 'REVIEW';
-            let matchType = jobMatch?.match?.matchType || 'NO_MATCH';
+        if (processed.mimeMismatch) {
+            console.log(`[Normalise] Declared ${processed.declaredMimeType} but content is ${processed.fileType}`);
+        }
 
-            if (matchConfidence >= 0.95) {
-                matchStatus = 'HIGH_CONFIDENCE';
-            } else if (matchConfidence >= 0.70) {
-                matchStatus = 'MEDIUM_CONFIDENCE';
-            } else {
-                matchStatus = 'LOW_CONFIDENCE';
-            }
+        // Move to canonical storage location
+        normalise.moveToStorage(tempPath, processed.storagePath);
+        models.updateMessageStatus(messageData.id, 'QUEUED');
 
-            // Log match decision
-            if (jobMatch && jobMatch.match) {
-                audit.logMatch(attachmentId, {
-                    jobId: jobMatch.match.jobId,
-                    jobRef: jobMatch.match.jobRef,
-                    confidence: jobMatch.match.confidence,
-                    matchType: jobMatch.match.matchType,
-                    candidates: jobMatch.candidates,
-                    source: extractedFields ? 'EXTRACTOR' : 'OCR'
-                });
-                console.log(`Job match: ${jobMatch.match.jobRef}, confidence=${jobMatch.match.confidence}, type=${jobMatch.match.matchType}, status=${matchStatus}`);
-            } else {
-                audit.logMatch(attachmentId, {
-                    jobId: null,
-                    jobRef: null,
-                    confidence: 0,
-                    matchType: 'NO_MATCH',
-                    candidates: [],
-                    source: 'NONE'
-                });
+        // Classification, OCR, matching and routing run as durable pipeline jobs
+        const job = await pipeline.enqueue('classify', {
+            messageId: messageData.id,
+            from,
+            caption: message.body || null,
+            receivedAt: receivedAt.toISOString(),
+            correlationId,
+            mimeType,
+            originalFilename: message._data?.filename || null,
+            file: {
+                storagePath: processed.storagePath,
+                contentHash: processed.contentHash,
+                fileType: processed.fileType,
+                fileSize: processed.fileSize,
+                canonicalFilename: processed.canonicalFilename,
+                declaredMimeType: processed.declaredMimeType
             }
+        });
 
-            // 4. Auto-route based on classification and match
-            const routeDecision = autoRoute.route({
-                classification,
-                match: jobMatch,
-                sender: from
-            });
-
-            // Use auto-send decision for final status, fallback to routeDecision
-            const finalRouteTo = finalStatus === 'OUT' ? routeDecision.routeTo : routeDecision.routeTo;
-
-            // Update attachment status with routing decision and OCR data
-            models.updateAttachmentStatus(attachmentId, finalRouteTo, {
-                classificationConfidence: classification.confidence,
-                // Match info from new match.findMatch() result structure
-                matchedJobId: jobMatch?.match?.jobId || null,
-                matchConfidence: jobMatch?.match?.confidence || 0,
-                matchType: jobMatch?.match?.matchType || null,
-                matchStatus: matchStatus,
-                // Job ref from extracted fields or match result
-                jobRef: extractedFields?.jobRef || ocrResult?.jobRef || jobMatch?.match?.jobRef || null,
-                routingDecision: routeDecision.decisionType,
-                routingReason: routeDecision.details?.reason,
-                // Include extracted fields from extractor module
-                supplier: extractedFields?.supplier || ocrResult?.supplier || null,
-                vehicleReg: extractedFields?.vehicleReg || ocrResult?.vehicleReg || null,
-                date: extractedFields?.date || ocrResult?.date || null,
-                shipmentNumber: extractedFields?.shipmentNumber || ocrResult?.shipmentNumber || null,
-                extractionConfidence: extractedFields?.confidence || ocrResult?.confidence || 0,
-                // Auto-send decision metadata
-                autoSendDecision: autoSendDecision.decision,
-                autoSendReasonCode: autoSendDecision.reasonCode,
-                autoSendReason: autoSendDecision.reason
-            });
-
-            audit.logRoute(attachmentId, finalRouteTo, {
-                decisionType: routeDecision.decisionType,
-                confidence: routeDecision.confidence,
-                reason: routeDecision.details?.reason,
-                classification: classification,
-                match: jobMatch,
-                autoSendDecision: autoSendDecision,
-                extraction: extractedFields ? {
-                    supplier: extractedFields.supplier,
-                    jobRef: extractedFields.jobRef,
-                    vehicleReg: extractedFields.vehicleReg,
-                    date: extractedFields.date,
-                    shipmentNumber: extractedFields.shipmentNumber,
-                    confidence: extractedFields.confidence
-                } : null
-            });
-
-            console.log(`Routed: ${finalRouteTo} (${routeDecision.decisionType}, autoSend=${autoSendDecision.decision}, confidence=${routeDecision.confidence})`);
-        } else {
-            // Not a POD - route to quarantine
-            const routeDecision = autoRoute.route({ classification, match: null, sender: from });
-
-            models.updateAttachmentStatus(attachmentData.id, routeDecision.routeTo, {
-                classificationConfidence: classification.confidence,
-                routingDecision: routeDecision.decisionType,
-                routingReason: routeDecision.details?.reason
-            });
-
-            audit.logRoute(attachmentData.id, routeDecision.routeTo, {
-                decisionType: routeDecision.decisionType,
-                confidence: routeDecision.confidence,
-                reason: routeDecision.details?.reason,
-                classification: classification
-            });
-
-            console.log(`Routed to QUARANTINE: not classified as POD`);
-        }
-
-        console.log(`POD saved: ${processed.canonicalFilename}`);
+        console.log(`POD queued for classification (job ${job.id || 'inline'}): ${processed.canonicalFilename}`);
 
     } catch (error) {
         console.error('Error processing media:', error.message);
@@ -1007,14 +849,16 @@ app.get('/api/queue/review', (req, res) => {
         const status = req.query.status || 'REVIEW';
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
+        // Named review queue from the routing rules; 'main' is the queue without a name
+        const queue = req.query.queue === undefined ? undefined : (req.query.queue === 'main' ? null : req.query.queue);
 
-        const attachments = models.getAttachmentsByStatus(status, limit + 1);
+        const attachments = models.getAttachmentsByStatus(status, limit + 1, queue);
         const hasMore = attachments.length > limit;
         const data = hasMore ? attachments.slice(0, limit) : attachments;
 
         res.json({
             count: data.length,
-            total: models.getAttachmentsByStatus(status, 10000).length,
+            total: models.getAttachmentsByStatus(status, 10000, queue).length,
             hasMore,
             offset,
             limit,
@@ -1048,7 +892,8 @@ app.get('/api/queue/stats', (req, res) => {
             OUT: out,
             QUARANTINE: quarantine,
             FAILED: failed,
-            total: review + out + quarantine + failed
+            total: review + out + quarantine + failed,
+            reviewQueues: models.countReviewQueues()
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1059,8 +904,18 @@ app.get('/api/queue/stats', (req, res) => {
 app.post('/api/attachments/:id/approve', (req, res) => {
     try {
         const { jobRef, vehicleReg } = req.body;
-        const result = models.updateAttachmentStatus(req.params.id, 'OUT', { jobRef, vehicleReg });
-        if (result.changes === 0) return res.status(404).json({ error: 'Not found' });
+        const attachment = models.getAttachmentById(req.params.id);
+        if (!attachment) return res.status(404).json({ error: 'Not found' });
+
+        // Approving confirms any extracted value the reviewer did not change
+        corrections.recordReview(attachment, { jobRef, vehicleReg }, {
+            reviewer: 'reviewer',
+            action: 'approve',
+            confirmUnchanged: true
+        });
+        models.updateAttachmentStatus(req.params.id, 'OUT', { jobRef, vehicleReg });
+        podWriteback.onStatusChange(req.params.id, attachment.status, 'OUT');
+        emailQueue.onStatusChange(req.params.id, attachment.status, 'OUT');
 
         audit.logReview(req.params.id, 'reviewer', 'approve', { jobRef, vehicleReg });
         audit.logRoute(req.params.id, 'OUT', { reason: 'Approved by reviewer' });
@@ -1118,6 +973,10 @@ app.post('/api/attachments/:id/force-send', (req, res) => {
         });
 
         if (result.changes === 0) return res.status(404).json({ error: 'Not found' });
+        podWriteback.onStatusChange(req.params.id, attachment.status, 'OUT');
+
+        // Its email goes in the HIGH lane, ahead of routine and bulk sends
+        emailQueue.onStatusChange(req.params.id, attachment.status, 'OUT', { priority: emailThrottle.PRIORITIES.HIGH });
 
         // Audit log
         audit.logReview(req.params.id, overrideBy || 'reviewer', 'force_send', {
@@ -1140,6 +999,364 @@ app.post('/api/attachments/:id/force-send', (req, res) => {
     }
 });
 
+// ============================================
+// Supplier Template Endpoints
+// ============================================
+
+app.get('/api/supplier-templates', (req, res) => {
+    try {
+        res.json({ templates: supplierTemplates.list(), status: supplierTemplates.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Test a template against sample OCR text: body { text, template } or { text, key }
+app.post('/api/supplier-templates/test', (req, res) => {
+    try {
+        const { text, key } = req.body || {};
+        if (!text) return res.status(400).json({ error: 'text is required' });
+
+        let template = req.body.template;
+        if (!template && key) {
+            const stored = supplierTemplates.get(key);
+            if (!stored) return res.status(404).json({ error: `Template ${key} not found` });
+            template = stored.definition;
+        }
+        if (!template) return res.status(400).json({ error: 'template or key is required' });
+
+        const result = extractor.testTemplate(template, text);
+        res.status(result.valid ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/supplier-templates/reload', (req, res) => {
+    try {
+        res.json({ success: true, status: supplierTemplates.load() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/supplier-templates/:key', (req, res) => {
+    try {
+        const key = req.params.key.toUpperCase();
+        if (!supplierTemplates.isValidKey(key)) return res.status(400).json({ error: `Invalid template key: ${req.params.key}` });
+        const template = supplierTemplates.get(key);
+        if (!template) return res.status(404).json({ error: 'Not found' });
+        res.json(template.definition);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/supplier-templates', (req, res) => {
+    try {
+        const { actor, ...template } = req.body || {};
+        const result = supplierTemplates.save(template, { create: true });
+        if (!result.success) {
+            return res.status(result.exists ? 409 : 400).json({ error: 'Invalid template', errors: result.errors });
+        }
+
+        audit.log({
+            action: 'SUPPLIER_TEMPLATE_SAVED',
+            actor: actor || 'admin',
+            details: { key: template.key, created: true, template: result.template }
+        });
+        res.status(201).json(result.template);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/supplier-templates/:key', (req, res) => {
+    try {
+        const { actor, ...body } = req.body || {};
+        const key = req.params.key.toUpperCase();
+        if (!supplierTemplates.isValidKey(key)) return res.status(400).json({ error: `Invalid template key: ${req.params.key}` });
+        if (body.key && body.key !== key) {
+            return res.status(400).json({ error: `Body key ${body.key} does not match ${key}` });
+        }
+
+        const previous = supplierTemplates.get(key);
+        const result = supplierTemplates.save({ ...body, key });
+        if (!result.success) {
+            return res.status(400).json({ error: 'Invalid template', errors: result.errors });
+        }
+
+        audit.log({
+            action: 'SUPPLIER_TEMPLATE_SAVED',
+            actor: actor || 'admin',
+            details: { key, created: !previous, previous: previous ? previous.definition : null, template: result.template }
+        });
+        res.json(result.template);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/supplier-templates/:key', (req, res) => {
+    try {
+        const key = req.params.key.toUpperCase();
+        if (!supplierTemplates.isValidKey(key)) return res.status(400).json({ error: `Invalid template key: ${req.params.key}` });
+        const previous = supplierTemplates.get(key);
+        if (!supplierTemplates.remove(key)) return res.status(404).json({ error: 'Not found' });
+
+        audit.log({
+            action: 'SUPPLIER_TEMPLATE_DELETED',
+            actor: req.query.actor || 'admin',
+            details: { key, previous: previous ? previous.definition : null }
+        });
+        res.json({ success: true, key });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// Jobs Reference Data Endpoints
+// ============================================
+
+app.get('/api/jobs', (req, res) => {
+    try {
+        const { q, status, limit, offset } = req.query;
+        res.json(jobs.listJobs({ q, status, limit, offset }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/stats', (req, res) => {
+    try {
+        res.json(jobs.getStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/imports', (req, res) => {
+    try {
+        res.json({ imports: jobs.listImports(req.query.limit) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/imports/:id', (req, res) => {
+    try {
+        const report = jobs.getImport(req.params.id);
+        if (!report) return res.status(404).json({ error: 'Import not found' });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import jobs - JSON body (array or { jobs }) or CSV (text/csv); ?dryRun=true validates only
+// Large JSON files can be sent as text/plain with ?format=json
+app.post('/api/jobs/import', express.text({
+    type: ['text/*', 'application/csv'],
+    limit: process.env.JOBS_IMPORT_MAX_BYTES || '20mb'
+}), (req, res) => {
+    try {
+        const format = req.query.format || (req.is('json') ? 'json' : 'csv');
+        const report = jobs.importJobs(req.body, {
+            format,
+            dryRun: req.query.dryRun === 'true',
+            source: req.query.source || 'upload',
+            actor: req.query.actor || 'admin'
+        });
+        if (!report.success) return res.status(400).json(report);
+
+        if (!report.dryRun) {
+            audit.log({
+                action: 'JOBS_IMPORTED',
+                actor: req.query.actor || 'admin',
+                details: {
+                    importId: report.importId,
+                    format,
+                    total: report.total,
+                    inserted: report.inserted,
+                    updated: report.updated,
+                    rejected: report.rejected
+                }
+            });
+        }
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove closed jobs past retention (body: { retentionDays, dryRun })
+app.post('/api/jobs/expire', (req, res) => {
+    try {
+        const { retentionDays, dryRun } = req.body || {};
+        res.json(jobs.expireClosedJobs({ retentionDays, dryRun: !!dryRun }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// HRMS client: circuit breaker, cache and request metrics
+app.get('/api/hrms/status', (req, res) => {
+    try {
+        res.json({ enabled: match.config.useApi, ...hrmsClient.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/hrms/cache/clear', (req, res) => {
+    try {
+        const entries = hrmsClient.getStatus().cache.entries;
+        hrmsClient.clearCache();
+        res.json({ success: true, cleared: entries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/hrms/circuit/reset', (req, res) => {
+    try {
+        hrmsClient.resetBreaker();
+        res.json({ success: true, circuit: hrmsClient.getStatus().circuit });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Missing PODs: delivered jobs with no POD yet, per driver and customer
+app.get('/api/pods/missing', (req, res) => {
+    try {
+        const { customer, driver } = req.query;
+        res.json({ ...missingPods.findMissing({ customer, driver }), chase: missingPods.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Run the missing-POD check (and chasing) now; dryRun returns the messages without sending
+app.post('/api/pods/missing/check', async (req, res) => {
+    try {
+        const { dryRun } = req.body || {};
+        res.json(await missingPods.runCheck({ dryRun: !!dryRun }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// HRMS write-back: outbox, reconciliation of updates HRMS has not received, retries
+app.get('/api/hrms/writeback', (req, res) => {
+    try {
+        const { status, event, attachmentId, limit } = req.query;
+        const entries = podWriteback.listOutbox({ status, event, attachmentId, limit });
+        res.json({ count: entries.length, entries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/hrms/writeback/report', (req, res) => {
+    try {
+        const { from, to, limit } = req.query;
+        res.json(podWriteback.getReconciliationReport({ from, to, limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/hrms/writeback/retry', (req, res) => {
+    try {
+        const { event, includeMissing, from, to } = req.body || {};
+        const requeued = podWriteback.retryFailed({ event });
+        const missing = includeMissing ? podWriteback.queueMissing({ from, to }) : { queued: 0 };
+        res.json({ success: true, requeued, missingQueued: missing.queued });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/hrms/writeback/:id/retry', (req, res) => {
+    try {
+        if (!podWriteback.retry(req.params.id)) {
+            return res.status(404).json({ error: 'No failed update with this id' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/hrms/writeback/process', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await podWriteback.processOutbox()) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/:ref', (req, res) => {
+    try {
+        const job = jobs.getJob(req.params.ref);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// Routing Rules Endpoints
+// ============================================
+
+app.get('/api/routing', (req, res) => {
+    try {
+        res.json(autoRoute.getStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/routing/reload', (req, res) => {
+    try {
+        const status = autoRoute.loadConfig();
+        res.status(status.errors.length > 0 ? 400 : 200).json({ success: status.errors.length === 0, ...status });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Which rule routes a document: { attachmentId } uses its stored results, or pass the inputs
+app.post('/api/routing/simulate', (req, res) => {
+    try {
+        const { attachmentId, rules, defaultRoute } = req.body || {};
+        let input = req.body || {};
+
+        if (attachmentId) {
+            const attachment = models.getAttachmentById(attachmentId);
+            if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+            const results = attachment.metadata?.results || {};
+            const message = models.getMessageById(attachment.message_id);
+            input = {
+                classification: results.classification || attachment.metadata?.classification,
+                match: results.match,
+                autoSend: results.autoSend,
+                sender: message?.chat_id || null,
+                supplier: results.fields?.supplier || attachment.supplier
+            };
+        }
+
+        const result = autoRoute.simulate(input, { rules, defaultRoute });
+        if (!result.success) return res.status(400).json(result);
+        res.json({ attachmentId: attachmentId || null, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ============================================
 // Auto-Send Configuration Endpoints
 // ============================================
@@ -1154,13 +1371,80 @@ app.get('/api/auto-send/config', (req, res) => {
     }
 });
 
-// Reload auto-send configuration
+// Reload auto-send configuration - stored as a new version when it changed
+// Body: { author, comment }
 app.post('/api/auto-send/reload', (req, res) => {
     try {
-        const config = autoSend.reloadConfig();
+        const { author, comment } = req.body || {};
+        const result = autoSendVersions.reload({ author: author || 'admin', comment });
+        if (!result.success) {
+            return res.status(400).json({ success: false, errors: result.errors, activeVersion: autoSend.getActiveVersion() });
+        }
+        res.json({
+            success: true,
+            message: result.changed ? `Configuration version ${result.version} active` : 'Configuration unchanged',
+            version: result.version,
+            changed: result.changed,
+            diff: result.diff,
+            config: autoSend.getConfigSummary()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Auto-send configuration history
+app.get('/api/auto-send/versions', (req, res) => {
+    try {
+        res.json(autoSendVersions.listVersions({ limit: req.query.limit, status: req.query.status }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/auto-send/versions/:version', (req, res) => {
+    try {
+        const version = autoSendVersions.getVersion(parseInt(req.params.version));
+        if (!version) return res.status(404).json({ error: 'Version not found' });
+        res.json(version);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Roll back to a stored version (becomes a new version). Body: { author, comment }
+app.post('/api/auto-send/versions/:version/rollback', (req, res) => {
+    try {
+        const { author, comment } = req.body || {};
+        const result = autoSendVersions.rollback(parseInt(req.params.version), { author: author || 'admin', comment });
+        if (!result) return res.status(404).json({ error: 'Version not found' });
+        if (!result.success) return res.status(400).json(result);
+        res.json({
+            success: true,
+            message: result.changed ? `Rolled back to version ${req.params.version} as version ${result.version}` : 'Version already active',
+            version: result.version,
+            changed: result.changed,
+            diff: result.diff,
+            config: autoSend.getConfigSummary()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Accept a proposed version (e.g. from calibration) - applied as a new version. Body: { author, comment }
+app.post('/api/auto-send/versions/:version/accept', (req, res) => {
+    try {
+        const { author, comment } = req.body || {};
+        const result = autoSendVersions.accept(parseInt(req.params.version), { author: author || 'admin', comment });
+        if (!result) return res.status(404).json({ error: 'Version not found' });
+        if (!result.success) return res.status(400).json(result);
         res.json({
             success: true,
-            message: 'Configuration reloaded',
+            message: `Accepted proposal ${req.params.version} as version ${result.version}`,
+            version: result.version,
+            changed: result.changed,
+            diff: result.diff,
             config: autoSend.getConfigSummary()
         });
     } catch (error) {
@@ -1168,6 +1452,18 @@ app.post('/api/auto-send/reload', (req, res) => {
     }
 });
 
+app.post('/api/auto-send/versions/:version/dismiss', (req, res) => {
+    try {
+        const { author, comment } = req.body || {};
+        const result = autoSendVersions.dismiss(parseInt(req.params.version), { author: author || 'admin', comment });
+        if (!result) return res.status(404).json({ error: 'Version not found' });
+        if (!result.success) return res.status(400).json(result);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Validate auto-send configuration
 app.post('/api/auto-send/validate', (req, res) => {
     try {
@@ -1196,11 +1492,16 @@ app.post('/api/auto-send/simulate', (req, res) => {
         const attachment = models.getAttachmentById(attachmentId);
         if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
 
-        // Get match info
+        // Get match info (with the stored breakdown, for rule expressions)
+        const storedMatch = attachment.metadata?.results?.match || null;
         const matchResult = attachment.matched_job_id ? {
             found: true,
             confidence: attachment.match_confidence || 0.5,
-            supplier: attachment.supplier
+            supplier: attachment.supplier,
+            customer: storedMatch?.customer || null,
+            jobRef: storedMatch?.jobRef || null,
+            matchType: storedMatch?.matchType || null,
+            breakdown: storedMatch?.breakdown || null
         } : {
             found: false,
             confidence: 0,
@@ -1220,6 +1521,7 @@ app.post('/api/auto-send/simulate', (req, res) => {
                 }),
                 supplier: attachment.supplier,
                 threshold: autoSend.getSupplierThreshold(attachment.supplier),
+                configVersion: autoSend.getActiveVersion(),
                 decision
             }
         });
@@ -1228,6 +1530,43 @@ app.post('/api/auto-send/simulate', (req, res) => {
     }
 });
 
+// Backtest a candidate configuration against past documents
+// Body: { version | config | overrides, weeks | from/to, supplier, limit, includeItems }
+// e.g. { "overrides": { "supplierRules": { "TARMAC": { "threshold": 0.88 } } }, "weeks": 6 }
+app.post('/api/auto-send/backtest', (req, res) => {
+    try {
+        const report = autoSendBacktest.backtest(req.body || {});
+        if (!report.success) return res.status(400).json(report);
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Threshold calibration from reviewer outcomes (report only, nothing proposed)
+// Query: weeks, supplier, target, minSamples
+app.get('/api/auto-send/calibration', (req, res) => {
+    try {
+        const report = autoSendCalibration.run({ ...req.query, propose: false });
+        if (!report.success) return res.status(400).json(report);
+        res.json({ ...report, status: autoSendCalibration.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Run calibration and store the recommendations as a proposed config version
+// Body: { weeks, target, minSamples, author }
+app.post('/api/auto-send/calibration/run', (req, res) => {
+    try {
+        const report = autoSendCalibration.run({ ...(req.body || {}), propose: true });
+        if (!report.success) return res.status(400).json(report);
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Bulk actions
 app.post('/api/queue/bulk-action', (req, res) => {
     try {
@@ -1245,8 +1584,19 @@ app.post('/api/queue/bulk-action', (req, res) => {
                 else if (action === 'review') newStatus = 'REVIEW';
                 else return res.status(400).json({ error: 'Invalid action' });
 
+                const attachment = models.getAttachmentById(id);
+                if (action === 'approve') {
+                    corrections.recordReview(attachment, {}, {
+                        reviewer: 'reviewer',
+                        action: 'bulk_approve',
+                        confirmUnchanged: true
+                    });
+                }
+
                 const result = models.updateAttachmentStatus(id, newStatus);
                 if (result.changes > 0) {
+                    podWriteback.onStatusChange(id, attachment?.status, newStatus);
+                    emailQueue.onStatusChange(id, attachment?.status, newStatus);
                     audit.logReview(id, 'reviewer', `bulk_${action}`, { notes, count: ids.length });
                     results.push({ id, success: true });
                 } else {
@@ -1269,8 +1619,26 @@ app.post('/api/queue/bulk-action', (req, res) => {
     }
 });
 
+// Signed download links from POD emails (?expires=&sig=), checked and recorded
+app.get('/api/downloads/:linkId', async (req, res) => {
+    try {
+        const check = downloadLinks.verify(req.params.linkId, req.query);
+        if (!check.ok) return res.status(check.status).json({ error: check.error });
+
+        const target = await downloadLinks.resolve(check.link);
+        if (!target.redirect && !fs.existsSync(target.path)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        downloadLinks.recordDownload(check.link, { ip: req.ip, userAgent: req.get('user-agent') });
+        if (target.redirect) return res.redirect(target.redirect);
+        res.download(target.path, target.name);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // File serving
-app.get('/api/files/:id', (req, res) => {
+app.get('/api/files/:id', async (req, res) => {
     try {
         const attachment = models.getAttachmentById(req.params.id);
         if (!attachment) return res.status(404).json({ error: 'Not found' });
@@ -1301,6 +1669,115 @@ app.get('/api/files/:id', (req, res) => {
     }
 });
 
+// Vision provider chain, availability and per-provider outcome counts
+app.get('/api/vision/providers', (req, res) => {
+    try {
+        res.json(vision.getStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Vision result cache - size, hit counts and TTL
+app.get('/api/vision/cache', (req, res) => {
+    try {
+        res.json(resultCache.getStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drop cached results for one file (all kinds, prompt versions and models)
+app.delete('/api/vision/cache/:contentHash', (req, res) => {
+    try {
+        const removed = resultCache.invalidate({ contentHash: req.params.contentHash });
+        res.json({ success: true, removed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drop cached results by filter: { contentHash, kind, promptVersion, model, provider } or { all: true }
+app.post('/api/vision/cache/invalidate', (req, res) => {
+    try {
+        const removed = resultCache.invalidate(req.body || {});
+        audit.log({
+            action: 'VISION_CACHE_INVALIDATED',
+            actor: req.body?.actor || audit.AUDIT_ACTORS.ADMIN,
+            details: { filter: req.body || {}, removed }
+        });
+        res.json({ success: true, removed });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete expired entries now instead of waiting for the daily purge
+app.post('/api/vision/cache/purge', (req, res) => {
+    try {
+        res.json({ success: true, removed: resultCache.purgeExpired() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Multi-page grouping status (open groups waiting for more pages)
+app.get('/api/grouping', (req, res) => {
+    try {
+        res.json(grouping.getStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Close a chat's open group now instead of waiting for the window to expire
+app.post('/api/grouping/:chatId/flush', async (req, res) => {
+    try {
+        const flushed = await grouping.flushGroup(req.params.chatId);
+        if (!flushed) return res.status(404).json({ error: 'No open group for chat' });
+        res.json({ success: true, chatId: req.params.chatId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pipeline queues: per-stage job counts, active jobs with progress, dead-letter size
+app.get('/api/pipeline/queues', async (req, res) => {
+    try {
+        const stats = await pipeline.getQueueStats();
+        const active = await pipeline.getActiveJobs(parseInt(req.query.limit) || 50);
+        res.json({ ...stats, active });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Jobs that exhausted their retries
+app.get('/api/pipeline/dead-letter', async (req, res) => {
+    try {
+        const entries = await pipeline.getDeadLetters(parseInt(req.query.limit) || 50);
+        res.json({ count: entries.length, entries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Put a dead-lettered job back on its stage queue
+app.post('/api/pipeline/dead-letter/:id/retry', async (req, res) => {
+    try {
+        const result = await pipeline.retryDeadLetter(req.params.id);
+        if (!result.success) return res.status(404).json({ error: result.error });
+        audit.log({
+            action: 'PIPELINE_RETRY',
+            actor: req.body?.actor || audit.AUDIT_ACTORS.ADMIN,
+            details: { deadLetterId: req.params.id, stage: result.stage, jobId: result.jobId || null }
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Audit API
 app.get('/api/audit/:attachmentId', (req, res) => {
     try {
@@ -1316,7 +1793,28 @@ app.get('/api/attachments/:id', (req, res) => {
     try {
         const attachment = models.getAttachmentById(req.params.id);
         if (!attachment) return res.status(404).json({ error: 'Not found' });
-        res.json(attachment);
+
+        // Multi-page PODs: list pages in order (a page resolves to its document's pages)
+        const pages = models.getDocumentPages(attachment.document_id || attachment.id).map(page => ({
+            id: page.id,
+            pageNumber: page.page_number || 1,
+            fileType: page.file_type,
+            fileSize: page.file_size,
+            canonicalFilename: page.canonical_filename
+        }));
+
+        // Field reconciliation and job match scoring from the last pipeline run
+        const results = attachment.metadata?.results;
+        const fields = results?.fields;
+
+        res.json({
+            ...attachment,
+            pageCount: pages.length,
+            pages,
+            fieldConflicts: fields?.conflicts || [],
+            reconciliation: fields?.reconciliation || null,
+            match: results?.match || null
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -1325,8 +1823,14 @@ app.get('/api/attachments/:id', (req, res) => {
 app.patch('/api/attachments/:id', (req, res) => {
     try {
         const { status, jobRef, vehicleReg } = req.body;
-        const result = models.updateAttachmentStatus(req.params.id, status, { jobRef, vehicleReg });
-        if (result.changes === 0) return res.status(404).json({ error: 'Not found' });
+        const attachment = models.getAttachmentById(req.params.id);
+        if (!attachment) return res.status(404).json({ error: 'Not found' });
+
+        // Keep the extracted values as labelled examples before they are overwritten
+        corrections.recordReview(attachment, { jobRef, vehicleReg }, { reviewer: 'reviewer', action: 'edit' });
+        models.updateAttachmentStatus(req.params.id, status || attachment.status, { jobRef, vehicleReg });
+        podWriteback.onStatusChange(req.params.id, attachment.status, status || attachment.status);
+        emailQueue.onStatusChange(req.params.id, attachment.status, status || attachment.status);
 
         if (status) {
             audit.logReview(req.params.id, 'reviewer', 'status_update', { newStatus: status, jobRef, vehicleReg });
@@ -1338,6 +1842,59 @@ app.patch('/api/attachments/:id', (req, res) => {
     }
 });
 
+// Reviewer corrections - labelled examples and extraction accuracy per supplier/field
+app.get('/api/corrections', (req, res) => {
+    try {
+        const { supplier, field, from, to, limit } = req.query;
+        const examples = corrections.listExamples({
+            supplier,
+            field,
+            from,
+            to,
+            limit,
+            correctedOnly: req.query.correctedOnly === 'true'
+        });
+        res.json({ count: examples.length, examples });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/reports/extraction-accuracy', (req, res) => {
+    try {
+        const { supplier, field, from, to, interval } = req.query;
+        res.json(corrections.getAccuracyReport({ supplier, field, from, to, interval }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reprocess - re-run chosen stages (classify, ocr, extract, match, autosend) on stored files
+// Body: { stages, dryRun, refresh, actor }; bulk also takes { filter: { status, supplier, from, to, limit } }
+app.post('/api/attachments/reprocess', async (req, res) => {
+    try {
+        const { filter, stages, dryRun, refresh, actor } = req.body || {};
+        const result = await reprocess.reprocessBulk(filter || {}, { stages, dryRun, refresh, actor: actor || 'admin' });
+        if (!result.success) return res.status(400).json({ error: result.error });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/attachments/:id/reprocess', async (req, res) => {
+    try {
+        const { stages, dryRun, refresh, actor } = req.body || {};
+        const result = await reprocess.reprocessAttachment(req.params.id, { stages, dryRun, refresh, actor: actor || 'admin' });
+        if (!result.success) {
+            return res.status(result.error === 'Attachment not found' ? 404 : 400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Send message (handles both 'to' and 'chat_id' for compatibility)
 app.post('/api/send', async (req, res) => {
     const { to, chat_id, text, message } = req.body;
@@ -1673,6 +2230,11 @@ process.on('SIGINT', async () => {
         console.log('[SHUTDOWN] Cleanup error (non-critical):', e.message);
     }
     emailQueue.stopProcessor();
+    podWriteback.stopProcessor();
+    missingPods.stop();
+    emailDigest.stop();
+    smtpRelays.stop();
+    autoSendCalibration.stop();
     process.exit(0);
 });
 
@@ -1693,6 +2255,11 @@ process.on('SIGTERM', async () => {
         console.log('[SHUTDOWN] Cleanup error (non-critical):', e.message);
     }
     emailQueue.stopProcessor();
+    podWriteback.stopProcessor();
+    missingPods.stop();
+    emailDigest.stop();
+    smtpRelays.stop();
+    autoSendCalibration.stop();
     process.exit(0);
 });
 
@@ -1711,6 +2278,10 @@ app.get('/api/email/status', (req, res) => {
             queue: queueStats,
             email: emailStatus,
             recipients: recipientStatus,
+            digest: emailDigest.getStatus(),
+            suppressions: emailSuppressions.getStatus(),
+            downloadLinks: downloadLinks.getStatus(),
+            relays: smtpRelays.getStatus(),
             processor: {
                 running: !!processorInterval,
                 pollInterval: POLL_INTERVAL
@@ -1721,59 +2292,179 @@ app.get('/api/email/status', (req, res) => {
     }
 });
 
+// Check every SMTP relay now (failover/failback as for the periodic checks)
+app.post('/api/email/relays/check', async (req, res) => {
+    try {
+        const result = await email.testConnection();
+        res.json({ test: result, relays: smtpRelays.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Email bounce webhook (for SMTP providers like SendGrid, Mailgun)
-app.post('/api/email/bounce', (req, res) => {
+// JSON { messageId, email, reason, type: hard | soft | complaint } (or an array), or the raw
+// bounce/complaint email (DSN / ARF) as message/* or text/*, or JSON { raw }
+// Requires EMAIL_BOUNCE_WEBHOOK_SECRET as the X-Webhook-Secret header or ?token=
+app.post('/api/email/bounce', express.text({
+    type: ['message/*', 'text/*', 'multipart/report'],
+    limit: '5mb'
+}), (req, res) => {
     try {
-        const { messageId, email: bouncedEmail, reason, type, timestamp } = req.body;
+        // Public endpoint that writes suppressions - only with the shared secret
+        const auth = emailSuppressions.checkWebhookSecret(req.get('x-webhook-secret') || req.query.token);
+        if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
 
-        console.log(`Bounce received: ${bouncedEmail} - ${reason}`);
+        const parsed = emailSuppressions.parseBounce(req.body);
+        if (parsed.bounces.length === 0) {
+            return res.status(400).json({ error: 'No bounced recipients found', format: parsed.format });
+        }
 
         const db = getDb();
+        const messageId = parsed.messageId || req.body?.messageId || null;
+
+        // Find the email record (SMTP Message-ID of any attempt, or our queue/message id)
+        const emailQueueId = messageId ? emailRecipients.findEmailBySmtpMessageId(messageId) : null;
+        const emailRecord = messageId ? db.prepare(`
+            SELECT * FROM email_queue WHERE smtp_message_id = ? OR message_id = ? OR id = ?
+        `).get(messageId, messageId, emailQueueId || messageId) : null;
+
+        const results = [];
+        for (const bounce of parsed.bounces) {
+            console.log(`Bounce received: ${bounce.email} - ${bounce.type} ${bounce.statusCode || ''} ${bounce.diagnostic || ''}`);
+
+            const result = emailSuppressions.recordBounce(bounce, {
+                source: parsed.format,
+                messageId,
+                emailQueueId: emailRecord?.id
+            });
+            results.push(result);
+
+            if (emailRecord && bounce.type !== emailSuppressions.BOUNCE_TYPES.COMPLAINT) {
+                const isHardBounce = bounce.type === emailSuppressions.BOUNCE_TYPES.HARD;
+
+                // Update status (a delay notice is not a failure yet); with other
+                // addresses delivered the email is PARTIAL rather than BOUNCED
+                if (bounce.action !== 'delayed') {
+                    const settled = emailRecipients.recordBounce(emailRecord.id, bounce.email, { error: bounce.diagnostic || bounce.statusCode });
+                    const status = settled
+                        ? (settled.status === 'BOUNCED' && !isHardBounce ? 'FAILED' : settled.status)
+                        : (isHardBounce ? 'BOUNCED' : 'FAILED');
+                    if (status !== 'PENDING') {
+                        db.prepare(`
+                            UPDATE email_queue
+                            SET status = ?, error = ?
+                            WHERE id = ?
+                        `).run(status, bounce.diagnostic || bounce.statusCode, emailRecord.id);
+                    }
+                }
 
-        // Find the email record
-        const emailRecord = db.prepare(`
-            SELECT * FROM email_queue WHERE message_id = ? OR id = ?
-        `).get(messageId, messageId);
+                // Log delivery event
+                emailQueue.logDeliveryEvent(emailRecord.id, emailRecord.attachment_id, 'BOUNCED', {
+                    bouncedEmail: bounce.email,
+                    reason: bounce.diagnostic,
+                    type: bounce.type,
+                    statusCode: bounce.statusCode,
+                    suppressed: result.suppressed
+                });
+            }
 
-        if (!emailRecord) {
-            return res.status(404).json({ error: 'Email not found' });
+            // Audit log
+            audit.log({
+                action: bounce.type === emailSuppressions.BOUNCE_TYPES.COMPLAINT ? 'EMAIL_COMPLAINT' : 'EMAIL_BOUNCED',
+                attachmentId: emailRecord?.attachment_id,
+                details: {
+                    messageId,
+                    emailQueueId: emailRecord?.id || null,
+                    bouncedEmail: bounce.email,
+                    type: bounce.type,
+                    statusCode: bounce.statusCode,
+                    reason: bounce.diagnostic,
+                    suppressed: result.suppressed
+                }
+            });
         }
 
-        const isHardBounce = type === 'hard' ||
-            reason.toLowerCase().includes('invalid') ||
-            reason.toLowerCase().includes('does not exist');
+        res.json({ success: true, processed: true, format: parsed.format, matched: !!emailRecord, bounces: results });
+    } catch (error) {
+        console.error('Bounce processing error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Update status
-        db.prepare(`
-            UPDATE email_queue
-            SET status = ?, error = ?
-            WHERE id = ?
-        `).run(isHardBounce ? 'BOUNCED' : 'FAILED', reason, emailRecord.id);
-
-        // Log delivery event
-        emailQueue.logDeliveryEvent(emailRecord.id, emailRecord.attachment_id, 'BOUNCED', {
-            bouncedEmail,
-            reason,
-            type,
-            timestamp
-        });
+// Suppressed recipients (?status=ACTIVE|EXPIRED|LIFTED|ALL&reason=&email=&limit=)
+app.get('/api/email/suppressions', (req, res) => {
+    try {
+        const { status, reason, email: address, limit } = req.query;
+        res.json({ suppressions: emailSuppressions.listSuppressions({ status, reason, email: address, limit }), status: emailSuppressions.getStatus() });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        // Audit log
-        audit.log({
-            action: 'EMAIL_BOUNCED',
-            attachmentId: emailRecord.attachment_id,
-            details: { messageId, bouncedEmail, reason, isHardBounce }
-        });
+// One address: suppression and bounce history
+app.get('/api/email/suppressions/:email', (req, res) => {
+    try {
+        const suppression = emailSuppressions.getSuppression(req.params.email);
+        if (!suppression) return res.status(404).json({ error: 'No suppression or bounces for this address' });
+        res.json(suppression);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Alert for hard bounces
-        if (isHardBounce) {
-            console.log(`ALERT: Hard bounce for ${bouncedEmail}`);
-            // Could trigger alert here
-        }
+// Lift a suppression; Body: { actor, note }
+app.delete('/api/email/suppressions/:email', (req, res) => {
+    try {
+        const { actor, note } = req.body || {};
+        const lifted = emailSuppressions.lift(req.params.email, { actor, note });
+        if (!lifted) return res.status(404).json({ error: 'Address is not suppressed' });
+        res.json({ success: true, suppression: lifted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download links sent instead of attachments (?attachmentId=&emailQueueId=&digestId=&customer=&status=ACTIVE|EXPIRED|REVOKED&limit=)
+app.get('/api/email/links', (req, res) => {
+    try {
+        const { attachmentId, emailQueueId, digestId, customer, status, limit } = req.query;
+        res.json({ links: downloadLinks.listLinks({ attachmentId, emailQueueId, digestId, customer, status, limit }), status: downloadLinks.getStatus() });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// One link with its downloads
+app.get('/api/email/links/:id', (req, res) => {
+    try {
+        const link = downloadLinks.getLink(req.params.id);
+        if (!link) return res.status(404).json({ error: 'Link not found' });
+        res.json(link);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke a link; Body: { actor, reason }
+app.post('/api/email/links/:id/revoke', (req, res) => {
+    try {
+        const { actor, reason } = req.body || {};
+        const link = downloadLinks.revoke(req.params.id, { actor, reason });
+        if (!link) return res.status(404).json({ error: 'Link not found or already revoked' });
+        res.json({ success: true, link });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.json({ success: true, processed: true });
+// Revoke every link of an attachment; Body: { actor, reason }
+app.post('/api/attachments/:id/email/links/revoke', (req, res) => {
+    try {
+        const { actor, reason } = req.body || {};
+        const revoked = downloadLinks.revokeForAttachment(req.params.id, { actor, reason });
+        res.json({ success: true, revoked });
     } catch (error) {
-        console.error('Bounce处理 error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
@@ -1788,6 +2479,27 @@ app.get('/api/email/queue', (req, res) => {
     }
 });
 
+// Delivery status of each address of an email
+app.get('/api/email/queue/:id/recipients', (req, res) => {
+    try {
+        const record = emailQueue.getEmailById(req.params.id);
+        if (!record) return res.status(404).json({ error: 'Email not found' });
+        const recipients = emailRecipients.getForEmail(req.params.id);
+        res.json({ emailQueueId: req.params.id, status: record.status, counts: emailRecipients.summarise(recipients), recipients });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-address delivery status of every email for an attachment (review UI)
+app.get('/api/attachments/:id/email/recipients', (req, res) => {
+    try {
+        res.json({ attachmentId: req.params.id, emails: emailRecipients.getForAttachment(req.params.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get delivery log for an email
 app.get('/api/email/queue/:id/log', (req, res) => {
     try {
@@ -1798,23 +2510,28 @@ app.get('/api/email/queue/:id/log', (req, res) => {
     }
 });
 
-// Manually queue email for an attachment
+// Manually queue email for an attachment; Body: { to, cc, subject, body, priority: HIGH (default) | NORMAL | LOW for bulk resends }
 app.post('/api/attachments/:id/email', async (req, res) => {
     try {
         const attachment = models.getAttachmentById(req.params.id);
         if (!attachment) return res.status(404).json({ error: 'Not found' });
 
-        const { to, cc, subject, body } = req.body;
+        const { to, cc, subject, body, priority = 'HIGH' } = req.body;
+        if (!emailThrottle.PRIORITIES[String(priority).toUpperCase()]) {
+            return res.status(400).json({ error: `Unknown email priority: ${priority}` });
+        }
 
         const emailQueueId = emailQueue.queueEmail({
             attachmentId: attachment.id,
             to: to || [],
             cc: cc || [],
             bcc: [],
-            subject: subject || email.generateSubject({ jobRef: attachment.job_ref, vehicleReg: attachment.vehicle_reg }),
+            subject: subject || email.generateSubject(emailTemplates.variablesForAttachment(attachment)),
             body: body || null,
             attachmentPath: attachment.storage_uri,
-            attachmentName: attachment.canonical_filename
+            attachmentName: attachment.canonical_filename,
+            attachmentFiles: emailQueue.getAttachmentFiles(attachment),
+            priority
         });
 
         res.json({ success: true, emailQueueId });
@@ -1823,10 +2540,111 @@ app.post('/api/attachments/:id/email', async (req, res) => {
     }
 });
 
-// Retry failed email
+// Email templates per scope (default, customers/<KEY>, suppliers/<KEY>)
+app.get('/api/email/templates', (req, res) => {
+    try {
+        res.json(emailTemplates.listTemplates());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Render templates without sending
+// Body: { attachmentId, customer, supplier, customMessage, variables, templates: { subject, html, text, 'partials/<name>.html' } }
+app.post('/api/email/templates/preview', (req, res) => {
+    try {
+        const result = emailTemplates.preview(req.body || {});
+        if (!result.success) return res.status(result.notFound ? 404 : 400).json(result);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Email an attachment would get (?format=html|text returns the body alone)
+app.get('/api/attachments/:id/email/preview', (req, res) => {
+    try {
+        const result = emailTemplates.preview({ attachmentId: req.params.id, customMessage: req.query.message });
+        if (!result.success) return res.status(result.notFound ? 404 : 400).json(result);
+        if (req.query.format === 'html') return res.type('html').send(result.html);
+        if (req.query.format === 'text') return res.type('text').send(result.text);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Daily digests, newest first (?customer=&status=&limit=)
+app.get('/api/email/digests', (req, res) => {
+    try {
+        const { customer, status, limit } = req.query;
+        res.json({ digests: emailDigest.listDigests({ customer, status, limit }), status: emailDigest.getStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PODs waiting for the next digest, per customer (?customer=)
+app.get('/api/email/digests/pending', (req, res) => {
+    try {
+        res.json({ pending: emailDigest.getPending(req.query.customer) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Next digest for a customer, rendered without sending (?format=html|text returns the body alone)
+app.get('/api/email/digests/preview', (req, res) => {
+    try {
+        if (!req.query.customer) return res.status(400).json({ error: 'customer is required' });
+        const result = emailDigest.preview(req.query.customer);
+        if (!result.success) return res.status(404).json(result);
+        if (req.query.format === 'html') return res.type('html').send(result.html);
+        if (req.query.format === 'text') return res.type('text').send(result.text);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send due digests now; Body: { customer, force: send pending PODs before the digest time }
+app.post('/api/email/digests/run', async (req, res) => {
+    try {
+        const { customer, force } = req.body || {};
+        res.json(await emailDigest.runCheck({ customer, force: force === true }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A digest with the delivery status of each included attachment
+app.get('/api/email/digests/:id', (req, res) => {
+    try {
+        const digest = emailDigest.getDigest(req.params.id);
+        if (!digest) return res.status(404).json({ error: 'Digest not found' });
+        res.json(digest);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Digest delivery status of one attachment
+app.get('/api/attachments/:id/email/digests', (req, res) => {
+    try {
+        res.json({ attachmentId: req.params.id, items: emailDigest.getItemsForAttachment(req.params.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retry failed email; Body: { priority } to move it to another lane
 app.post('/api/email/queue/:id/retry', (req, res) => {
     try {
-        const success = emailQueue.retryEmail(req.params.id);
+        const { priority } = req.body || {};
+        if (priority && !emailThrottle.PRIORITIES[String(priority).toUpperCase()]) {
+            return res.status(400).json({ error: `Unknown email priority: ${priority}` });
+        }
+        const success = emailQueue.retryEmail(req.params.id, { priority });
         if (!success) return res.status(404).json({ error: 'Email not found or cannot be retried' });
 
         res.json({ success: true, message: 'Email requeued' });
@@ -3461,6 +4279,15 @@ app.get('/health/details', async (req, res) => {
             count: history.length,
             samples: history.slice(-10) // Last 10 checks
         },
+        dependencies: {
+            // Job matching falls back to the jobs table while the HRMS circuit is open
+            hrms: match.config.useApi
+                ? { enabled: true, ...hrmsClient.getHealth(), ...hrmsClient.getStatus() }
+                : { enabled: false, status: 'disabled' },
+            hrmsWriteback: podWriteback.getStats(),
+            // Active SMTP relay and each relay's health (failover/failback in smtpRelays.js)
+            smtpRelays: smtpRelays.getStatus()
+        },
         system: {
             nodeVersion: process.version,
             platform: process.platform,
@@ -3501,6 +4328,14 @@ async function gracefulShutdown(signal) {
         });
     }
 
+    // Stop pipeline workers (active jobs finish; queued jobs stay in Redis)
+    try {
+        await pipeline.close();
+        console.log('[SHUTDOWN] Pipeline workers closed');
+    } catch (err) {
+        console.error('[SHUTDOWN] Error closing pipeline:', err.message);
+    }
+
     // Close Redis connection
     if (healthCheck.redis) {
         await healthCheck.redis.quit();
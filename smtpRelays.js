@@ -0,0 +1,338 @@
+/**
+ * SMTP Relays with Failover
+ * Emails go out through an ordered list of SMTP relays: SMTP_HOST first (with
+ * SMTP_USER/SMTP_PASS), then SMTP_RELAY_2_HOST, SMTP_RELAY_3_HOST, ... (up to
+ * SMTP_RELAY_9_HOST), each with its own _PORT, _SECURE, _USER, _PASS and _NAME.
+ *
+ * A send goes through the first healthy relay. A connection-level failure
+ * (refused, timed out, DNS, TLS, authentication, 421/454) counts against the
+ * relay; after EMAIL_RELAY_FAILURE_THRESHOLD failures in a row the relay is
+ * marked down and skipped. The same send only moves on to the next relay when
+ * the failure came before the message was handed over (connecting, greeting,
+ * STARTTLS, AUTH, MAIL FROM, RCPT TO): a timeout or reset during or after DATA
+ * may follow a relay that already accepted the message, so that is left to the
+ * queue's retries rather than risking a second copy. Recipient and message
+ * errors (rejected addresses, EENVELOPE) are the message's problem, not the
+ * relay's, and are not retried elsewhere.
+ *
+ * Every EMAIL_RELAY_CHECK_INTERVAL_MS each relay is checked with
+ * transport.verify(); a relay that answers again is marked healthy, so sends
+ * fail back to the primary once it recovers.
+ *
+ * Transports come from setTransportFactory (email.js wires nodemailer).
+ */
+
+const audit = require('./audit');
+
+function intEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+// Configuration
+const CONFIG = {
+    failureThreshold: Math.max(1, intEnv('EMAIL_RELAY_FAILURE_THRESHOLD', 1)),
+    checkInterval: intEnv('EMAIL_RELAY_CHECK_INTERVAL_MS', 60000),
+    maxRelays: 9
+};
+
+// nodemailer error codes and SMTP replies that mean the relay itself is unavailable
+const CONNECTION_ERROR_CODES = [
+    'ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ETLS', 'EAUTH', 'EPROTOCOL',
+    'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EPIPE'
+];
+const CONNECTION_RESPONSE_CODES = [421, 454];
+
+// Codes that can only happen before the message is sent
+const PRE_HANDOVER_CODES = ['ECONNECTION', 'EDNS', 'ETLS', 'EAUTH', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND'];
+// SMTP commands (nodemailer error.command) before DATA
+const PRE_HANDOVER_COMMANDS = /^(CONN|EHLO|HELO|LHLO|STARTTLS|AUTH\b.*|MAIL FROM|RCPT TO)$/i;
+
+/**
+ * Relays configured in the environment, in failover order
+ * The primary (SMTP_HOST) needs SMTP_USER and SMTP_PASS; further relays may be unauthenticated.
+ */
+function loadRelays(env = process.env) {
+    const relays = [];
+    if (env.SMTP_USER && env.SMTP_PASS) {
+        relays.push({
+            name: env.SMTP_NAME || 'primary',
+            host: env.SMTP_HOST || 'smtp.example.com',
+            port: parseInt(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            auth: { user: env.SMTP_USER, pass: env.SMTP_PASS }
+        });
+    }
+    for (let n = 2; n <= CONFIG.maxRelays; n++) {
+        const prefix = `SMTP_RELAY_${n}_`;
+        if (!env[`${prefix}HOST`]) continue;
+        const user = env[`${prefix}USER`];
+        relays.push({
+            name: env[`${prefix}NAME`] || `relay${n}`,
+            host: env[`${prefix}HOST`],
+            port: parseInt(env[`${prefix}PORT`]) || 587,
+            secure: env[`${prefix}SECURE`] === 'true',
+            auth: user ? { user, pass: env[`${prefix}PASS`] || '' } : null
+        });
+    }
+    return relays.map(relay => ({
+        ...relay,
+        healthy: true,
+        consecutiveFailures: 0,
+        downSince: null,
+        lastCheck: null,
+        lastCheckOk: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSentAt: null,
+        sent: 0,
+        failed: 0
+    }));
+}
+
+let relays = loadRelays();
+let transportFactory = null;
+const transports = new Map();
+let checkTimer = null;
+let checking = null;
+
+/**
+ * Set how a relay's transport is created
+ * @param {Function} factory - ({ host, port, secure, auth }) => transport with sendMail(), verify(), close()
+ */
+function setTransportFactory(factory) {
+    transportFactory = factory;
+    transports.clear();
+}
+
+/**
+ * Replace the relay list (tests, or a config reload)
+ */
+function configure(env) {
+    relays = loadRelays(env);
+    transports.clear();
+}
+
+function isConfigured() {
+    return relays.length > 0;
+}
+
+function transportFor(relay) {
+    if (!transportFactory) throw new Error('No SMTP transport factory set');
+    if (!transports.has(relay.name)) {
+        transports.set(relay.name, transportFactory({
+            host: relay.host,
+            port: relay.port,
+            secure: relay.secure,
+            ...(relay.auth ? { auth: relay.auth } : {})
+        }));
+    }
+    return transports.get(relay.name);
+}
+
+/**
+ * The relay sends go through: the first healthy one (the primary when all are down)
+ */
+function getActive() {
+    return relays.find(relay => relay.healthy) || relays[0] || null;
+}
+
+function isConnectionError(error) {
+    if (!error) return false;
+    if (error.code === 'EENVELOPE' || error.code === 'EMESSAGE') return false;
+    return CONNECTION_ERROR_CODES.includes(error.code) || CONNECTION_RESPONSE_CODES.includes(error.responseCode);
+}
+
+/**
+ * Whether a failed send certainly did not reach the relay's queue, so it is safe to send elsewhere
+ */
+function isBeforeHandover(error) {
+    if (PRE_HANDOVER_CODES.includes(error.code)) return true;
+    return !!error.command && PRE_HANDOVER_COMMANDS.test(error.command);
+}
+
+function markFailure(relay, error) {
+    relay.consecutiveFailures++;
+    relay.failed++;
+    relay.lastError = error.message;
+    relay.lastErrorAt = new Date().toISOString();
+    if (relay.healthy && relay.consecutiveFailures >= CONFIG.failureThreshold) {
+        relay.healthy = false;
+        relay.downSince = relay.lastErrorAt;
+        const next = relays.find(candidate => candidate.healthy);
+        console.warn(`[SmtpRelays] Relay ${relay.name} (${relay.host}) down: ${error.message}` +
+            (next ? ` - active relay: ${next.name}` : ' - no healthy relay left'));
+        audit.log({
+            action: 'SMTP_RELAY_FAILOVER',
+            details: { relay: relay.name, host: relay.host, error: error.message, activeRelay: next ? next.name : null }
+        });
+    }
+}
+
+function markSuccess(relay) {
+    relay.consecutiveFailures = 0;
+    if (!relay.healthy) {
+        const downSince = relay.downSince;
+        relay.healthy = true;
+        relay.downSince = null;
+        console.log(`[SmtpRelays] Relay ${relay.name} (${relay.host}) recovered - active relay: ${getActive().name}`);
+        audit.log({
+            action: 'SMTP_RELAY_RECOVERED',
+            details: { relay: relay.name, host: relay.host, downSince, activeRelay: getActive().name }
+        });
+    }
+}
+
+/**
+ * Send through the relays: healthy ones in order, then the ones marked down as a last resort
+ * @param {Object} mailOptions - nodemailer message
+ * @returns {Promise<Object>} nodemailer result plus relay (name of the relay that sent it)
+ */
+async function sendMail(mailOptions) {
+    if (relays.length === 0) throw new Error('No SMTP relays configured');
+
+    const order = [...relays.filter(relay => relay.healthy), ...relays.filter(relay => !relay.healthy)];
+    let lastError = null;
+    for (const relay of order) {
+        try {
+            const result = await transportFor(relay).sendMail(mailOptions);
+            markSuccess(relay);
+            relay.sent++;
+            relay.lastSentAt = new Date().toISOString();
+            return { ...result, relay: relay.name };
+        } catch (error) {
+            error.relay = relay.name;
+            if (!isConnectionError(error)) throw error;
+            markFailure(relay, error);
+            // The relay may already have the message - the queue retries later instead
+            if (!isBeforeHandover(error)) throw error;
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Check every relay's connection (transport.verify); recovered relays are marked healthy
+ * @returns {Promise<Array<Object>>} [{ name, host, ok, error }]
+ */
+async function checkAll() {
+    if (checking) return checking;
+    checking = (async () => {
+        const results = [];
+        for (const relay of relays) {
+            try {
+                await transportFor(relay).verify();
+                relay.lastCheckOk = true;
+                markSuccess(relay);
+                results.push({ name: relay.name, host: relay.host, ok: true, error: null });
+            } catch (error) {
+                relay.lastCheckOk = false;
+                markFailure(relay, error);
+                results.push({ name: relay.name, host: relay.host, ok: false, error: error.message });
+            }
+            relay.lastCheck = new Date().toISOString();
+        }
+        return results;
+    })();
+    try {
+        return await checking;
+    } finally {
+        checking = null;
+    }
+}
+
+/**
+ * Check the relays and fail when none can be reached
+ */
+async function verify() {
+    const results = await checkAll();
+    if (results.length > 0 && !results.some(result => result.ok)) {
+        const error = new Error(`No SMTP relay reachable: ${results.map(result => `${result.name}: ${result.error}`).join('; ')}`);
+        error.relays = results;
+        throw error;
+    }
+    return results;
+}
+
+/**
+ * Start the periodic health checks
+ */
+function start() {
+    if (checkTimer || relays.length === 0 || CONFIG.checkInterval <= 0) return;
+    console.log(`[SmtpRelays] Checking ${relays.length} relay(s) every ${CONFIG.checkInterval}ms`);
+    checkTimer = setInterval(() => {
+        checkAll().catch(error => console.error('[SmtpRelays] Health check error:', error.message));
+    }, CONFIG.checkInterval);
+    checkTimer.unref();
+}
+
+function stop() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    }
+}
+
+/**
+ * Stop the checks and close every transport
+ */
+async function close() {
+    stop();
+    for (const transport of transports.values()) {
+        if (typeof transport.close === 'function') await transport.close();
+    }
+    transports.clear();
+}
+
+/**
+ * Relay state for /api/email/status and health checks
+ */
+function getStatus() {
+    const active = getActive();
+    return {
+        configured: relays.length > 0,
+        active: active ? active.name : null,
+        failedOver: !!active && active !== relays[0],
+        allDown: relays.length > 0 && !relays.some(relay => relay.healthy),
+        failureThreshold: CONFIG.failureThreshold,
+        checkInterval: CONFIG.checkInterval,
+        checking: !!checkTimer,
+        relays: relays.map((relay, index) => ({
+            name: relay.name,
+            host: relay.host,
+            port: relay.port,
+            secure: relay.secure,
+            order: index + 1,
+            active: relay === active,
+            healthy: relay.healthy,
+            consecutiveFailures: relay.consecutiveFailures,
+            downSince: relay.downSince,
+            lastCheck: relay.lastCheck,
+            lastCheckOk: relay.lastCheckOk,
+            lastError: relay.lastError,
+            lastErrorAt: relay.lastErrorAt,
+            lastSentAt: relay.lastSentAt,
+            sent: relay.sent,
+            failed: relay.failed
+        }))
+    };
+}
+
+module.exports = {
+    CONFIG,
+    loadRelays,
+    configure,
+    setTransportFactory,
+    isConfigured,
+    getActive,
+    isConnectionError,
+    isBeforeHandover,
+    sendMail,
+    checkAll,
+    verify,
+    start,
+    stop,
+    close,
+    getStatus
+};
@@ -0,0 +1,386 @@
+/**
+ * Supplier Templates
+ * Per-supplier extraction templates loaded from a config directory
+ * (SUPPLIER_TEMPLATES_DIR, default config/suppliers/), one JSON file per supplier:
+ *
+ *   {
+ *     "key": "TARMAC",                       // supplier key used across the service
+ *     "name": "Tarmac",
+ *     "priority": 30,                        // lower is tried first when detecting the supplier
+ *     "aliases": ["tarmac"],                 // case-insensitive names found in OCR text
+ *     "documentField": "docketNumber",
+ *     "patterns": { "docket": "...", "shipment": "...", "barcode": "..." },
+ *     "dateFormats": ["DD/MM/YYYY", "DD MMM YY"],
+ *     "fieldMappings": { "docket": "jobRef", "shipment": "shipmentNumber", "barcode": "shipmentNumber" }
+ *   }
+ *
+ * Patterns are case-insensitive regular expressions whose first capture group is
+ * the value. fieldMappings maps a pattern onto an extracted field; the first
+ * mapped pattern that matches wins. Every file is validated on load - an invalid
+ * file is reported and the last valid version of that template stays active.
+ * The directory is watched so edits take effect without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = {
+    dir: process.env.SUPPLIER_TEMPLATES_DIR || path.join(__dirname, 'config', 'suppliers'),
+    watchDebounceMs: 200
+};
+
+// Extracted fields a pattern can be mapped onto
+const OUTPUT_FIELDS = ['jobRef', 'shipmentNumber', 'vehicleReg', 'date'];
+
+const KEY_PATTERN = /^[A-Z0-9_]+$/;
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMM|MM|M|DD|D/g;
+const DATE_TOKENS = {
+    YYYY: { regex: '(\\d{4})', part: 'year' },
+    YY: { regex: '(\\d{2})', part: 'year' },
+    MMM: { regex: '([A-Za-z]{3,9})', part: 'monthName' },
+    MM: { regex: '(\\d{2})', part: 'month' },
+    M: { regex: '(\\d{1,2})', part: 'month' },
+    DD: { regex: '(\\d{2})', part: 'day' },
+    D: { regex: '(\\d{1,2})', part: 'day' }
+};
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+let templates = new Map();      // key -> compiled template
+let fileErrors = {};            // file name -> [errors]
+let loadedAt = null;
+let watcher = null;
+let reloadTimer = null;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a date format such as "DD/MM/YYYY" or "D MMM YY" into a matcher
+ */
+function compileDateFormat(format) {
+    const parts = [];
+    let regex = '';
+    let lastIndex = 0;
+    let token;
+
+    DATE_TOKEN_PATTERN.lastIndex = 0;
+    while ((token = DATE_TOKEN_PATTERN.exec(format)) !== null) {
+        regex += escapeRegex(format.slice(lastIndex, token.index)).replace(/\s+/g, '\\s*');
+        regex += DATE_TOKENS[token[0]].regex;
+        parts.push(DATE_TOKENS[token[0]].part);
+        lastIndex = DATE_TOKEN_PATTERN.lastIndex;
+    }
+    regex += escapeRegex(format.slice(lastIndex)).replace(/\s+/g, '\\s*');
+
+    return { format, regex: new RegExp(`\\b${regex}\\b`, 'i'), parts };
+}
+
+/**
+ * Parse the first date in text matching a compiled format
+ * @returns {string|null} ISO date (YYYY-MM-DD)
+ */
+function matchDate(text, matcher) {
+    const match = text.match(matcher.regex);
+    if (!match) return null;
+
+    const values = {};
+    matcher.parts.forEach((part, index) => { values[part] = match[index + 1]; });
+
+    let month = values.month ? parseInt(values.month) : null;
+    if (values.monthName) {
+        const index = MONTHS.indexOf(values.monthName.slice(0, 3).toLowerCase());
+        month = index >= 0 ? index + 1 : null;
+    }
+    const day = parseInt(values.day);
+    const year = values.year.length === 2 ? `20${values.year}` : values.year;
+
+    if (!month || month > 12 || !day || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Validate a template definition
+ * @param {Object} template - Raw template (as stored in JSON)
+ * @returns {Object} { valid, errors }
+ */
+function validateTemplate(template) {
+    const errors = [];
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return { valid: false, errors: ['template must be an object'] };
+    }
+
+    if (typeof template.key !== 'string' || !KEY_PATTERN.test(template.key)) {
+        errors.push('key must be upper-case letters, digits or underscores (e.g. "TARMAC")');
+    }
+    if (template.priority !== undefined && typeof template.priority !== 'number') {
+        errors.push('priority must be a number');
+    }
+
+    if (!Array.isArray(template.aliases) || template.aliases.length === 0) {
+        errors.push('aliases must be a non-empty array');
+    } else if (template.aliases.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+        errors.push('aliases must be non-empty strings');
+    }
+
+    const patterns = template.patterns || {};
+    if (typeof patterns !== 'object' || Array.isArray(patterns)) {
+        errors.push('patterns must be an object of name -> regular expression');
+    } else {
+        for (const [name, source] of Object.entries(patterns)) {
+            if (typeof source !== 'string') {
+                errors.push(`patterns.${name} must be a string`);
+                continue;
+            }
+            try {
+                const regex = new RegExp(source, 'i');
+                if (new RegExp(`${regex.source}|`).exec('').length < 2) {
+                    errors.push(`patterns.${name} needs a capture group for the value`);
+                }
+            } catch (error) {
+                errors.push(`patterns.${name} is not a valid regular expression: ${error.message}`);
+            }
+        }
+    }
+
+    if (template.dateFormats !== undefined) {
+        if (!Array.isArray(template.dateFormats)) {
+            errors.push('dateFormats must be an array');
+        } else {
+            for (const format of template.dateFormats) {
+                const tokens = typeof format === 'string' ? (format.match(DATE_TOKEN_PATTERN) || []) : [];
+                const parts = tokens.map(token => DATE_TOKENS[token].part);
+                const hasMonth = parts.includes('month') || parts.includes('monthName');
+                if (!parts.includes('day') || !hasMonth || !parts.includes('year') || parts.length !== 3) {
+                    errors.push(`dateFormats entry "${format}" needs exactly one day, month and year token`);
+                }
+            }
+        }
+    }
+
+    if (template.fieldMappings !== undefined) {
+        if (typeof template.fieldMappings !== 'object' || Array.isArray(template.fieldMappings)) {
+            errors.push('fieldMappings must be an object of pattern -> field');
+        } else {
+            for (const [pattern, field] of Object.entries(template.fieldMappings)) {
+                if (!Object.prototype.hasOwnProperty.call(patterns, pattern)) {
+                    errors.push(`fieldMappings.${pattern} refers to an unknown pattern`);
+                }
+                if (!OUTPUT_FIELDS.includes(field)) {
+                    errors.push(`fieldMappings.${pattern} must be one of: ${OUTPUT_FIELDS.join(', ')}`);
+                }
+            }
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Compile a validated template for the extractor
+ * @throws {Error} If the template is invalid
+ */
+function compileTemplate(template) {
+    const { valid, errors } = validateTemplate(template);
+    if (!valid) {
+        throw new Error(`Invalid supplier template: ${errors.join('; ')}`);
+    }
+
+    const regexes = {};
+    for (const [name, source] of Object.entries(template.patterns || {})) {
+        regexes[name] = new RegExp(source, 'i');
+    }
+
+    return {
+        key: template.key,
+        name: template.name || template.key,
+        priority: template.priority !== undefined ? template.priority : 100,
+        aliases: template.aliases.map(alias => alias.toLowerCase()),
+        documentField: template.documentField || null,
+        regexes,
+        mappings: Object.entries(template.fieldMappings || {}).map(([pattern, field]) => ({ pattern, field })),
+        dateMatchers: (template.dateFormats || []).map(compileDateFormat),
+        definition: template
+    };
+}
+
+/**
+ * Whether a supplier key is safe to use as a template file name
+ */
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function templatePath(key) {
+    // Keys come from request paths - never let one leave the template directory
+    if (!isValidKey(key)) throw new Error(`Invalid template key: ${key}`);
+    return path.join(CONFIG.dir, `${key}.json`);
+}
+
+/**
+ * (Re)load every template file in the directory
+ * @returns {Object} Status after loading
+ */
+function load() {
+    const next = new Map();
+    const errors = {};
+
+    const files = fs.existsSync(CONFIG.dir)
+        ? fs.readdirSync(CONFIG.dir).filter(file => file.endsWith('.json')).sort()
+        : [];
+
+    for (const file of files) {
+        const key = path.basename(file, '.json');
+        try {
+            const template = JSON.parse(fs.readFileSync(path.join(CONFIG.dir, file), 'utf-8'));
+            if (template.key !== key) {
+                throw new Error(`key "${template.key}" does not match file name ${file}`);
+            }
+            next.set(key, compileTemplate(template));
+        } catch (error) {
+            errors[file] = [error.message];
+            // Keep serving the last valid version rather than dropping the supplier
+            if (templates.has(key)) {
+                next.set(key, templates.get(key));
+            }
+            console.warn(`[SupplierTemplates] ${file} rejected: ${error.message}`);
+        }
+    }
+
+    templates = next;
+    fileErrors = errors;
+    loadedAt = new Date().toISOString();
+    console.log(`[SupplierTemplates] Loaded ${templates.size} template(s) from ${CONFIG.dir}`);
+    return getStatus();
+}
+
+function ensureLoaded() {
+    if (!loadedAt) load();
+}
+
+/**
+ * Compiled templates in detection order (priority, then key)
+ */
+function getAll() {
+    ensureLoaded();
+    return [...templates.values()].sort((a, b) => a.priority - b.priority || a.key.localeCompare(b.key));
+}
+
+/**
+ * Compiled template for a supplier key
+ */
+function get(key) {
+    ensureLoaded();
+    return key ? templates.get(String(key).toUpperCase()) || null : null;
+}
+
+/**
+ * Template definitions as stored on disk
+ */
+function list() {
+    return getAll().map(template => template.definition);
+}
+
+/**
+ * Create or replace a template file
+ * @param {Object} template - Raw template
+ * @param {Object} options - { create: true to refuse overwriting an existing key }
+ * @returns {Object} { success, template, errors }
+ */
+function save(template, options = {}) {
+    const { valid, errors } = validateTemplate(template);
+    if (!valid) {
+        return { success: false, errors };
+    }
+
+    ensureLoaded();
+    if (options.create && (templates.has(template.key) || fs.existsSync(templatePath(template.key)))) {
+        return { success: false, exists: true, errors: [`Template ${template.key} already exists`] };
+    }
+
+    fs.mkdirSync(CONFIG.dir, { recursive: true });
+    fs.writeFileSync(templatePath(template.key), JSON.stringify(template, null, 2) + '\n');
+    load();
+    return { success: true, template: get(template.key).definition };
+}
+
+/**
+ * Delete a template file
+ * @returns {boolean} Whether a template was removed (false for an invalid key)
+ */
+function remove(key) {
+    const upper = String(key).toUpperCase();
+    if (!isValidKey(upper)) return false;
+
+    const file = templatePath(upper);
+    if (!fs.existsSync(file)) return false;
+
+    fs.unlinkSync(file);
+    load();
+    return true;
+}
+
+/**
+ * Reload on changes to the template directory (debounced)
+ */
+function watch() {
+    if (watcher) return true;
+    ensureLoaded();
+
+    try {
+        fs.mkdirSync(CONFIG.dir, { recursive: true });
+        watcher = fs.watch(CONFIG.dir, (eventType, filename) => {
+            if (filename && !filename.endsWith('.json')) return;
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                console.log(`[SupplierTemplates] Change detected (${filename || eventType}), reloading`);
+                load();
+            }, CONFIG.watchDebounceMs);
+            reloadTimer.unref();
+        });
+        watcher.unref();
+        return true;
+    } catch (error) {
+        console.warn(`[SupplierTemplates] Cannot watch ${CONFIG.dir}: ${error.message}`);
+        return false;
+    }
+}
+
+function unwatch() {
+    clearTimeout(reloadTimer);
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+    }
+}
+
+function getStatus() {
+    return {
+        dir: CONFIG.dir,
+        count: templates.size,
+        keys: [...templates.keys()].sort(),
+        loadedAt,
+        watching: !!watcher,
+        errors: fileErrors
+    };
+}
+
+module.exports = {
+    CONFIG,
+    OUTPUT_FIELDS,
+    isValidKey,
+    validateTemplate,
+    compileTemplate,
+    compileDateFormat,
+    matchDate,
+    load,
+    getAll,
+    get,
+    list,
+    save,
+    remove,
+    watch,
+    unwatch,
+    getStatus
+};
@@ -9,7 +9,33 @@ const path = require('path');
 
 const testFiles = [
     'unit/latency-buckets.test.js',
-    'unit/anomaly-detector.test.js'
+    'unit/anomaly-detector.test.js',
+    'unit/normalise.test.js',
+    'unit/grouping.test.js',
+    'unit/pipeline.test.js',
+    'unit/vision.test.js',
+    'unit/result-cache.test.js',
+    'unit/reprocess.test.js',
+    'unit/supplier-templates.test.js',
+    'unit/reconcile.test.js',
+    'unit/corrections.test.js',
+    'unit/jobs.test.js',
+    'unit/match-scoring.test.js',
+    'unit/hrms-client.test.js',
+    'unit/pod-writeback.test.js',
+    'unit/missing-pods.test.js',
+    'unit/auto-route.test.js',
+    'unit/auto-send-rules.test.js',
+    'unit/auto-send-backtest.test.js',
+    'unit/auto-send-calibration.test.js',
+    'unit/email-templates.test.js',
+    'unit/email-digest.test.js',
+    'unit/email-suppressions.test.js',
+    'unit/download-links.test.js',
+    'unit/email-throttle.test.js',
+    'unit/email-recipients.test.js',
+    'unit/smtp-relays.test.js',
+    'unit/pod-stages.test.js'
 ];
 
 console.log('='.repeat(50));
@@ -0,0 +1,239 @@
+/**
+ * Unit Tests: Routing rules engine (autoRoute.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and routing config - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-route-test-'));
+const configPath = path.join(tmpRoot, 'routing.json');
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.ROUTING_CONFIG_PATH = configPath;
+
+const db = require('../../db');
+db.init();
+const autoRoute = require('../../autoRoute');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const POD = { type: 'POD', isPOD: true, confidence: 0.95 };
+
+function writeConfig(config) {
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return autoRoute.loadConfig();
+}
+
+// Rules shipped in config/routing.json
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'config', 'routing.json'), 'utf8'));
+
+async function run() {
+    await test('without a config file the built-in rules apply', () => {
+        const status = autoRoute.loadConfig();
+        assert.strictEqual(status.source, 'defaults');
+
+        const notPod = autoRoute.route({ classification: { type: 'NON_POD', isPOD: false, confidence: 0.7 } });
+        assert.strictEqual(notPod.routeTo, 'QUARANTINE');
+        assert.strictEqual(notPod.rule, 'not-a-pod');
+        assert.strictEqual(notPod.reason, 'Not classified as a POD');
+
+        const unclassified = autoRoute.route({ classification: { type: 'UNKNOWN', isPOD: null, confidence: 0 } });
+        assert.strictEqual(unclassified.routeTo, 'REVIEW');
+        assert.strictEqual(unclassified.decisionType, 'DEFAULT');
+        assert.strictEqual(unclassified.rule, null);
+    });
+
+    await test('the shipped config is valid and routes auto-send decisions OUT', () => {
+        assert.deepStrictEqual(autoRoute.validateConfig(shipped), []);
+        writeConfig(shipped);
+
+        const decision = autoRoute.route({ classification: POD, autoSend: { decision: 'AUTO_SEND', overallConfidence: 0.97 } });
+        assert.strictEqual(decision.routeTo, 'OUT');
+        assert.strictEqual(decision.status, 'OUT');
+        assert.strictEqual(decision.rule, 'auto-send');
+        assert.strictEqual(decision.confidence, 0.97);
+        assert.strictEqual(decision.details.reason, 'Auto-send criteria met');
+
+        const review = autoRoute.route({ classification: POD, autoSend: { decision: 'MANUAL_REVIEW' } });
+        assert.strictEqual(review.routeTo, 'REVIEW');
+    });
+
+    await test('a customer rule routes to a named review queue ahead of auto-send', () => {
+        const rules = shipped.rules.map(rule => rule.name === 'example-customer-queue'
+            ? { ...rule, enabled: true, when: { customer: 'acme', 'match.confidence': { gte: 0.7 } }, queue: 'ACME' }
+            : rule);
+        writeConfig({ ...shipped, rules });
+
+        const input = {
+            classification: POD,
+            match: { match: { jobRef: 'TM-1', customer: 'ACME', confidence: 0.9 }, summary: { ambiguous: false } },
+            autoSend: { decision: 'AUTO_SEND' }
+        };
+        const decision = autoRoute.route(input);
+        assert.strictEqual(decision.routeTo, 'REVIEW');
+        assert.strictEqual(decision.queue, 'ACME');
+        assert.strictEqual(decision.rule, 'example-customer-queue');
+
+        // Below the confidence condition the customer rule does not apply
+        input.match.match.confidence = 0.5;
+        assert.strictEqual(autoRoute.route(input).routeTo, 'OUT');
+    });
+
+    await test('match inputs of every shape become the same facts', () => {
+        const fromFindMatch = autoRoute.buildFacts({ match: { match: { jobRef: 'TM-1', jobId: 'j1', confidence: 0.8, customer: 'ACME' } } });
+        const fromSender = autoRoute.buildFacts({ match: { job: { id: 'j1', ref: 'TM-1', customer: 'ACME' }, confidence: 0.8, matchType: 'SENDER_MATCH' } });
+        const fromResults = autoRoute.buildFacts({ match: { jobId: 'j1', jobRef: 'TM-1', confidence: 0.8, customer: 'ACME' } });
+        for (const facts of [fromFindMatch, fromSender, fromResults]) {
+            assert.strictEqual(facts.match.found, true);
+            assert.strictEqual(facts.match.jobRef, 'TM-1');
+            assert.strictEqual(facts.customer, 'ACME');
+        }
+
+        const none = autoRoute.buildFacts({ match: { match: null, candidates: [] }, sender: '120363@g.us' });
+        assert.strictEqual(none.match.found, false);
+        assert.strictEqual(none.match.matchType, 'NO_MATCH');
+        assert.strictEqual(none.sender.isGroup, true);
+    });
+
+    await test('operators, lists and any-of conditions', () => {
+        const rules = [
+            {
+                name: 'risky-sender',
+                when: { 'sender.phone': { matches: '^44790' } },
+                any: [{ 'match.found': false }, { 'match.confidence': { lt: 0.5 } }],
+                route: 'QUARANTINE'
+            },
+            { name: 'big-suppliers', when: { supplier: ['cemex', 'tarmac'], 'match.jobRef': { exists: true } }, route: 'REVIEW', queue: 'MAJORS' }
+        ];
+        const simulate = input => autoRoute.simulate(input, { rules }).rule;
+
+        assert.strictEqual(simulate({ sender: '447900000001@c.us', match: null }), 'risky-sender');
+        assert.strictEqual(simulate({ sender: '447900000001@c.us', match: { jobRef: 'A', confidence: 0.3 } }), 'risky-sender');
+        assert.strictEqual(simulate({ sender: '447900000001@c.us', match: { jobRef: 'A', confidence: 0.9 } }), null);
+        assert.strictEqual(simulate({ sender: '447700000001@c.us', supplier: 'CEMEX', match: { jobRef: 'A', confidence: 0.9 } }), 'big-suppliers');
+        assert.strictEqual(simulate({ supplier: 'CEMEX', match: null }), null);
+    });
+
+    await test('simulate shows the matched rule and why earlier rules failed', () => {
+        writeConfig(shipped);
+        const result = autoRoute.simulate({ classification: POD, autoSend: { decision: 'AUTO_SEND' } });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.rule, 'auto-send');
+        assert.deepStrictEqual(result.trace.map(step => step.rule), ['not-a-pod', 'example-customer-queue', 'auto-send']);
+        assert.deepStrictEqual(result.trace[0].failed, [{ fact: 'classification.isPOD', expected: false, actual: true }]);
+        assert.strictEqual(result.trace[1].skipped, true);
+        assert.strictEqual(result.facts.autoSend.decision, 'AUTO_SEND');
+
+        const invalid = autoRoute.simulate({}, { rules: [{ name: 'x', route: 'SEND' }] });
+        assert.strictEqual(invalid.success, false);
+        assert.ok(invalid.errors[0].includes('route must be one of'));
+    });
+
+    await test('an invalid config is reported and the previous rules stay active', () => {
+        const errors = autoRoute.validateConfig({
+            rules: [
+                { name: 'a', route: 'OUT', queue: 'X' },
+                { name: 'a', route: 'REVIEW', when: { confidence: { around: 1 } } },
+                { name: 'b', route: 'REVIEW', when: { supplier: { matches: '(' } } }
+            ]
+        });
+        assert.strictEqual(errors.length, 4);
+
+        fs.writeFileSync(configPath, '{ "rules": [ { "name": "broken", "route": "NOWHERE" } ] }');
+        const status = autoRoute.loadConfig();
+        assert.strictEqual(status.errors.length, 1);
+        assert.deepStrictEqual(autoRoute.getStatus().rules.map(rule => rule.name), shipped.rules.map(rule => rule.name));
+    });
+
+    await test('the pipeline decision uses the routing engine', () => {
+        writeConfig(shipped);
+        const decision = podStages.decide({
+            attachmentId: 'a1',
+            classification: { ...POD, confidence: 0.99 },
+            fields: { supplier: 'CEMEX', confidence: 0.99, conflicts: [] },
+            ocr: null,
+            jobMatch: { match: { jobId: 'j1', jobRef: 'TM-1', confidence: 0.98, customer: 'ACME' }, candidates: [] },
+            chatId: '447700900123@c.us'
+        });
+        assert.strictEqual(decision.autoSendDecision.decision, 'AUTO_SEND');
+        assert.strictEqual(decision.status, 'OUT');
+        assert.strictEqual(decision.routeDecision.rule, 'auto-send');
+
+        const results = podStages.buildResults({ classification: POD, jobMatch: null, decision });
+        assert.deepStrictEqual(results.route, {
+            status: 'OUT',
+            queue: null,
+            decisionType: 'RULE',
+            rule: 'auto-send',
+            reason: 'Auto-send criteria met'
+        });
+
+        const noMatch = podStages.decide({
+            attachmentId: 'a2',
+            classification: POD,
+            fields: { supplier: 'CEMEX', confidence: 0.99, conflicts: [] },
+            ocr: null,
+            jobMatch: { match: null, candidates: [] },
+            chatId: '447700900123@c.us'
+        });
+        assert.strictEqual(noMatch.autoSendDecision.reasonCode, 'NO_MATCH');
+        assert.strictEqual(noMatch.status, 'REVIEW');
+    });
+
+    await test('named review queues are stored and listed per queue', () => {
+        const models = require('../../models');
+        const message = models.createMessage({
+            chat_id: '447700900123@c.us',
+            sender_id: '447700900123@c.us',
+            received_at: new Date().toISOString(),
+            status: 'QUEUED'
+        });
+        const ids = ['ACME', null, 'acme'].map((queue, index) => {
+            const attachment = models.createAttachment({
+                message_id: message.id,
+                content_hash: `hash-${index}`,
+                file_type: 'image/jpeg',
+                file_size: 10,
+                storage_uri: `/tmp/pod-${index}.jpg`,
+                status: 'REVIEW'
+            });
+            models.updateAttachmentStatus(attachment.id, 'REVIEW', { reviewQueue: queue });
+            return attachment.id;
+        });
+
+        assert.deepStrictEqual(models.getAttachmentsByStatus('REVIEW', 100, 'acme').map(a => a.id), [ids[0], ids[2]]);
+        assert.deepStrictEqual(models.getAttachmentsByStatus('REVIEW', 100, null).map(a => a.id), [ids[1]]);
+        assert.strictEqual(models.getAttachmentsByStatus('REVIEW').length, 3);
+        assert.deepStrictEqual(models.countReviewQueues(), { ACME: 2, main: 1 });
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,201 @@
+/**
+ * Unit Tests: Auto-send backtest over stored pipeline results
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and auto-send config - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-send-backtest-test-'));
+const configPath = path.join(tmpRoot, 'auto-send.json');
+fs.copyFileSync(path.join(__dirname, '..', '..', 'config', 'auto-send.json'), configPath);
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.AUTO_SEND_CONFIG_PATH = configPath;
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const audit = require('../../audit');
+const podStages = require('../../podStages');
+const autoSendVersions = require('../../autoSendVersions');
+const autoSendBacktest = require('../../autoSendBacktest');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const TO = '2026-03-20T12:00:00Z';
+let counter = 0;
+
+// A processed document with the given supplier and (equal) stage confidences
+function createDocument({ supplier, confidence, status = 'REVIEW', createdAt = '2026-03-10 10:00:00', customer = 'ACME', results = true }) {
+    counter++;
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: `/tmp/pod-${counter}.jpg`,
+        status
+    });
+    if (results) {
+        podStages.saveResults(attachment.id, {
+            classification: { type: 'POD', isPOD: true, confidence },
+            ocr: null,
+            fields: { supplier, jobRef: `TM-${counter}`, confidence, conflicts: [] },
+            match: { jobId: `job-${counter}`, jobRef: `TM-${counter}`, customer, confidence, matchType: 'EXACT_JOB_REF', candidates: [] },
+            autoSend: null,
+            route: null
+        }, status);
+    }
+    db.getDb().prepare('UPDATE attachments SET created_at = ? WHERE id = ?').run(createdAt, attachment.id);
+    return attachment.id;
+}
+
+function correct(attachmentId, field, isCorrect) {
+    const now = new Date().toISOString();
+    db.getDb().prepare(`
+        INSERT INTO field_corrections (id, attachment_id, field, original_value, corrected_value, is_correct, created_at, updated_at)
+        VALUES (?, ?, ?, 'A', ?, ?, ?, ?)
+    `).run(models.generateUUID(), attachmentId, field, isCorrect ? 'A' : 'B', isCorrect ? 1 : 0, now, now);
+}
+
+const TARMAC_088 = { overrides: { supplierRules: { TARMAC: { threshold: 0.88 } } }, weeks: 6, to: TO };
+
+async function run() {
+    autoSendVersions.init();
+
+    // TARMAC at 0.90 overall: review at 0.92, auto-send at 0.88
+    const approved = createDocument({ supplier: 'Tarmac', confidence: 0.9, status: 'OUT' });
+    audit.logReview(approved, 'reviewer', 'approve', {});
+    correct(approved, 'jobRef', true);
+
+    const corrected = createDocument({ supplier: 'TARMAC', confidence: 0.9, status: 'OUT' });
+    audit.logReview(corrected, 'reviewer', 'approve', {});
+    correct(corrected, 'jobRef', false);
+
+    const rejected = createDocument({ supplier: 'TARMAC', confidence: 0.9, status: 'QUARANTINE' });
+    audit.logReview(rejected, 'reviewer', 'reject', { reason: 'Wrong job' });
+
+    const unreviewed = createDocument({ supplier: 'TARMAC', confidence: 0.9 });
+    createDocument({ supplier: 'TARMAC', confidence: 0.85 });
+    const confident = createDocument({ supplier: 'TARMAC', confidence: 0.95, status: 'OUT', customer: 'BETA' });
+    createDocument({ supplier: 'CEMEX', confidence: 0.91, status: 'OUT' });
+
+    // Outside the window, and a document processed before results were stored
+    createDocument({ supplier: 'TARMAC', confidence: 0.9, createdAt: '2025-12-01 10:00:00' });
+    createDocument({ supplier: 'TARMAC', confidence: 0.9, results: false });
+
+    await test('lowering a threshold reports newly auto-sent documents and false auto-sends', () => {
+        const report = autoSendBacktest.backtest(TARMAC_088);
+        assert.strictEqual(report.success, true);
+        assert.strictEqual(report.matched, 8);
+        assert.strictEqual(report.skipped, 1);
+        assert.strictEqual(report.baseline.version, 1);
+        assert.strictEqual(report.candidate.source, 'overrides');
+
+        assert.deepStrictEqual(report.totals, {
+            evaluated: 7,
+            baselineAutoSend: 2,
+            candidateAutoSend: 6,
+            newlyAutoSent: 4,
+            noLongerAutoSent: 0,
+            falseAutoSends: 2,
+            corrected: 1,
+            rejected: 1,
+            unreviewed: 1,
+            falseAutoSendRate: 0.5
+        });
+
+        const tarmac = report.bySupplier.find(group => group.supplier === 'TARMAC');
+        assert.deepStrictEqual(tarmac.thresholds, { baseline: 0.92, candidate: 0.88 });
+        assert.strictEqual(tarmac.newlyAutoSent, 4);
+        const cemex = report.bySupplier.find(group => group.supplier === 'CEMEX');
+        assert.strictEqual(cemex.newlyAutoSent, 0);
+        assert.strictEqual(cemex.falseAutoSendRate, null);
+    });
+
+    await test('changed documents are listed with the reviewer outcome', () => {
+        const { items } = autoSendBacktest.backtest(TARMAC_088);
+        assert.deepStrictEqual(items.map(item => item.attachmentId).sort(), [approved, corrected, rejected, unreviewed].sort());
+
+        const byId = Object.fromEntries(items.map(item => [item.attachmentId, item]));
+        assert.deepStrictEqual(byId[approved].outcome, { reviewed: true, approved: true, corrected: [], rejected: false });
+        assert.deepStrictEqual(byId[corrected].outcome.corrected, ['jobRef']);
+        assert.strictEqual(byId[rejected].outcome.rejected, true);
+        assert.strictEqual(byId[unreviewed].outcome.reviewed, false);
+        assert.strictEqual(byId[approved].baseline.reasonCode, 'BELOW_THRESHOLD');
+        assert.strictEqual(byId[approved].candidate.decision, 'AUTO_SEND');
+        assert.strictEqual(byId[approved].overallConfidence, 0.9);
+
+        assert.deepStrictEqual(autoSendBacktest.backtest({ ...TARMAC_088, includeItems: false }).items, []);
+    });
+
+    await test('a candidate with a blocking rule reports documents no longer auto-sent', () => {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        config.rules = [{ name: 'never-beta', block: "customer == 'BETA'" }];
+        const report = autoSendBacktest.backtest({ config, weeks: 6, to: TO });
+        assert.strictEqual(report.totals.noLongerAutoSent, 1);
+        assert.strictEqual(report.totals.newlyAutoSent, 0);
+        assert.strictEqual(report.items[0].attachmentId, confident);
+        assert.strictEqual(report.items[0].candidate.rule, 'never-beta');
+    });
+
+    await test('stored versions, window and supplier filters', () => {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        fs.writeFileSync(configPath, JSON.stringify(autoSendBacktest.mergeConfig(config, TARMAC_088.overrides)));
+        const { version } = autoSendVersions.reload({ author: 'jo' });
+
+        // The candidate is now also the active configuration - nothing changes
+        const report = autoSendBacktest.backtest({ version: 1, weeks: 6, to: TO, supplier: 'tarmac' });
+        assert.strictEqual(report.baseline.version, version);
+        assert.strictEqual(report.candidate.version, 1);
+        assert.strictEqual(report.totals.evaluated, 6);
+        assert.strictEqual(report.totals.noLongerAutoSent, 4);
+
+        const wide = autoSendBacktest.backtest({ version: 1, weeks: 20, to: TO });
+        assert.strictEqual(wide.totals.evaluated, 8);
+    });
+
+    await test('invalid candidates are rejected', () => {
+        assert.deepStrictEqual(autoSendBacktest.backtest({ version: 42 }).errors, ['Version 42 not found']);
+        assert.strictEqual(autoSendBacktest.backtest({}).success, false);
+
+        const invalid = autoSendBacktest.backtest({ overrides: { supplierRules: { TARMAC: { threshold: 1.5 } } } });
+        assert.strictEqual(invalid.success, false);
+        assert.ok(invalid.errors[0].includes('TARMAC'));
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
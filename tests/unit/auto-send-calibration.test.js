@@ -0,0 +1,261 @@
+/**
+ * Unit Tests: Auto-send threshold calibration and proposed config versions
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and auto-send config - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-send-calibration-test-'));
+const configPath = path.join(tmpRoot, 'auto-send.json');
+fs.copyFileSync(path.join(__dirname, '..', '..', 'config', 'auto-send.json'), configPath);
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.AUTO_SEND_CONFIG_PATH = configPath;
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const audit = require('../../audit');
+const podStages = require('../../podStages');
+const autoSend = require('../../lib/auto-send');
+const autoSendVersions = require('../../autoSendVersions');
+const autoSendBacktest = require('../../autoSendBacktest');
+const autoSendCalibration = require('../../autoSendCalibration');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const MARCH = { to: '2026-03-20T12:00:00Z', weeks: 6, minSamples: 3 };
+let counter = 0;
+
+// A processed document; outcome is 'approve', 'correct', 'reject' or null (unreviewed)
+function createDocument({ supplier, confidence, scores, outcome = 'approve', createdAt = '2026-03-10 10:00:00', results = true }) {
+    counter++;
+    const { classification, extraction, matching } = scores || { classification: confidence, extraction: confidence, matching: confidence };
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: `/tmp/pod-${counter}.jpg`,
+        status: 'REVIEW'
+    });
+    if (results) {
+        podStages.saveResults(attachment.id, {
+            classification: { type: 'POD', isPOD: true, confidence: classification },
+            ocr: null,
+            fields: { supplier, jobRef: `TM-${counter}`, confidence: extraction, conflicts: [] },
+            match: { jobId: `job-${counter}`, jobRef: `TM-${counter}`, customer: 'ACME', confidence: matching, matchType: 'EXACT_JOB_REF', candidates: [] },
+            autoSend: null,
+            route: null
+        }, 'REVIEW');
+    }
+    db.getDb().prepare('UPDATE attachments SET created_at = ? WHERE id = ?').run(createdAt, attachment.id);
+
+    if (outcome === 'reject') {
+        audit.logReview(attachment.id, 'reviewer', 'reject', { reason: 'Wrong job' });
+    } else if (outcome) {
+        audit.logReview(attachment.id, 'reviewer', 'approve', {});
+    }
+    if (outcome === 'correct') {
+        const now = new Date().toISOString();
+        db.getDb().prepare(`
+            INSERT INTO field_corrections (id, attachment_id, field, original_value, corrected_value, is_correct, created_at, updated_at)
+            VALUES (?, ?, 'jobRef', 'A', 'B', 0, ?, ?)
+        `).run(models.generateUUID(), attachment.id, now, now);
+    }
+    return attachment.id;
+}
+
+function times(count, fn) {
+    for (let i = 0; i < count; i++) fn();
+}
+
+async function run() {
+    autoSendVersions.init();
+
+    // TARMAC: clean above 0.86, mixed at 0.86, all bad at 0.81
+    times(4, () => createDocument({ supplier: 'TARMAC', confidence: 0.96 }));
+    times(4, () => createDocument({ supplier: 'Tarmac', confidence: 0.91 }));
+    times(2, () => createDocument({ supplier: 'TARMAC', confidence: 0.86 }));
+    createDocument({ supplier: 'TARMAC', confidence: 0.86, outcome: 'correct' });
+    createDocument({ supplier: 'TARMAC', confidence: 0.86, outcome: 'reject' });
+    times(3, () => createDocument({ supplier: 'TARMAC', confidence: 0.81, outcome: 'reject' }));
+    createDocument({ supplier: 'TARMAC', confidence: 0.81, outcome: null });
+    createDocument({ supplier: 'TARMAC', confidence: 0.81, results: false });
+
+    // Too few CEMEX examples; HEIDELBERG is wrong even at the top
+    times(2, () => createDocument({ supplier: 'CEMEX', confidence: 0.97 }));
+    times(3, () => createDocument({ supplier: 'HEIDELBERG', confidence: 0.97, outcome: 'reject' }));
+
+    // June: matching separates good from bad, classification/extraction mislead
+    times(3, () => createDocument({ supplier: 'BRETT', scores: { classification: 0.7, extraction: 0.7, matching: 0.95 }, createdAt: '2026-06-10 10:00:00' }));
+    times(3, () => createDocument({ supplier: 'BRETT', scores: { classification: 0.99, extraction: 0.99, matching: 0.7 }, outcome: 'reject', createdAt: '2026-06-10 10:00:00' }));
+
+    await test('per-supplier thresholds meet the target false auto-send rate', () => {
+        const report = autoSendCalibration.run({ ...MARCH, target: 0.2, propose: false });
+        assert.strictEqual(report.success, true);
+        assert.deepStrictEqual(report.examples, { documents: 22, labelled: 20, good: 12, bad: 8, unlabelled: 1 });
+
+        const bySupplier = Object.fromEntries(report.suppliers.map(group => [group.supplier, group]));
+        assert.deepStrictEqual(Object.keys(bySupplier), ['CEMEX', 'HEIDELBERG', 'TARMAC']);
+        assert.strictEqual(bySupplier.TARMAC.current, 0.92);
+        assert.strictEqual(bySupplier.TARMAC.recommended, 0.82);
+        assert.strictEqual(bySupplier.TARMAC.support, 12);
+        assert.strictEqual(bySupplier.TARMAC.falseRate, 0.167);
+
+        assert.strictEqual(bySupplier.CEMEX.reason, 'INSUFFICIENT_DATA');
+        assert.strictEqual(bySupplier.CEMEX.recommended, 0.9);
+        assert.strictEqual(bySupplier.HEIDELBERG.reason, 'TARGET_NOT_REACHABLE');
+        assert.strictEqual(bySupplier.HEIDELBERG.recommended, 0.92);
+        assert.strictEqual(report.defaultThreshold.recommended, 0.95);
+
+        // A stricter target moves the threshold up past the mixed band
+        const strict = autoSendCalibration.run({ ...MARCH, target: 0, propose: false });
+        const tarmac = strict.suppliers.find(group => group.supplier === 'TARMAC');
+        assert.strictEqual(tarmac.recommended, 0.87);
+        assert.strictEqual(tarmac.support, 8);
+
+        assert.strictEqual(autoSendCalibration.run({ target: 2 }).success, false);
+    });
+
+    await test('reliability curves give the good rate per confidence band', () => {
+        const report = autoSendCalibration.run({ ...MARCH, supplier: 'tarmac', propose: false });
+        assert.deepStrictEqual(report.suppliers[0].curve, [
+            { from: 0.8, to: 0.85, count: 3, bad: 3, goodRate: 0 },
+            { from: 0.85, to: 0.9, count: 4, bad: 2, goodRate: 0.5 },
+            { from: 0.9, to: 0.95, count: 4, bad: 0, goodRate: 1 },
+            { from: 0.95, to: 1, count: 4, bad: 0, goodRate: 1 }
+        ]);
+        // Equal stage confidences - no weighting ranks them differently
+        assert.strictEqual(report.weights.changed, false);
+    });
+
+    await test('weights move towards the stage that separates good from bad', () => {
+        const report = autoSendCalibration.run({ to: '2026-06-20T12:00:00Z', weeks: 2, minSamples: 3, propose: false });
+        const { weights } = report;
+        assert.strictEqual(weights.aucCurrent, 0);
+        assert.strictEqual(weights.aucRecommended, 1);
+        assert.strictEqual(weights.changed, true);
+        assert.ok(weights.recommended.matching >= 0.55);
+        const sum = weights.recommended.classification + weights.recommended.extraction + weights.recommended.matching;
+        assert.ok(Math.abs(sum - 1) < 1e-9);
+    });
+
+    let proposedVersion;
+    await test('a run stores a proposed version without applying it', () => {
+        const report = autoSendCalibration.run({ ...MARCH, target: 0.2, author: 'ops' });
+        assert.strictEqual(report.proposal.proposed, true);
+        proposedVersion = report.proposal.version;
+        assert.strictEqual(proposedVersion, 2);
+        assert.deepStrictEqual(report.proposal.diff, [{ path: 'supplierRules.TARMAC.threshold', before: 0.92, after: 0.82 }]);
+
+        const stored = autoSendVersions.getVersion(proposedVersion);
+        assert.strictEqual(stored.status, 'PROPOSED');
+        assert.strictEqual(stored.source, 'CALIBRATION');
+        assert.strictEqual(stored.author, 'ops');
+        assert.strictEqual(stored.details.target, 0.2);
+        assert.strictEqual(stored.details.baseVersion, 1);
+
+        // Still on version 1
+        assert.strictEqual(autoSend.getActiveVersion(), 1);
+        assert.strictEqual(autoSend.getSupplierThreshold('TARMAC'), 0.92);
+        assert.deepStrictEqual(autoSendVersions.listVersions({ status: 'proposed' }).versions.map(v => v.version), [2]);
+
+        // Same recommendations again - the open proposal is reused
+        const again = autoSendCalibration.run({ ...MARCH, target: 0.2 });
+        assert.strictEqual(again.proposal.proposed, false);
+        assert.strictEqual(again.proposal.version, proposedVersion);
+
+        // Proposals can be backtested before accepting
+        const backtest = autoSendBacktest.backtest({ version: proposedVersion, ...MARCH });
+        assert.strictEqual(backtest.success, true);
+        assert.strictEqual(backtest.totals.newlyAutoSent, 8);
+    });
+
+    await test('accepting a proposal applies it as a new version', () => {
+        const result = autoSendVersions.accept(proposedVersion, { author: 'jo' });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.version, 3);
+        assert.strictEqual(autoSend.getActiveVersion(), 3);
+        assert.strictEqual(autoSend.getSupplierThreshold('TARMAC'), 0.82);
+        assert.strictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')).supplierRules.TARMAC.threshold, 0.82);
+
+        const history = autoSendVersions.listVersions();
+        assert.deepStrictEqual(history.versions.map(v => [v.version, v.status, v.source, v.restoredVersion]),
+            [[3, 'APPLIED', 'PROPOSAL', 2], [2, 'ACCEPTED', 'CALIBRATION', null], [1, 'APPLIED', 'STARTUP', null]]);
+
+        assert.strictEqual(autoSendVersions.accept(proposedVersion).success, false);
+        assert.strictEqual(autoSendVersions.rollback(proposedVersion).success, false);
+        assert.strictEqual(autoSendVersions.accept(99), null);
+
+        // Already calibrated - nothing new to propose
+        assert.strictEqual(autoSendCalibration.run({ ...MARCH, target: 0.2 }).proposal.proposed, false);
+    });
+
+    await test('dismissed proposals are closed and audited', () => {
+        const report = autoSendCalibration.run({ ...MARCH, target: 0 });
+        assert.strictEqual(report.proposal.proposed, true);
+
+        const result = autoSendVersions.dismiss(report.proposal.version, { author: 'jo', comment: 'Too strict' });
+        assert.deepStrictEqual(result, { success: true, version: report.proposal.version });
+        assert.strictEqual(autoSendVersions.getVersion(report.proposal.version).status, 'DISMISSED');
+        assert.strictEqual(autoSend.getActiveVersion(), 3);
+
+        const actions = db.getDb().prepare(`
+            SELECT action FROM audit_logs WHERE action LIKE 'AUTO_SEND_CONFIG_%' ORDER BY rowid
+        `).all().map(row => row.action);
+        assert.deepStrictEqual(actions, [
+            'AUTO_SEND_CONFIG_CHANGED',
+            'AUTO_SEND_CONFIG_PROPOSED',
+            'AUTO_SEND_CONFIG_CHANGED',
+            'AUTO_SEND_CONFIG_PROPOSED',
+            'AUTO_SEND_CONFIG_DISMISSED'
+        ]);
+    });
+
+    await test('a run for one supplier proposes only that supplier\'s threshold', () => {
+        // TARMAC is already calibrated; its examples alone must not move the global settings
+        const calibrated = autoSendCalibration.run({ ...MARCH, supplier: 'tarmac', target: 0.2 });
+        assert.strictEqual(calibrated.defaultThreshold.recommended, 0.95);
+        assert.strictEqual(calibrated.defaultThreshold.reason, 'SUPPLIER_FILTER');
+        assert.strictEqual(calibrated.proposal.proposed, false);
+
+        const strict = autoSendCalibration.run({ ...MARCH, supplier: 'tarmac', target: 0 });
+        assert.deepStrictEqual(strict.proposal.diff, [{ path: 'supplierRules.TARMAC.threshold', before: 0.82, after: 0.87 }]);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,241 @@
+/**
+ * Unit Tests: Auto-send rule expressions and configuration versions
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and auto-send config - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-send-rules-test-'));
+const configPath = path.join(tmpRoot, 'auto-send.json');
+fs.copyFileSync(path.join(__dirname, '..', '..', 'config', 'auto-send.json'), configPath);
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.AUTO_SEND_CONFIG_PATH = configPath;
+process.env.ROUTING_CONFIG_PATH = path.join(tmpRoot, 'missing-routing.json');
+
+const db = require('../../db');
+db.init();
+const expression = require('../../lib/expression');
+const autoSend = require('../../lib/auto-send');
+const autoSendVersions = require('../../autoSendVersions');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const MONDAY = new Date('2026-03-09T10:00:00Z');
+const SATURDAY = new Date('2026-03-14T10:00:00Z');
+
+const shipped = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+function writeConfig(changes) {
+    fs.writeFileSync(configPath, JSON.stringify({ ...shipped, ...changes }, null, 2));
+}
+
+function breakdown({ reg = 'EXACT', days = 0 } = {}) {
+    return {
+        identity: { jobRef: { result: 'EXACT' }, vehicleReg: { result: reg } },
+        signals: [
+            { signal: 'date', result: days === 0 ? 'SAME_DAY' : 'IN_WINDOW', detail: { days } },
+            { signal: 'supplier', result: 'AGREE' },
+            { signal: 'sender', result: 'DRIVER' }
+        ]
+    };
+}
+
+// Decision for a confident CEMEX POD (overall ~0.98, above every threshold)
+function decideFor(match = {}, now = MONDAY) {
+    return autoSend.shouldAutoSend(
+        { classificationConfidence: 0.99, extractionConfidence: 0.99, supplier: 'CEMEX' },
+        { found: true, confidence: 0.98, customer: 'ACME', jobRef: 'TM-1', breakdown: breakdown(), ...match },
+        { now }
+    );
+}
+
+function auditEntries(action) {
+    return db.getDb().prepare('SELECT * FROM audit_logs WHERE action = ? ORDER BY timestamp').all(action)
+        .map(row => ({ ...row, details: JSON.parse(row.details) }));
+}
+
+async function run() {
+    await test('expressions: precedence, lists, case and unknown facts', () => {
+        const facts = { supplier: 'CEMEX', match: { dateDays: 3, regMatch: 'EXACT' }, weekday: true };
+        const check = source => expression.evaluate(expression.compile(source), facts);
+
+        assert.strictEqual(check("supplier == 'cemex' && match.regMatch == 'EXACT'"), true);
+        assert.strictEqual(check("supplier == 'TARMAC' || weekday && match.dateDays <= 2"), false);
+        assert.strictEqual(check("(supplier == 'TARMAC' || weekday) && match.dateDays > 2"), true);
+        assert.strictEqual(check("not (supplier in ['Tarmac', \"Cemex\"])"), false);
+        assert.strictEqual(check('customer == null and !match.found'), true);
+        // Ordering needs numbers on both sides
+        assert.strictEqual(check('customer < 1'), false);
+        assert.deepStrictEqual(expression.factsUsed(expression.compile("a.b == c || d in [e, 1]")), ['a.b', 'c', 'd', 'e']);
+
+        for (const bad of ["supplier == 'CEMEX", 'supplier ==', '(weekday', 'weekday weekday', 'a = 1', '']) {
+            assert.throws(() => expression.compile(bad), `${bad} should not compile`);
+        }
+    });
+
+    await test('rule validation reports bad expressions, unknown facts and rule shape', () => {
+        assert.deepStrictEqual(autoSend.validateConfigObject(shipped), { valid: true, errors: [] });
+
+        const { errors } = autoSend.validateConfigObject({
+            ...shipped,
+            timezone: 'Mars/Olympus',
+            rules: [
+                { name: 'a', require: 'match.regMatch == ' },
+                { name: 'a', block: 'customr == \'ACME\'' },
+                { name: 'c', if: 'weekday' },
+                { name: 'd', require: 'weekday', block: 'weekday' }
+            ]
+        });
+        assert.strictEqual(errors.length, 6);
+        assert.ok(errors.some(error => error.includes('unknown fact(s) customr')));
+        assert.ok(errors.some(error => error.includes('duplicates rule name a')));
+        assert.ok(errors.some(error => error.includes('Mars/Olympus')));
+    });
+
+    await test('versions: startup records the config once', () => {
+        const first = autoSendVersions.init();
+        assert.strictEqual(first.version, 1);
+        assert.strictEqual(first.changed, true);
+
+        const again = autoSendVersions.init();
+        assert.strictEqual(again.version, 1);
+        assert.strictEqual(again.changed, false);
+        assert.strictEqual(autoSend.getActiveVersion(), 1);
+
+        assert.strictEqual(decideFor().configVersion, 1);
+        assert.strictEqual(decideFor().decision, 'AUTO_SEND');
+    });
+
+    await test('require and block rules hold documents back from auto-send', () => {
+        writeConfig({
+            rules: [
+                { name: 'cemex-exact-reg-weekdays', if: "supplier == 'CEMEX'", require: "match.regMatch == 'EXACT' && weekday" },
+                { name: 'never-beta', block: "customer == 'beta'", reason: 'BETA PODs are always checked' },
+                { name: 'date-near-job', require: 'match.dateDays != null && match.dateDays <= 2' },
+                { name: 'switched-off', enabled: false, block: 'true' }
+            ]
+        });
+        const result = autoSendVersions.reload({ author: 'jo', comment: 'CEMEX weekday rule' });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.version, 2);
+
+        assert.strictEqual(decideFor().decision, 'AUTO_SEND');
+
+        const weekend = decideFor({}, SATURDAY);
+        assert.strictEqual(weekend.decision, 'MANUAL_REVIEW');
+        assert.strictEqual(weekend.reasonCode, 'RULE_BLOCKED');
+        assert.strictEqual(weekend.rule, 'cemex-exact-reg-weekdays');
+        assert.strictEqual(weekend.configVersion, 2);
+
+        assert.strictEqual(decideFor({ breakdown: breakdown({ reg: 'FUZZY' }) }).rule, 'cemex-exact-reg-weekdays');
+
+        const beta = decideFor({ customer: 'BETA' });
+        assert.strictEqual(beta.rule, 'never-beta');
+        assert.ok(beta.reason.includes('BETA PODs are always checked'));
+
+        assert.strictEqual(decideFor({ breakdown: breakdown({ days: 3 }) }).rule, 'date-near-job');
+        // No date signal at all - the requirement is not met
+        assert.strictEqual(decideFor({ breakdown: null }).rule, 'cemex-exact-reg-weekdays');
+
+        // Rules never override a below-threshold decision
+        const low = autoSend.shouldAutoSend(
+            { classificationConfidence: 0.6, extractionConfidence: 0.6, supplier: 'CEMEX' },
+            { found: true, confidence: 0.6, customer: 'BETA' },
+            { now: SATURDAY }
+        );
+        assert.strictEqual(low.reasonCode, 'BELOW_THRESHOLD');
+    });
+
+    await test('reload stores author and diff, and rejects an invalid file', () => {
+        const version = autoSendVersions.getVersion(2);
+        assert.strictEqual(version.source, 'RELOAD');
+        assert.strictEqual(version.author, 'jo');
+        assert.strictEqual(version.comment, 'CEMEX weekday rule');
+        assert.ok(version.diff.some(change => change.path === 'rules[1].name' && change.before === 'never-example-customer' && change.after === 'never-beta'));
+        assert.ok(version.diff.some(change => change.path === 'rules[3]' && change.before === undefined));
+        assert.strictEqual(version.config.rules.length, 4);
+
+        // Unchanged file - no new version
+        assert.strictEqual(autoSendVersions.reload({ author: 'jo' }).changed, false);
+
+        writeConfig({ rules: [{ name: 'typo', block: 'custmer == 1' }] });
+        const rejected = autoSendVersions.reload({ author: 'jo' });
+        assert.strictEqual(rejected.success, false);
+        assert.ok(rejected.errors[0].includes('custmer'));
+        assert.strictEqual(autoSend.getActiveVersion(), 2);
+        assert.strictEqual(decideFor({}, SATURDAY).rule, 'cemex-exact-reg-weekdays');
+    });
+
+    await test('rollback restores an old version as a new one and rewrites the file', () => {
+        const result = autoSendVersions.rollback(1, { author: 'sam' });
+        assert.strictEqual(result.version, 3);
+        assert.strictEqual(result.changed, true);
+        assert.strictEqual(decideFor({}, SATURDAY).decision, 'AUTO_SEND');
+        assert.strictEqual(decideFor({}, SATURDAY).configVersion, 3);
+
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')), shipped);
+        const history = autoSendVersions.listVersions();
+        assert.strictEqual(history.activeVersion, 3);
+        assert.deepStrictEqual(history.versions.map(v => [v.version, v.source, v.restoredVersion]),
+            [[3, 'ROLLBACK', 1], [2, 'RELOAD', null], [1, 'STARTUP', null]]);
+        assert.strictEqual(history.versions[0].comment, 'Rollback to version 1');
+
+        assert.strictEqual(autoSendVersions.rollback(99), null);
+        assert.strictEqual(autoSendVersions.rollback(3, { author: 'sam' }).changed, false);
+
+        const changes = auditEntries('AUTO_SEND_CONFIG_CHANGED');
+        assert.deepStrictEqual(changes.map(entry => entry.details.version), [1, 2, 3]);
+        assert.strictEqual(changes[2].actor, 'sam');
+    });
+
+    await test('pipeline decisions carry the rule and config version', () => {
+        writeConfig({ rules: [{ name: 'never-acme', block: "customer == 'ACME'" }] });
+        autoSendVersions.reload({ author: 'jo' });
+
+        const decision = podStages.decide({
+            attachmentId: 'a1',
+            classification: { type: 'POD', isPOD: true, confidence: 0.99 },
+            fields: { supplier: 'CEMEX', confidence: 0.99, conflicts: [] },
+            ocr: null,
+            jobMatch: { match: { jobId: 'j1', jobRef: 'TM-1', confidence: 0.98, customer: 'ACME', breakdown: breakdown() }, candidates: [] },
+            chatId: '447700900123@c.us'
+        });
+        assert.strictEqual(decision.autoSendDecision.reasonCode, 'RULE_BLOCKED');
+        assert.strictEqual(decision.status, 'REVIEW');
+
+        const results = podStages.buildResults({ classification: null, jobMatch: null, decision });
+        assert.strictEqual(results.autoSend.rule, 'never-acme');
+        assert.strictEqual(results.autoSend.configVersion, 4);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
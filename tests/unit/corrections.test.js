@@ -0,0 +1,167 @@
+/**
+ * Unit Tests: Reviewer corrections and extraction accuracy
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'corrections-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const corrections = require('../../corrections');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+let counter = 0;
+
+// An attachment as left by the pipeline, with the extracted fields in metadata.results
+function createExtracted(supplier, jobRef, vehicleReg) {
+    counter++;
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: `/tmp/pod-${counter}.jpg`,
+        status: 'REVIEW',
+        job_ref: jobRef,
+        vehicle_reg: vehicleReg,
+        metadata: {
+            results: {
+                ocr: { supplier, jobRef, vehicleReg, confidence: 0.8, provider: 'openai' },
+                fields: {
+                    supplier,
+                    jobRef,
+                    vehicleReg,
+                    confidence: 0.8,
+                    reconciliation: { jobRef: { source: 'both' }, vehicleReg: { source: 'vision' } }
+                }
+            }
+        }
+    });
+    models.updateAttachmentStatus(attachment.id, 'REVIEW', { supplier });
+    return attachment.id;
+}
+
+// Review as the endpoints do: record against the stored attachment, then write the values
+function review(id, reviewed, options) {
+    const examples = corrections.recordReview(models.getAttachmentById(id), reviewed, options);
+    models.updateAttachmentStatus(id, 'OUT', reviewed);
+    return examples;
+}
+
+async function run() {
+    await test('approving unchanged values records confirmed examples', () => {
+        const id = createExtracted('TARMAC', 'TM-100245', 'GV66XRO');
+        const examples = review(id, {}, { action: 'approve', confirmUnchanged: true });
+
+        assert.strictEqual(examples.length, 2);
+        assert.ok(examples.every(example => example.isCorrect));
+        assert.strictEqual(examples[0].provider, 'openai');
+        assert.strictEqual(examples[0].source, 'both');
+    });
+
+    await test('a changed value is stored as a correction of the extracted value', () => {
+        const id = createExtracted('TARMAC', 'TM-100246', 'GV66XRO');
+        const examples = review(id, { jobRef: 'TM-100245' }, { action: 'edit' });
+
+        assert.strictEqual(examples.length, 1);
+        assert.strictEqual(examples[0].isCorrect, false);
+
+        const [stored] = corrections.listExamples({ field: 'jobRef', correctedOnly: true });
+        assert.strictEqual(stored.attachmentId, id);
+        assert.strictEqual(stored.originalValue, 'TM-100246');
+        assert.strictEqual(stored.correctedValue, 'TM-100245');
+        assert.strictEqual(stored.supplier, 'TARMAC');
+        assert.strictEqual(stored.reviewAction, 'edit');
+    });
+
+    await test('formatting differences are not corrections', () => {
+        const id = createExtracted('CEMEX', 'CX-5001', 'AB12CDE');
+        const [example] = review(id, { vehicleReg: 'ab12 cde' }, { action: 'edit' });
+        assert.strictEqual(example.isCorrect, true);
+    });
+
+    await test('a value added where nothing was extracted is a miss', () => {
+        const id = createExtracted('ECOCEM', null, 'GV66XRO');
+        const [example] = review(id, { jobRef: 'DK-7781' }, { action: 'edit' });
+        assert.strictEqual(example.originalValue, null);
+        assert.strictEqual(example.isCorrect, false);
+    });
+
+    await test('a later review replaces the example and keeps the pipeline value as original', () => {
+        const id = createExtracted('ECOCEM', 'DK-7780', 'GV66XRO');
+        review(id, { jobRef: 'DK-7781' }, { action: 'edit' });
+        review(id, {}, { action: 'approve', confirmUnchanged: true });
+
+        const examples = corrections.listExamples({ supplier: 'ecocem', field: 'jobRef' })
+            .filter(example => example.attachmentId === id);
+        assert.strictEqual(examples.length, 1);
+        assert.strictEqual(examples[0].originalValue, 'DK-7780');
+        assert.strictEqual(examples[0].correctedValue, 'DK-7781');
+        assert.strictEqual(examples[0].isCorrect, false);
+        assert.strictEqual(examples[0].reviewAction, 'approve');
+    });
+
+    await test('accuracy report gives precision per supplier and field', () => {
+        const report = corrections.getAccuracyReport({ interval: 'day' });
+        const row = (supplier, field) => report.totals.find(r => r.supplier === supplier && r.field === field);
+
+        assert.strictEqual(report.interval, 'day');
+        assert.deepStrictEqual(
+            { labelled: row('TARMAC', 'jobRef').labelled, correct: row('TARMAC', 'jobRef').correct },
+            { labelled: 2, correct: 1 }
+        );
+        assert.strictEqual(row('TARMAC', 'jobRef').precision, 0.5);
+        assert.strictEqual(row('TARMAC', 'vehicleReg').precision, 1);
+        assert.strictEqual(row('ECOCEM', 'jobRef').missed, 1);
+
+        const today = new Date().toISOString().slice(0, 10);
+        assert.ok(report.series.length > 0);
+        assert.ok(report.series.every(r => r.period === today));
+    });
+
+    await test('report filters by supplier and defaults to weekly periods', () => {
+        const report = corrections.getAccuracyReport({ supplier: 'cemex', interval: 'hourly' });
+        assert.strictEqual(report.interval, 'week');
+        assert.deepStrictEqual(report.totals.map(r => r.field), ['vehicleReg']);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
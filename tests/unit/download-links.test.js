@@ -0,0 +1,248 @@
+/**
+ * Unit Tests: Signed download links instead of attachments
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, rules and link secret - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'download-links-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.CUSTOMER_RULES_DIR = path.join(tmpRoot, 'customers');
+process.env.EMAIL_TEMPLATES_DIR = path.join(tmpRoot, 'email-templates');
+process.env.EMAIL_DIGEST_DIR = path.join(tmpRoot, 'digests');
+process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+process.env.PUBLIC_BASE_URL = 'https://pods.example.com/';
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const recipients = require('../../recipients');
+const emailTemplates = require('../../emailTemplates');
+const emailDigest = require('../../emailDigest');
+const downloadLinks = require('../../downloadLinks');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const sent = [];
+emailDigest.setSender(async options => {
+    sent.push(options);
+    return { messageId: `msg-${sent.length}` };
+});
+
+let sequence = 0;
+function createPod(jobRef, bytes) {
+    sequence++;
+    const file = path.join(tmpRoot, `pod-${sequence}.jpg`);
+    fs.writeFileSync(file, Buffer.alloc(bytes, sequence));
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${sequence}`,
+        file_type: 'image/jpeg',
+        file_size: bytes,
+        storage_uri: file,
+        canonical_filename: `${jobRef}.jpg`,
+        status: 'OUT',
+        job_ref: jobRef
+    });
+    return models.getAttachmentById(attachment.id);
+}
+
+function queryOf(url) {
+    return Object.fromEntries(new URL(url).searchParams);
+}
+
+async function run() {
+    await test('customer rules take a file delivery mode and link settings', () => {
+        recipients.setCustomerRule('Acme Ltd', { recipients: ['pods@acme.example'], fileDelivery: 'auto', links: { expiryDays: 14, thresholdBytes: '1000' } });
+        assert.deepStrictEqual(recipients.getFileDelivery('Acme Ltd'), { mode: 'AUTO', expiryDays: 14, thresholdBytes: 1000 });
+        assert.deepStrictEqual(recipients.getFileDelivery('Nobody Ltd'), { mode: 'ATTACH', expiryDays: null, thresholdBytes: null });
+        assert.strictEqual(recipients.getRecipients('Acme Ltd').fileDelivery, 'AUTO');
+
+        recipients.setCustomerRule('Beta Ltd', { recipients: ['pods@beta.example'], links: { expiryDays: 3 } });
+        assert.strictEqual(recipients.getAllCustomerRules().find(rule => rule.customer === 'Beta Ltd').links, undefined, 'no link settings when attaching');
+
+        assert.throws(() => recipients.setCustomerRule('Bad Ltd', { fileDelivery: 'FAX' }), /Unknown file delivery mode/);
+        assert.throws(() => recipients.setCustomerRule('Bad Ltd', { fileDelivery: 'LINK', links: { expiryDays: -1 } }), /Invalid links.expiryDays/);
+    });
+
+    await test('AUTO links only when the files are over the threshold', () => {
+        const settings = downloadLinks.getSettings('Acme Ltd');
+        assert.strictEqual(downloadLinks.shouldLink([{ path: 'a', size: 600 }, { path: 'b', size: 600 }], settings), true);
+        assert.strictEqual(downloadLinks.shouldLink([{ path: 'a', size: 600 }], settings), false);
+        assert.strictEqual(downloadLinks.shouldLink([{ size: 5000 }], downloadLinks.getSettings('Beta Ltd')), false);
+        assert.strictEqual(downloadLinks.shouldLink([], { mode: 'LINK' }), true);
+        assert.strictEqual(downloadLinks.getSettings('Beta Ltd').expiryDays, 7, 'default expiry');
+    });
+
+    await test('signed links verify; tampered or mismatched ones do not', () => {
+        const pod = createPod('TM-100', 2000);
+        const [link] = downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri, name: pod.canonical_filename }], customer: 'Acme Ltd', expiryDays: 2 });
+        assert.ok(link.url.startsWith(`https://pods.example.com/api/downloads/${link.id}?expires=`), link.url);
+        assert.strictEqual(link.size, 2000);
+
+        const query = queryOf(link.url);
+        const check = downloadLinks.verify(link.id, query);
+        assert.strictEqual(check.ok, true);
+        assert.strictEqual(check.link.storage_uri, pod.storage_uri);
+
+        assert.strictEqual(downloadLinks.verify(link.id, { ...query, expires: String(Number(query.expires) + 86400) }).status, 403);
+        assert.strictEqual(downloadLinks.verify(link.id, { ...query, sig: 'abc' }).status, 403);
+        assert.strictEqual(downloadLinks.verify(link.id, {}).status, 403);
+        assert.strictEqual(downloadLinks.verify('no-such-link', query).status, 404);
+
+        // A signature is only good for its own link
+        const [other] = downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri }], expiryDays: 2 });
+        assert.strictEqual(downloadLinks.verify(other.id, query).status, 403);
+    });
+
+    await test('links are refused without a configured secret', () => {
+        const pod = createPod('TM-105', 100);
+        const [link] = downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri }] });
+        downloadLinks.CONFIG.secret = null;
+        try {
+            assert.throws(() => downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri }] }), /DOWNLOAD_LINK_SECRET is not set/);
+            assert.throws(() => downloadLinks.getOrCreate({ attachmentId: pod.id, emailQueueId: 'q-none', files: [] }), /DOWNLOAD_LINK_SECRET is not set/);
+            assert.strictEqual(downloadLinks.verify(link.id, queryOf(link.url)).status, 403);
+            assert.strictEqual(downloadLinks.getStatus().secretConfigured, false);
+        } finally {
+            downloadLinks.CONFIG.secret = 'test-secret';
+        }
+        assert.strictEqual(downloadLinks.verify(link.id, queryOf(link.url)).ok, true);
+    });
+
+    await test('expired links are refused', () => {
+        const pod = createPod('TM-101', 100);
+        const [link] = downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri }], expiryDays: 1, now: new Date(Date.now() - 2 * 86400000) });
+        const check = downloadLinks.verify(link.id, queryOf(link.url));
+        assert.deepStrictEqual([check.ok, check.status, check.error], [false, 410, 'Download link has expired']);
+        assert.strictEqual(downloadLinks.getLink(link.id).status, 'EXPIRED');
+    });
+
+    await test('downloads are counted and logged as DOWNLOADED delivery events', async () => {
+        const pod = createPod('TM-102', 100);
+        const [link] = downloadLinks.createLinks({ attachmentId: pod.id, files: [{ path: pod.storage_uri, name: 'TM-102.jpg' }] });
+        const check = downloadLinks.verify(link.id, queryOf(link.url));
+        downloadLinks.recordDownload(check.link, { ip: '203.0.113.9', userAgent: 'Mail client' });
+        downloadLinks.recordDownload(check.link, {});
+
+        const events = db.getDb().prepare("SELECT * FROM delivery_log WHERE attachment_id = ? AND event = 'DOWNLOADED'").all(pod.id);
+        assert.strictEqual(events.length, 2);
+        assert.strictEqual(JSON.parse(events[0].details).linkId, link.id);
+
+        const stored = downloadLinks.getLink(link.id);
+        assert.strictEqual(stored.download_count, 2);
+        assert.strictEqual(stored.downloads[0].ip, '203.0.113.9');
+        assert.deepStrictEqual(await downloadLinks.resolve(check.link), { path: pod.storage_uri, name: 'TM-102.jpg' });
+    });
+
+    await test('revoked links stop working, singly or per attachment', () => {
+        const pod = createPod('TM-103', 100);
+        const [first, second] = downloadLinks.createLinks({
+            attachmentId: pod.id,
+            files: [{ path: pod.storage_uri, name: 'page-1.jpg' }, { path: pod.storage_uri, name: 'page-2.jpg' }]
+        });
+
+        const revoked = downloadLinks.revoke(first.id, { actor: 'ops', reason: 'Sent to the wrong customer' });
+        assert.deepStrictEqual([revoked.status, revoked.revoked_by], ['REVOKED', 'ops']);
+        assert.strictEqual(downloadLinks.revoke(first.id), null, 'already revoked');
+        assert.strictEqual(downloadLinks.verify(first.id, queryOf(first.url)).status, 410);
+        assert.strictEqual(downloadLinks.verify(second.id, queryOf(second.url)).ok, true);
+
+        assert.deepStrictEqual(downloadLinks.revokeForAttachment(pod.id, { actor: 'ops' }), [second.id]);
+        assert.strictEqual(downloadLinks.verify(second.id, queryOf(second.url)).status, 410);
+        assert.deepStrictEqual(downloadLinks.listLinks({ attachmentId: pod.id, status: 'revoked' }).length, 2);
+        assert.throws(() => downloadLinks.listLinks({ status: 'nope' }), /Unknown link status/);
+    });
+
+    await test('links are reused across retries of the same email', () => {
+        const pod = createPod('TM-104', 100);
+        db.getDb().prepare(`
+            INSERT INTO email_queue (id, attachment_id, recipients_to, status, created_at) VALUES ('q-1', ?, '[]', 'PENDING', ?)
+        `).run(pod.id, new Date().toISOString());
+        const options = { attachmentId: pod.id, files: [{ path: pod.storage_uri }], emailQueueId: 'q-1' };
+        const first = downloadLinks.getOrCreate(options);
+        assert.deepStrictEqual(downloadLinks.getOrCreate(options).map(link => link.id), first.map(link => link.id));
+    });
+
+    await test('POD emails list the links instead of the attachment wording', () => {
+        const links = [{ name: 'TM-200.jpg', url: 'https://pods.example.com/api/files/a?link=1&expires=2&sig=3' }];
+        const rendered = emailTemplates.render({ jobRef: 'TM-200', pageCount: 1, links, linkExpiresAt: '2 November 2026' });
+        assert.ok(rendered.text.includes('TM-200.jpg: https://pods.example.com/api/files/a?link=1&expires=2&sig=3'), rendered.text);
+        assert.ok(rendered.text.includes('These links expire on 2 November 2026.'));
+        assert.ok(!rendered.text.includes('Please find attached'));
+        assert.ok(rendered.html.includes('<a href="https://pods.example.com/api/files/a?link=1&amp;expires=2&amp;sig=3">TM-200.jpg</a>'), rendered.html);
+
+        const attached = emailTemplates.render({ jobRef: 'TM-200', pageCount: 1, links: [] });
+        assert.ok(attached.text.includes('Please find attached the proof of delivery'));
+    });
+
+    await test('digests for link customers carry a link per POD and no attachments', async () => {
+        recipients.setCustomerRule('Gamma Ltd', { recipients: ['pods@gamma.example'], delivery: 'DIGEST', fileDelivery: 'LINK' });
+        const rule = recipients.getRecipients('Gamma Ltd');
+        const pods = [createPod('TM-300', 100), createPod('TM-301', 100)];
+        for (const pod of pods) {
+            emailDigest.add(pod, rule, [{ path: pod.storage_uri, name: pod.canonical_filename }]);
+        }
+
+        const preview = emailDigest.preview('Gamma Ltd');
+        assert.strictEqual(preview.linked, true);
+        assert.strictEqual(downloadLinks.listLinks({ customer: 'Gamma Ltd' }).length, 0, 'previews create no links');
+
+        const result = await emailDigest.sendDigest('Gamma Ltd');
+        assert.strictEqual(result.status, 'SENT');
+        const email = sent[sent.length - 1];
+        assert.deepStrictEqual(email.attachments, []);
+        const links = downloadLinks.listLinks({ digestId: result.digestId });
+        assert.deepStrictEqual(links.map(link => link.file_name).sort(), ['TM-300.jpg', 'TM-301.jpg']);
+        for (const link of links) {
+            assert.ok(email.html.includes(`/api/downloads/${link.id}?`), 'digest html links each POD');
+        }
+        assert.ok(email.text.includes('Here are 2 proof(s) of delivery'));
+        assert.ok(email.text.includes('The download links expire on'));
+    });
+
+    await test('status counts active and revoked links and downloads', () => {
+        const status = downloadLinks.getStatus();
+        assert.strictEqual(status.secretConfigured, true);
+        assert.strictEqual(status.storage, 'local');
+        assert.strictEqual(status.revoked, 2);
+        assert.strictEqual(status.downloads, 2);
+        assert.strictEqual(status.active, 7);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
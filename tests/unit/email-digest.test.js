@@ -0,0 +1,347 @@
+/**
+ * Unit Tests: Daily digest emails
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, rules and digest directory - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'email-digest-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.CUSTOMER_RULES_DIR = path.join(tmpRoot, 'customers');
+process.env.EMAIL_TEMPLATES_DIR = path.join(tmpRoot, 'email-templates');
+process.env.EMAIL_DIGEST_DIR = path.join(tmpRoot, 'digests');
+process.env.DOWNLOAD_LINK_SECRET = 'digest-test-secret';
+process.env.EMAIL_DIGEST_MAX_ATTEMPTS = '2';
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const jobs = require('../../jobs');
+const recipients = require('../../recipients');
+const emailDigest = require('../../emailDigest');
+const emailQueue = require('../../emailQueue');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+// Emails handed to the sender (with any zip read at send time - it is removed
+// once the digest is sent); the next send fails while failNext is set
+const sent = [];
+let failNext = null;
+emailDigest.setSender(async options => {
+    if (failNext) {
+        const error = new Error(failNext);
+        failNext = null;
+        throw error;
+    }
+    const zip = options.attachments.find(a => a.path && a.path.endsWith('.zip'));
+    sent.push({ ...options, zip: zip ? fs.readFileSync(zip.path) : null });
+    return { messageId: `msg-${sent.length}` };
+});
+
+let sequence = 0;
+function createPod(jobRef, bytes, options = {}) {
+    sequence++;
+    const file = path.join(tmpRoot, `pod-${sequence}.jpg`);
+    // random bytes do not compress, like real photos
+    fs.writeFileSync(file, options.random ? crypto.randomBytes(bytes) : Buffer.alloc(bytes, sequence));
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${sequence}`,
+        file_type: 'image/jpeg',
+        file_size: bytes,
+        storage_uri: file,
+        canonical_filename: `${jobRef}.jpg`,
+        status: 'OUT',
+        job_ref: jobRef
+    });
+    // Matched to its job, as the pipeline does
+    db.getDb().prepare('UPDATE attachments SET matched_job_id = ? WHERE id = ?').run(jobs.getJob(jobRef).id, attachment.id);
+    return models.getAttachmentById(attachment.id);
+}
+
+function hold(customer, attachment, now) {
+    const rule = recipients.getRecipients(customer);
+    return emailDigest.add(attachment, rule, [{ path: attachment.storage_uri, name: attachment.canonical_filename }], { now });
+}
+
+// Times in UTC; Europe/London is UTC+1 (BST) until 25 October 2026
+const HELD = '2026-10-19T09:00:00Z';
+const BEFORE_SLOT = '2026-10-19T15:00:00Z';   // 16:00 local
+const AFTER_SLOT = '2026-10-19T16:30:00Z';    // 17:30 local
+
+async function run() {
+    jobs.importJobs([
+        { jobRef: 'TM-1', vehicleReg: 'GV66XRO', customer: 'Acme Ltd', jobDate: '2026-10-19' },
+        { jobRef: 'TM-2', vehicleReg: 'AB12CDE', customer: 'Acme Ltd', jobDate: '2026-10-19' },
+        { jobRef: 'TM-3', vehicleReg: 'CD34EFG', customer: 'Beta', jobDate: '2026-10-19' }
+    ], { format: 'json' });
+
+    await test('customer rules carry the delivery mode and digest settings', () => {
+        recipients.setCustomerRule('Acme Ltd', {
+            recipients: ['pods@acme.example'],
+            cc: ['ops@acme.example'],
+            delivery: 'digest',
+            digest: { time: '9:30', maxAttachmentBytes: 1000 }
+        });
+        recipients.setCustomerRule('Beta', { recipients: ['beta@example.com'] });
+
+        const acme = recipients.getRecipients('Acme Ltd');
+        assert.strictEqual(acme.delivery, 'DIGEST');
+        assert.deepStrictEqual(acme.digest, { time: '09:30', maxAttachmentBytes: 1000 });
+        assert.strictEqual(recipients.getRecipients('Beta').delivery, 'IMMEDIATE');
+        assert.deepStrictEqual(recipients.getDigestCustomers().map(rule => rule.customer), ['Acme Ltd']);
+
+        assert.throws(() => recipients.setCustomerRule('X', { delivery: 'WEEKLY' }), /Unknown delivery mode/);
+        assert.throws(() => recipients.setCustomerRule('X', { delivery: 'DIGEST', digest: { time: '25:00' } }), /Invalid digest time/);
+        assert.throws(() => recipients.setCustomerRule('X', { delivery: 'DIGEST', digest: { timezone: 'Mars/Base' } }), /Invalid digest timezone/);
+
+        // Back to the default time and size limit for the rest of the tests
+        recipients.setCustomerRule('Acme Ltd', { recipients: ['pods@acme.example'], cc: ['ops@acme.example'], delivery: 'DIGEST' });
+    });
+
+    await test('digest time is local to the timezone, across DST changes', () => {
+        const slot = (now, time = '17:00', timezone = 'Europe/London') => emailDigest.lastSlot(time, timezone, new Date(now)).toISOString();
+        assert.strictEqual(slot(BEFORE_SLOT), '2026-10-18T16:00:00.000Z');
+        assert.strictEqual(slot(AFTER_SLOT), '2026-10-19T16:00:00.000Z');
+        assert.strictEqual(slot('2026-10-26T12:00:00Z'), '2026-10-25T17:00:00.000Z');
+        assert.strictEqual(slot('2026-10-19T14:00:00Z', '09:30', 'America/New_York'), '2026-10-19T13:30:00.000Z');
+    });
+
+    const first = createPod('TM-1', 100);
+    const second = createPod('TM-2', 200);
+
+    await test('held PODs go out together once the digest time has passed', async () => {
+        const item = hold('Acme Ltd', first, HELD);
+        assert.strictEqual(item.status, 'PENDING');
+        assert.strictEqual(hold('Acme Ltd', first, HELD).id, item.id, 'holding twice keeps one item');
+        hold('Acme Ltd', second, HELD);
+
+        const pending = emailDigest.getPending('Acme Ltd', new Date('2026-10-19T12:00:00Z'));
+        assert.strictEqual(pending[0].count, 2);
+
+        // Held today: the last digest time (yesterday 17:00) was before them
+        let result = await emailDigest.runCheck({ now: BEFORE_SLOT });
+        assert.strictEqual(result.sent.length, 0);
+        assert.strictEqual(sent.length, 0);
+
+        result = await emailDigest.runCheck({ now: AFTER_SLOT });
+        assert.strictEqual(result.sent.length, 1);
+        assert.strictEqual(result.sent[0].status, 'SENT');
+        assert.strictEqual(result.sent[0].count, 2);
+
+        assert.strictEqual(sent.length, 1);
+        const mail = sent[0];
+        assert.deepStrictEqual(mail.to, ['pods@acme.example']);
+        assert.deepStrictEqual(mail.cc, ['ops@acme.example']);
+        assert.strictEqual(mail.subject, '2 Proof(s) of Delivery for Acme Ltd - 2026-10-19');
+        assert.deepStrictEqual(mail.attachments.map(file => file.name), ['TM-1.jpg', 'TM-2.jpg']);
+        assert.ok(mail.html.includes('<td>1</td><td>TM-1</td><td>GV66XRO</td><td>2026-10-19</td><td>447700900123</td><td>TM-1.jpg</td>'));
+        assert.ok(mail.text.includes('2. Job TM-2 | Vehicle AB12CDE'));
+
+        const digest = emailDigest.getDigest(result.sent[0].digestId);
+        assert.strictEqual(digest.status, 'SENT');
+        assert.strictEqual(digest.message_id, 'msg-1');
+        assert.strictEqual(digest.total_bytes, 300);
+        assert.deepStrictEqual(digest.items.map(i => i.status), ['SENT', 'SENT']);
+
+        const history = emailDigest.getItemsForAttachment(first.id);
+        assert.strictEqual(history.length, 1);
+        assert.strictEqual(history[0].digest_status, 'SENT');
+        assert.deepStrictEqual(emailDigest.getPending('Acme Ltd'), []);
+
+        const audited = db.getDb().prepare("SELECT COUNT(*) AS n FROM audit_logs WHERE action = 'EMAIL_DIGEST_SENT'").get();
+        assert.strictEqual(audited.n, 2);
+    });
+
+    await test('PODs over the size limit are zipped into one attachment', async () => {
+        recipients.setCustomerRule('Acme Ltd', {
+            recipients: ['pods@acme.example'],
+            delivery: 'DIGEST',
+            digest: { maxAttachmentBytes: 250 }
+        });
+        const third = createPod('TM-1', 150);
+        const fourth = createPod('TM-1', 150);
+        hold('Acme Ltd', third, '2026-10-20T09:00:00Z');
+        hold('Acme Ltd', fourth, '2026-10-20T09:00:00Z');
+
+        const preview = emailDigest.preview('Acme Ltd', { now: AFTER_SLOT });
+        assert.strictEqual(preview.success, true);
+        assert.strictEqual(preview.zipped, true);
+        assert.strictEqual(sent.length, 1, 'preview does not send');
+
+        const result = await emailDigest.sendDigest('Acme Ltd', { now: '2026-10-20T16:30:00Z' });
+        assert.strictEqual(result.zipped, true);
+        const mail = sent[sent.length - 1];
+        assert.strictEqual(mail.attachments.length, 1);
+        assert.strictEqual(mail.attachments[0].name, 'PODs-ACME_LTD-2026-10-20.zip');
+        assert.ok(mail.text.includes('attached as one zip file (PODs-ACME_LTD-2026-10-20.zip)'));
+
+        assert.strictEqual(mail.zip.readUInt32LE(0), 0x04034b50);
+        // Both files, the second renamed rather than overwriting the first
+        assert.ok(mail.zip.includes('TM-1.jpg') && mail.zip.includes('TM-1-2.jpg'));
+
+        // The zip is removed once sent
+        assert.strictEqual(fs.existsSync(mail.attachments[0].path), false);
+        const digest = emailDigest.getDigest(result.digestId);
+        assert.strictEqual(digest.zipped, true);
+        assert.strictEqual(digest.zip_path, null);
+    });
+
+    await test('a zip still over the size limit is sent as download links instead', async () => {
+        hold('Acme Ltd', createPod('TM-1', 150, { random: true }), '2026-10-20T10:00:00Z');
+        hold('Acme Ltd', createPod('TM-2', 150, { random: true }), '2026-10-20T10:00:00Z');
+
+        const result = await emailDigest.sendDigest('Acme Ltd', { now: '2026-10-20T16:30:00Z' });
+        assert.strictEqual(result.status, 'SENT');
+        assert.strictEqual(result.zipped, false);
+        const mail = sent[sent.length - 1];
+        assert.deepStrictEqual(mail.attachments, []);
+        assert.ok(mail.text.includes('/api/downloads/'), mail.text);
+        assert.strictEqual(fs.existsSync(path.join(process.env.EMAIL_DIGEST_DIR, `${result.digestId}.zip`)), false);
+        assert.strictEqual(emailDigest.getDigest(result.digestId).zip_path, null);
+    });
+
+    await test('failed sends are retried and missing files fail only their item', async () => {
+        recipients.setCustomerRule('Acme Ltd', { recipients: ['pods@acme.example'], delivery: 'DIGEST' });
+        const present = createPod('TM-2', 50);
+        const gone = createPod('TM-1', 50);
+        hold('Acme Ltd', present, '2026-10-21T09:00:00Z');
+        hold('Acme Ltd', gone, '2026-10-21T09:00:00Z');
+        fs.unlinkSync(gone.storage_uri);
+
+        failNext = 'Connection timeout';
+        const now = new Date('2026-10-21T16:30:00Z');
+        let result = await emailDigest.runCheck({ now });
+        assert.strictEqual(result.sent[0].status, 'RETRY');
+        let digest = emailDigest.getDigest(result.sent[0].digestId);
+        assert.strictEqual(digest.error, 'Connection timeout');
+        assert.deepStrictEqual(digest.items.map(i => [i.attachment_id, i.status]),
+            [[present.id, 'QUEUED'], [gone.id, 'FAILED']]);
+
+        // Not before the retry time
+        result = await emailDigest.runCheck({ now: new Date(now.getTime() + 60 * 1000) });
+        assert.strictEqual(result.retried.length, 0);
+
+        result = await emailDigest.runCheck({ now: new Date(now.getTime() + 10 * 60 * 1000) });
+        assert.strictEqual(result.retried.length, 1);
+        assert.strictEqual(result.retried[0].status, 'SENT');
+        digest = emailDigest.getDigest(digest.id);
+        assert.strictEqual(digest.attempts, 2);
+        assert.deepStrictEqual(digest.items.map(i => i.status), ['SENT', 'FAILED']);
+        assert.strictEqual(digest.items[1].error, 'POD file not found');
+        assert.deepStrictEqual(sent[sent.length - 1].attachments.map(file => file.name), ['TM-2.jpg']);
+    });
+
+    await test('the zip of a digest that finally fails is removed', async () => {
+        recipients.setCustomerRule('Acme Ltd', {
+            recipients: ['pods@acme.example'],
+            delivery: 'DIGEST',
+            digest: { maxAttachmentBytes: 250 }
+        });
+        hold('Acme Ltd', createPod('TM-3', 150), '2026-10-21T10:00:00Z');
+        hold('Acme Ltd', createPod('TM-3', 150), '2026-10-21T10:00:00Z');
+
+        failNext = 'Connection timeout';
+        const now = new Date('2026-10-21T16:30:00Z');
+        const result = await emailDigest.runCheck({ now });
+        assert.strictEqual(result.sent[0].status, 'RETRY');
+        let digest = emailDigest.getDigest(result.sent[0].digestId);
+        const zipPath = digest.zip_path;
+        assert.ok(fs.existsSync(zipPath), 'kept for the retry');
+
+        failNext = 'Connection timeout';
+        const retried = await emailDigest.runCheck({ now: new Date(now.getTime() + 10 * 60 * 1000) });
+        assert.strictEqual(retried.retried[0].status, 'FAILED');
+        digest = emailDigest.getDigest(digest.id);
+        assert.strictEqual(digest.zip_path, null);
+        assert.strictEqual(fs.existsSync(zipPath), false);
+
+        recipients.setCustomerRule('Acme Ltd', { recipients: ['pods@acme.example'], delivery: 'DIGEST' });
+    });
+
+    await test('force sends held PODs before the digest time', async () => {
+        hold('Acme Ltd', createPod('TM-1', 10), '2026-10-22T07:00:00Z');
+        const now = '2026-10-22T08:00:00Z';
+        assert.strictEqual((await emailDigest.runCheck({ now })).sent.length, 0);
+        const result = await emailDigest.runCheck({ now, customer: 'Acme Ltd', force: true });
+        assert.strictEqual(result.sent.length, 1);
+        assert.strictEqual(emailDigest.listDigests({ customer: 'Acme Ltd', status: 'SENT' }).length, 5);
+    });
+
+    await test('PODs routed or approved to OUT reach the digest, immediate customers get an email', async () => {
+        const toReview = pod => {
+            models.updateAttachmentStatus(pod.id, 'REVIEW');
+            return pod;
+        };
+
+        // Routed to OUT by the pipeline's route stage
+        const routed = toReview(createPod('TM-2', 10));
+        podStages.saveResults(routed.id, {
+            fields: { jobRef: 'TM-2' },
+            match: { jobId: jobs.getJob('TM-2').id, jobRef: 'TM-2', customer: 'Acme Ltd', confidence: 0.95 }
+        }, 'OUT');
+
+        // Approved by a reviewer; a second OUT transition holds it only once
+        const approved = toReview(createPod('TM-1', 10));
+        models.updateAttachmentStatus(approved.id, 'OUT');
+        assert.strictEqual(emailQueue.onStatusChange(approved.id, 'REVIEW', 'OUT'), null);
+        emailQueue.onStatusChange(approved.id, 'REVIEW', 'OUT');
+
+        assert.deepStrictEqual([routed, approved].map(pod => emailDigest.getItemsForAttachment(pod.id).length), [1, 1]);
+        const queued = db.getDb().prepare('SELECT COUNT(*) AS n FROM email_queue WHERE attachment_id IN (?, ?)').get(routed.id, approved.id);
+        assert.strictEqual(queued.n, 0, 'digest customers get no separate email');
+
+        const result = await emailDigest.runCheck({ now: '2026-10-23T08:00:00Z', customer: 'Acme Ltd', force: true });
+        assert.strictEqual(result.sent[0].count, 2);
+        assert.deepStrictEqual(sent[sent.length - 1].attachments.map(file => file.name), ['TM-2.jpg', 'TM-1.jpg']);
+
+        // A customer on immediate delivery gets the POD email queued, once
+        const immediate = toReview(createPod('TM-3', 10));
+        models.updateAttachmentStatus(immediate.id, 'OUT');
+        const emailQueueId = emailQueue.onStatusChange(immediate.id, 'REVIEW', 'OUT');
+        assert.ok(emailQueueId);
+        assert.strictEqual(emailQueue.onStatusChange(immediate.id, 'REVIEW', 'OUT'), null);
+        const record = emailQueue.getEmailById(emailQueueId);
+        assert.strictEqual(record.status, 'PENDING');
+        assert.deepStrictEqual(JSON.parse(record.recipients_to), ['beta@example.com']);
+        assert.deepStrictEqual(emailDigest.getItemsForAttachment(immediate.id), []);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,222 @@
+/**
+ * Unit Tests: Per-recipient delivery records
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'email-recipients-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const emailRecipients = require('../../emailRecipients');
+const emailSuppressions = require('../../emailSuppressions');
+const emailQueue = require('../../emailQueue');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const message = models.createMessage({
+    chat_id: '447700900123@c.us',
+    sender_id: '447700900123@c.us',
+    received_at: new Date().toISOString(),
+    status: 'QUEUED'
+});
+const attachment = models.createAttachment({
+    message_id: message.id,
+    content_hash: 'hash-1',
+    file_type: 'image/jpeg',
+    file_size: 100,
+    storage_uri: path.join(tmpRoot, 'pod.jpg'),
+    canonical_filename: 'TM-1.jpg',
+    status: 'OUT'
+});
+
+let sequence = 0;
+function queue(recipients, options = {}) {
+    sequence++;
+    const id = `q-${sequence}`;
+    db.getDb().prepare(`
+        INSERT INTO email_queue (id, attachment_id, status, recipients_to, recipients_cc, recipients_bcc, created_at)
+        VALUES (?, ?, 'PENDING', ?, ?, ?, ?)
+    `).run(id, attachment.id, JSON.stringify(recipients.to || []), JSON.stringify(recipients.cc || []),
+        JSON.stringify(recipients.bcc || []), new Date(Date.UTC(2026, 9, 19, 9, 0, sequence)).toISOString());
+    if (!options.legacy) emailRecipients.create(id, attachment.id, recipients);
+    return id;
+}
+
+function statuses(id) {
+    return Object.fromEntries(emailRecipients.getForEmail(id).map(row => [row.email, row.status]));
+}
+
+async function run() {
+    await test('each address gets a PENDING record', () => {
+        const id = queue({ to: ['Pods <Pods@Acme.example>', 'ops@acme.example'], cc: ['cc@acme.example'], bcc: ['audit@turners.example'] });
+        const rows = emailRecipients.getForEmail(id);
+        assert.deepStrictEqual(rows.map(row => [row.email, row.field, row.status]), [
+            ['pods@acme.example', 'to', 'PENDING'],
+            ['ops@acme.example', 'to', 'PENDING'],
+            ['cc@acme.example', 'cc', 'PENDING'],
+            ['audit@turners.example', 'bcc', 'PENDING']
+        ]);
+        assert.deepStrictEqual(emailRecipients.getOutstanding(id).to, ['Pods <Pods@Acme.example>', 'ops@acme.example']);
+
+        // Emails queued before per-recipient records get them from their columns
+        const legacy = queue({ to: ['old@acme.example'] }, { legacy: true });
+        const record = db.getDb().prepare('SELECT * FROM email_queue WHERE id = ?').get(legacy);
+        emailRecipients.ensure(record);
+        emailRecipients.ensure(record);
+        assert.deepStrictEqual(statuses(legacy), { 'old@acme.example': 'PENDING' });
+    });
+
+    await test('accepted and rejected lists set each address; only deferred ones are retried', () => {
+        const id = queue({ to: ['a@acme.example', 'b@acme.example', 'c@acme.example'], cc: ['d@acme.example', 'e@acme.example'] });
+        const attempted = emailRecipients.getOutstanding(id);
+        const outcome = emailRecipients.recordSend(id, attempted, {
+            messageId: '<m-1@turners>',
+            accepted: ['a@acme.example', 'c@acme.example', 'e@acme.example'],
+            rejected: ['b@acme.example', 'd@acme.example'],
+            rejectedErrors: [
+                { recipient: 'b@acme.example', responseCode: 550, response: '550 5.1.1 User unknown', message: 'Recipient command failed: 550 5.1.1 User unknown' },
+                { recipient: 'd@acme.example', responseCode: 452, response: '452 4.2.2 Mailbox full' }
+            ]
+        });
+        assert.deepStrictEqual(outcome, {
+            accepted: ['a@acme.example', 'c@acme.example', 'e@acme.example'],
+            rejected: ['b@acme.example'],
+            deferred: ['d@acme.example']
+        });
+        assert.deepStrictEqual(statuses(id), {
+            'a@acme.example': 'SENT', 'b@acme.example': 'REJECTED', 'c@acme.example': 'SENT',
+            'd@acme.example': 'DEFERRED', 'e@acme.example': 'SENT'
+        });
+        const rejected = emailRecipients.getForEmail(id).find(row => row.email === 'b@acme.example');
+        assert.strictEqual(rejected.response, '550 5.1.1 User unknown');
+        assert.strictEqual(rejected.attempts, 1);
+
+        assert.strictEqual(emailRecipients.settle(id).status, 'PENDING', 'retry for the deferred address');
+        assert.deepStrictEqual(emailRecipients.getOutstanding(id), { to: [], cc: ['d@acme.example'], bcc: [] });
+
+        emailRecipients.recordSend(id, { to: ['d@acme.example'] }, { messageId: '<m-2@turners>', accepted: ['d@acme.example'], rejected: [] });
+        const settled = emailRecipients.settle(id);
+        assert.strictEqual(settled.status, 'PARTIAL');
+        assert.deepStrictEqual([settled.counts.SENT, settled.counts.REJECTED, settled.counts.total], [4, 1, 5]);
+        assert.strictEqual(emailRecipients.findEmailBySmtpMessageId('<m-1@turners>'), id);
+        assert.strictEqual(emailRecipients.findEmailBySmtpMessageId('<m-2@turners>'), id);
+    });
+
+    await test('whole-send errors defer every address until the retries run out', () => {
+        const id = queue({ to: ['x@beta.example', 'y@beta.example'] });
+        emailRecipients.recordError(id, emailRecipients.getOutstanding(id), new Error('Connection timeout'));
+        assert.strictEqual(emailRecipients.settle(id).status, 'PENDING');
+
+        emailRecipients.recordError(id, emailRecipients.getOutstanding(id), new Error('Connection timeout'));
+        const settled = emailRecipients.settle(id, { final: true });
+        assert.strictEqual(settled.status, 'FAILED');
+        assert.deepStrictEqual(statuses(id), { 'x@beta.example': 'FAILED', 'y@beta.example': 'FAILED' });
+        assert.strictEqual(emailRecipients.getForEmail(id)[0].attempts, 2);
+
+        // A manual retry makes them sendable again
+        assert.strictEqual(emailRecipients.resetForRetry(id), 2);
+        assert.strictEqual(emailRecipients.getOutstanding(id).to.length, 2);
+    });
+
+    await test('all recipients rejected (EENVELOPE) or a permanent error bounces the email', () => {
+        const id = queue({ to: ['gone@beta.example'] });
+        const error = Object.assign(new Error("Can't send mail - all recipients were rejected"), {
+            code: 'EENVELOPE',
+            rejected: ['gone@beta.example'],
+            rejectedErrors: [{ recipient: 'gone@beta.example', responseCode: 550, response: '550 No such user' }]
+        });
+        assert.deepStrictEqual(emailRecipients.recordError(id, { to: ['gone@beta.example'] }, error).rejected, ['gone@beta.example']);
+        assert.strictEqual(emailRecipients.settle(id).status, 'BOUNCED');
+
+        const invalid = queue({ to: ['bad@beta.example'] });
+        emailRecipients.recordError(invalid, { to: ['bad@beta.example'] }, new Error('Invalid recipient'), true);
+        assert.strictEqual(emailRecipients.settle(invalid).status, 'BOUNCED');
+    });
+
+    await test('suppressed addresses do not make an email partial; bounces do', () => {
+        const id = queue({ to: ['ok@gamma.example', 'blocked@gamma.example'] });
+        emailRecipients.markSuppressed(id, [{ email: 'blocked@gamma.example', field: 'to', reason: 'HARD_BOUNCE' }]);
+        assert.deepStrictEqual(emailRecipients.getOutstanding(id).to, ['ok@gamma.example']);
+        assert.strictEqual(emailRecipients.hasDelivered(id), false);
+
+        emailRecipients.recordSend(id, { to: ['ok@gamma.example'] }, { messageId: 'sim-1' });
+        assert.strictEqual(emailRecipients.hasDelivered(id), true);
+        assert.strictEqual(emailRecipients.settle(id).status, 'SENT');
+        assert.strictEqual(emailRecipients.getForEmail(id).find(row => row.status === 'SUPPRESSED').error, 'HARD_BOUNCE');
+
+        assert.strictEqual(emailRecipients.recordBounce(id, 'blocked@gamma.example'), null, 'never sent to');
+        const bounced = emailRecipients.recordBounce(id, 'OK@gamma.example', { error: '550 5.1.1 User unknown' });
+        assert.strictEqual(bounced.status, 'BOUNCED');
+
+        const two = queue({ to: ['one@gamma.example', 'two@gamma.example'] });
+        emailRecipients.recordSend(two, emailRecipients.getOutstanding(two), { accepted: ['one@gamma.example', 'two@gamma.example'] });
+        assert.strictEqual(emailRecipients.recordBounce(two, 'two@gamma.example').status, 'PARTIAL');
+    });
+
+    await test('attachments list each email with its per-address status', () => {
+        const emails = emailRecipients.getForAttachment(attachment.id);
+        assert.strictEqual(emails.length, sequence);
+        assert.strictEqual(emails[0].emailQueueId, `q-${sequence}`, 'newest first');
+        assert.deepStrictEqual(emails[0].recipients.map(row => row.status), ['SENT', 'BOUNCED']);
+        assert.deepStrictEqual([emails[0].counts.SENT, emails[0].counts.BOUNCED, emails[0].counts.total], [1, 1, 2]);
+
+        // Recipient records go with a cancelled email
+        db.getDb().prepare('DELETE FROM email_queue WHERE id = ?').run('q-1');
+        assert.strictEqual(emailRecipients.getForEmail('q-1').length, 0);
+    });
+
+    await test('every To address suppressed still sends to CC and BCC on the first attempt', async () => {
+        emailSuppressions.suppress('gone@delta.example', { reason: 'HARD_BOUNCE' });
+        const id = queue({ to: ['gone@delta.example'], cc: ['ops@delta.example'], bcc: ['audit@delta.example'] });
+
+        // No SMTP relay configured - the send is simulated and accepted
+        await emailQueue.processQueue();
+        const record = emailQueue.getEmailById(id);
+        assert.strictEqual(record.status, 'SENT', record.error);
+        assert.deepStrictEqual(statuses(id), {
+            'gone@delta.example': 'SUPPRESSED',
+            'ops@delta.example': 'SENT',
+            'audit@delta.example': 'SENT'
+        });
+
+        // Nothing left at all is still a failure
+        const none = queue({ to: ['gone@delta.example'] });
+        await emailQueue.processQueue();
+        assert.strictEqual(emailQueue.getEmailById(none).status, 'FAILED');
+        assert.strictEqual(emailQueue.getEmailById(none).error, 'All recipients are suppressed');
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,257 @@
+/**
+ * Unit Tests: Bounce processing and recipient suppression
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and rules - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'email-suppressions-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.CUSTOMER_RULES_DIR = path.join(tmpRoot, 'customers');
+process.env.EMAIL_BOUNCE_WEBHOOK_SECRET = 'bounce-secret';
+
+const db = require('../../db');
+db.init();
+const recipients = require('../../recipients');
+const emailSuppressions = require('../../emailSuppressions');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+// Postfix-style DSN for one unknown user and one full mailbox
+const DSN = [
+    'From: MAILER-DAEMON@mx.example.net',
+    'To: noreply@turners-distribution.cloud',
+    'Subject: Undelivered Mail Returned to Sender',
+    'Message-ID: <dsn-1@mx.example.net>',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="B1"',
+    '',
+    '--B1',
+    'Content-Type: text/plain',
+    '',
+    'I\'m sorry to have to inform you that your message could not be delivered.',
+    '',
+    '--B1',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.net',
+    'Arrival-Date: Mon, 19 Oct 2026 10:00:00 +0100',
+    '',
+    'Final-Recipient: rfc822; Gone.User@Acme.example',
+    'Original-Recipient: rfc822;gone.user@acme.example',
+    'Action: failed',
+    'Status: 5.1.1',
+    'Diagnostic-Code: smtp; 550 5.1.1 <gone.user@acme.example>: Recipient',
+    '    address rejected: User unknown',
+    '',
+    'Final-Recipient: rfc822; full@acme.example',
+    'Action: failed',
+    'Status: 5.2.2',
+    'Diagnostic-Code: smtp; 552 5.2.2 Mailbox full',
+    '',
+    '--B1',
+    'Content-Type: text/rfc822-headers',
+    '',
+    'From: Turners Distribution <noreply@turners-distribution.cloud>',
+    'To: gone.user@acme.example, full@acme.example',
+    'Subject: POD for Job TM-1',
+    'Message-ID: <pod-123@turners-distribution.cloud>',
+    '',
+    '--B1--',
+    ''
+].join('\r\n');
+
+const ARF = [
+    'From: abuse@isp.example',
+    'Subject: Abuse report',
+    'Message-ID: <arf-1@isp.example>',
+    'Content-Type: multipart/report; report-type=feedback-report; boundary="B2"',
+    '',
+    '--B2',
+    'Content-Type: text/plain',
+    '',
+    'This is an email abuse report.',
+    '',
+    '--B2',
+    'Content-Type: message/feedback-report',
+    '',
+    'Feedback-Type: abuse',
+    'User-Agent: ISP-FBL/1.0',
+    'Version: 1',
+    '',
+    '--B2',
+    'Content-Type: message/rfc822',
+    '',
+    'From: noreply@turners-distribution.cloud',
+    'To: Angry Person <angry@beta.example>',
+    'Message-ID: <pod-456@turners-distribution.cloud>',
+    '',
+    'POD attached.',
+    '--B2--'
+].join('\n');
+
+async function run() {
+    await test('DSN reports give each failed recipient with hard or soft type', () => {
+        const parsed = emailSuppressions.parseBounce(DSN);
+        assert.strictEqual(parsed.format, 'dsn');
+        assert.strictEqual(parsed.messageId, '<pod-123@turners-distribution.cloud>');
+        assert.deepStrictEqual(parsed.bounces.map(b => [b.email, b.type, b.statusCode]), [
+            ['gone.user@acme.example', 'HARD', '5.1.1'],
+            ['full@acme.example', 'SOFT', '5.2.2']
+        ]);
+        assert.strictEqual(parsed.bounces[0].diagnostic, '550 5.1.1 <gone.user@acme.example>: Recipient address rejected: User unknown');
+
+        const delayed = emailSuppressions.parseReport('Final-Recipient: rfc822; slow@acme.example\nAction: delayed\nStatus: 4.4.1\n');
+        assert.deepStrictEqual(delayed.bounces.map(b => [b.type, b.action]), [['SOFT', 'delayed']]);
+        const delivered = emailSuppressions.parseReport('Final-Recipient: rfc822; ok@acme.example\nAction: delivered\nStatus: 2.0.0\n');
+        assert.strictEqual(delivered.bounces.length, 0);
+
+        const exim = emailSuppressions.parseReport('X-Failed-Recipients: a@x.example, b@x.example\nSubject: Mail delivery failed\n\nbody');
+        assert.deepStrictEqual(exim.bounces.map(b => [b.email, b.type]), [['a@x.example', 'HARD'], ['b@x.example', 'HARD']]);
+    });
+
+    await test('ARF reports and webhook JSON are parsed too', () => {
+        const arf = emailSuppressions.parseBounce({ raw: ARF });
+        assert.strictEqual(arf.format, 'arf');
+        assert.strictEqual(arf.messageId, '<pod-456@turners-distribution.cloud>');
+        assert.deepStrictEqual(arf.bounces.map(b => [b.email, b.type]), [['angry@beta.example', 'COMPLAINT']]);
+
+        const json = emailSuppressions.parseBounce([
+            { email: 'x@acme.example', type: 'hard', reason: 'Mailbox unavailable', messageId: 'q-1' },
+            { recipient: 'y@acme.example', reason: 'User does not exist' },
+            { email: 'z@acme.example', reason: 'Try later' },
+            { email: 'w@acme.example', status: '5.1.2' },
+            { email: 'not an address' }
+        ]);
+        assert.strictEqual(json.messageId, 'q-1');
+        assert.deepStrictEqual(json.bounces.map(b => [b.email, b.type]), [
+            ['x@acme.example', 'HARD'],
+            ['y@acme.example', 'HARD'],
+            ['z@acme.example', 'SOFT'],
+            ['w@acme.example', 'HARD']
+        ]);
+    });
+
+    await test('hard bounces and complaints suppress; soft ones only past the threshold', () => {
+        const now = new Date();
+        const hard = emailSuppressions.recordBounce({ email: 'Gone.User@acme.example', type: 'HARD', statusCode: '5.1.1' }, { source: 'dsn' });
+        assert.strictEqual(hard.suppressed, true);
+        assert.strictEqual(hard.suppression.reason, 'HARD_BOUNCE');
+        assert.strictEqual(hard.suppression.expires_at, null);
+
+        assert.strictEqual(emailSuppressions.recordBounce({ email: 'angry@beta.example', type: 'COMPLAINT' }).suppression.reason, 'COMPLAINT');
+
+        // Old soft bounces outside the window do not count
+        emailSuppressions.recordBounce({ email: 'full@acme.example', type: 'SOFT' }, { now: new Date(now.getTime() - 10 * 86400000) });
+        for (let i = 0; i < 2; i++) {
+            assert.strictEqual(emailSuppressions.recordBounce({ email: 'full@acme.example', type: 'SOFT' }).suppressed, false);
+        }
+        const third = emailSuppressions.recordBounce({ email: 'full@acme.example', type: 'SOFT', statusCode: '5.2.2' });
+        assert.strictEqual(third.suppressed, true);
+        assert.strictEqual(third.suppression.reason, 'SOFT_BOUNCE');
+        const days = (Date.parse(third.suppression.expires_at) - now.getTime()) / 86400000;
+        assert.ok(days > 2.9 && days < 3.1, `soft suppression lasts 3 days, got ${days}`);
+
+        // A hard bounce makes a temporary suppression permanent; a soft one never shortens it
+        assert.strictEqual(emailSuppressions.suppress('full@acme.example', { reason: 'HARD_BOUNCE' }).expires_at, null);
+        assert.strictEqual(emailSuppressions.suppress('full@acme.example', { reason: 'SOFT_BOUNCE', days: 1 }).expires_at, null);
+
+        const history = emailSuppressions.getSuppression('FULL@acme.example');
+        assert.strictEqual(history.status, 'ACTIVE');
+        assert.strictEqual(history.bounces.length, 4);
+    });
+
+    await test('suppressed addresses are dropped from recipients and rules', () => {
+        const filtered = emailSuppressions.filterRecipients({
+            to: ['Gone User <gone.user@acme.example>', 'ok@acme.example'],
+            cc: ['angry@beta.example'],
+            bcc: []
+        }, { attachmentId: 'att-1' });
+        assert.deepStrictEqual(filtered.to, ['ok@acme.example']);
+        assert.deepStrictEqual(filtered.cc, []);
+        assert.deepStrictEqual(filtered.suppressed.map(s => [s.email, s.field, s.reason]), [
+            ['gone.user@acme.example', 'to', 'HARD_BOUNCE'],
+            ['angry@beta.example', 'cc', 'COMPLAINT']
+        ]);
+        const audited = db.getDb().prepare("SELECT COUNT(*) AS n FROM audit_logs WHERE action = 'EMAIL_RECIPIENTS_SUPPRESSED'").get();
+        assert.strictEqual(audited.n, 1);
+
+        recipients.setCustomerRule('Acme Ltd', { recipients: ['gone.user@acme.example', 'ok@acme.example'], cc: ['full@acme.example'] });
+        const rule = recipients.getRecipients('Acme Ltd');
+        assert.deepStrictEqual(rule.to, ['ok@acme.example']);
+        assert.deepStrictEqual(rule.cc, []);
+        assert.deepStrictEqual(rule.suppressed.map(s => s.email), ['gone.user@acme.example', 'full@acme.example']);
+        assert.strictEqual(rule.source, 'customer');
+    });
+
+    await test('expired and lifted suppressions no longer apply', () => {
+        emailSuppressions.suppress('temp@acme.example', { reason: 'SOFT_BOUNCE', days: 1, now: new Date(Date.now() - 2 * 86400000) });
+        assert.strictEqual(emailSuppressions.isSuppressed('temp@acme.example'), false);
+        assert.deepStrictEqual(emailSuppressions.listSuppressions({ status: 'expired' }).map(s => s.email), ['temp@acme.example']);
+
+        const lifted = emailSuppressions.lift('gone.user@acme.example', { actor: 'ops', note: 'Address fixed by customer' });
+        assert.strictEqual(lifted.status, 'LIFTED');
+        assert.strictEqual(lifted.lifted_by, 'ops');
+        assert.strictEqual(emailSuppressions.lift('gone.user@acme.example'), null, 'already lifted');
+        assert.strictEqual(emailSuppressions.isSuppressed('gone.user@acme.example'), false);
+        assert.deepStrictEqual(recipients.getRecipients('Acme Ltd').to, ['gone.user@acme.example', 'ok@acme.example']);
+
+        assert.deepStrictEqual(emailSuppressions.listSuppressions().map(s => s.email).sort(), ['angry@beta.example', 'full@acme.example']);
+        assert.deepStrictEqual(emailSuppressions.listSuppressions({ status: 'LIFTED' }).map(s => s.email), ['gone.user@acme.example']);
+        assert.deepStrictEqual(emailSuppressions.getStatus().byReason, { COMPLAINT: 1, HARD_BOUNCE: 1 });
+        assert.throws(() => emailSuppressions.listSuppressions({ status: 'nope' }), /Unknown suppression status/);
+
+        // A new hard bounce suppresses the lifted address again
+        assert.strictEqual(emailSuppressions.recordBounce({ email: 'gone.user@acme.example', type: 'HARD' }).suppressed, true);
+        assert.strictEqual(emailSuppressions.getSuppression('gone.user@acme.example').lifted_at, null);
+    });
+
+    await test('bounce webhooks need the shared secret', () => {
+        assert.deepStrictEqual(emailSuppressions.checkWebhookSecret('bounce-secret'), { ok: true });
+        assert.strictEqual(emailSuppressions.checkWebhookSecret('wrong').status, 401);
+        assert.strictEqual(emailSuppressions.checkWebhookSecret(undefined).status, 401);
+
+        const status = emailSuppressions.getStatus();
+        assert.strictEqual(status.config.webhookSecret, undefined, 'secret not exposed');
+        assert.strictEqual(status.config.webhookSecretConfigured, true);
+
+        const secret = emailSuppressions.CONFIG.webhookSecret;
+        emailSuppressions.CONFIG.webhookSecret = null;
+        try {
+            const result = emailSuppressions.checkWebhookSecret('bounce-secret');
+            assert.strictEqual(result.status, 503);
+            assert.match(result.error, /EMAIL_BOUNCE_WEBHOOK_SECRET is not set/);
+        } finally {
+            emailSuppressions.CONFIG.webhookSecret = secret;
+        }
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
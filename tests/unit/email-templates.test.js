@@ -0,0 +1,188 @@
+/**
+ * Unit Tests: Per-customer / per-supplier email templates
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and template directory - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-test-'));
+const templatesDir = path.join(tmpRoot, 'email-templates');
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.EMAIL_TEMPLATES_DIR = templatesDir;
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const jobs = require('../../jobs');
+const podStages = require('../../podStages');
+const emailTemplates = require('../../emailTemplates');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function writeTemplate(relativePath, content) {
+    const file = path.join(templatesDir, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+async function run() {
+    await test('variables, escaping, fallbacks and conditionals', () => {
+        const render = (source, variables, html = false) => emailTemplates.renderString(source, variables, { html });
+
+        assert.strictEqual(render('Job {{jobRef}} / {{brand.name}}', { jobRef: 'TM-1', brand: { name: 'Acme' } }), 'Job TM-1 / Acme');
+        assert.strictEqual(render('<p>{{driver}}</p>{{{note}}}', { driver: 'Sam & <Jo>', note: '<b>x</b>' }, true),
+            '<p>Sam &amp; &lt;Jo&gt;</p><b>x</b>');
+        assert.strictEqual(render('Vehicle: {{vehicleReg|N/A}}', {}), 'Vehicle: N/A');
+        assert.strictEqual(render('{{#if a}}A{{#unless b}}-not b{{/unless}}{{else}}no a{{/if}}', { a: 1 }), 'A-not b');
+        assert.strictEqual(render('{{#if a}}A{{else}}no a{{/if}}', { a: '' }), 'no a');
+
+        // Block tags on their own lines leave no blank lines
+        assert.strictEqual(render('Hi\n{{#if driver}}\nDriver: {{driver}}\n{{/if}}\nBye\n', {}), 'Hi\nBye\n');
+        assert.strictEqual(render('Hi\n{{#if driver}}\nDriver: {{driver}}\n{{/if}}\nBye\n', { driver: 'Sam' }), 'Hi\nDriver: Sam\nBye\n');
+
+        for (const bad of ['{{#if a}}open', '{{/if}}', '{{#if a}}{{/unless}}', '{{else}}', '{{#if}}x{{/if}}', '{{a b}}']) {
+            assert.throws(() => render(bad, {}), `${bad} should not render`);
+        }
+    });
+
+    await test('shipped defaults give the standard subject and body', () => {
+        const rendered = emailTemplates.render({ jobRef: 'TM-1', vehicleReg: 'AB12CDE', deliveryDate: '2026-03-10', pageCount: 2 });
+        assert.strictEqual(rendered.subject, 'POD for Job TM-1 - 2026-03-10');
+        assert.deepStrictEqual(rendered.templates, { subject: 'builtin/subject.txt', html: 'builtin/body.html', text: 'builtin/body.txt' });
+        assert.ok(rendered.html.includes('<span class="label">Delivery Date:</span> 2026-03-10'));
+        assert.ok(rendered.html.includes('Proof of Delivery (2 pages)'));
+        assert.ok(rendered.text.includes('The POD has 2 pages'));
+        assert.ok(rendered.text.includes('This is an automated message from Turners Distribution'));
+        assert.strictEqual(rendered.replyTo, null);
+
+        assert.strictEqual(emailTemplates.renderPart('subject', { vehicleReg: 'AB12CDE', deliveryDate: '10/03' }).content, 'POD for Vehicle AB12CDE - 10/03');
+        assert.strictEqual(emailTemplates.renderPart('subject', { jobRef: 'TM-1' }).content, 'POD for Job TM-1');
+        assert.strictEqual(emailTemplates.renderPart('subject', {}).content, 'Proof of Delivery');
+        assert.ok(!emailTemplates.renderPart('text', {}).content.includes('Details:'));
+    });
+
+    await test('customer, supplier and default scopes fall back part by part', () => {
+        writeTemplate('default/template.json', { brand: { name: 'Turners', primaryColor: '#111111' } });
+        writeTemplate('customers/ACME_LTD/subject.txt', '[{{brand.name}}] Delivery {{jobRef}}\n');
+        writeTemplate('customers/ACME_LTD/template.json', { brand: { name: 'Acme Logistics' }, replyTo: 'pods@acme.example' });
+        writeTemplate('suppliers/TARMAC/partials/footer.html', '<footer>Tarmac delivery for {{customer|you}}</footer>\n');
+        writeTemplate('suppliers/TARMAC/body.txt', 'Tarmac POD {{jobRef}}\n');
+
+        const acme = emailTemplates.render({ customer: 'Acme Ltd', supplier: 'Tarmac', jobRef: 'TM-9' });
+        assert.strictEqual(acme.subject, '[Acme Logistics] Delivery TM-9');
+        assert.deepStrictEqual(acme.templates, { subject: 'customers/ACME_LTD/subject.txt', html: 'builtin/body.html', text: 'suppliers/TARMAC/body.txt' });
+        assert.strictEqual(acme.text, 'Tarmac POD TM-9\n');
+        // Shipped body, supplier footer partial, merged branding
+        assert.ok(acme.html.includes('<footer>Tarmac delivery for Acme Ltd</footer>'));
+        assert.ok(acme.html.includes('background: #111111'));
+        assert.deepStrictEqual(acme.brand, {
+            name: 'Acme Logistics',
+            primaryColor: '#111111',
+            logoUrl: null,
+            contactEmail: 'operations@turners-distribution.cloud'
+        });
+        assert.strictEqual(acme.replyTo, 'pods@acme.example');
+
+        const other = emailTemplates.render({ customer: 'Beta', jobRef: 'TM-9' });
+        assert.strictEqual(other.subject, 'POD for Job TM-9');
+        assert.ok(other.html.includes('automated message from Turners'));
+
+        assert.strictEqual(emailTemplates.templateKey(' acme ltd. '), 'ACME_LTD');
+        assert.deepStrictEqual(emailTemplates.listTemplates().scopes.map(scope => scope.scope),
+            ['default', 'customers/ACME_LTD', 'suppliers/TARMAC']);
+    });
+
+    // An attachment matched to a job, sent in by the driver
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: 'hash-1',
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: '/tmp/pod-1.jpg',
+        status: 'OUT',
+        job_ref: 'TM-100'
+    });
+    jobs.importJobs([{ jobRef: 'TM-100', vehicleReg: 'GV66XRO', customer: 'Acme Ltd', jobDate: '2026-03-10' }], { format: 'json' });
+    podStages.saveResults(attachment.id, {
+        classification: { type: 'POD', isPOD: true, confidence: 0.95 },
+        ocr: null,
+        fields: { supplier: 'TARMAC', jobRef: 'TM-100', confidence: 0.9, conflicts: [] },
+        match: { jobId: jobs.getJob('TM-100').id, jobRef: 'TM-100', customer: 'Acme Ltd', confidence: 0.9, candidates: [] },
+        autoSend: null,
+        route: null
+    }, 'OUT');
+
+    await test('variables for an attachment come from its job and sender', () => {
+        const variables = emailTemplates.variablesForAttachment(attachment.id, { customMessage: 'Thanks' });
+        assert.strictEqual(variables.jobRef, 'TM-100');
+        assert.strictEqual(variables.vehicleReg, 'GV66XRO');
+        assert.strictEqual(variables.deliveryDate, '2026-03-10');
+        assert.strictEqual(variables.customer, 'Acme Ltd');
+        assert.strictEqual(variables.supplier, 'TARMAC');
+        assert.strictEqual(variables.driverPhone, '447700900123');
+        assert.strictEqual(variables.pageCount, 1);
+        assert.strictEqual(variables.customMessage, 'Thanks');
+        assert.strictEqual(emailTemplates.variablesForAttachment('missing'), null);
+    });
+
+    await test('preview renders an attachment and unsaved drafts without sending', () => {
+        const result = emailTemplates.preview({ attachmentId: attachment.id });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.subject, '[Acme Logistics] Delivery TM-100');
+        assert.ok(result.html.includes('<span class="label">Driver:</span> 447700900123'));
+
+        const draft = emailTemplates.preview({
+            attachmentId: attachment.id,
+            customer: 'Beta',
+            templates: { subject: 'Draft {{jobRef}} for {{customer}}', 'partials/footer.html': '<footer>draft</footer>' }
+        });
+        assert.strictEqual(draft.subject, 'Draft TM-100 for Beta');
+        assert.strictEqual(draft.templates.subject, 'override');
+        assert.ok(draft.html.includes('<footer>draft</footer>'));
+
+        const broken = emailTemplates.preview({ variables: {}, templates: { html: '{{#if jobRef}}unclosed' } });
+        assert.strictEqual(broken.success, false);
+        assert.ok(broken.error.startsWith('override:'));
+
+        const missingPartial = emailTemplates.preview({ templates: { html: '{{> nope}}' } });
+        assert.ok(missingPartial.error.includes('Partial nope not found'));
+
+        assert.strictEqual(emailTemplates.preview({ attachmentId: 'missing' }).notFound, true);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
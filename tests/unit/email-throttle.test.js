@@ -0,0 +1,233 @@
+/**
+ * Unit Tests: Email queue priority lanes and per-domain rate limits
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and limits - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'email-throttle-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.CUSTOMER_RULES_DIR = path.join(tmpRoot, 'customers');
+process.env.EMAIL_DOMAIN_RATE_PER_MINUTE = '6';
+process.env.EMAIL_DOMAIN_BURST = '3';
+process.env.EMAIL_DOMAIN_RATE_LIMITS = 'slow.example=1, fast.example=120,bad entry';
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const emailThrottle = require('../../emailThrottle');
+const emailRecipients = require('../../emailRecipients');
+const emailQueue = require('../../emailQueue');
+const jobs = require('../../jobs');
+const recipients = require('../../recipients');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const message = models.createMessage({
+    chat_id: '447700900123@c.us',
+    sender_id: '447700900123@c.us',
+    received_at: new Date().toISOString(),
+    status: 'QUEUED'
+});
+const attachment = models.createAttachment({
+    message_id: message.id,
+    content_hash: 'hash-1',
+    file_type: 'image/jpeg',
+    file_size: 100,
+    storage_uri: path.join(tmpRoot, 'pod.jpg'),
+    canonical_filename: 'TM-1.jpg',
+    status: 'OUT'
+});
+
+let sequence = 0;
+function queue(priority, to, cc = []) {
+    sequence++;
+    const id = `q-${sequence}`;
+    db.getDb().prepare(`
+        INSERT INTO email_queue (id, attachment_id, status, recipients_to, recipients_cc, priority, created_at)
+        VALUES (?, ?, 'PENDING', ?, ?, ?, ?)
+    `).run(id, attachment.id, JSON.stringify(to), JSON.stringify(cc), priority, new Date(Date.UTC(2026, 9, 19, 9, 0, sequence)).toISOString());
+    return id;
+}
+
+function pending(offset, size) {
+    return db.getDb().prepare(`
+        SELECT * FROM email_queue WHERE status = 'PENDING' ORDER BY ${emailThrottle.PRIORITY_ORDER}, created_at ASC
+        LIMIT ? OFFSET ?
+    `).all(size, offset);
+}
+
+async function run() {
+    await test('priorities are validated and default to NORMAL', () => {
+        assert.strictEqual(emailThrottle.normalisePriority(), 'NORMAL');
+        assert.strictEqual(emailThrottle.normalisePriority('high'), 'HIGH');
+        assert.throws(() => emailThrottle.normalisePriority('urgent'), /Unknown email priority/);
+        assert.deepStrictEqual(emailThrottle.CONFIG.domainLimits, { 'slow.example': 1, 'fast.example': 120 });
+    });
+
+    await test('recipient domains come from To, CC and BCC', () => {
+        assert.deepStrictEqual(emailThrottle.recipientDomains({
+            recipients_to: JSON.stringify(['Pods <pods@Acme.example>', 'ops@acme.example']),
+            recipients_cc: JSON.stringify(['x@beta.example']),
+            recipients_bcc: null
+        }), ['acme.example', 'beta.example']);
+        assert.deepStrictEqual(emailThrottle.recipientDomains({ recipients_to: '[]' }), []);
+    });
+
+    await test('a domain bucket holds the burst and refills at its rate', () => {
+        const start = Date.UTC(2026, 9, 19, 10, 0, 0);
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(emailThrottle.take(['acme.example'], start).ok, true);
+        }
+        assert.deepStrictEqual(emailThrottle.take(['acme.example'], start), { ok: false, throttled: ['acme.example'] });
+        // 6 a minute: one token every 10 seconds
+        assert.strictEqual(emailThrottle.take(['acme.example'], start + 5000).ok, false);
+        assert.strictEqual(emailThrottle.take(['acme.example'], start + 10000).ok, true);
+
+        // An email takes a token from every domain or from none
+        assert.strictEqual(emailThrottle.take(['slow.example'], start).ok, true);
+        assert.strictEqual(emailThrottle.take(['beta.example', 'slow.example'], start).ok, false);
+        const beta = emailThrottle.getDomainStats(start).find(entry => entry.domain === 'beta.example');
+        assert.deepStrictEqual([beta.tokens, beta.sent], [3, 0]);
+    });
+
+    await test('batches go HIGH lane first and step over throttled domains', () => {
+        const now = Date.UTC(2026, 9, 19, 11, 0, 0);
+        const bulk = [1, 2, 3, 4, 5].map(i => queue('LOW', [`user${i}@bulk.example`]));
+        const normal = queue('NORMAL', ['pods@other.example']);
+        const urgent = queue('HIGH', ['pods@bulk.example']);
+
+        const first = emailThrottle.selectBatch(pending, 10, now);
+        assert.deepStrictEqual(first.batch.map(record => record.id), [urgent, normal, bulk[0], bulk[1]]);
+        assert.deepStrictEqual(first.throttled.map(entry => [entry.id, entry.priority, entry.domains]), [
+            [bulk[2], 'LOW', ['bulk.example']],
+            [bulk[3], 'LOW', ['bulk.example']],
+            [bulk[4], 'LOW', ['bulk.example']]
+        ]);
+
+        // The batch size still applies
+        assert.strictEqual(emailThrottle.selectBatch(pending, 1, now + 60000).batch.length, 1);
+    });
+
+    await test('stats break the queue down by lane and domain', () => {
+        db.getDb().prepare("UPDATE email_queue SET status = 'SENT' WHERE priority = 'HIGH'").run();
+        const lanes = emailThrottle.getLaneStats();
+        assert.deepStrictEqual([lanes.HIGH.SENT, lanes.HIGH.PENDING, lanes.NORMAL.PENDING, lanes.LOW.PENDING, lanes.LOW.total], [1, 0, 1, 5, 5]);
+
+        const domains = emailThrottle.getDomainStats(Date.UTC(2026, 9, 19, 11, 0, 0));
+        assert.strictEqual(domains[0].domain, 'bulk.example');
+        assert.strictEqual(domains[0].pending, 5);
+        assert.strictEqual(domains[0].throttled, 3);
+        assert.ok(domains[0].lastThrottledAt);
+        assert.strictEqual(domains.find(entry => entry.domain === 'fast.example'), undefined, 'only domains queued or seen');
+        assert.strictEqual(domains.find(entry => entry.domain === 'slow.example').ratePerMinute, 1);
+    });
+
+    await test('a throttled backlog longer than a page does not hide later emails', () => {
+        const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+        const lookahead = emailThrottle.CONFIG.lookahead;
+        emailThrottle.CONFIG.lookahead = 2;
+        try {
+            // bulk.example has LOW emails pending from above; add more NORMAL ones ahead of the rest
+            [1, 2, 3, 4, 5].forEach(i => queue('NORMAL', [`normal${i}@bulk.example`]));
+            const later = queue('LOW', ['pods@later.example']);
+
+            const result = emailThrottle.selectBatch(pending, 10, now);
+            assert.ok(result.batch.some(record => record.id === later), 'email behind the backlog is sent');
+            assert.ok(result.scanned > emailThrottle.CONFIG.lookahead, 'read more than one page');
+        } finally {
+            emailThrottle.CONFIG.lookahead = lookahead;
+        }
+    });
+
+    await test('a retry is only charged for the domains it still has to go to', () => {
+        const now = Date.UTC(2026, 9, 19, 13, 0, 0);
+        // slow.example gets one email a minute; the first send empties its bucket
+        assert.strictEqual(emailThrottle.take(['slow.example'], now).ok, true);
+
+        db.getDb().prepare("UPDATE email_queue SET status = 'SENT'").run();
+        const id = queue('NORMAL', ['pods@slow.example'], ['ops@retry.example']);
+        const record = db.getDb().prepare('SELECT * FROM email_queue WHERE id = ?').get(id);
+        assert.deepStrictEqual(emailThrottle.outstandingDomains(record), ['slow.example', 'retry.example'], 'not attempted yet');
+
+        emailRecipients.ensure(record);
+        emailRecipients.recordSend(id, { to: ['pods@slow.example'], cc: ['ops@retry.example'], bcc: [] },
+            { accepted: ['pods@slow.example'], rejected: ['ops@retry.example'], rejectedErrors: [{ recipient: 'ops@retry.example', responseCode: 451 }] });
+        assert.deepStrictEqual(emailThrottle.outstandingDomains(record), ['retry.example']);
+
+        const result = emailThrottle.selectBatch(pending, 10, now);
+        assert.deepStrictEqual(result.batch.map(entry => entry.id), [id], 'not held back by slow.example');
+    });
+
+    await test('force-send queues the POD email in the HIGH lane', () => {
+        jobs.importJobs([{ jobRef: 'TM-9', vehicleReg: 'GV66XRO', customer: 'Beta', jobDate: '2026-10-19' }], { format: 'json' });
+        recipients.setCustomerRule('Beta', { recipients: ['pods@beta.example'] });
+        const createPod = hash => {
+            const pod = models.createAttachment({
+                message_id: message.id,
+                content_hash: hash,
+                file_type: 'image/jpeg',
+                file_size: 100,
+                storage_uri: path.join(tmpRoot, `${hash}.jpg`),
+                canonical_filename: 'TM-9.jpg',
+                status: 'REVIEW',
+                job_ref: 'TM-9'
+            });
+            db.getDb().prepare('UPDATE attachments SET matched_job_id = ? WHERE id = ?').run(jobs.getJob('TM-9').id, pod.id);
+            return pod;
+        };
+        // The hook calls POST /api/attachments/:id/force-send makes after moving the POD to OUT
+        const forceSend = pod => {
+            models.updateAttachmentStatus(pod.id, 'OUT');
+            return emailQueue.onStatusChange(pod.id, 'REVIEW', 'OUT', { priority: emailThrottle.PRIORITIES.HIGH });
+        };
+
+        const forced = createPod('hash-forced');
+        const id = forceSend(forced);
+        const record = emailQueue.getEmailById(id);
+        assert.strictEqual(record.priority, 'HIGH');
+        assert.deepStrictEqual(JSON.parse(record.recipients_to), ['pods@beta.example']);
+        assert.strictEqual(emailQueue.getPendingEmails(1)[0].id, id, 'ahead of the NORMAL email queued earlier');
+
+        // Approved first (NORMAL), sent back to review, then force-sent: the same email moves to HIGH
+        const approved = createPod('hash-approved');
+        models.updateAttachmentStatus(approved.id, 'OUT');
+        const approvedId = emailQueue.onStatusChange(approved.id, 'REVIEW', 'OUT');
+        assert.strictEqual(emailQueue.getEmailById(approvedId).priority, 'NORMAL');
+        models.updateAttachmentStatus(approved.id, 'REVIEW');
+        assert.strictEqual(forceSend(approved), null);
+        assert.strictEqual(emailQueue.getEmailById(approvedId).priority, 'HIGH');
+        const emails = db.getDb().prepare('SELECT COUNT(*) AS n FROM email_queue WHERE attachment_id = ?').get(approved.id);
+        assert.strictEqual(emails.n, 1);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
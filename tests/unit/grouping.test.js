@@ -0,0 +1,211 @@
+/**
+ * Unit Tests: Multi-page POD grouping
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and short windows - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'grouping-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.POD_GROUP_WINDOW_MS = '50';
+process.env.POD_GROUP_CAPTION_WINDOW_MS = '100';
+process.env.POD_GROUP_MAX_PAGES = '3';
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const grouping = require('../../grouping');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const CONFIG = { windowMs: 60000, captionWindowMs: 300000, maxPages: 10 };
+const T0 = new Date('2024-03-05T10:00:00Z').getTime();
+
+function page(id, offsetSeconds, caption = null, chatId = 'chat-1') {
+    return { chatId, attachmentId: id, caption, receivedAt: new Date(T0 + offsetSeconds * 1000) };
+}
+
+function group(pages, caption = null) {
+    return { caption, lastReceivedAt: pages[pages.length - 1].receivedAt, pages };
+}
+
+async function run() {
+    await test('normaliseCaption ignores case and whitespace', () => {
+        assert.strictEqual(grouping.normaliseCaption('  Docket  4471 '), 'docket 4471');
+        assert.strictEqual(grouping.normaliseCaption('   '), null);
+        assert.strictEqual(grouping.normaliseCaption(null), null);
+    });
+
+    await test('shouldJoin accepts uncaptioned page inside the window', () => {
+        assert.strictEqual(grouping.shouldJoin(group([page('a', 0)]), page('b', 30), CONFIG), true);
+    });
+
+    await test('shouldJoin rejects uncaptioned page outside the window', () => {
+        assert.strictEqual(grouping.shouldJoin(group([page('a', 0)]), page('b', 90), CONFIG), false);
+    });
+
+    await test('shouldJoin accepts same caption within the caption window', () => {
+        const g = group([page('a', 0, 'Docket 4471')], 'docket 4471');
+        assert.strictEqual(grouping.shouldJoin(g, page('b', 200, 'docket 4471'), CONFIG), true);
+    });
+
+    await test('shouldJoin starts a new document on a different caption', () => {
+        const g = group([page('a', 0, 'Docket 4471')], 'docket 4471');
+        assert.strictEqual(grouping.shouldJoin(g, page('b', 5, 'Docket 9000'), CONFIG), false);
+    });
+
+    await test('shouldJoin respects maxPages', () => {
+        const g = group([page('a', 0), page('b', 1)]);
+        assert.strictEqual(grouping.shouldJoin(g, page('c', 2), { ...CONFIG, maxPages: 2 }), false);
+    });
+
+    await test('groupPages splits by chat, window and caption', () => {
+        const groups = grouping.groupPages([
+            page('a1', 0),
+            page('b1', 5, null, 'chat-2'),
+            page('a2', 20),
+            page('a3', 200),
+            page('a4', 210, 'Docket 1'),
+            page('a5', 215, 'Docket 2')
+        ], CONFIG);
+
+        assert.deepStrictEqual(groups.map(g => g.pages.map(p => p.attachmentId)), [
+            ['a1', 'a2'],
+            ['b1'],
+            ['a3', 'a4'],
+            ['a5']
+        ]);
+    });
+
+    await test('addPage flushes one document after the window expires', async () => {
+        const flushed = [];
+        grouping.setFlushHandler(async (doc) => { flushed.push(doc); });
+
+        const now = Date.now();
+        await grouping.addPage({ chatId: 'live', attachmentId: 'p1', receivedAt: new Date(now) });
+        await grouping.addPage({ chatId: 'live', attachmentId: 'p2', receivedAt: new Date(now + 10) });
+        assert.strictEqual(grouping.hasOpenGroup('live'), true);
+
+        await sleep(120);
+        assert.strictEqual(flushed.length, 1);
+        assert.deepStrictEqual(flushed[0].pages.map(p => p.attachmentId), ['p1', 'p2']);
+        assert.strictEqual(grouping.hasOpenGroup('live'), false);
+    });
+
+    await test('addPage flushes immediately when maxPages is reached', async () => {
+        const flushed = [];
+        grouping.setFlushHandler(async (doc) => { flushed.push(doc); });
+
+        const now = Date.now();
+        for (let i = 0; i < 3; i++) {
+            await grouping.addPage({ chatId: 'full', attachmentId: `f${i}`, receivedAt: new Date(now + i) });
+        }
+        assert.strictEqual(flushed.length, 1);
+        assert.strictEqual(flushed[0].pages.length, 3);
+        assert.strictEqual(grouping.hasOpenGroup('full'), false);
+    });
+
+    await test('addPage orders pages by receivedAt when they arrive out of order', async () => {
+        const flushed = [];
+        grouping.setFlushHandler(async (doc) => { flushed.push(doc); });
+
+        const now = Date.now();
+        await grouping.addPage({ chatId: 'late', attachmentId: 'o2', receivedAt: new Date(now + 10) });
+        const early = await grouping.addPage({ chatId: 'late', attachmentId: 'o1', receivedAt: new Date(now) });
+        assert.strictEqual(early.pageNumber, 1);
+        assert.strictEqual(grouping.getStatus().openGroups.find(g => g.chatId === 'late').lastReceivedAt.getTime(), now + 10);
+
+        await grouping.addPage({ chatId: 'late', attachmentId: 'o3', receivedAt: new Date(now + 20) });
+        assert.strictEqual(flushed.length, 1);
+        assert.deepStrictEqual(flushed[0].pages.map(p => p.attachmentId), ['o1', 'o2', 'o3']);
+    });
+
+    await test('recover processes leftover pages as documents', async () => {
+        const flushed = [];
+        grouping.setFlushHandler(async (doc) => { flushed.push(doc); });
+
+        const count = await grouping.recover([page('r1', 0), page('r2', 0.01), page('r3', 60)]);
+        assert.strictEqual(count, 2);
+        assert.deepStrictEqual(flushed.map(d => d.pages.length), [2, 1]);
+    });
+
+    await test('recover skips pages already held in an open group', async () => {
+        const flushed = [];
+        grouping.setFlushHandler(async (doc) => { flushed.push(doc); });
+
+        const now = Date.now();
+        await grouping.addPage({ chatId: 'resumed', attachmentId: 'h1', receivedAt: new Date(now) });
+        assert.strictEqual(grouping.isHeld('h1'), true);
+
+        const count = await grouping.recover([
+            { chatId: 'resumed', attachmentId: 'h1', receivedAt: new Date(now) },
+            { chatId: 'resumed', attachmentId: 'h0', receivedAt: new Date(now - 5) }
+        ]);
+        assert.strictEqual(count, 1);
+        assert.deepStrictEqual(flushed.map(d => d.pages.map(p => p.attachmentId)), [['h0']]);
+
+        await grouping.flushGroup('resumed');
+        assert.deepStrictEqual(flushed[1].pages.map(p => p.attachmentId), ['h1']);
+    });
+
+    await test('linkDocumentPages keeps the head in the queue and hides other pages', () => {
+        const message = models.createMessage({ chat_id: 'c', sender_id: 's', received_at: new Date().toISOString() });
+        const ids = [1, 2, 3].map(n => models.createAttachment({
+            message_id: message.id,
+            content_hash: `hash-${n}`,
+            storage_uri: `/tmp/page-${n}.jpg`,
+            status: 'GROUPING'
+        }).id);
+
+        models.linkDocumentPages(ids[0], ids);
+        models.updateAttachmentStatus(ids[0], 'REVIEW');
+
+        const pages = models.getDocumentPages(ids[0]);
+        assert.deepStrictEqual(pages.map(p => p.id), ids);
+        assert.deepStrictEqual(pages.map(p => p.page_number), [1, 2, 3]);
+        assert.strictEqual(pages[1].status, 'PAGE');
+
+        const review = models.getAttachmentsByStatus('REVIEW');
+        assert.strictEqual(review.length, 1);
+        assert.strictEqual(review[0].page_count, 3);
+    });
+
+    await test('getDocumentPages returns a single-page attachment on its own', () => {
+        const message = models.createMessage({ chat_id: 'c', sender_id: 's', received_at: new Date().toISOString() });
+        const single = models.createAttachment({ message_id: message.id, content_hash: 'single', storage_uri: '/tmp/s.jpg' });
+        const pages = models.getDocumentPages(single.id);
+        assert.strictEqual(pages.length, 1);
+        assert.strictEqual(pages[0].id, single.id);
+    });
+
+    grouping.stop();
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
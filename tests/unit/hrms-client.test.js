@@ -0,0 +1,156 @@
+/**
+ * Unit Tests: HRMS client against the local stand-in server
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, no seed file - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-client-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+
+const db = require('../../db');
+db.init();
+const jobs = require('../../jobs');
+const match = require('../../match');
+const hrmsClient = require('../../lib/hrms-client');
+const standin = require('../../scripts/hrms-standin');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+    const { app, server, url } = await standin.start({ port: 0, token: 'test-token' });
+    const stats = app.locals.stats;
+    const setMode = mode => { app.locals.mode = { latencyMs: 0, failRate: 0, status: 503, ...mode }; };
+
+    hrmsClient.configure({
+        endpoint: url,
+        token: 'test-token',
+        timeoutMs: 200,
+        pageSize: 2,
+        breakerThreshold: 2,
+        breakerResetMs: 150
+    });
+
+    await test('stand-in fixtures resolve day offsets to dates', () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const job = app.locals.jobs.find(j => j.job_ref === 'TM-100245');
+        assert.strictEqual(job.job_date, today);
+        assert.ok(app.locals.jobs.length >= 10);
+    });
+
+    await test('job lists are followed across pages', async () => {
+        const before = stats.requests;
+        const result = await hrmsClient.getJobs({ vehicleReg: 'GV66 XRO' });
+        assert.deepStrictEqual(result.map(job => job.job_ref).sort(), ['TM-100231', 'TM-100245', 'TM-100246']);
+        assert.strictEqual(stats.requests - before, 2);
+    });
+
+    await test('repeated requests are served from cache', async () => {
+        const before = stats.requests;
+        await hrmsClient.getJobs({ vehicleReg: 'GV66 XRO' });
+        assert.strictEqual(stats.requests, before);
+        assert.ok(hrmsClient.getStatus().metrics.cacheHits >= 1);
+    });
+
+    await test('identical concurrent requests share one call', async () => {
+        setMode({ latencyMs: 30 });
+        const before = stats.requests;
+        const results = await Promise.all([1, 2, 3].map(() => hrmsClient.getJobs({ jobRef: 'DK-7781' })));
+        assert.strictEqual(stats.requests - before, 1);
+        assert.ok(results.every(result => result[0].job_ref === 'DK-7781'));
+        assert.ok(hrmsClient.getStatus().metrics.coalesced >= 2);
+        setMode({});
+    });
+
+    await test('slow responses time out', async () => {
+        setMode({ latencyMs: 400 });
+        await assert.rejects(hrmsClient.getJobs({ jobRef: 'CX-5001' }), error => error.code === 'TIMEOUT');
+        assert.strictEqual(hrmsClient.getStatus().metrics.timeouts, 1);
+        setMode({});
+    });
+
+    await test('the circuit opens after repeated failures and fails fast', async () => {
+        setMode({ failRate: 1 });
+        await assert.rejects(hrmsClient.getJobs({ jobRef: 'HD-3001' }), error => error.code === 'HTTP_ERROR' && error.status === 503);
+
+        const status = hrmsClient.getStatus();
+        assert.strictEqual(status.circuit.state, 'open');
+        assert.ok(status.circuit.retryAt);
+        assert.strictEqual(hrmsClient.getHealth().status, 'unhealthy');
+
+        const before = stats.requests;
+        await assert.rejects(hrmsClient.getJobs({ jobRef: 'MV-88120' }), error => error.code === 'CIRCUIT_OPEN');
+        assert.strictEqual(stats.requests, before);
+    });
+
+    await test('matching falls back to the jobs table while the circuit is open', async () => {
+        match.init({ useApi: true, hrmsApiEndpoint: url, apiToken: 'test-token' });
+        hrmsClient.configure({ timeoutMs: 200, pageSize: 2, breakerThreshold: 2, breakerResetMs: 150 });
+        hrmsClient.breaker.state = 'open';
+        hrmsClient.breaker.openedAt = Date.now();
+        jobs.importJobs([{ jobRef: 'LOCAL-1', vehicleReg: 'GV66XRO' }], { format: 'json' });
+
+        const result = await match.findMatch({ jobRef: 'LOCAL-1' });
+        assert.strictEqual(result.summary.jobSource, 'jobs-table');
+        assert.strictEqual(result.summary.hrmsError.code, 'CIRCUIT_OPEN');
+        assert.strictEqual(result.match.jobRef, 'LOCAL-1');
+    });
+
+    await test('a successful trial request closes the circuit', async () => {
+        setMode({});
+        await sleep(200);
+        const result = await match.findMatch({ vehicleReg: 'KX19ABC' });
+
+        assert.strictEqual(result.summary.jobSource, 'hrms');
+        assert.strictEqual(result.candidates.length, 2);
+        assert.strictEqual(hrmsClient.getStatus().circuit.state, 'closed');
+        assert.strictEqual(hrmsClient.getHealth().status, 'healthy');
+    });
+
+    await test('sender fallback uses the HRMS by-sender endpoint', async () => {
+        const result = await match.findBestMatch({ sender: '447700900456' });
+        assert.strictEqual(result.matchType, 'SENDER_MATCH');
+        assert.ok(['DK-7781', 'DK-7790'].includes(result.job.ref));
+    });
+
+    await test('status reports metrics and latency', () => {
+        const { metrics } = hrmsClient.getStatus();
+        assert.ok(metrics.httpRequests > 0);
+        assert.ok(metrics.latency.samples > 0);
+        assert.ok(metrics.latency.p95Ms !== null);
+        assert.ok(metrics.lastSuccessAt);
+    });
+
+    await new Promise(resolve => server.close(resolve));
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
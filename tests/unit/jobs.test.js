@@ -0,0 +1,167 @@
+/**
+ * Unit Tests: Jobs reference table, imports and matching against it
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, no seed file - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+
+const db = require('../../db');
+db.init();
+const jobs = require('../../jobs');
+const match = require('../../match');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const today = new Date().toISOString().slice(0, 10);
+
+const CSV = [
+    'Job Ref,Vehicle Reg,Customer,Driver Phone,Delivery Date,Status,PO Number',
+    `TM-100245,GV66 XRO,"Acme Build, Ltd",07700 900123,${today},Open,PO-1`,
+    `DK-7781,AB12CDE,Smith & Co,,${today},completed,`,
+    ',AB12CDE,No Ref,,,,',
+    'CX-5001,KX19ABC,Bad Date,,31/02/2024,OPEN,',
+    'CX-5002,KX19ABD,Bad Status,,,LOST,',
+    'TM-100246,NOTAREG1234,"Quoted ""name""",,,OPEN,'
+].join('\r\n');
+
+async function run() {
+    match.init();
+
+    await test('CSV import reports rejected rows and warnings', () => {
+        const report = jobs.importJobs(CSV, { format: 'csv' });
+
+        assert.strictEqual(report.success, true);
+        assert.strictEqual(report.total, 6);
+        assert.strictEqual(report.inserted, 3);
+        assert.strictEqual(report.rejected, 3);
+        assert.deepStrictEqual(report.errors.map(issue => issue.row), [4, 5, 6]);
+        assert.ok(report.errors[0].message.includes('jobRef is required'));
+        assert.ok(report.errors[1].message.includes('not a valid date'));
+        assert.ok(report.errors[2].message.includes('status "LOST"'));
+        assert.strictEqual(report.warnings.length, 1);
+        assert.strictEqual(report.warnings[0].jobRef, 'TM-100246');
+    });
+
+    await test('imported columns are normalised and extras kept', () => {
+        const job = jobs.getJob('tm 100245');
+        assert.strictEqual(job.job_ref, 'TM-100245');
+        assert.strictEqual(job.vehicle_reg, 'GV66XRO');
+        assert.strictEqual(job.customer, 'Acme Build, Ltd');
+        assert.strictEqual(job.driver_phone, '447700900123');
+        assert.strictEqual(job['PO Number'], 'PO-1');
+        assert.strictEqual(jobs.getJob('TM-100246').customer, 'Quoted "name"');
+
+        const closed = jobs.getJob('DK-7781');
+        assert.strictEqual(closed.status, 'CLOSED');
+        assert.ok(closed.closed_at);
+    });
+
+    await test('JSON import upserts by job ref', () => {
+        const report = jobs.importJobs({
+            jobs: [
+                { job_ref: 'TM-100245', vehicle_reg: 'GV66 XRO', customer: 'Acme Build, Ltd', driver_phone: '447700900123', date: today, 'PO Number': 'PO-1' },
+                { jobRef: 'TM-100246', vehicleReg: 'NOTAREG1234', customer: 'Renamed' },
+                { jobRef: 'HD-3001', vehicleReg: 'YX70 KLM' },
+                { jobRef: 'HD-3001', vehicleReg: 'YX70 KLN' }
+            ]
+        }, { format: 'json' });
+
+        assert.strictEqual(report.inserted, 1);
+        assert.strictEqual(report.updated, 1);
+        assert.strictEqual(report.unchanged, 1);
+        assert.strictEqual(report.duplicates, 1);
+        assert.strictEqual(jobs.getJob('HD-3001').vehicle_reg, 'YX70KLN');
+        assert.strictEqual(jobs.getJob('TM-100246').customer, 'Renamed');
+        assert.strictEqual(jobs.getStats().total, 4);
+    });
+
+    await test('dry run validates without writing and is kept in the import history', () => {
+        const report = jobs.importJobs('[{"jobRef":"NEW-1"},{"vehicleReg":"AB12CDE"}]', { format: 'json', dryRun: true });
+        assert.strictEqual(report.inserted, 1);
+        assert.strictEqual(report.rejected, 1);
+        assert.strictEqual(jobs.getJob('NEW-1'), null);
+
+        const stored = jobs.getImport(report.importId);
+        assert.strictEqual(stored.dryRun, true);
+        assert.strictEqual(stored.errors.length, 1);
+        assert.strictEqual(jobs.listImports()[0].id, report.importId);
+    });
+
+    await test('unparseable input fails the import', () => {
+        assert.strictEqual(jobs.importJobs('a,"b', { format: 'csv' }).success, false);
+        assert.strictEqual(jobs.importJobs('{"jobs": 1}', { format: 'json' }).success, false);
+        assert.strictEqual(jobs.importJobs('[]', { format: 'xml' }).success, false);
+    });
+
+    await test('findMatch uses jobs imported after startup', async () => {
+        jobs.importJobs([{ jobRef: 'EC-4410', vehicleReg: 'LM21 OPQ' }], { format: 'json' });
+
+        const exact = await match.findMatch({ jobRef: 'ec4410' });
+        assert.strictEqual(exact.match.jobRef, 'EC-4410');
+        assert.strictEqual(exact.match.matchType, 'EXACT_JOB_REF');
+
+        const byReg = await match.findMatch({ vehicleReg: 'YX70 KLN' });
+        assert.strictEqual(byReg.match.jobRef, 'HD-3001');
+
+        const fuzzy = await match.findMatch({ jobRef: 'TM-1002455' });
+        assert.strictEqual(fuzzy.match.jobRef, 'TM-100245');
+        assert.strictEqual(fuzzy.match.matchType, 'FUZZY_JOB_REF');
+    });
+
+    await test('sender fallback finds the driver\'s open job', async () => {
+        const result = await match.findBestMatch({ sender: '447700900123' });
+        assert.strictEqual(result.matchType, 'SENDER_MATCH');
+        assert.strictEqual(result.job.ref, 'TM-100245');
+    });
+
+    await test('closed jobs expire after the retention period', () => {
+        const old = new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString();
+        jobs.importJobs([{ jobRef: 'OLD-1', status: 'CLOSED', closedAt: old }], { format: 'json' });
+
+        assert.strictEqual(jobs.expireClosedJobs({ dryRun: true }).expired, 1);
+        assert.ok(jobs.getJob('OLD-1'));
+
+        assert.strictEqual(jobs.expireClosedJobs().expired, 1);
+        assert.strictEqual(jobs.getJob('OLD-1'), null);
+        // Recently closed jobs stay matchable
+        assert.ok(jobs.getJob('DK-7781'));
+    });
+
+    await test('listJobs filters by status and search text', () => {
+        assert.deepStrictEqual(jobs.listJobs({ status: 'closed' }).jobs.map(job => job.job_ref), ['DK-7781']);
+        assert.strictEqual(jobs.listJobs({ q: 'gv66 xro' }).jobs[0].job_ref, 'TM-100245');
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests: Composite job match scoring
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, no seed file - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'match-scoring-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const jobs = require('../../jobs');
+const match = require('../../match');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const signal = (breakdown, name) => breakdown.signals.find(s => s.signal === name);
+
+async function run() {
+    match.init();
+
+    // One tipper on a different job most days, two jobs on 11 March
+    jobs.importJobs([
+        { jobRef: 'TM-100240', vehicleReg: 'GV66XRO', date: '2024-03-01', supplier: 'TARMAC', customer: 'Acme' },
+        { jobRef: 'TM-100241', vehicleReg: 'GV66XRO', date: '2024-03-05', supplier: 'TARMAC', customer: 'Acme' },
+        { jobRef: 'TM-100245', vehicleReg: 'GV66XRO', date: '2024-03-12', supplier: 'TARMAC', customer: 'Acme', driverPhone: '07700 900123' },
+        { jobRef: 'TM-100247', vehicleReg: 'GV66XRO', date: '2024-03-20', supplier: 'TARMAC', customer: 'Acme' },
+        { jobRef: 'CX-5001', vehicleReg: 'KX19ABC', date: '2024-03-11', supplier: 'CEMEX', customer: 'Bravo' },
+        { jobRef: 'CX-5002', vehicleReg: 'KX19ABC', date: '2024-03-11', supplier: 'CEMEX', customer: 'Bravo' }
+    ], { format: 'json' });
+
+    await test('an exact job ref scores on identity with a full breakdown', async () => {
+        const result = await match.findMatch({ jobRef: 'TM-100245', vehicleReg: 'GV66 XRO', date: '2024-03-12', supplier: 'TARMAC' });
+
+        assert.strictEqual(result.match.jobRef, 'TM-100245');
+        assert.strictEqual(result.match.matchType, 'EXACT_JOB_REF');
+        assert.strictEqual(result.match.confidence, 1);
+
+        const { breakdown } = result.match;
+        assert.strictEqual(breakdown.identity.jobRef.result, 'EXACT');
+        assert.strictEqual(breakdown.identity.vehicleReg.result, 'EXACT');
+        assert.strictEqual(signal(breakdown, 'date').result, 'SAME_DAY');
+        assert.strictEqual(signal(breakdown, 'supplier').result, 'AGREE');
+        assert.ok(result.candidates.every(candidate => candidate.breakdown));
+    });
+
+    await test('the delivery date picks the job for a reg shared across the month', async () => {
+        const result = await match.findMatch({ vehicleReg: 'GV66XRO', date: '2024-03-13' });
+
+        assert.strictEqual(result.match.jobRef, 'TM-100245');
+        assert.strictEqual(result.match.matchType, 'EXACT_VEHICLE_REG');
+        assert.strictEqual(result.summary.ambiguous, false);
+        assert.strictEqual(signal(result.match.breakdown, 'date').detail.days, 1);
+
+        const far = result.candidates.find(candidate => candidate.jobRef === 'TM-100240');
+        assert.strictEqual(signal(far.breakdown, 'date').result, 'OUT_OF_WINDOW');
+        assert.ok(far.confidence < result.match.confidence);
+    });
+
+    await test('a reg alone with nothing to separate the jobs is ambiguous', async () => {
+        const result = await match.findMatch({ vehicleReg: 'KX19 ABC', date: '2024-03-11' });
+
+        assert.strictEqual(result.summary.ambiguous, true);
+        const ambiguity = signal(result.match.breakdown, 'ambiguity');
+        assert.strictEqual(ambiguity.detail.candidates, 2);
+        assert.ok(result.match.confidence < result.candidates[1].confidence);
+    });
+
+    await test('supplier disagreement lowers the score', async () => {
+        const agree = await match.findMatch({ jobRef: 'CX-5001', supplier: 'Cemex UK' });
+        const disagree = await match.findMatch({ jobRef: 'CX-5001', supplier: 'TARMAC' });
+
+        assert.strictEqual(signal(agree.match.breakdown, 'supplier').result, 'AGREE');
+        assert.strictEqual(signal(disagree.match.breakdown, 'supplier').result, 'DISAGREE');
+        assert.ok(disagree.match.confidence < agree.match.confidence);
+    });
+
+    await test('the sender\'s usual jobs corroborate a reg match', async () => {
+        // The job's own driver
+        const driver = await match.findMatch({ vehicleReg: 'GV66XRO' }, null, { sender: '447700900123@c.us' });
+        assert.strictEqual(driver.match.jobRef, 'TM-100245');
+        assert.strictEqual(signal(driver.match.breakdown, 'sender').result, 'DRIVER');
+
+        // A sender whose earlier PODs for this vehicle were sent
+        const message = models.createMessage({
+            chat_id: '447700900999@c.us',
+            sender_id: '447700900999@c.us',
+            received_at: new Date().toISOString(),
+            status: 'PROCESSED'
+        });
+        const previous = models.createAttachment({
+            message_id: message.id,
+            content_hash: 'history-1',
+            file_type: 'image/jpeg',
+            storage_uri: '/tmp/history-1.jpg',
+            status: 'OUT'
+        });
+        models.updateAttachmentStatus(previous.id, 'OUT', { matchedJobId: jobs.getJob('CX-5001').id });
+
+        const usual = await match.findMatch({ vehicleReg: 'KX19ABC', date: '2024-03-11' }, null, { sender: '447700900999@c.us' });
+        assert.strictEqual(signal(usual.match.breakdown, 'sender').result, 'USUAL_VEHICLE');
+    });
+
+    await test('the breakdown is kept with the stored match results', async () => {
+        const jobMatch = await match.findMatch({ jobRef: 'TM-100245' });
+        const results = podStages.buildResults({ classification: { type: 'POD' }, jobMatch });
+
+        assert.deepStrictEqual(results.match.breakdown, jobMatch.match.breakdown);
+        assert.strictEqual(results.match.candidates[0].breakdown.identity.jobRef.result, 'EXACT');
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
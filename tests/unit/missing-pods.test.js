@@ -0,0 +1,219 @@
+/**
+ * Unit Tests: Missing-POD detection and driver chasing
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'missing-pods-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const jobs = require('../../jobs');
+const missingPods = require('../../missingPods');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const NOW = new Date('2026-03-10T10:00:00Z');
+const hoursLater = hours => new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+
+let counter = 0;
+
+function createPod(status, fields) {
+    counter++;
+    const message = models.createMessage({
+        chat_id: '447700900111@c.us',
+        sender_id: '447700900111@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: `/tmp/pod-${counter}.jpg`,
+        status,
+        job_ref: fields.jobRef || null
+    });
+    if (fields.matchedJobId) models.updateAttachmentStatus(attachment.id, status, { matchedJobId: fields.matchedJobId });
+    return attachment.id;
+}
+
+const sent = [];
+let failSends = false;
+
+async function run() {
+    Object.assign(missingPods.CONFIG, {
+        chaseEnabled: true,
+        graceHours: 24,
+        lookbackDays: 14,
+        reminderIntervalHours: 24,
+        maxReminders: 2,
+        escalationChatId: 'ops@g.us',
+        quietStart: 20,
+        quietEnd: 7,
+        timezone: 'UTC'
+    });
+    missingPods.setSender(async (chatId, text) => {
+        if (failSends) throw new Error('WhatsApp not ready');
+        sent.push({ chatId, text });
+    });
+
+    jobs.importJobs([
+        { jobRef: 'TM-1', status: 'DELIVERED', date: '2026-03-08', driverPhone: '07700900111', customer: 'ACME', driver_name: 'Sam' },
+        { jobRef: 'TM-2', status: 'DELIVERED', date: '2026-03-08', driverPhone: '07700900111', customer: 'BETA' },
+        { jobRef: 'TM-3', status: 'DELIVERED', date: '2026-03-09', driverPhone: '07700900111', customer: 'ACME' },
+        { jobRef: 'TM-4', status: 'DELIVERED', date: '2026-03-09', delivered_at: '2026-03-09T08:00:00Z', driverPhone: '07700900222', customer: 'ACME' },
+        { jobRef: 'TM-5', status: 'OPEN', date: '2026-03-08', driverPhone: '07700900222', customer: 'ACME' },
+        { jobRef: 'TM-6', status: 'DELIVERED', date: '2026-03-07', customer: 'BETA' },
+        { jobRef: 'TM-7', status: 'DELIVERED', date: '2026-03-08', driverPhone: '07700900222', customer: 'BETA' },
+        { jobRef: 'TM-8', status: 'DELIVERED', date: '2026-03-08', driverPhone: '07700900222', customer: 'BETA' },
+        { jobRef: 'TM-9', status: 'DELIVERED', date: '2026-02-01', driverPhone: '07700900222', customer: 'BETA' }
+    ], { format: 'json' });
+
+    // TM-2 has a POD by job ref, TM-7 by match; TM-8's only POD was rejected
+    createPod('OUT', { jobRef: 'tm 2' });
+    createPod('REVIEW', { matchedJobId: jobs.getJob('TM-7').id });
+    createPod('QUARANTINE', { jobRef: 'TM-8' });
+
+    await test('delivered jobs without a POD after the grace period are listed', () => {
+        const missing = missingPods.findMissing({ now: NOW });
+        // TM-3 is inside the grace period, TM-9 outside the look-back
+        assert.deepStrictEqual(missing.jobs.map(job => job.jobRef).sort(), ['TM-1', 'TM-4', 'TM-6', 'TM-8']);
+
+        const tm4 = missing.jobs.find(job => job.jobRef === 'TM-4');
+        assert.strictEqual(tm4.hoursOutstanding, 26);
+        assert.strictEqual(tm4.driverPhone, '447700900222');
+        assert.strictEqual(missing.jobs.find(job => job.jobRef === 'TM-1').driverName, 'Sam');
+    });
+
+    await test('outstanding PODs are grouped per driver and customer, and filterable', () => {
+        const missing = missingPods.findMissing({ now: NOW });
+        assert.deepStrictEqual(missing.byDriver[0].jobs.map(job => job.jobRef).sort(), ['TM-4', 'TM-8']);
+        assert.deepStrictEqual(missing.byDriver.map(group => [group.driverPhone || 'none', group.count]).sort(),
+            [['447700900111', 1], ['447700900222', 2], ['none', 1]]);
+        assert.deepStrictEqual(missing.byCustomer.map(group => [group.customer, group.count]).sort(),
+            [['ACME', 2], ['BETA', 2]]);
+
+        assert.strictEqual(missingPods.findMissing({ now: NOW, customer: 'acme' }).total, 2);
+        assert.deepStrictEqual(missingPods.findMissing({ now: NOW, driver: '07700900111' }).jobs.map(j => j.jobRef), ['TM-1']);
+    });
+
+    await test('quiet hours wrap midnight', () => {
+        assert.strictEqual(missingPods.isQuietHours(new Date('2026-03-10T21:00:00Z')), true);
+        assert.strictEqual(missingPods.isQuietHours(new Date('2026-03-10T06:59:00Z')), true);
+        assert.strictEqual(missingPods.isQuietHours(new Date('2026-03-10T07:00:00Z')), false);
+        assert.strictEqual(missingPods.isQuietHours(NOW), false);
+    });
+
+    await test('templates fill placeholders', () => {
+        assert.strictEqual(missingPods.render('Hi {{ driverName }}, {{count}} job(s){{missing}}', { driverName: 'Sam', count: 2 }),
+            'Hi Sam, 2 job(s)');
+    });
+
+    await test('dry run reports messages without sending or recording', async () => {
+        const result = await missingPods.runCheck({ now: NOW, dryRun: true });
+        assert.strictEqual(result.reminders.length, 2);
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(db.getDb().prepare('SELECT COUNT(*) AS count FROM pod_chases').get().count, 0);
+    });
+
+    await test('quiet hours record outstanding jobs but send nothing', async () => {
+        const result = await missingPods.runCheck({ now: new Date('2026-03-10T05:00:00Z') });
+        assert.strictEqual(result.quietHours, true);
+        assert.strictEqual(result.missing, 3);
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(db.getDb().prepare('SELECT COUNT(*) AS count FROM pod_chases WHERE resolved_at IS NULL').get().count, 3);
+    });
+
+    await test('a failed send is recorded and retried on the next check', async () => {
+        failSends = true;
+        const result = await missingPods.runCheck({ now: NOW });
+        failSends = false;
+        assert.ok(result.reminders.every(reminder => !reminder.sent && reminder.error));
+        const tm1 = missingPods.findMissing({ now: NOW }).jobs.find(job => job.jobRef === 'TM-1');
+        assert.strictEqual(tm1.chase.remindersSent, 0);
+        assert.strictEqual(tm1.chase.lastError, 'WhatsApp not ready');
+    });
+
+    await test('each driver gets one reminder listing their jobs; jobs without a driver are escalated', async () => {
+        const result = await missingPods.runCheck({ now: NOW });
+        assert.strictEqual(result.reminders.filter(reminder => reminder.sent).length, 2);
+
+        const toSam = sent.find(message => message.chatId === '447700900111@c.us');
+        assert.ok(toSam.text.startsWith('Hi Sam,'));
+        assert.ok(toSam.text.includes('- TM-1 (ACME, 2026-03-08)'));
+        const toDriver2 = sent.find(message => message.chatId === '447700900222@c.us');
+        assert.ok(toDriver2.text.includes('TM-4') && toDriver2.text.includes('TM-8'));
+
+        const escalation = sent.find(message => message.chatId === 'ops@g.us');
+        assert.ok(escalation.text.includes('no phone on record'));
+        assert.ok(escalation.text.includes('TM-6'));
+        assert.strictEqual(sent.length, 3);
+
+        // Nothing more within the reminder interval
+        sent.length = 0;
+        await missingPods.runCheck({ now: hoursLater(2) });
+        assert.strictEqual(sent.length, 0);
+    });
+
+    await test('reminders escalate after the last one, and a POD resolves the chase', async () => {
+        // Second (final) reminder a day later; TM-3 is now outstanding too
+        await missingPods.runCheck({ now: hoursLater(24) });
+        const final = sent.find(message => message.chatId === '447700900222@c.us');
+        assert.ok(final.text.includes('final reminder'));
+        assert.ok(sent.find(message => message.chatId === '447700900111@c.us').text.includes('TM-3'));
+        assert.ok(!sent.some(message => message.chatId === 'ops@g.us'));
+
+        // TM-4's POD arrives
+        createPod('REVIEW', { jobRef: 'TM-4' });
+
+        // A day after the final reminder driver 2's remaining job is escalated, once
+        sent.length = 0;
+        const result = await missingPods.runCheck({ now: hoursLater(48) });
+        assert.strictEqual(result.resolved, 1);
+        const escalation = sent.find(message => message.chatId === 'ops@g.us' && message.text.includes('447700900222'));
+        assert.ok(escalation.text.includes('TM-8'));
+        assert.ok(!escalation.text.includes('TM-4'));
+        assert.ok(!sent.some(message => message.chatId === '447700900222@c.us'));
+
+        sent.length = 0;
+        await missingPods.runCheck({ now: hoursLater(72) });
+        assert.ok(!sent.some(message => message.text.includes('TM-8')));
+
+        const chase = db.getDb().prepare('SELECT * FROM pod_chases WHERE job_ref = ?').get('TM-4');
+        assert.ok(chase.resolved_at);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
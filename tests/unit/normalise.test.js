@@ -0,0 +1,179 @@
+/**
+ * Unit Tests: Normalise (content-addressed storage)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and storage - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'normalise-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.STORAGE_BASE_PATH = path.join(tmpRoot, 'storage');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const normalise = require('../../normalise');
+const mimeTypes = require('../../lib/mime-types');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const JPEG_HEADER = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function writeTemp(name, header, size = 2048, fill = 0x41) {
+    const filePath = path.join(tmpRoot, name);
+    const body = Buffer.alloc(Math.max(size - header.length, 0), fill);
+    fs.writeFileSync(filePath, Buffer.concat([header, body]));
+    return filePath;
+}
+
+// Tests
+test('detectMimeType recognises JPEG, PNG and PDF', () => {
+    assert.strictEqual(mimeTypes.detectMimeType(JPEG_HEADER), 'image/jpeg');
+    assert.strictEqual(mimeTypes.detectMimeType(PNG_HEADER), 'image/png');
+    assert.strictEqual(mimeTypes.detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+});
+
+test('detectMimeType recognises WebP only with RIFF container', () => {
+    const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP')]);
+    assert.strictEqual(mimeTypes.detectMimeType(webp), 'image/webp');
+    const notRiff = Buffer.concat([Buffer.from('XXXX'), Buffer.alloc(4), Buffer.from('WEBP')]);
+    assert.strictEqual(mimeTypes.detectMimeType(notRiff), null);
+});
+
+test('detectMimeType returns null for unknown content', () => {
+    assert.strictEqual(mimeTypes.detectMimeType(Buffer.from('hello world')), null);
+    assert.strictEqual(mimeTypes.detectMimeType(Buffer.alloc(0)), null);
+});
+
+test('hashBuffer returns SHA-256 hex digest', () => {
+    assert.strictEqual(
+        normalise.hashBuffer(Buffer.from('abc')),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+});
+
+test('getShardedPath uses two levels of two-character shards', () => {
+    const hash = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+    const p = normalise.getShardedPath(hash, '.jpg');
+    assert.strictEqual(p, path.join(normalise.STORAGE_DIR, 'ba', '78', `${hash}.jpg`));
+});
+
+test('buildCanonicalFilename includes date, sender, supplier and short hash', () => {
+    const name = normalise.buildCanonicalFilename({
+        receivedAt: new Date('2024-03-05T14:07:09Z'),
+        sender: '447700900123@c.us',
+        supplier: 'Tuffnells',
+        contentHash: 'ba7816bf8f01cfea',
+        extension: '.jpg'
+    });
+    assert.strictEqual(name, '20240305_140709_447700900123_TUFFNELLS_ba7816bf.jpg');
+});
+
+test('buildCanonicalFilename falls back to UNKNOWN supplier', () => {
+    const name = normalise.buildCanonicalFilename({
+        receivedAt: '2024-03-05T14:07:09Z',
+        sender: null,
+        supplier: null,
+        contentHash: '0123456789abcdef',
+        extension: '.pdf'
+    });
+    assert.strictEqual(name, '20240305_140709_unknown_UNKNOWN_01234567.pdf');
+});
+
+test('validateAndProcessFile trusts magic bytes over declared type', () => {
+    const tempPath = writeTemp('declared-jpeg.bin', PNG_HEADER);
+    const result = normalise.validateAndProcessFile(tempPath, {
+        mimeType: 'image/jpeg',
+        sender: '447700900123@c.us'
+    });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.fileType, 'image/png');
+    assert.strictEqual(result.extension, '.png');
+    assert.strictEqual(result.mimeMismatch, true);
+    assert.strictEqual(result.duplicateOf, null);
+    assert.ok(result.storagePath.endsWith(`${result.contentHash}.png`));
+});
+
+test('validateAndProcessFile rejects files below minimum size', () => {
+    const tempPath = writeTemp('tiny.jpg', JPEG_HEADER, 100);
+    const result = normalise.validateAndProcessFile(tempPath, { mimeType: 'image/jpeg' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('too small'));
+});
+
+test('validateAndProcessFile rejects unsupported content', () => {
+    const tempPath = writeTemp('voice.ogg', Buffer.from('OggS'));
+    const result = normalise.validateAndProcessFile(tempPath, { mimeType: 'audio/ogg' });
+    assert.strictEqual(result.success, false);
+    assert.ok(result.error.includes('Unsupported'));
+});
+
+test('validateAndProcessFile reports missing temp file', () => {
+    const result = normalise.validateAndProcessFile(path.join(tmpRoot, 'missing.jpg'));
+    assert.strictEqual(result.success, false);
+});
+
+test('moveToStorage places file at sharded path and removes temp', () => {
+    const tempPath = writeTemp('store-me.jpg', JPEG_HEADER, 4096, 0x42);
+    const result = normalise.validateAndProcessFile(tempPath, { mimeType: 'image/jpeg' });
+    const stored = normalise.moveToStorage(tempPath, result.storagePath);
+    assert.strictEqual(stored, result.storagePath);
+    assert.ok(fs.existsSync(stored));
+    assert.ok(!fs.existsSync(tempPath));
+});
+
+test('Identical content is reported as duplicate of existing attachment', () => {
+    const firstPath = writeTemp('first.jpg', JPEG_HEADER, 3000, 0x43);
+    const first = normalise.validateAndProcessFile(firstPath, { mimeType: 'image/jpeg' });
+    normalise.moveToStorage(firstPath, first.storagePath);
+
+    const message = models.createMessage({ chat_id: 'c', sender_id: 's', received_at: new Date().toISOString() });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: first.contentHash,
+        file_type: first.fileType,
+        file_size: first.fileSize,
+        storage_uri: first.storagePath,
+        canonical_filename: first.canonicalFilename
+    });
+
+    const secondPath = writeTemp('second.jpg', JPEG_HEADER, 3000, 0x43);
+    const second = normalise.validateAndProcessFile(secondPath, { mimeType: 'image/jpeg' });
+    assert.strictEqual(second.contentHash, first.contentHash);
+    assert.ok(second.duplicateOf);
+    assert.strictEqual(second.duplicateOf.id, attachment.id);
+
+    // Re-storing the same bytes leaves the original in place and drops the temp file
+    normalise.moveToStorage(secondPath, second.storagePath);
+    assert.ok(fs.existsSync(first.storagePath));
+    assert.ok(!fs.existsSync(secondPath));
+});
+
+// Cleanup
+db.getDb().close();
+fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+// Summary
+console.log(`\n========================================`);
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log(`========================================`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests: Staged POD pipeline (inline mode)
+ */
+
+const assert = require('assert');
+
+// Inline mode with fast retries - must be set before requiring the module
+process.env.PIPELINE_INLINE = 'true';
+process.env.PIPELINE_OCR_ATTEMPTS = '3';
+process.env.PIPELINE_OCR_BACKOFF_MS = '5';
+process.env.PIPELINE_MATCH_ATTEMPTS = '2';
+process.env.PIPELINE_MATCH_BACKOFF_MS = '5';
+
+const pipeline = require('../../lib/pipeline');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every test registers its own handlers; stages not under test just finish
+function resetHandlers() {
+    for (const stage of pipeline.STAGE_ORDER) {
+        pipeline.registerStage(stage, async () => null);
+    }
+    pipeline.onDeadLetter(null);
+}
+
+async function run() {
+    await pipeline.start();
+
+    await test('stage config reads per-stage env overrides', () => {
+        assert.deepStrictEqual(pipeline.config.ocr, { attempts: 3, backoffMs: 5, concurrency: 2 });
+        assert.strictEqual(pipeline.config.classify.attempts, 3);
+        assert.strictEqual(pipeline.config.route.backoffMs, 2000);
+    });
+
+    await test('registerStage rejects unknown stages', () => {
+        assert.throws(() => pipeline.registerStage('print', async () => null), /Unknown pipeline stage/);
+    });
+
+    await test('handlers chain through next stages with merged data', async () => {
+        resetHandlers();
+        const seen = [];
+        pipeline.registerStage('ocr', async (data) => {
+            seen.push('ocr');
+            return { next: 'extract', data: { ...data, rawText: 'DOCKET 4471' } };
+        });
+        pipeline.registerStage('extract', async (data) => {
+            seen.push('extract');
+            return { next: 'match', data: { ...data, jobRef: data.rawText.split(' ')[1] } };
+        });
+        pipeline.registerStage('match', async (data) => {
+            seen.push(`match:${data.jobRef}`);
+            return null;
+        });
+
+        await pipeline.runInline('ocr', { attachmentId: 'a1' });
+        assert.deepStrictEqual(seen, ['ocr', 'extract', 'match:4471']);
+    });
+
+    await test('failed attempts are retried and the final attempt is flagged', async () => {
+        resetHandlers();
+        const attempts = [];
+        pipeline.registerStage('ocr', async (data, ctx) => {
+            attempts.push({ attempt: ctx.attempt, final: ctx.isFinalAttempt });
+            if (!ctx.isFinalAttempt) throw new Error('provider timeout');
+            return null;
+        });
+
+        await pipeline.runInline('ocr', { attachmentId: 'a2' });
+        assert.deepStrictEqual(attempts, [
+            { attempt: 1, final: false },
+            { attempt: 2, final: false },
+            { attempt: 3, final: true }
+        ]);
+    });
+
+    await test('exhausted jobs go to the dead-letter handler and list', async () => {
+        resetHandlers();
+        const deadLetters = [];
+        pipeline.onDeadLetter(async (entry) => { deadLetters.push(entry); });
+        pipeline.registerStage('match', async () => {
+            throw new Error('HRMS unavailable');
+        });
+
+        await pipeline.runInline('match', { attachmentId: 'a3' });
+        assert.strictEqual(deadLetters.length, 1);
+        assert.strictEqual(deadLetters[0].stage, 'match');
+        assert.strictEqual(deadLetters[0].attempts, 2);
+        assert.strictEqual(deadLetters[0].error, 'HRMS unavailable');
+        assert.deepStrictEqual(deadLetters[0].data, { attachmentId: 'a3' });
+
+        const listed = await pipeline.getDeadLetters();
+        assert.strictEqual(listed[0].stage, 'match');
+        assert.ok(listed[0].id);
+    });
+
+    await test('retryDeadLetter re-queues the job and removes the entry', async () => {
+        resetHandlers();
+        const retried = [];
+        pipeline.registerStage('match', async (data) => { retried.push(data.attachmentId); return null; });
+
+        const [entry] = await pipeline.getDeadLetters();
+        const result = await pipeline.retryDeadLetter(entry.id);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.stage, 'match');
+
+        await sleep(10);
+        assert.deepStrictEqual(retried, ['a3']);
+        assert.strictEqual((await pipeline.getDeadLetters()).length, 0);
+
+        const missing = await pipeline.retryDeadLetter('nope');
+        assert.strictEqual(missing.success, false);
+    });
+
+    await test('enqueue requires a registered handler and runs detached', async () => {
+        resetHandlers();
+        let ran = false;
+        pipeline.registerStage('route', async () => { ran = true; return null; });
+
+        const job = await pipeline.enqueue('route', { attachmentId: 'a4' });
+        assert.strictEqual(job.inline, true);
+        assert.strictEqual(ran, false);
+        await sleep(10);
+        assert.strictEqual(ran, true);
+
+        delete pipeline.handlers.route;
+        await assert.rejects(() => pipeline.enqueue('route', {}), /No handler registered/);
+    });
+
+    await test('getQueueStats reports per-stage counts and totals', async () => {
+        const stats = await pipeline.getQueueStats();
+        assert.strictEqual(stats.mode, 'inline');
+        assert.deepStrictEqual(Object.keys(stats.stages), pipeline.STAGE_ORDER);
+        assert.strictEqual(stats.stages.ocr.failed, 2);
+        assert.strictEqual(stats.stages.match.failed, 2);
+        assert.strictEqual(stats.deadLetter, 0);
+
+        const completed = Object.values(stats.stages).reduce((sum, s) => sum + s.completed, 0);
+        assert.strictEqual(stats.completed, completed);
+        assert.strictEqual(stats.active, 0);
+        assert.strictEqual(stats.inlineReason, 'PIPELINE_INLINE=true');
+    });
+
+    await test('a Redis PING without a reply times out instead of hanging', async () => {
+        const timeoutMs = pipeline.redisTimeoutMs;
+        pipeline.redisTimeoutMs = 20;
+        try {
+            await assert.rejects(() => pipeline.ping({ ping: () => new Promise(() => {}) }), /no PING reply within 20ms/);
+            assert.strictEqual(await pipeline.ping({ ping: async () => 'PONG' }), 'PONG');
+        } finally {
+            pipeline.redisTimeoutMs = timeoutMs;
+        }
+    });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests: Pipeline classify stage with duplicate files
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and storage - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pod-stages-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.STORAGE_BASE_PATH = path.join(tmpRoot, 'storage');
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const classify = require('../../classify');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const ctx = { attempt: 1, maxAttempts: 3, isFinalAttempt: false, progress: async () => {} };
+const storagePath = path.join(tmpRoot, 'storage', 'ab', 'abc123.jpg');
+fs.mkdirSync(path.dirname(storagePath), { recursive: true });
+fs.writeFileSync(storagePath, 'jpeg bytes');
+
+function createMessage() {
+    return models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+}
+
+function classifyJob(message, contentHash) {
+    return {
+        messageId: message.id,
+        from: '447700900123@c.us',
+        caption: '',
+        receivedAt: new Date().toISOString(),
+        correlationId: `corr-${message.id}`,
+        mimeType: 'image/jpeg',
+        file: {
+            contentHash,
+            fileType: 'image/jpeg',
+            fileSize: 10,
+            storagePath,
+            canonicalFilename: 'abc123.jpg'
+        }
+    };
+}
+
+function createAttachment(message, contentHash) {
+    return models.createAttachment({
+        message_id: message.id,
+        content_hash: contentHash,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: storagePath,
+        canonical_filename: 'abc123.jpg',
+        status: 'REVIEW'
+    });
+}
+
+function duplicateAudits(messageId) {
+    return db.getDb().prepare("SELECT * FROM audit_logs WHERE action = 'DUPLICATE' AND message_id = ?").all(messageId);
+}
+
+async function run() {
+    await test('a file stored under another message marks this message DUPLICATE', async () => {
+        const first = createMessage();
+        const existing = createAttachment(first, 'hash-1');
+        const second = createMessage();
+
+        let classified = false;
+        const original = classify.classify;
+        classify.classify = async () => { classified = true; return {}; };
+        try {
+            assert.strictEqual(await podStages.classifyStage(classifyJob(second, 'hash-1'), ctx), null);
+        } finally {
+            classify.classify = original;
+        }
+
+        assert.strictEqual(classified, false, 'not classified again');
+        assert.strictEqual(models.getMessageById(second.id).status, 'DUPLICATE');
+        const audits = duplicateAudits(second.id);
+        assert.strictEqual(audits.length, 1);
+        assert.strictEqual(audits[0].attachment_id, existing.id);
+        assert.strictEqual(JSON.parse(audits[0].details).existingMessageId, first.id);
+    });
+
+    await test('the same file classified by another message meanwhile is a duplicate, not a failure', async () => {
+        const first = createMessage();
+        const second = createMessage();
+
+        // The first message's classify finishes while the second one is classifying
+        const original = classify.classify;
+        let existing = null;
+        classify.classify = async () => {
+            existing = createAttachment(first, 'hash-2');
+            return { type: 'UNKNOWN', imageType: 'photo', confidence: 0.5, isPOD: false, reason: 'test' };
+        };
+        try {
+            assert.strictEqual(await podStages.classifyStage(classifyJob(second, 'hash-2'), ctx), null);
+        } finally {
+            classify.classify = original;
+        }
+
+        assert.strictEqual(models.getMessageById(second.id).status, 'DUPLICATE');
+        assert.strictEqual(duplicateAudits(second.id)[0].attachment_id, existing.id);
+        assert.strictEqual(models.getAttachmentByHash('hash-2').message_id, first.id);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
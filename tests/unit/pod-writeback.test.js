@@ -0,0 +1,248 @@
+/**
+ * Unit Tests: POD write-back outbox against the local HRMS stand-in
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, write-back on - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'pod-writeback-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.HRMS_WRITEBACK_ENABLED = 'true';
+process.env.PUBLIC_BASE_URL = 'https://pods.example.com/';
+process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const podWriteback = require('../../podWriteback');
+const downloadLinks = require('../../downloadLinks');
+const standin = require('../../scripts/hrms-standin');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+let counter = 0;
+
+function createAttachment(status, jobRef) {
+    counter++;
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+    const attachment = models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: `/tmp/pod-${counter}.jpg`,
+        status,
+        job_ref: jobRef,
+        vehicle_reg: 'AB12CDE'
+    });
+    models.updateAttachmentStatus(attachment.id, status, { matchedJobId: `job-${counter}`, supplier: 'ACME' });
+    return attachment.id;
+}
+
+// Move an attachment to OUT the way the endpoints do
+function approve(id) {
+    const before = models.getAttachmentById(id);
+    models.updateAttachmentStatus(id, 'OUT');
+    return podWriteback.onStatusChange(id, before.status, 'OUT');
+}
+
+function entry(id) {
+    return podWriteback.listOutbox({ limit: 1000 }).find(row => row.id === id);
+}
+
+async function run() {
+    const { app, server, url } = await standin.start({ port: 0, token: 'test-token' });
+    const setMode = mode => { app.locals.mode = { latencyMs: 0, failRate: 0, status: 503, ...mode }; };
+
+    Object.assign(podWriteback.CONFIG, {
+        endpoint: `${url}/api/pods/status`,
+        token: 'test-token',
+        timeoutMs: 200,
+        maxAttempts: 3,
+        retryDelays: [0]
+    });
+
+    await test('moving to OUT queues one POD_RECEIVED update', () => {
+        const id = createAttachment('REVIEW', 'TM-100245');
+        const queued = approve(id);
+        assert.strictEqual(queued.created, true);
+
+        // Already OUT, or OUT again later - no second update
+        assert.strictEqual(podWriteback.onStatusChange(id, 'OUT', 'OUT'), null);
+        models.updateAttachmentStatus(id, 'REVIEW');
+        assert.strictEqual(approve(id).created, false);
+
+        const rows = podWriteback.listOutbox({ attachmentId: id });
+        assert.strictEqual(rows.length, 1);
+        assert.strictEqual(rows[0].status, 'PENDING');
+        assert.strictEqual(rows[0].payload.jobRef, 'TM-100245');
+
+        // A signed link, since /api/files needs the dashboard login
+        const url = new URL(rows[0].payload.downloadUrl);
+        assert.ok(url.href.startsWith('https://pods.example.com/api/downloads/'), url.href);
+        const check = downloadLinks.verify(url.pathname.split('/').pop(), Object.fromEntries(url.searchParams));
+        assert.strictEqual(check.ok, true);
+        assert.strictEqual(check.link.attachment_id, id);
+        assert.ok(Date.parse(check.link.expires_at) > Date.now() + 300 * 86400000, 'long-lived');
+    });
+
+    await test('other transitions and a disabled write-back queue nothing', () => {
+        const id = createAttachment('REVIEW', 'TM-100246');
+        assert.strictEqual(podWriteback.onStatusChange(id, 'REVIEW', 'QUARANTINE'), null);
+
+        podWriteback.CONFIG.enabled = false;
+        try {
+            assert.strictEqual(approve(id), null);
+            assert.strictEqual(podWriteback.onEmailSent(id, 'email-x', []), null);
+        } finally {
+            podWriteback.CONFIG.enabled = true;
+        }
+        assert.strictEqual(podWriteback.listOutbox({ attachmentId: id }).length, 0);
+    });
+
+    await test('processor delivers queued updates to HRMS', async () => {
+        const summary = await podWriteback.processOutbox();
+        assert.ok(summary.delivered >= 1);
+        assert.strictEqual(summary.failed, 0);
+
+        const update = app.locals.podUpdates.find(u => u.jobRef === 'TM-100245');
+        assert.ok(update);
+        assert.strictEqual(update.event, 'POD_RECEIVED');
+        assert.strictEqual(update.key, `${update.attachmentId}:POD_RECEIVED`);
+        assert.strictEqual(update.supplier, 'ACME');
+
+        const row = podWriteback.listOutbox({ attachmentId: update.attachmentId })[0];
+        assert.strictEqual(row.status, 'DELIVERED');
+        assert.strictEqual(row.lastStatusCode, 202);
+        assert.ok(row.deliveredAt);
+    });
+
+    await test('a sent email queues POD_DELIVERED per email', async () => {
+        const id = createAttachment('REVIEW', 'TM-100247');
+        approve(id);
+        podWriteback.onEmailSent(id, 'email-1', ['pods@customer.example']);
+        podWriteback.onEmailSent(id, 'email-1', ['pods@customer.example']);
+        podWriteback.onEmailSent(id, 'email-2', ['pods@customer.example']);
+
+        await podWriteback.processOutbox();
+        const updates = app.locals.podUpdates.filter(u => u.attachmentId === id);
+        assert.deepStrictEqual(updates.map(u => u.event), ['POD_RECEIVED', 'POD_DELIVERED', 'POD_DELIVERED']);
+        assert.deepStrictEqual(updates.map(u => u.emailQueueId), [undefined, 'email-1', 'email-2']);
+        assert.deepStrictEqual(updates[1].recipients, ['pods@customer.example']);
+    });
+
+    await test('server errors are retried, then the update fails', async () => {
+        const id = createAttachment('REVIEW', 'TM-100248');
+        const { id: outboxId } = approve(id);
+        setMode({ failRate: 1, status: 503 });
+
+        await podWriteback.processOutbox();
+        let row = entry(outboxId);
+        assert.strictEqual(row.status, 'PENDING');
+        assert.strictEqual(row.attempts, 1);
+        assert.strictEqual(row.lastStatusCode, 503);
+
+        await podWriteback.processOutbox();
+        await podWriteback.processOutbox();
+        row = entry(outboxId);
+        assert.strictEqual(row.status, 'FAILED');
+        assert.strictEqual(row.attempts, 3);
+        assert.ok(row.lastError.includes('503'));
+        setMode({});
+    });
+
+    await test('a rejected update fails without retrying', async () => {
+        const id = createAttachment('REVIEW', 'TM-100249');
+        const { id: outboxId } = approve(id);
+        setMode({ failRate: 1, status: 422 });
+
+        await podWriteback.processOutbox();
+        const row = entry(outboxId);
+        assert.strictEqual(row.status, 'FAILED');
+        assert.strictEqual(row.attempts, 1);
+        assert.strictEqual(row.lastStatusCode, 422);
+        setMode({});
+    });
+
+    await test('timeouts are retried', async () => {
+        const id = createAttachment('REVIEW', 'TM-100250');
+        const { id: outboxId } = approve(id);
+        setMode({ latencyMs: 400 });
+
+        await podWriteback.processOutbox();
+        const row = entry(outboxId);
+        assert.strictEqual(row.status, 'PENDING');
+        assert.ok(row.lastError.includes('Timed out'));
+        setMode({});
+        await podWriteback.processOutbox();
+        assert.strictEqual(entry(outboxId).status, 'DELIVERED');
+    });
+
+    await test('reconciliation report lists failed updates and OUT PODs never written back', () => {
+        podWriteback.CONFIG.enabled = false;
+        const missingId = createAttachment('REVIEW', 'TM-100251');
+        approve(missingId);
+        podWriteback.CONFIG.enabled = true;
+
+        const report = podWriteback.getReconciliationReport();
+        assert.strictEqual(report.failedCount, 2);
+        assert.deepStrictEqual(report.failed.map(f => f.jobRef).sort(), ['TM-100248', 'TM-100249']);
+        assert.ok(report.failed.every(f => f.lastError));
+        // Both were approved while write-back was off (the other one in an earlier test)
+        assert.strictEqual(report.missingCount, 2);
+        assert.ok(report.missing.some(m => m.attachmentId === missingId));
+        assert.deepStrictEqual(report.missing.map(m => m.jobRef).sort(), ['TM-100246', 'TM-100251']);
+        assert.ok(report.summary.some(row => row.event === 'POD_RECEIVED' && row.status === 'DELIVERED'));
+    });
+
+    await test('failed and missing updates can be re-sent', async () => {
+        const failedEntry = podWriteback.listOutbox({ status: 'FAILED' }).find(f => f.jobRef === 'TM-100249');
+        assert.strictEqual(podWriteback.retry(failedEntry.id), true);
+        assert.strictEqual(podWriteback.retry(failedEntry.id), false);
+        assert.strictEqual(podWriteback.retryFailed(), 1);
+        assert.strictEqual(podWriteback.queueMissing().queued, 2);
+
+        const summary = await podWriteback.processOutbox();
+        assert.strictEqual(summary.delivered, 4);
+
+        const report = podWriteback.getReconciliationReport();
+        assert.strictEqual(report.failedCount, 0);
+        assert.strictEqual(report.missingCount, 0);
+        assert.ok(app.locals.podUpdates.some(u => u.jobRef === 'TM-100251'));
+    });
+
+    await new Promise(resolve => server.close(resolve));
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests: Field reconciliation (vision-structured vs regex-extracted fields)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and audit dir for the auto-send decision test - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+
+const db = require('../../db');
+db.init();
+const extractor = require('../../extractor');
+const reconcile = require('../../reconcile');
+const podStages = require('../../podStages');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const TEXT = 'TARMAC Delivery Docket: TM-100245 Vehicle GV66 XRO Date 12/03/2024';
+
+async function run() {
+    await test('values are normalised before comparing', () => {
+        const result = reconcile.reconcile(
+            { supplier: 'Tarmac Ltd', jobRef: 'tm-100245', vehicleReg: 'gv66 xro', date: '12 Mar 2024', confidence: 0.8 },
+            extractor.extract(TEXT)
+        );
+
+        assert.deepStrictEqual(result.conflicts, []);
+        assert.strictEqual(result.supplier, 'TARMAC');
+        assert.strictEqual(result.vehicleReg, 'GV66XRO');
+        assert.strictEqual(result.date, '2024-03-12');
+        assert.strictEqual(result.reconciliation.vehicleReg.status, 'AGREE');
+        assert.strictEqual(result.reconciliation.vehicleReg.source, 'both');
+        assert.strictEqual(result.reconciliation.date.vision.raw, '12 Mar 2024');
+    });
+
+    await test('agreement reinforces confidence', () => {
+        const field = reconcile.reconcileField('jobRef', 'TM-100245', 0.8, 'TM100245', 0.9);
+        assert.strictEqual(field.status, 'AGREE');
+        assert.strictEqual(field.confidence, 0.98);
+    });
+
+    await test('a single source keeps its value, confidence and provenance', () => {
+        const field = reconcile.reconcileField('shipmentNumber', null, 0.8, '8812 345', 0.9);
+        assert.strictEqual(field.status, 'SINGLE');
+        assert.strictEqual(field.source, 'regex');
+        assert.strictEqual(field.value, '8812345');
+        assert.strictEqual(field.confidence, 0.9);
+
+        const missing = reconcile.reconcileField('date', '', 0.8, null, 0);
+        assert.strictEqual(missing.status, 'MISSING');
+        assert.strictEqual(missing.value, null);
+    });
+
+    await test('a conflict keeps the more confident value and is penalised', () => {
+        const field = reconcile.reconcileField('jobRef', 'TM-100246', 0.8, 'TM-100245', 0.95);
+        assert.strictEqual(field.status, 'CONFLICT');
+        assert.strictEqual(field.source, 'regex');
+        assert.strictEqual(field.value, 'TM-100245');
+        assert.strictEqual(field.confidence, 0.475);
+        assert.strictEqual(field.vision.value, 'TM-100246');
+    });
+
+    await test('conflicts are listed and lower the overall confidence', () => {
+        const regexFields = extractor.extract(TEXT);
+        const agreeing = reconcile.reconcile({ supplier: 'TARMAC', jobRef: 'TM-100245', confidence: 0.8 }, regexFields);
+        const conflicting = reconcile.reconcile({ supplier: 'TARMAC', jobRef: 'TM-999999', confidence: 0.8 }, regexFields);
+
+        assert.deepStrictEqual(conflicting.conflicts, ['jobRef']);
+        assert.ok(conflicting.confidence <= agreeing.confidence - reconcile.CONFIG.conflictPenalty);
+    });
+
+    await test('extractFields reconciles the OCR summary with the parsed text', () => {
+        const fields = podStages.extractFields({ supplier: 'TARMAC', jobRef: 'TM-999999', confidence: 0.9, rawText: TEXT });
+        assert.deepStrictEqual(fields.conflicts, ['jobRef']);
+        assert.strictEqual(fields.jobRef, 'TM-100245');
+        assert.strictEqual(fields.reconciliation.jobRef.source, 'regex');
+        assert.strictEqual(podStages.extractFields(null), null);
+    });
+
+    await test('a conflict counts against the auto-send confidence', () => {
+        const classification = { type: 'POD', confidence: 0.95, isPOD: true };
+        const jobMatch = { match: { jobId: 'job-1', jobRef: 'TM-100245', confidence: 1, matchType: 'EXACT_JOB_REF' }, candidates: [] };
+        const ocrSummary = { supplier: 'TARMAC', jobRef: 'TM-100245', vehicleReg: 'GV66XRO', confidence: 0.9, rawText: TEXT };
+
+        const clean = podStages.decide({ classification, fields: podStages.extractFields(ocrSummary), ocr: ocrSummary, jobMatch });
+        const conflicted = podStages.decide({
+            classification,
+            fields: podStages.extractFields({ ...ocrSummary, vehicleReg: 'AB12CDE' }),
+            ocr: ocrSummary,
+            jobMatch
+        });
+
+        assert.deepStrictEqual(clean.fieldConflicts, []);
+        assert.deepStrictEqual(conflicted.fieldConflicts, ['vehicleReg']);
+        assert.ok(conflicted.overallConfidence < clean.overallConfidence);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,239 @@
+/**
+ * Unit Tests: Reprocessing stored attachments
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB, audit dir, jobs and a counting provider - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'reprocess-test-'));
+delete process.env.OPENAI_API_KEY;
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'jobs.json');
+process.env.VISION_PROVIDERS = 'counting';
+
+fs.writeFileSync(process.env.LOCAL_JOBS_PATH, JSON.stringify([
+    { id: 'job-1', job_ref: 'DK-7781', vehicle_reg: 'GV66XRO' }
+]));
+
+const db = require('../../db');
+db.init();
+const models = require('../../models');
+const vision = require('../../lib/vision');
+const match = require('../../match');
+const reprocess = require('../../reprocess');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const calls = { classify: 0, structured: 0 };
+vision.register({
+    name: 'counting',
+    model: 'counting-v1',
+    isAvailable: () => true,
+    supports: () => true,
+    classify: async () => {
+        calls.classify++;
+        return { type: 'POD', imageType: 'delivery_ticket', confidence: 'high', isPOD: true };
+    },
+    extractStructured: async () => {
+        calls.structured++;
+        return { supplier: 'ECOCEM', jobRef: 'DK-7781', confidence: 0.8, rawText: 'Ecocem Delivery Docket No: DK-7781' };
+    }
+});
+
+let counter = 0;
+
+// A stored attachment whose last run found nothing
+function createProcessedAttachment(status = 'REVIEW', overrides = {}) {
+    counter++;
+    const filePath = path.join(tmpRoot, `pod-${counter}.jpg`);
+    fs.writeFileSync(filePath, `photo-${counter}`);
+
+    const message = models.createMessage({
+        chat_id: '447700900123@c.us',
+        sender_id: '447700900123@c.us',
+        received_at: new Date().toISOString(),
+        status: 'QUEUED'
+    });
+
+    return models.createAttachment({
+        message_id: message.id,
+        content_hash: `hash-${counter}`,
+        file_type: 'image/jpeg',
+        file_size: 10,
+        storage_uri: filePath,
+        canonical_filename: `pod-${counter}.jpg`,
+        status,
+        metadata: {
+            classification: { type: 'POD', confidence: 0.6, isPOD: true, provider: 'mock' },
+            results: {
+                classification: { type: 'POD', confidence: 0.6, isPOD: true, provider: 'mock' },
+                ocr: { supplier: null, jobRef: null, vehicleReg: null, confidence: 0.1, rawText: '', provider: 'mock' },
+                fields: { supplier: null, jobRef: null, vehicleReg: null, date: null, shipmentNumber: null, confidence: 0 },
+                match: null,
+                autoSend: { decision: 'MANUAL_REVIEW', reasonCode: 'NO_MATCH' },
+                route: { status, decisionType: null, reason: null },
+                processedAt: '2024-01-01T00:00:00.000Z'
+            },
+            ...overrides
+        }
+    });
+}
+
+function reprocessAudits(attachmentId) {
+    return models.getAuditTrail(attachmentId).filter(entry => entry.action === 'REPROCESSED');
+}
+
+async function run() {
+    match.init();
+
+    await test('parseStages defaults to all stages and rejects unknown ones', () => {
+        assert.deepStrictEqual(reprocess.parseStages(), reprocess.STAGES);
+        assert.deepStrictEqual(reprocess.parseStages('match,auto-send'), ['match', 'autosend']);
+        assert.throws(() => reprocess.parseStages(['ocr', 'translate']), /Unknown stage/);
+    });
+
+    await test('dry run reports changes without writing anything', async () => {
+        const attachment = createProcessedAttachment();
+        const result = await reprocess.reprocessAttachment(attachment.id, { dryRun: true });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.dryRun, true);
+        const changed = result.changes.map(change => change.field);
+        assert.ok(changed.includes('ocr.jobRef'));
+        assert.ok(changed.includes('match.jobRef'));
+        assert.strictEqual(result.after.match.jobId, 'job-1');
+
+        const stored = models.getAttachmentById(attachment.id);
+        assert.strictEqual(stored.metadata.results.ocr.jobRef, null);
+        assert.strictEqual(stored.matched_job_id, null);
+        assert.strictEqual(reprocessAudits(attachment.id).length, 0);
+    });
+
+    await test('reprocess persists results and audits before and after side by side', async () => {
+        const attachment = createProcessedAttachment();
+        const result = await reprocess.reprocessAttachment(attachment.id, { actor: 'ops@example.com' });
+
+        const stored = models.getAttachmentById(attachment.id);
+        assert.strictEqual(stored.supplier, 'ECOCEM');
+        assert.strictEqual(stored.job_ref, 'DK-7781');
+        assert.strictEqual(stored.matched_job_id, 'job-1');
+        assert.strictEqual(stored.metadata.results.match.jobRef, 'DK-7781');
+
+        const audits = reprocessAudits(attachment.id);
+        assert.strictEqual(audits.length, 1);
+        const details = audits[0].details;
+        assert.strictEqual(audits[0].actor, 'ops@example.com');
+        assert.strictEqual(details.before.ocr.jobRef, null);
+        assert.strictEqual(details.after.ocr.jobRef, 'DK-7781');
+        assert.strictEqual(details.after.ocr.rawText, undefined);
+        assert.strictEqual(details.changes.length, result.changes.length);
+    });
+
+    await test('earlier stages reuse stored results; later stages run again', async () => {
+        const attachment = createProcessedAttachment();
+        models.mergeAttachmentMetadata(attachment.id, {
+            results: {
+                ...models.getAttachmentById(attachment.id).metadata.results,
+                fields: { supplier: 'ECOCEM', jobRef: 'DK-7781', vehicleReg: null, date: null, shipmentNumber: null, confidence: 0.7 }
+            }
+        });
+        const before = { ...calls };
+
+        const result = await reprocess.reprocessAttachment(attachment.id, { stages: ['match'] });
+        assert.deepStrictEqual(result.stages, ['match', 'autosend']);
+        assert.deepStrictEqual(calls, before);
+        assert.strictEqual(result.after.match.jobRef, 'DK-7781');
+        // Auto-send is decided again on the new match instead of keeping NO_MATCH
+        assert.strictEqual(result.after.autoSend.reasonCode, 'BELOW_THRESHOLD');
+        assert.strictEqual(result.status.after, 'REVIEW');
+    });
+
+    await test('refresh bypasses the vision cache', async () => {
+        const attachment = createProcessedAttachment();
+        await reprocess.reprocessAttachment(attachment.id, { stages: ['classify', 'ocr'] });
+        const cachedRun = { ...calls };
+        await reprocess.reprocessAttachment(attachment.id, { stages: ['classify', 'ocr'] });
+        assert.deepStrictEqual(calls, cachedRun);
+
+        await reprocess.reprocessAttachment(attachment.id, { stages: ['classify', 'ocr'], refresh: true });
+        assert.strictEqual(calls.classify, cachedRun.classify + 1);
+        assert.strictEqual(calls.structured, cachedRun.structured + 1);
+    });
+
+    await test('a page is reprocessed through its document head', async () => {
+        const head = createProcessedAttachment();
+        const page = createProcessedAttachment();
+        models.linkDocumentPages(head.id, [head.id, page.id]);
+
+        const result = await reprocess.reprocessAttachment(page.id, { dryRun: true, stages: ['ocr'] });
+        assert.strictEqual(result.attachmentId, head.id);
+        assert.deepStrictEqual(result.stages, ['ocr', 'extract', 'match', 'autosend']);
+    });
+
+    await test('released (OUT) documents keep their status', async () => {
+        const attachment = createProcessedAttachment('OUT');
+        const result = await reprocess.reprocessAttachment(attachment.id, {});
+        assert.strictEqual(result.status.after, 'OUT');
+        assert.strictEqual(models.getAttachmentById(attachment.id).status, 'OUT');
+    });
+
+    await test('missing attachment and missing file are reported', async () => {
+        const missing = await reprocess.reprocessAttachment('does-not-exist');
+        assert.strictEqual(missing.success, false);
+
+        const attachment = createProcessedAttachment();
+        fs.unlinkSync(attachment.storage_uri);
+        const noFile = await reprocess.reprocessAttachment(attachment.id, { stages: ['ocr'] });
+        assert.strictEqual(noFile.success, false);
+        assert.ok(noFile.error.includes('Stored file missing'));
+        models.updateAttachmentStatus(attachment.id, 'QUARANTINE');
+    });
+
+    await test('bulk reprocess filters by status, supplier and date range', async () => {
+        const refused = await reprocess.reprocessBulk({}, { dryRun: true });
+        assert.strictEqual(refused.success, false);
+
+        const bySupplier = await reprocess.reprocessBulk({ supplier: 'ecocem' }, { dryRun: true, stages: ['autosend'] });
+        assert.strictEqual(bySupplier.success, true);
+        assert.ok(bySupplier.matched >= 3);
+        assert.strictEqual(bySupplier.failed, 0);
+
+        const today = new Date().toISOString().split('T')[0];
+        // The released document plus those the full reprocess runs above auto-sent (routing rule auto-send)
+        const inRange = await reprocess.reprocessBulk({ status: 'OUT', from: today, to: today }, { dryRun: true });
+        assert.strictEqual(inRange.matched, models.getAttachmentsByStatus('OUT').length);
+        assert.ok(inRange.matched > 1);
+
+        const past = await reprocess.reprocessBulk({ status: 'REVIEW', to: '2000-01-01' }, { dryRun: true });
+        assert.strictEqual(past.matched, 0);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
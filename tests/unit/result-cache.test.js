@@ -0,0 +1,173 @@
+/**
+ * Unit Tests: Vision result cache
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated DB and a counting provider - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+delete process.env.OPENAI_API_KEY;
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.VISION_PROVIDERS = 'counting';
+
+const db = require('../../db');
+db.init();
+const resultCache = require('../../resultCache');
+const vision = require('../../lib/vision');
+const classify = require('../../classify');
+const ocr = require('../../ocr');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const calls = { classify: 0, structured: 0 };
+const counting = {
+    name: 'counting',
+    model: 'counting-v1',
+    isAvailable: () => true,
+    supports: () => true,
+    classify: async () => {
+        calls.classify++;
+        return { type: 'POD', imageType: 'delivery_ticket', confidence: 'high', isPOD: true };
+    },
+    extractStructured: async () => {
+        calls.structured++;
+        return { supplier: 'ECOCEM', jobRef: 'DK-7781', confidence: 0.8, rawText: 'Ecocem Dkt No DK-7781' };
+    }
+};
+vision.register(counting);
+
+const IMAGE = Buffer.from('same-photo-sent-twice');
+const KEY = { contentHash: 'abc123', kind: 'classify', promptVersion: '1', model: 'm1' };
+
+async function run() {
+    await test('set and get round-trip a result and count hits', () => {
+        resultCache.set(KEY, { type: 'POD', confidence: 0.9 }, { provider: 'openai' });
+        const first = resultCache.get(KEY);
+        assert.deepStrictEqual(first.result, { type: 'POD', confidence: 0.9 });
+        assert.strictEqual(first.provider, 'openai');
+        assert.strictEqual(first.hitCount, 1);
+        assert.strictEqual(resultCache.get(KEY).hitCount, 2);
+    });
+
+    await test('a different prompt version or model misses', () => {
+        assert.strictEqual(resultCache.get({ ...KEY, promptVersion: '2' }), null);
+        assert.strictEqual(resultCache.get({ ...KEY, model: 'm2' }), null);
+    });
+
+    await test('expired entries are not returned and can be purged', () => {
+        const key = { ...KEY, contentHash: 'old' };
+        resultCache.set(key, { type: 'POD' }, { ttlHours: 1 });
+        db.getDb().prepare(`UPDATE vision_cache SET expires_at = ? WHERE content_hash = 'old'`)
+            .run(new Date(Date.now() - 1000).toISOString());
+
+        assert.strictEqual(resultCache.get(key), null);
+        assert.strictEqual(resultCache.getStats().expired, 1);
+        assert.strictEqual(resultCache.purgeExpired(), 1);
+        assert.strictEqual(resultCache.getStats().expired, 0);
+    });
+
+    await test('invalidate removes by filter and refuses an empty filter', () => {
+        resultCache.set({ ...KEY, kind: 'structured' }, { jobRef: 'X' });
+        assert.strictEqual(resultCache.invalidate({ contentHash: 'abc123', kind: 'classify' }), 1);
+        assert.ok(resultCache.get({ ...KEY, kind: 'structured' }));
+        assert.throws(() => resultCache.invalidate({}), /Refusing/);
+        assert.strictEqual(resultCache.invalidate({ all: true }), 1);
+    });
+
+    await test('classify calls the provider once for the same bytes', async () => {
+        const first = await classify.classify(IMAGE, 'image/jpeg');
+        const second = await classify.classify(IMAGE, 'image/jpeg');
+        assert.strictEqual(calls.classify, 1);
+        assert.strictEqual(first.cached, false);
+        assert.strictEqual(second.cached, true);
+        assert.strictEqual(second.provider, 'counting');
+        assert.strictEqual(second.model, 'counting-v1');
+        assert.strictEqual(second.confidence, 0.9);
+    });
+
+    await test('cache "refresh" skips the read but stores the new result', async () => {
+        const refreshed = await classify.classify(IMAGE, 'image/jpeg', { cache: 'refresh' });
+        assert.strictEqual(refreshed.cached, false);
+        assert.strictEqual(calls.classify, 2);
+
+        await classify.classify(IMAGE, 'image/jpeg', { cache: false });
+        assert.strictEqual(calls.classify, 3);
+    });
+
+    await test('extractStructured pages are served from the cache on reprocessing', async () => {
+        const pages = [{ buffer: IMAGE, mimeType: 'image/jpeg' }];
+        const first = await ocr.extractStructuredPages(pages);
+        const again = await ocr.extractStructuredPages(pages);
+        assert.strictEqual(calls.structured, 1);
+        assert.strictEqual(first.cachedPages, 0);
+        assert.strictEqual(again.cachedPages, 1);
+        assert.strictEqual(again.jobRef, 'DK-7781');
+        assert.strictEqual(again.provider, 'counting');
+    });
+
+    await test('failed provider calls are not cached', async () => {
+        counting.classify = async () => { calls.classify++; throw new Error('rate limited'); };
+        const other = Buffer.from('new-photo');
+        await classify.classify(other, 'image/jpeg');
+        await classify.classify(other, 'image/jpeg');
+        assert.strictEqual(calls.classify, 5);
+    });
+
+    await test('fallback results are not cached, so the primary is tried again once healthy', async () => {
+        const photo = Buffer.from('primary-down-photo');
+        const options = { providers: ['counting', 'mock'] };
+        const fallback = await classify.classify(photo, 'image/jpeg', options);
+        assert.strictEqual(fallback.provider, 'mock');
+        assert.strictEqual(calls.classify, 6);
+
+        counting.classify = async () => {
+            calls.classify++;
+            return { type: 'POD', imageType: 'delivery_ticket', confidence: 'high', isPOD: true };
+        };
+        const recovered = await classify.classify(photo, 'image/jpeg', options);
+        assert.strictEqual(recovered.cached, false);
+        assert.strictEqual(recovered.provider, 'counting');
+        assert.strictEqual(calls.classify, 7);
+
+        const cached = await classify.classify(photo, 'image/jpeg', options);
+        assert.strictEqual(cached.cached, true);
+        assert.strictEqual(cached.provider, 'counting');
+        assert.strictEqual(calls.classify, 7);
+    });
+
+    await test('getStats groups entries by kind and model', () => {
+        const stats = resultCache.getStats();
+        const kinds = stats.byKey.map(row => `${row.kind}:${row.model}`);
+        assert.ok(kinds.includes('classify:counting-v1'));
+        assert.ok(kinds.includes('structured:counting-v1'));
+        assert.ok(stats.hits >= 1);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests: SMTP relay failover and health checks
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Isolated audit log and relays - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'smtp-relays-test-'));
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.AUDIT_LOG_DIR = path.join(tmpRoot, 'audit');
+process.env.LOCAL_JOBS_PATH = path.join(tmpRoot, 'missing-jobs.json');
+process.env.SMTP_HOST = 'smtp.primary.example';
+process.env.SMTP_USER = 'pods';
+process.env.SMTP_PASS = 'secret';
+process.env.SMTP_RELAY_2_HOST = 'smtp.backup.example';
+process.env.SMTP_RELAY_2_PORT = '2525';
+process.env.SMTP_RELAY_2_NAME = 'backup';
+process.env.SMTP_RELAY_3_HOST = 'relay.internal.example';
+process.env.EMAIL_RELAY_FAILURE_THRESHOLD = '1';
+
+const db = require('../../db');
+db.init();
+const smtpRelays = require('../../smtpRelays');
+const health = require('../../health');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function smtpError(message, fields) {
+    return Object.assign(new Error(message), fields);
+}
+
+// Fake transports: each host is up, or fails with the error set for it
+const down = new Map();
+const sentVia = [];
+const created = [];
+smtpRelays.setTransportFactory(options => {
+    created.push(options);
+    return {
+        sendMail: async message => {
+            if (down.has(options.host)) throw down.get(options.host);
+            if (message.to === 'reject@acme.example') {
+                throw smtpError("Can't send mail - all recipients were rejected", { code: 'EENVELOPE', rejected: [message.to] });
+            }
+            sentVia.push(options.host);
+            return { messageId: `<${sentVia.length}@turners>`, accepted: [message.to], rejected: [] };
+        },
+        verify: async () => {
+            if (down.has(options.host)) throw down.get(options.host);
+            return true;
+        },
+        close: async () => {}
+    };
+});
+
+function auditActions() {
+    return db.getDb().prepare("SELECT action FROM audit_logs WHERE action LIKE 'SMTP_RELAY_%' ORDER BY rowid").all()
+        .map(row => row.action);
+}
+
+async function run() {
+    await test('relays come from SMTP_HOST then SMTP_RELAY_<n>_HOST, in order', () => {
+        const status = smtpRelays.getStatus();
+        assert.deepStrictEqual(status.relays.map(relay => [relay.name, relay.host, relay.port]), [
+            ['primary', 'smtp.primary.example', 587],
+            ['backup', 'smtp.backup.example', 2525],
+            ['relay3', 'relay.internal.example', 587]
+        ]);
+        assert.strictEqual(status.active, 'primary');
+        assert.strictEqual(status.failedOver, false);
+
+        // The primary needs credentials; further relays do not
+        const relays = smtpRelays.loadRelays({ SMTP_HOST: 'smtp.primary.example', SMTP_RELAY_2_HOST: 'smtp.backup.example' });
+        assert.deepStrictEqual(relays.map(relay => [relay.name, relay.auth]), [['relay2', null]]);
+    });
+
+    await test('a connection failure fails over within the same send', async () => {
+        const result = await smtpRelays.sendMail({ to: 'pods@acme.example' });
+        assert.strictEqual(result.relay, 'primary');
+
+        down.set('smtp.primary.example', smtpError('connect ECONNREFUSED', { code: 'ECONNECTION' }));
+        const failover = await smtpRelays.sendMail({ to: 'pods@acme.example' });
+        assert.strictEqual(failover.relay, 'backup');
+        assert.deepStrictEqual(sentVia, ['smtp.primary.example', 'smtp.backup.example']);
+
+        const status = smtpRelays.getStatus();
+        assert.strictEqual(status.active, 'backup');
+        assert.strictEqual(status.failedOver, true);
+        const primary = status.relays[0];
+        assert.deepStrictEqual([primary.healthy, primary.failed, primary.lastError], [false, 1, 'connect ECONNREFUSED']);
+        assert.ok(primary.downSince);
+
+        // Later sends skip the relay that is down
+        await smtpRelays.sendMail({ to: 'ops@acme.example' });
+        assert.strictEqual(sentVia[sentVia.length - 1], 'smtp.backup.example');
+        assert.strictEqual(smtpRelays.getStatus().relays[0].failed, 1);
+        assert.strictEqual(created.filter(options => options.host === 'smtp.primary.example').length, 1, 'one transport per relay');
+        assert.deepStrictEqual(created[0].auth, { user: 'pods', pass: 'secret' });
+    });
+
+    await test('recipient errors are not retried on another relay', async () => {
+        const before = sentVia.length;
+        await assert.rejects(smtpRelays.sendMail({ to: 'reject@acme.example' }), error => {
+            assert.strictEqual(error.code, 'EENVELOPE');
+            assert.strictEqual(error.relay, 'backup');
+            return true;
+        });
+        assert.strictEqual(sentVia.length, before);
+        assert.strictEqual(smtpRelays.getStatus().relays[1].healthy, true);
+        assert.strictEqual(smtpRelays.isConnectionError(smtpError('Service not available', { responseCode: 421 })), true);
+        assert.strictEqual(smtpRelays.isConnectionError(smtpError('Message rejected', { code: 'EMESSAGE', responseCode: 554 })), false);
+    });
+
+    await test('a timeout once the message is handed over is not resent through another relay', async () => {
+        const before = sentVia.length;
+        down.set('smtp.backup.example', smtpError('Timeout', { code: 'ETIMEDOUT', command: 'DATA' }));
+        await assert.rejects(smtpRelays.sendMail({ to: 'pods@acme.example' }), error => {
+            assert.strictEqual(error.relay, 'backup');
+            return true;
+        });
+        assert.strictEqual(sentVia.length, before, 'no second copy');
+        assert.strictEqual(smtpRelays.getStatus().relays[1].healthy, false, 'still counts against the relay');
+
+        assert.strictEqual(smtpRelays.isBeforeHandover(smtpError('Connection closed', { code: 'ECONNRESET' })), false);
+        assert.strictEqual(smtpRelays.isBeforeHandover(smtpError('421 Try later', { responseCode: 421, command: 'MAIL FROM' })), true);
+        assert.strictEqual(smtpRelays.isBeforeHandover(smtpError('Invalid login', { code: 'EAUTH', command: 'AUTH PLAIN' })), true);
+        down.delete('smtp.backup.example');
+        await smtpRelays.checkAll();
+        assert.strictEqual(smtpRelays.getStatus().active, 'backup');
+    });
+
+    await test('every relay down: the last error is thrown and health is degraded', async () => {
+        down.set('smtp.backup.example', smtpError('Greeting never received', { code: 'ETIMEDOUT', command: 'CONN' }));
+        down.set('relay.internal.example', smtpError('454 TLS not available', { responseCode: 454, command: 'STARTTLS' }));
+        // Healthy relays first, then the primary that is already down as a last resort
+        await assert.rejects(smtpRelays.sendMail({ to: 'pods@acme.example' }), /connect ECONNREFUSED/);
+        const status = smtpRelays.getStatus();
+        assert.strictEqual(status.allDown, true);
+        assert.deepStrictEqual(status.relays.map(relay => relay.failed), [3, 2, 1]);
+        assert.strictEqual(status.active, 'primary', 'the primary is tried first while all are down');
+
+        const check = health.checkEmailRelays();
+        assert.strictEqual(check.status, 'degraded');
+        assert.strictEqual(check.message, 'All SMTP relays down');
+        await assert.rejects(smtpRelays.verify(), /No SMTP relay reachable: primary: connect ECONNREFUSED; backup/);
+    });
+
+    await test('health checks fail back to the primary once it answers', async () => {
+        down.delete('smtp.backup.example');
+        let results = await smtpRelays.checkAll();
+        assert.deepStrictEqual(results.map(result => result.ok), [false, true, false]);
+        assert.strictEqual(smtpRelays.getStatus().active, 'backup');
+        assert.strictEqual(health.checkEmailRelays().message, 'Failed over to backup');
+
+        down.delete('smtp.primary.example');
+        results = await smtpRelays.checkAll();
+        assert.deepStrictEqual(results.map(result => result.ok), [true, true, false]);
+        const status = smtpRelays.getStatus();
+        assert.strictEqual(status.active, 'primary');
+        assert.strictEqual(status.failedOver, false);
+        assert.strictEqual(status.relays[0].lastCheckOk, true);
+        assert.strictEqual((await smtpRelays.sendMail({ to: 'pods@acme.example' })).relay, 'primary');
+
+        // Transitions are audited
+        const actions = auditActions();
+        assert.ok(actions.includes('SMTP_RELAY_FAILOVER'));
+        assert.ok(actions.includes('SMTP_RELAY_RECOVERED'));
+    });
+
+    await test('without relays nothing is configured and health stays healthy', () => {
+        smtpRelays.configure({});
+        assert.strictEqual(smtpRelays.isConfigured(), false);
+        assert.strictEqual(smtpRelays.getStatus().active, null);
+        assert.strictEqual(health.checkEmailRelays().status, 'healthy');
+    });
+
+    await smtpRelays.close();
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
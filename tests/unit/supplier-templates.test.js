@@ -0,0 +1,174 @@
+/**
+ * Unit Tests: Supplier extraction templates
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy of the shipped templates - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'supplier-templates-test-'));
+const templatesDir = path.join(tmpRoot, 'suppliers');
+fs.cpSync(path.join(__dirname, '..', '..', 'config', 'suppliers'), templatesDir, { recursive: true });
+process.env.SUPPLIER_TEMPLATES_DIR = templatesDir;
+
+const supplierTemplates = require('../../supplierTemplates');
+const extractor = require('../../extractor');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const BREEDON = {
+    key: 'BREEDON',
+    name: 'Breedon Group',
+    aliases: ['breedon'],
+    documentField: 'ticketNumber',
+    patterns: {
+        ticket: 'Ticket\\s*Ref\\s*[:.]?\\s*(BR-\\d+)',
+        load: 'Load\\s*No\\s*[:.]?\\s*(\\d+)'
+    },
+    dateFormats: ['DD MMM YY'],
+    fieldMappings: { ticket: 'jobRef', load: 'shipmentNumber' }
+};
+
+const BREEDON_TEXT = 'BREEDON GROUP Ticket Ref: BR-88120 Load No 4471 Delivered 07 Mar 24 Reg GV66 XRO';
+
+async function run() {
+    await test('shipped templates load and keep existing supplier behaviour', () => {
+        const status = supplierTemplates.load();
+        assert.deepStrictEqual(status.errors, {});
+        assert.ok(status.keys.includes('TARMAC'));
+
+        const result = extractor.extract('Tarmac Docket: TM-100245 ticket 5012345678901');
+        assert.strictEqual(result.supplier, 'TARMAC');
+        assert.strictEqual(result.jobRef, 'TM-100245');
+        assert.strictEqual(result.supplierFields.barcode, '5012345678901');
+    });
+
+    await test('validation reports bad regex, missing capture group and unknown mappings', () => {
+        const { valid, errors } = supplierTemplates.validateTemplate({
+            key: 'bad key',
+            aliases: [],
+            patterns: { docket: '([A-Z', plain: 'Docket' },
+            dateFormats: ['MM/YYYY'],
+            fieldMappings: { missing: 'jobRef', plain: 'colour' }
+        });
+        assert.strictEqual(valid, false);
+        const text = errors.join('\n');
+        assert.ok(text.includes('key must be'));
+        assert.ok(text.includes('aliases'));
+        assert.ok(text.includes('patterns.docket is not a valid regular expression'));
+        assert.ok(text.includes('patterns.plain needs a capture group'));
+        assert.ok(text.includes('"MM/YYYY"'));
+        assert.ok(text.includes('fieldMappings.missing refers to an unknown pattern'));
+        assert.ok(text.includes('fieldMappings.plain must be one of'));
+    });
+
+    await test('save adds a new supplier used by the extractor', () => {
+        assert.strictEqual(extractor.extract(BREEDON_TEXT).supplier, null);
+
+        const result = supplierTemplates.save(BREEDON, { create: true });
+        assert.strictEqual(result.success, true);
+        assert.ok(fs.existsSync(path.join(templatesDir, 'BREEDON.json')));
+
+        const fields = extractor.extract(BREEDON_TEXT);
+        assert.strictEqual(fields.supplier, 'BREEDON');
+        assert.strictEqual(fields.jobRef, 'BR-88120');
+        assert.strictEqual(fields.shipmentNumber, '4471');
+        assert.strictEqual(fields.date, '2024-03-07');
+        assert.strictEqual(fields.vehicleReg, 'GV66XRO');
+    });
+
+    await test('create refuses an existing key and invalid templates are not written', () => {
+        assert.strictEqual(supplierTemplates.save(BREEDON, { create: true }).exists, true);
+
+        const invalid = supplierTemplates.save({ ...BREEDON, key: 'BROKEN', aliases: 'breedon' });
+        assert.strictEqual(invalid.success, false);
+        assert.ok(!fs.existsSync(path.join(templatesDir, 'BROKEN.json')));
+    });
+
+    await test('an invalid edit on disk keeps the last valid version active', () => {
+        fs.writeFileSync(path.join(templatesDir, 'BREEDON.json'), '{ "key": "BREEDON", "aliases": ');
+        const status = supplierTemplates.load();
+        assert.ok(status.errors['BREEDON.json']);
+        assert.strictEqual(extractor.extract(BREEDON_TEXT).jobRef, 'BR-88120');
+    });
+
+    await test('watching the directory hot-reloads edited templates', async () => {
+        assert.strictEqual(supplierTemplates.watch(), true);
+        fs.writeFileSync(path.join(templatesDir, 'BREEDON.json'), JSON.stringify({
+            ...BREEDON,
+            patterns: { ...BREEDON.patterns, ticket: 'Ticket\\s*Ref\\s*[:.]?\\s*BR-(\\d+)' }
+        }));
+
+        for (let i = 0; i < 40 && extractor.extract(BREEDON_TEXT).jobRef !== '88120'; i++) {
+            await sleep(50);
+        }
+        supplierTemplates.unwatch();
+        assert.strictEqual(extractor.extract(BREEDON_TEXT).jobRef, '88120');
+        assert.deepStrictEqual(supplierTemplates.getStatus().errors, {});
+    });
+
+    await test('testTemplate runs one template against sample text', () => {
+        const result = extractor.testTemplate(BREEDON, BREEDON_TEXT);
+        assert.strictEqual(result.valid, true);
+        assert.strictEqual(result.supplierDetected, true);
+        assert.strictEqual(result.fields.jobRef, 'BR-88120');
+        assert.deepStrictEqual(result.captures, { ticket: 'BR-88120', load: '4471' });
+
+        const notDetected = extractor.testTemplate(BREEDON, 'Ticket Ref: BR-1 no supplier name');
+        assert.strictEqual(notDetected.supplierDetected, false);
+        assert.strictEqual(notDetected.captures.ticket, 'BR-1');
+
+        assert.strictEqual(extractor.testTemplate({ key: 'X' }, BREEDON_TEXT).valid, false);
+    });
+
+    await test('remove deletes the template file and the supplier', () => {
+        assert.strictEqual(supplierTemplates.remove('breedon'), true);
+        assert.strictEqual(supplierTemplates.get('BREEDON'), null);
+        assert.strictEqual(supplierTemplates.remove('BREEDON'), false);
+        assert.strictEqual(extractor.extract(BREEDON_TEXT).supplier, null);
+    });
+
+    await test('keys outside the template directory are rejected', () => {
+        const outside = path.join(tmpRoot, 'OUTSIDE.json');
+        fs.writeFileSync(outside, '{}');
+        assert.strictEqual(supplierTemplates.isValidKey('../OUTSIDE'), false);
+        assert.strictEqual(supplierTemplates.remove('../OUTSIDE'), false);
+        assert.strictEqual(supplierTemplates.remove('..%2FOUTSIDE'), false);
+        assert.ok(fs.existsSync(outside), 'file outside the directory kept');
+        assert.strictEqual(supplierTemplates.save({ key: '../OUTSIDE', aliases: ['x'] }).success, false);
+    });
+
+    await test('date formats parse day, month and year tokens', () => {
+        const matcher = supplierTemplates.compileDateFormat('D.M.YY');
+        assert.strictEqual(supplierTemplates.matchDate('Delivered 7.3.24 am', matcher), '2024-03-07');
+        assert.strictEqual(supplierTemplates.matchDate('Delivered 7.13.24', matcher), null);
+    });
+
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests: Vision provider chain (classify / OCR)
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline chain with short timeouts - must be set before requiring the modules
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-test-'));
+delete process.env.OPENAI_API_KEY;
+process.env.SQLITE_DB_PATH = path.join(tmpRoot, 'test.db');
+process.env.VISION_CACHE_ENABLED = 'false';
+process.env.VISION_PROVIDERS = 'openai,mock';
+process.env.VISION_FIXTURES_DIR = path.join(tmpRoot, 'fixtures');
+process.env.VISION_SLOW_TIMEOUT_MS = '30';
+process.env.VISION_TESSERACT_TIMEOUT_MS = '2000';
+
+const db = require('../../db');
+db.init();
+const vision = require('../../lib/vision');
+const classify = require('../../classify');
+const ocr = require('../../ocr');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+const IMAGE = Buffer.from('fake-jpeg-bytes');
+const OTHER_IMAGE = Buffer.from('another-image');
+
+// Fake Tesseract binary: ignores its input and prints a fixed docket
+function writeFakeTesseract(text) {
+    const bin = path.join(tmpRoot, 'fake-tesseract.sh');
+    fs.writeFileSync(bin, `#!/bin/sh\ncat > /dev/null\nprintf '%s\\n' "${text}"\n`);
+    fs.chmodSync(bin, 0o755);
+    return bin;
+}
+
+async function run() {
+    fs.mkdirSync(process.env.VISION_FIXTURES_DIR, { recursive: true });
+    const hash = crypto.createHash('sha256').update(OTHER_IMAGE).digest('hex');
+    fs.writeFileSync(path.join(process.env.VISION_FIXTURES_DIR, `${hash}.json`), JSON.stringify({
+        classify: { type: 'NON_POD', imageType: 'selfie', confidence: 'high', isPOD: false, reason: 'fixture selfie' },
+        structured: { supplier: null, jobRef: null, confidence: 0.1, rawText: '' }
+    }));
+
+    await test('unconfigured OpenAI is skipped and the mock default fixture answers', async () => {
+        const outcome = await vision.run('classify', IMAGE, 'image/jpeg');
+        assert.strictEqual(outcome.success, true);
+        assert.strictEqual(outcome.provider, 'mock');
+        assert.strictEqual(outcome.attempts[0].provider, 'openai');
+        assert.strictEqual(outcome.attempts[0].skipped, true);
+        assert.strictEqual(outcome.result.isPOD, true);
+    });
+
+    await test('mock provider prefers a fixture named by content hash', async () => {
+        const outcome = await vision.run('classify', OTHER_IMAGE, 'image/jpeg');
+        assert.strictEqual(outcome.result.imageType, 'selfie');
+        assert.strictEqual(outcome.result.fixture, `${hash}.json`);
+    });
+
+    await test('classify records the provider and normalises confidence', async () => {
+        const result = await classify.classify(IMAGE, 'image/jpeg');
+        assert.strictEqual(result.type, 'POD');
+        assert.strictEqual(result.confidence, 0.6);
+        assert.strictEqual(result.provider, 'mock');
+        assert.strictEqual(result.model, 'fixtures');
+        assert.ok(Array.isArray(result.providerAttempts));
+    });
+
+    await test('a failing provider falls through to the next in the chain', async () => {
+        vision.register({
+            name: 'flaky',
+            model: 'flaky-1',
+            isAvailable: () => true,
+            supports: () => true,
+            extractStructured: async () => { throw new Error('HTTP 503'); }
+        });
+
+        const result = await ocr.extractStructured(IMAGE, 'image/jpeg', { providers: ['flaky', 'mock'] });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.provider, 'mock');
+        assert.strictEqual(result.jobRef, 'TM-100245');
+        assert.strictEqual(result.providerAttempts[0].error, 'HTTP 503');
+    });
+
+    await test('a provider exceeding its timeout is abandoned', async () => {
+        vision.register({
+            name: 'slow',
+            model: 'slow-1',
+            isAvailable: () => true,
+            supports: () => true,
+            classify: () => new Promise(resolve => setTimeout(() => resolve({ type: 'POD' }), 500).unref())
+        });
+
+        const outcome = await vision.run('classify', IMAGE, 'image/jpeg', { providers: ['slow', 'mock'] });
+        assert.strictEqual(outcome.provider, 'mock');
+        assert.strictEqual(outcome.attempts[0].timedOut, true);
+        assert.ok(outcome.attempts[0].duration < 400);
+    });
+
+    await test('classify returns UNKNOWN with the error when every provider fails', async () => {
+        const result = await classify.classify(IMAGE, 'image/jpeg', { providers: ['openai', 'flaky'] });
+        assert.strictEqual(result.type, 'UNKNOWN');
+        assert.strictEqual(result.provider, null);
+        assert.ok(result.error.includes('All vision providers failed'));
+    });
+
+    await test('tesseract provider classifies and extracts from binary output', async () => {
+        vision.configure({
+            tesseract: { bin: writeFakeTesseract('CEMEX Delivery Docket No: CX-55120 Signature received 12/03/2024') }
+        });
+
+        const classification = await classify.classify(IMAGE, 'image/jpeg', { providers: ['tesseract'] });
+        assert.strictEqual(classification.isPOD, true);
+        assert.strictEqual(classification.provider, 'tesseract');
+
+        const structured = await ocr.extractStructured(IMAGE, 'image/jpeg', { providers: ['tesseract'] });
+        assert.strictEqual(structured.provider, 'tesseract');
+        assert.strictEqual(structured.supplier, 'CEMEX');
+        assert.ok(structured.rawText.includes('CX-55120'));
+    });
+
+    await test('tesseract is skipped for PDFs', async () => {
+        const outcome = await vision.run('text', IMAGE, 'application/pdf', { providers: ['tesseract', 'mock'] });
+        assert.strictEqual(outcome.provider, 'mock');
+        assert.ok(outcome.attempts[0].error.includes('Unsupported'));
+    });
+
+    await test('mergePageResults lists providers across pages', () => {
+        const merged = ocr.mergePageResults([
+            { success: true, provider: 'openai', jobRef: 'A1', confidence: 0.8, rawText: 'one' },
+            { success: true, provider: 'mock', vehicleReg: 'GV66XRO', confidence: 0.6, rawText: 'two' }
+        ]);
+        assert.strictEqual(merged.provider, 'openai');
+        assert.deepStrictEqual(merged.providers, ['openai', 'mock']);
+        assert.strictEqual(merged.jobRef, 'A1');
+        assert.strictEqual(merged.vehicleReg, 'GV66XRO');
+    });
+
+    await test('getStatus reports chain, availability and outcome counts', () => {
+        const status = vision.getStatus();
+        assert.deepStrictEqual(status.chain, ['openai', 'mock']);
+        const byName = Object.fromEntries(status.providers.map(p => [p.name, p]));
+        assert.strictEqual(byName.openai.available, false);
+        assert.strictEqual(byName.slow.timeoutMs, 30);
+        assert.strictEqual(byName.slow.stats.timeout, 1);
+        assert.ok(byName.mock.stats.success >= 4);
+    });
+
+    db.getDb().close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+    // Summary
+    console.log(`\n========================================`);
+    console.log(`Tests: ${passed} passed, ${failed} failed`);
+    console.log(`========================================`);
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();